@@ -0,0 +1,13 @@
+/**
+ * 001 — 엔티티 테이블 생성 (MySQL / SQLite)
+ * products, orders, users … 및 조회용 하위 테이블(product_images, order_lines), settings
+ */
+async function createEntityTables({ storage }) {
+  await storage.createEntityTables();
+}
+
+module.exports = {
+  description: '엔티티 테이블 생성',
+  mysql: createEntityTables,
+  sqlite: createEntityTables,
+};
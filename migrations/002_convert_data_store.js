@@ -0,0 +1,10 @@
+/**
+ * 002 — 구버전 data_store(JSON Blob 단일 테이블) → 엔티티 테이블 변환
+ * data_store 가 없으면 아무 것도 하지 않음 (신규 설치)
+ */
+module.exports = {
+  description: 'data_store JSON Blob → 엔티티 테이블 변환',
+  async mysql({ storage }) {
+    await storage.migrateLegacyDataStore();
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * 003 — JSON 파일 모드로 운영하던 데이터를 빈 관계형 저장소(MySQL / SQLite)로 이관
+ * 엔티티 테이블이 비어 있고 데이터 파일이 있을 때만 전체 컬렉션을 복사
+ */
+const fs = require('fs');
+
+const { COLLECTION_NAMES } = require('../services/dataset');
+const logger = require('../services/logger').child({ module: 'migrator' });
+
+async function importJsonFile({ storage, dataFile }) {
+  if (!dataFile || !fs.existsSync(dataFile)) return;
+  if (await storage.hasEntityRows()) return;
+
+  const data = JSON.parse(fs.readFileSync(dataFile, 'utf-8'));
+  const entities = {};
+  for (const name of COLLECTION_NAMES) {
+    if (data[name] !== undefined && data[name] !== null) entities[name] = data[name];
+  }
+  const { upserted } = await storage.save(entities);
+  logger.info(`✅ JSON → ${storage.label} 이관 완료: ${Object.keys(entities).length}개 컬렉션, ${upserted}개 행`);
+}
+
+module.exports = {
+  description: 'JSON 데이터 파일 → 빈 관계형 저장소 이관 (전체 컬렉션)',
+  mysql: importJsonFile,
+  sqlite: importJsonFile,
+};
@@ -0,0 +1,17 @@
+/**
+ * 004 — 누락된 컬렉션을 기본값으로 채움
+ * 기본값이 null 인 컬렉션(members/users/coupons 등)은 서버 시드 데이터를 쓰도록 그대로 둔다.
+ */
+const { COLLECTION_DEFAULTS } = require('../services/dataset');
+
+module.exports = {
+  description: '누락 컬렉션 기본값 채우기',
+  data(dataset) {
+    for (const [name, makeDefault] of Object.entries(COLLECTION_DEFAULTS)) {
+      if (dataset[name] === undefined) {
+        const value = makeDefault();
+        if (value !== null) dataset[name] = value;
+      }
+    }
+  },
+};
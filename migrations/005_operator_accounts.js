@@ -0,0 +1,16 @@
+/**
+ * 005 — 운영자 계정(operators) 컬렉션 추가
+ * 관계형 저장소는 operators 테이블 생성 (기존 테이블은 IF NOT EXISTS 로 그대로), JSON 은 빈 배열로 채움
+ */
+async function createOperatorsTable({ storage }) {
+  await storage.createEntityTables();
+}
+
+module.exports = {
+  description: '운영자 계정 컬렉션 추가',
+  mysql: createOperatorsTable,
+  sqlite: createOperatorsTable,
+  data(dataset) {
+    if (dataset.operators === undefined) dataset.operators = [];
+  },
+};
@@ -0,0 +1,16 @@
+/**
+ * 006 — B2B / 셀러 / 운영자 로그인 세션(sessions) 컬렉션 추가
+ * 이전 메모리 세션은 이관 대상 없음 (배포 후 한 번 재로그인)
+ */
+async function createSessionsTable({ storage }) {
+  await storage.createEntityTables();
+}
+
+module.exports = {
+  description: '로그인 세션 컬렉션 추가',
+  mysql: createSessionsTable,
+  sqlite: createSessionsTable,
+  data(dataset) {
+    if (dataset.sessions === undefined) dataset.sessions = [];
+  },
+};
@@ -0,0 +1,25 @@
+/**
+ * 007 — 주문에 주문 회원 code(memberCode) 연결
+ * 기존 주문은 포인트 사용 회원(pointsUsedBy) → 주문자 이메일(대소문자 무시) 순으로 회원을 찾아 채움
+ * 찾지 못한 주문은 null (비회원/삭제된 회원 — 고객 주문 API 에서는 조회되지 않음)
+ */
+module.exports = {
+  description: '주문 memberCode 연결',
+  data(dataset) {
+    if (!Array.isArray(dataset.orders)) return;
+    const users = Array.isArray(dataset.users) ? dataset.users : [];
+    const byKey = new Map();
+    const byEmail = new Map();
+    for (const user of users) {
+      if (user.code) byKey.set(user.code, user);
+      if (user.id) byKey.set(user.id, user);
+      if (user.email && !byEmail.has(user.email.toLowerCase())) byEmail.set(user.email.toLowerCase(), user);
+    }
+    for (const order of dataset.orders) {
+      if (order.memberCode !== undefined) continue;
+      const user = (order.pointsUsedBy && byKey.get(order.pointsUsedBy))
+        || byEmail.get((order.ordererEmail || '').toLowerCase());
+      order.memberCode = user ? user.code : null;
+    }
+  },
+};
@@ -0,0 +1,15 @@
+/**
+ * 008 — B2B / 외부 연동 API 키(apiKeys) 컬렉션 추가
+ */
+async function createApiKeysTable({ storage }) {
+  await storage.createEntityTables();
+}
+
+module.exports = {
+  description: 'API 키 컬렉션 추가',
+  mysql: createApiKeysTable,
+  sqlite: createApiKeysTable,
+  data(dataset) {
+    if (dataset.apiKeys === undefined) dataset.apiKeys = [];
+  },
+};
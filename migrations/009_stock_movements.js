@@ -0,0 +1,16 @@
+/**
+ * 009 — 재고 이동 기록(stockMovements) 컬렉션 추가
+ * 상품/옵션 재고(stock)는 관리자 재고 조정 시 생기므로 기존 상품은 그대로 (재고 미관리)
+ */
+async function createStockMovementsTable({ storage }) {
+  await storage.createEntityTables();
+}
+
+module.exports = {
+  description: '재고 이동 기록 컬렉션 추가',
+  mysql: createStockMovementsTable,
+  sqlite: createStockMovementsTable,
+  data(dataset) {
+    if (dataset.stockMovements === undefined) dataset.stockMovements = [];
+  },
+};
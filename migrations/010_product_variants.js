@@ -0,0 +1,32 @@
+/**
+ * 010 — 상품 옵션 축 / SKU 변형(variants)
+ * 예전 평면 productOptions(옵션 값 목록)는 축 하나('option')로 바꾸고 옵션 값마다 SKU 생성, 옵션 재고(stock)는 SKU 로 이동
+ * 재고 예약(orders[].stockReservation.lines)과 재고 이동 기록의 optionKey 는 sku 로 변환
+ */
+const { convertLegacyOptions } = require('../services/productVariants');
+
+module.exports = {
+  description: '상품 옵션 축 / SKU 변형',
+  data(dataset) {
+    if (!Array.isArray(dataset.products)) return;
+    const skuByProduct = new Map();
+    for (const product of dataset.products) {
+      skuByProduct.set(product.productCode, convertLegacyOptions(product));
+      if (!Array.isArray(product.variants)) product.variants = [];
+    }
+
+    const toSku = (productCode, optionKey) => (optionKey === null || optionKey === undefined
+      ? null
+      : (skuByProduct.get(productCode) || new Map()).get(optionKey) || null);
+    const convertLine = (line) => {
+      if (!line || !('optionKey' in line)) return;
+      line.sku = toSku(line.productCode, line.optionKey);
+      delete line.optionKey;
+    };
+
+    for (const order of dataset.orders || []) {
+      ((order.stockReservation && order.stockReservation.lines) || []).forEach(convertLine);
+    }
+    (dataset.stockMovements || []).forEach(convertLine);
+  },
+};
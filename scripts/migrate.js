@@ -0,0 +1,61 @@
+/**
+ * 마이그레이션 실행 CLI
+ *
+ *   npm run migrate                 # 미적용 마이그레이션 적용 (STORAGE_DRIVER 기준, 서버와 같은 저장소 선택)
+ *   npm run migrate -- --status     # 적용/미적용 목록만 출력
+ *   npm run migrate -- --backend=sqlite   # 저장소 직접 지정 (mysql | sqlite | json)
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const jsonStore = require('../services/jsonStore');
+const migrator = require('../services/migrator');
+const { openStorage, STORAGE_DRIVERS } = require('../services/storage');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..');
+const DATA_FILE = path.join(DATA_DIR, 'mock-data.json');
+const SEED_FILE = path.join(__dirname, '..', 'mock-data.json');
+
+let storage = null;
+
+function parseArgs(argv) {
+  const args = { status: false, backend: null };
+  for (const arg of argv) {
+    if (arg === '--status') args.status = true;
+    else if (arg.startsWith('--backend=')) args.backend = arg.split('=')[1];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.backend && !STORAGE_DRIVERS.includes(args.backend)) {
+    throw new Error(`Unknown backend "${args.backend}" (${STORAGE_DRIVERS.join(' | ')})`);
+  }
+  // 새 Volume: 마이그레이션이 빈 데이터 파일을 만들기 전에 시드 복사 (JSON 모드 적용 대상 / 003 관계형 이관 원본)
+  if (!args.status) jsonStore.seedDataFile(DATA_FILE, SEED_FILE);
+  storage = await openStorage({ dataFile: DATA_FILE, driver: args.backend || undefined });
+  console.log(`🗂️  Migration target: ${storage.label}${storage.relational ? '' : ` (${DATA_FILE})`}`);
+
+  if (args.status) {
+    const applied = await migrator.getApplied(storage);
+    const appliedIds = new Set(applied.map((m) => m.id));
+    for (const m of migrator.listMigrations()) {
+      const record = applied.find((a) => a.id === m.id);
+      console.log(`  ${appliedIds.has(m.id) ? '✅' : '⏳'} ${m.id}_${m.name}${record ? ` (${record.appliedAt})` : ''}`);
+    }
+    return;
+  }
+
+  const applied = await migrator.runPending(storage, { dataFile: DATA_FILE });
+  console.log(applied.length > 0
+    ? `✅ ${applied.length}개 마이그레이션 적용 완료`
+    : '✅ 적용할 마이그레이션 없음 (최신 상태)');
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Migration failed:', e.message);
+    process.exitCode = 1;
+  })
+  .finally(() => storage && storage.close());
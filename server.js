@@ -5,6 +5,9 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const crypto = require('crypto');
 const fetch = require('node-fetch');
 
 // SNS 리뷰 수집기 서비스
@@ -25,8 +28,48 @@ const aramexService = require('./services/aramex');
 const currencyService = require('./services/currency');
 // 관리자 주문 알림 서비스 (이메일 + SMS)
 const notificationService = require('./services/notification');
-// MySQL Database 서비스
-const database = require('./services/database');
+// 저장소 어댑터 (MySQL / SQLite / JSON 파일)
+const { openStorage, createJsonFileAdapter } = require('./services/storage');
+const { createChangeTracker } = require('./services/storage/changeTracker');
+// 조회용 메모리 인덱스 (productCode / orderId / user code·email / paypalOrderId)
+const { createEntityIndex } = require('./services/entityIndex');
+// 낙관적 동시성 제어 (version / ETag / If-Match)
+const { createVersionControl, getVersion, formatEtag, parseExpectedVersion } = require('./services/versioning');
+// 감사 로그 (append-only, 해시 체인)
+const { createAuditLog } = require('./services/auditLog');
+// 데이터 무결성 검사 / 복구
+const { REPAIR_ACTIONS, validateDataset, repairDataset } = require('./services/integrityValidator');
+// 고객 액세스 토큰 (HMAC 서명 JWT)
+const { createCustomerTokenService } = require('./services/customerToken');
+// Google 로그인 ID 토큰 / 액세스 토큰 검증
+const { createGoogleTokenVerifier } = require('./services/googleIdToken');
+// 비밀번호 해시 (scrypt)
+const { hashPassword, verifyPassword } = require('./services/passwordHash');
+// 관리자 API 역할/권한
+const adminAccess = require('./services/adminAccess');
+// 운영자/셀러 2단계 인증 (TOTP)
+const totp = require('./services/totp');
+// 탈퇴 회원 개인정보 익명화
+const accountAnonymizer = require('./services/accountAnonymizer');
+// B2B / 셀러 / 운영자 세션 (sessions 컬렉션)
+const { createSessionStore, hashToken } = require('./services/sessionStore');
+// B2B / 외부 연동 API 키 (apiKeys 컬렉션) + 키별 요청 기록
+const { API_KEY_SCOPES, API_KEY_OWNER_TYPES, scopesToPermissions, validateScopes, serializeApiKey, createApiKeyStore, createApiKeyRequestLog } = require('./services/apiKeys');
+// 로그인 / OTP / 가입 요청 제한 + 계정 잠금
+const { createRateLimiter, createBlockedAttemptLog } = require('./services/rateLimiter');
+// 상품/SKU 재고 + 주문 재고 예약 (stockMovements 컬렉션)
+const { STOCK_ADJUSTMENT_REASONS, RESERVATION_STATUS, createInventory } = require('./services/inventory');
+// 상품 옵션 축 / SKU 변형
+const { toOptionAxes, hasVariants, normalizeOptionAxes, buildVariants, resolveVariant, variantLineFields } = require('./services/productVariants');
+// 스키마/데이터 마이그레이션 (migrations/NNN_*.js)
+const migrator = require('./services/migrator');
+const { normalizeDataset, diffDatasets } = require('./services/dataset');
+// JSON 파일 원자적 저장 / 스냅샷
+const jsonStore = require('./services/jsonStore');
+// 전체 데이터 내보내기 / 가져오기
+const dataTransfer = require('./services/dataTransfer');
+// 구조화 로그 (요청 ID, 민감정보 마스킹)
+const logger = require('./services/logger');
 // Twilio Verify 서비스 — 환경변수 정규식 정제 (비허용 문자 제거)
 const TWILIO_ACCOUNT_SID = (process.env.TWILIO_ACCOUNT_SID || '').replace(/\s/g, '');
 const TWILIO_AUTH_TOKEN = (process.env.TWILIO_AUTH_TOKEN || '').replace(/\s/g, '');
@@ -35,8 +78,10 @@ const twilioClient = TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN
   ? require('twilio')(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN)
   : null;
 
-let _useMySQL = false;
+let dataStore = null; // 기본 저장소 어댑터 (startServer()에서 STORAGE_DRIVER 기준으로 연결)
+let fileStorage = null; // JSON 파일 어댑터 (관계형 저장소가 비었거나 저장 실패 시 폴백)
 let _saveTimer = null;
+let schemaMigrations = []; // 적용된 마이그레이션 기록 (스냅샷/내보내기에 함께 기록)
 
 // ========================================
 // 파일 기반 영속성 (서버 재시작 시 데이터 유지)
@@ -45,155 +90,88 @@ let _saveTimer = null;
 // Railway Volume 미사용 시 앱 디렉토리에 저장 (배포 시 데이터 유실됨)
 const DATA_DIR = process.env.DATA_DIR || __dirname;
 const DATA_FILE = path.join(DATA_DIR, 'mock-data.json');
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(DATA_DIR, 'audit-log.jsonl');
+const BLOCKED_ATTEMPTS_FILE = process.env.BLOCKED_ATTEMPTS_FILE || path.join(DATA_DIR, 'blocked-attempts.jsonl');
+const API_KEY_REQUEST_LOG_FILE = process.env.API_KEY_REQUEST_LOG_FILE || path.join(DATA_DIR, 'api-key-requests.jsonl');
 
 // DATA_DIR 디렉토리 생성 (Volume 마운트 시 하위 디렉토리 보장)
 if (DATA_DIR !== __dirname && !fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
-  console.log(`📂 데이터 디렉토리 생성: ${DATA_DIR}`);
+  logger.info(`📂 데이터 디렉토리 생성: ${DATA_DIR}`);
 }
 
-// Volume 사용 시, 초기 데이터가 없으면 앱 디렉토리에서 복사
-if (DATA_DIR !== __dirname && !fs.existsSync(DATA_FILE)) {
-  const srcDataFile = path.join(__dirname, 'mock-data.json');
-  if (fs.existsSync(srcDataFile)) {
-    fs.copyFileSync(srcDataFile, DATA_FILE);
-    console.log(`📋 초기 데이터를 Volume으로 복사: ${srcDataFile} → ${DATA_FILE}`);
-  }
-}
-
-// ========================================
-// MySQL 연결 대기 (지수 백오프 재시도)
-// ========================================
-async function waitForMySQL(maxRetries = 5) {
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      await database.initTable();
-      console.log('🗄️  MySQL 연결 성공, data_store 테이블 준비 완료');
-      return true;
-    } catch (e) {
-      const delay = Math.min(1000 * Math.pow(2, i), 10000);
-      console.log(`⏳ MySQL 연결 재시도 ${i + 1}/${maxRetries} (${delay}ms 후)... [${e.message}]`);
-      await new Promise(r => setTimeout(r, delay));
-    }
-  }
-  console.log('⚠️  MySQL 연결 실패, JSON 파일 모드로 동작');
-  return false;
-}
+// Volume 사용 시, 초기 데이터가 없으면 앱 디렉토리에서 복사 (npm run migrate 도 먼저 같은 복사를 함)
+jsonStore.seedDataFile(DATA_FILE, path.join(__dirname, 'mock-data.json'));
 
 // ========================================
-// 데이터 로드 함수 (MySQL → JSON 파일 → 빈 저장소)
+// 데이터 로드 함수 (관계형 저장소 → JSON 파일 → 빈 저장소)
 // ========================================
 async function loadData() {
-  const emptyData = { products: [], snsReviews: [], brands: [], orders: null, members: null, users: null, userCoupons: null, coupons: null, groupBuyTeams: [], events: null, snsReviewOverrides: [], productInsights: [], aiFeedbackHistory: [], sellers: [], settlements: [], platformSettings: null, reviews: [], blogPosts: [] };
-
-  // 1단계: MySQL에서 로드 시도
-  if (_useMySQL) {
+  // 1단계: 관계형 저장소(MySQL/SQLite)에서 로드 시도
+  if (dataStore.relational) {
     try {
-      const mysqlData = await database.loadAll();
-      if (mysqlData && Object.keys(mysqlData).length > 0) {
-        console.log(`🗄️  MySQL에서 데이터 로드: ${mysqlData.products?.length || 0}개 상품, ${mysqlData.brands?.length || 0}개 브랜드, ${(mysqlData.orders || []).length}개 주문`);
-        return {
-          products: mysqlData.products || [],
-          snsReviews: mysqlData.snsReviews || [],
-          brands: mysqlData.brands || [],
-          orders: mysqlData.orders || null,
-          members: mysqlData.members || null,
-          users: mysqlData.users || null,
-          userCoupons: mysqlData.userCoupons || null,
-          coupons: mysqlData.coupons || null,
-          groupBuyTeams: mysqlData.groupBuyTeams || [],
-          events: mysqlData.events || null,
-          banners: mysqlData.banners || [],
-          snsReviewOverrides: mysqlData.snsReviewOverrides || [],
-          productInsights: mysqlData.productInsights || [],
-          aiFeedbackHistory: mysqlData.aiFeedbackHistory || [],
-          b2bUsers: mysqlData.b2bUsers || [],
-          sellers: mysqlData.sellers || [],
-          settlements: mysqlData.settlements || [],
-          platformSettings: mysqlData.platformSettings || null,
-          reviews: mysqlData.reviews || [],
-          blogPosts: mysqlData.blogPosts || [],
-        };
+      const dbData = await dataStore.load();
+      if (dbData) {
+        logger.info(`🗄️  ${dataStore.label}에서 데이터 로드: ${dbData.products?.length || 0}개 상품, ${dbData.brands?.length || 0}개 브랜드, ${(dbData.orders || []).length}개 주문`);
+        return normalizeDataset(dbData);
       }
-      console.log('🗄️  MySQL 비어있음, JSON 파일 확인...');
+      logger.info(`🗄️  ${dataStore.label} 비어있음, JSON 파일 확인...`);
     } catch (e) {
-      console.error('❌ MySQL 로드 실패:', e.message);
+      logger.error(`❌ ${dataStore.label} 로드 실패:`, e.message);
     }
   }
 
-  // 2단계: JSON 파일에서 로드 (+ MySQL 자동 마이그레이션)
-  if (fs.existsSync(DATA_FILE)) {
-    try {
-      const fileContent = fs.readFileSync(DATA_FILE, 'utf-8');
-      const data = JSON.parse(fileContent);
-      console.log(`📁 JSON 파일에서 데이터 로드: ${data.products?.length || 0}개 상품, ${data.snsReviews?.length || 0}개 SNS 리뷰, ${data.brands?.length || 0}개 브랜드, ${(data.orders || []).length}개 주문`);
-
-      // MySQL 사용 가능 시, JSON → MySQL 자동 마이그레이션
-      if (_useMySQL) {
-        console.log('🔄 JSON → MySQL 자동 마이그레이션 시작...');
-        try {
-          await database.saveAll({
-            products: data.products || [],
-            snsReviews: data.snsReviews || [],
-            brands: data.brands || [],
-            orders: data.orders || [],
-            members: data.members || [],
-            users: data.users || [],
-            userCoupons: data.userCoupons || [],
-            coupons: data.coupons || [],
-            groupBuyTeams: data.groupBuyTeams || [],
-            events: data.events || [],
-          });
-          console.log('✅ JSON → MySQL 마이그레이션 완료');
-        } catch (e) {
-          console.error('❌ MySQL 마이그레이션 실패 (JSON 데이터로 계속):', e.message);
-        }
-      }
-
-      return {
-        products: data.products || [],
-        snsReviews: data.snsReviews || [],
-        brands: data.brands || [],
-        orders: data.orders || null,
-        members: data.members || null,
-        users: data.users || null,
-        userCoupons: data.userCoupons || null,
-        coupons: data.coupons || null,
-        groupBuyTeams: data.groupBuyTeams || [],
-        events: data.events || null,
-        banners: data.banners || [],
-        snsReviewOverrides: data.snsReviewOverrides || [],
-        productInsights: data.productInsights || [],
-        aiFeedbackHistory: data.aiFeedbackHistory || [],
-        b2bUsers: data.b2bUsers || [],
-        sellers: data.sellers || [],
-        settlements: data.settlements || [],
-        platformSettings: data.platformSettings || null,
-        reviews: data.reviews || [],
-        blogPosts: data.blogPosts || [],
-      };
-    } catch (e) {
-      console.error('❌ JSON 데이터 로드 실패:', e.message);
-    }
+  // 2단계: JSON 파일에서 로드 (빈 관계형 저장소로의 이관은 migrations/003_import_json_file.js가 담당)
+  // 파일이 손상되었으면 최신 스냅샷으로 복구, 복구 불가 시 예외 → 빈 데이터로 덮어쓰지 않도록 기동 중단
+  const data = await fileStorage.load();
+  if (data) {
+    logger.info(`📁 JSON 파일에서 데이터 로드: ${data.products?.length || 0}개 상품, ${data.snsReviews?.length || 0}개 SNS 리뷰, ${data.brands?.length || 0}개 브랜드, ${(data.orders || []).length}개 주문`);
+    return normalizeDataset(data);
   }
 
   // 3단계: 저장된 데이터 없음
-  console.log('📁 저장된 데이터 없음, 기본 데이터 사용');
-  return emptyData;
+  logger.info('📁 저장된 데이터 없음, 기본 데이터 사용');
+  return normalizeDataset({});
 }
 
 // ========================================
-// 데이터 저장 함수 (500ms debounce → MySQL, 실패 시 JSON 폴백)
-// 동기 함수 시그니처 유지 (28개 호출부 변경 불필요)
+// 데이터 저장 함수 (500ms debounce → 기본 저장소, 관계형 저장 실패 시 JSON 폴백)
+// 호출부는 건드린 컬렉션/레코드를 넘김 → flush 시 표시된 것만 저장 (services/storage/changeTracker.js)
+//   saveData('brands')                            — 컬렉션 전체
+//   saveData(['products', code], 'brands')        — 특정 레코드 + 컬렉션
+//   saveData()                                    — 모든 컬렉션 저장만 (감사 로그 비교 생략 — 가능하면 대상을 넘길 것)
 // ========================================
-function saveData() {
+const changeTracker = createChangeTracker();
+
+// 저장 통계 (GET /datepalm-bay/api/admin/tools/storage-stats)
+const saveStats = { flushes: 0, records: 0, totalMs: 0, failures: 0, lastFlush: null };
+
+// 감사 로그 — markDirty 대상의 직전 기록본 대비 변경을 요청 행위자와 함께 기록 (services/auditLog.js)
+const auditLog = createAuditLog({ file: AUDIT_LOG_FILE });
+
+function markDirty(...targets) {
+  changeTracker.mark(targets);
+  auditLog.capture(targets, getLiveDataset());
+  // 조회 인덱스 갱신 — 레코드 단위는 그 레코드의 바뀐 키만 교체, 컬렉션 단위(범위 모름)는 무효화
+  if (targets.length === 0) {
+    Object.values(entityIndexes).forEach(index => index.invalidate());
+    return;
+  }
+  for (const target of targets) {
+    if (Array.isArray(target)) entityIndexes[target[0]]?.touch(target[1]);
+    else entityIndexes[target]?.invalidate();
+  }
+}
+
+function saveData(...targets) {
+  markDirty(...targets);
   if (_saveTimer) clearTimeout(_saveTimer);
   _saveTimer = setTimeout(() => _saveDataImpl(), 500);
 }
 
-async function _saveDataImpl() {
-  _saveTimer = null;
-  const entities = {
+// 현재 메모리 데이터셋 (저장/스냅샷/diff 공용)
+function getLiveDataset() {
+  return {
     products: products,
     snsReviews: snsReviews,
     brands: brands,
@@ -210,41 +188,73 @@ async function _saveDataImpl() {
     aiFeedbackHistory: aiFeedbackHistory,
     b2bUsers: b2bUsers,
     sellers: sellers,
+    operators: operators,
+    sessions: sessions,
+    apiKeys: apiKeys,
     settlements: settlements,
+    stockMovements: stockMovements,
     platformSettings: platformSettings,
     reviews: reviews,
     blogPosts: blogPosts,
   };
+}
+
+function recordFlush(driver, dirty, { upserted, deleted }, startedAt) {
+  const durationMs = Date.now() - startedAt;
+  saveStats.flushes++;
+  saveStats.records += upserted + deleted;
+  saveStats.totalMs += durationMs;
+  saveStats.lastFlush = {
+    at: new Date().toISOString(),
+    driver,
+    collections: [...dirty.keys()],
+    upserted,
+    deleted,
+    durationMs,
+  };
+  return durationMs;
+}
+
+async function _saveDataImpl() {
+  _saveTimer = null;
+  const dirty = changeTracker.take();
+  if (dirty.size === 0) return;
+  const entities = getLiveDataset();
+  const startedAt = Date.now();
 
-  if (_useMySQL) {
+  if (dataStore.relational) {
     try {
-      await database.saveAll(entities);
-      console.log(`🗄️  MySQL 저장 완료: ${products.length}개 상품, ${(customerOrders || []).length}개 주문, ${(members || []).length}개 회원`);
+      const summary = await dataStore.save(entities, { dirty });
+      const durationMs = recordFlush(dataStore.name, dirty, summary, startedAt);
+      logger.info(`🗄️  ${dataStore.label} 저장 완료: ${summary.upserted}개 행 갱신, ${summary.deleted}개 행 삭제 [${[...dirty.keys()].join(', ')}] ${durationMs}ms`);
       return;
     } catch (e) {
-      console.error('❌ MySQL 저장 실패, JSON 파일로 폴백:', e.message);
+      // 관계형 저장소에는 반영되지 않았으므로 변경 표시를 되돌려 다음 flush 에서 재시도
+      changeTracker.restore(dirty);
+      saveStats.failures++;
+      logger.error(`❌ ${dataStore.label} 저장 실패, JSON 파일로 폴백:`, e.message);
     }
   }
 
-  // JSON 파일 폴백
-  _saveToFile(entities);
-}
-
-function _saveToFile(entities) {
+  // JSON 파일 (임시 파일 → rename 원자적 저장, 덮어쓰기 전 주기적으로 직전 정상본을 스냅샷으로 보관)
   try {
-    const dataToSave = { ...entities, savedAt: new Date().toISOString() };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(dataToSave, null, 2), 'utf-8');
-    console.log(`💾 파일 저장 완료: ${entities.products.length}개 상품, ${(entities.orders || []).length}개 주문`);
+    const summary = await fileStorage.save(entities, { dirty });
+    if (summary.snapshotName) logger.info(`📸 스냅샷 생성: ${summary.snapshotName}`);
+    const durationMs = recordFlush(fileStorage.name, dirty, summary, startedAt);
+    logger.info(`💾 파일 저장 완료: ${summary.upserted}개 행 갱신, ${summary.deleted}개 행 삭제 [${[...dirty.keys()].join(', ')}] ${durationMs}ms`);
   } catch (e) {
-    console.error('❌ 파일 저장 실패:', e.message);
+    if (!dataStore.relational) changeTracker.restore(dirty);
+    saveStats.failures++;
+    logger.error('❌ 파일 저장 실패:', e.message);
   }
 }
 
 const app = express();
-const port = 8080;
+const port = parseInt(process.env.PORT, 10) || 8080;
 
 // Railway 등 리버스 프록시 환경에서 req.protocol이 https를 반환하도록 설정
-app.set('trust proxy', true);
+// 신뢰할 프록시 홉 수 (기본 1) — true 로 두면 클라이언트가 보낸 X-Forwarded-For 로 req.ip 를 바꿔 IP별 요청 제한을 우회할 수 있음
+app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : (parseInt(process.env.TRUST_PROXY) || 1));
 
 // 이미지 URL 생성 시 사용할 base URL 헬퍼
 function getBaseUrl(req) {
@@ -316,10 +326,13 @@ const uploadDir = path.join(DATA_DIR, 'uploads');
 if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
-console.log(`📁 업로드 디렉토리: ${uploadDir}`);
+logger.info(`📁 업로드 디렉토리: ${uploadDir}`);
+
+// 요청 ID 발급(X-Request-Id) + 요청 완료 로그 — 이후 모든 로그에 reqId 가 붙도록 가장 먼저 등록
+app.use(logger.requestLogger({ logger: logger.child({ module: 'http' }), skip: req => req.path.startsWith('/uploads/') }));
 
 // CORS 설정
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag', 'X-Request-Id'] })); // 수정 API 의 If-Match 용 ETag, 문의 대응용 요청 ID 를 프론트에서 읽을 수 있도록
 app.use(express.json({ limit: '10mb' })); // 상품 일괄 등록 시 큰 JSON 본문 허용
 app.use(express.urlencoded({ extended: true })); // Form data 처리
 
@@ -427,6 +440,23 @@ const upload = multer({
   }
 });
 
+// 업로드 파일 로그용 요약 (필드별 파일 수 + 이름/크기) — 파일 객체 전체(경로 등)는 로그에 남기지 않음
+function summarizeUploadedFiles(files) {
+  return Object.fromEntries(Object.entries(files || {}).map(([field, list]) => [
+    field,
+    list.map(f => ({ name: f.originalname, size: f.size, mimetype: f.mimetype })),
+  ]));
+}
+
+// 요청이 실패(4xx/5xx — 검증 오류, 버전 충돌 409/428 등)로 끝나면 이번 요청에서 올린 파일 삭제 (고아 업로드 방지)
+function discardUploadsOnFailure(req, res, next) {
+  res.on('finish', () => {
+    if (res.statusCode < 400) return;
+    Object.values(req.files || {}).flat().forEach(file => fs.unlink(file.path, () => {}));
+  });
+  next();
+}
+
 // Multer 에러 핸들링 미들웨어
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -474,40 +504,154 @@ let products = [];
 let brands = [];
 let b2bUsers = [];
 let sellers = [];
+let operators = []; // 관리자 콘솔 운영자 계정 (역할별 권한 — services/adminAccess.js)
+let sessions = []; // B2B / 셀러 / 운영자 로그인 세션 (services/sessionStore.js)
+let apiKeys = []; // B2B / 외부 연동 API 키 (services/apiKeys.js)
 let settlements = [];
+let stockMovements = []; // 재고 조정/주문 예약·확정·해제 이력 (services/inventory.js)
 let platformSettings = { defaultCommissionRate: 13.5 }; // 판매수수료 기본 요율(%) — 셀러별 commissionRateOverride가 우선
 
-// B2B 세션 스토어 (in-memory, 서버 재시작 시 초기화 → 재로그인 필요)
-const b2bSessions = new Map(); // token → { userId, companyName, discountPercent }
+// ========================================
+// B2B / 셀러 / 운영자 / 고객 세션 (services/sessionStore.js)
+// sessions 컬렉션에 저장 → 재배포 후에도 유지, 유휴 만료 + 사용 시 연장(최대 수명 제한), 계정 비활성화 시 즉시 무효
+// 고객 세션 토큰은 리프레시 토큰 (기기별, 갱신할 때마다 교체) — 액세스 토큰은 customerTokens 로 따로 짧게 발급
+// ========================================
+const HOUR_MS = 60 * 60 * 1000;
+const PARTNER_SESSION_IDLE_MS = (parseFloat(process.env.PARTNER_SESSION_IDLE_HOURS) || 24) * HOUR_MS;
+const ADMIN_SESSION_IDLE_MS = (parseFloat(process.env.ADMIN_SESSION_IDLE_HOURS) || 8) * HOUR_MS;
+const SESSION_MAX_AGE_MS = (parseFloat(process.env.SESSION_MAX_AGE_DAYS) || 30) * 24 * HOUR_MS;
+const CUSTOMER_REFRESH_IDLE_MS = (parseFloat(process.env.CUSTOMER_REFRESH_IDLE_DAYS) || 30) * 24 * HOUR_MS;
+const CUSTOMER_SESSION_MAX_AGE_MS = (parseFloat(process.env.CUSTOMER_SESSION_MAX_AGE_DAYS) || 90) * 24 * HOUR_MS;
+
+const sessionStore = createSessionStore({
+  getList: () => sessions,
+  policies: {
+    b2b: { idleTtlMs: PARTNER_SESSION_IDLE_MS, maxAgeMs: SESSION_MAX_AGE_MS },
+    seller: { idleTtlMs: PARTNER_SESSION_IDLE_MS, maxAgeMs: SESSION_MAX_AGE_MS },
+    operator: { idleTtlMs: ADMIN_SESSION_IDLE_MS, maxAgeMs: SESSION_MAX_AGE_MS },
+    customer: { idleTtlMs: CUSTOMER_REFRESH_IDLE_MS, maxAgeMs: CUSTOMER_SESSION_MAX_AGE_MS },
+  },
+  onChange: (...targets) => saveData(...targets),
+});
+
+// ========================================
+// 재고 (services/inventory.js)
+// 주문 생성 시 예약 → 결제 승인 시 확정, 결제 없이 STOCK_RESERVATION_TTL_MINUTES 가 지나면 주문 만료(EXPIRED) + 예약 해제
+// ========================================
+const STOCK_RESERVATION_TTL_MS = (parseFloat(process.env.STOCK_RESERVATION_TTL_MINUTES) || 30) * 60 * 1000;
+// 주문이 이 상태로 바뀌면 예약 해제(결제 전) / 재입고(결제 후)
+const STOCK_RELEASING_ORDER_STATUSES = ['REFUNDED', 'CANCEL', 'EXPIRED'];
+// 결제 승인(capture) 가능한 상태 — 만료 주문은 재고를 다시 잡을 수 있을 때만, 취소/환불/결제 완료 주문은 거절
+const PAYABLE_ORDER_STATUSES = ['PENDING', 'EXPIRED'];
+
+const inventory = createInventory({
+  findProduct,
+  getMovements: () => stockMovements,
+  lowStockThreshold: parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 5,
+  onStockChange: (product) => bumpVersion('products', product.productCode, product, [hasVariants(product) ? 'variants' : 'stock']),
+});
+
+// 결제 없이 예약 시간이 지난 주문 만료 + 예약 해제
+function expireStockReservations(now = Date.now()) {
+  const targets = [];
+  for (const order of customerOrders) {
+    const reservation = order.stockReservation;
+    if (order.status !== 'PENDING' || !reservation || reservation.status !== RESERVATION_STATUS.RESERVED) continue;
+    if (new Date(reservation.expiresAt).getTime() > now) continue;
+    order.status = 'EXPIRED';
+    order.expiredAt = new Date(now).toISOString();
+    targets.push(['orders', order.orderId], ...inventory.release(order));
+    bumpVersion('orders', order.orderId, order, ['status', 'expiredAt', 'stockReservation']);
+  }
+  const expired = targets.filter(([collection]) => collection === 'orders').length;
+  if (expired > 0) {
+    saveData(...targets);
+    logger.info(`⏰ 결제 대기 주문 ${expired}개 만료 (재고 예약 해제)`);
+  }
+  return expired;
+}
+
+// ========================================
+// API 키 (services/apiKeys.js) — X-API-Key 헤더
+// B2B 키: catalog:read 로 /api/b2b/products 를 그 계정 할인가로 조회 / 연동 키: 범위에 해당하는 관리자 API 권한
+// ========================================
+const API_KEY_HEADER = 'X-API-Key';
+
+const apiKeyStore = createApiKeyStore({
+  getList: () => apiKeys,
+  onChange: (...targets) => saveData(...targets),
+});
+const apiKeyRequestLog = createApiKeyRequestLog({ file: API_KEY_REQUEST_LOG_FILE });
+
+// 헤더에 키가 있으면 인증 (잘못된 키는 세션 인증으로 넘기지 않고 401), 통과한 요청은 키별 기록
+function apiKeyAuth(req, res, next) {
+  const key = req.get(API_KEY_HEADER);
+  if (!key) return next();
+  const startedAt = Date.now();
+  const result = apiKeyStore.authenticate(key, { ip: req.ip });
+  const logRequest = (apiKey) => res.on('finish', () => apiKeyRequestLog.append({
+    keyId: apiKey.keyId,
+    method: req.method,
+    path: req.path,
+    status: res.statusCode,
+    ip: req.ip,
+    durationMs: Date.now() - startedAt,
+  }));
+
+  if (result.error) {
+    // 폐기/만료된 키의 호출도 그 키 기록에 남김
+    if (result.apiKey) logRequest(result.apiKey);
+    logger.info(`🔑 API 키 거부 (${result.error}): ${result.apiKey ? result.apiKey.keyId : 'unknown'} → ${req.method} ${req.path}`);
+    return res.status(401).json({ ok: false, data: { reason: result.error }, message: 'Invalid API key.' });
+  }
+  req.apiKey = result.apiKey;
+  logRequest(result.apiKey);
+  next();
+}
+
+function getBearerToken(req) {
+  const auth = req.headers['authorization'];
+  return auth ? auth.replace(/^Bearer\s+/i, '') : null;
+}
+
+// 세션에 남길 접속 정보 (관리자 세션 목록 표시용)
+function getSessionMeta(req) {
+  return { ip: req.ip, userAgent: req.get('User-Agent') };
+}
 
-function generateB2BToken() {
-  return `b2b_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+function findActiveB2BUser(id) {
+  return b2bUsers.find(u => u.id === id && u.isActive !== false) || null;
 }
 
+// B2B 세션이면 현재 계정 기준 { userId, companyName, discountPercent }, 아니면 null (비활성 계정은 무효)
 function validateB2BToken(req) {
   const auth = req.headers['authorization'] || req.headers['x-b2b-token'];
   const token = auth ? auth.replace(/^Bearer\s+/i, '') : null;
-  if (!token) return null;
-  return b2bSessions.get(token) || null;
+  const session = sessionStore.resolve('b2b', token);
+  if (!session) return null;
+  const user = findActiveB2BUser(session.subjectId);
+  if (!user) return null;
+  return { userId: user.id, companyName: user.companyName, discountPercent: user.discountPercent || 0 };
 }
 
-// ========================================
-// 셀러(입점 브랜드사) 세션 (B2B 패턴 복제)
-// ========================================
-const sellerSessions = new Map(); // token → { sellerId, companyName }
-
-function generateSellerToken() {
-  return `seller_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+// B2B API 키의 계정 — validateB2BToken 과 같은 형식, 키에 scope 가 없거나 B2B 키가 아니면 null
+function validateB2BApiKey(req, scope) {
+  const { apiKey } = req;
+  if (!apiKey || apiKey.ownerType !== 'b2b' || !apiKey.scopes.includes(scope)) return null;
+  const user = findActiveB2BUser(apiKey.ownerId);
+  if (!user) return null;
+  return { userId: user.id, companyName: user.companyName, discountPercent: user.discountPercent || 0 };
 }
 
 // 셀러 세션이면 { sellerId, companyName }, 아니면 null(플랫폼 운영자로 간주)
 // — FE가 셀러 토큰을 admin_token 키에 저장해 기존 admin 엔드포인트를 그대로 호출하므로,
 //   각 핸들러는 이 스코프로 데이터 범위를 제한한다.
 function getSellerScope(req) {
-  const auth = req.headers['authorization'];
-  const token = auth ? auth.replace(/^Bearer\s+/i, '') : null;
-  if (!token) return null;
-  return sellerSessions.get(token) || null;
+  const session = sessionStore.resolve('seller', getBearerToken(req));
+  if (!session) return null;
+  const seller = sellers.find(s => s.sellerId === session.subjectId && s.status === 'ACTIVE');
+  if (!seller) return null;
+  return { sellerId: seller.sellerId, companyName: seller.companyName };
 }
 
 function getEffectiveCommissionRate(seller) {
@@ -516,9 +660,95 @@ function getEffectiveCommissionRate(seller) {
     : platformSettings.defaultCommissionRate;
 }
 
-// 셀러 소유 상품 코드 집합 (요청 시점 계산 — 상품 수가 mock 규모라 캐싱 불필요)
+// ========================================
+// 조회용 메모리 인덱스 (services/entityIndex.js)
+// 배열 재할당/추가/삭제는 자동 감지, 키 필드 제자리 수정은 saveData() 변경 표시로 해당 레코드만 다시 색인
+// ========================================
+const entityIndexes = {
+  products: createEntityIndex(() => products, {
+    code: { get: (p) => p.productCode },
+    seller: { get: (p) => p.sellerId, multi: true },
+  }),
+  orders: createEntityIndex(() => customerOrders, {
+    orderId: { get: (o) => o.orderId },
+    orderCode: { get: (o) => o.orderCode },
+    paypalOrderId: { get: (o) => o.paypalOrderId },
+  }),
+  users: createEntityIndex(() => users, {
+    id: { get: (u) => u.id },
+    code: { get: (u) => u.code },
+    email: { get: (u) => u.email },
+    emailLower: { get: (u) => (u.email || '').toLowerCase() },
+    googleId: { get: (u) => u.googleId },
+  }, { primary: 'code' }),
+};
+
+function findProduct(productCode) {
+  return entityIndexes.products.get('code', productCode);
+}
+
+function findOrder(orderId) {
+  return entityIndexes.orders.get('orderId', orderId);
+}
+
+// 물류(FedEx/Aramex) 라우트의 레거시 orderCode 조회
+function findOrderByCode(orderCode) {
+  return entityIndexes.orders.get('orderCode', orderCode);
+}
+
+function findOrderByPaypalId(paypalOrderId) {
+  return entityIndexes.orders.get('paypalOrderId', paypalOrderId);
+}
+
+// 로그인 ID 또는 회원 code (토큰/요청 바디에 둘 중 하나가 들어옴)
+function findUser(idOrCode) {
+  return entityIndexes.users.get('id', idOrCode) || entityIndexes.users.get('code', idOrCode);
+}
+
+function findUserByCode(code) {
+  return entityIndexes.users.get('code', code);
+}
+
+function findUserByEmail(email, { ignoreCase = false } = {}) {
+  return ignoreCase
+    ? entityIndexes.users.get('emailLower', (email || '').toLowerCase())
+    : entityIndexes.users.get('email', email);
+}
+
+// ========================================
+// 낙관적 동시성 제어 (services/versioning.js)
+// 수정 API 는 If-Match(또는 본문 version) 필수 — 없으면 428, 오래된 버전이면 409 + 충돌 필드
+// ========================================
+const versionControl = createVersionControl();
+
+/**
+ * 버전 검사 후 version 을 올린 레코드 반환 (응답에 새 ETag 설정)
+ * @returns {Object|null} 검사 실패 시 428/409 응답을 보내고 null
+ */
+function applyVersionedEdit(req, res, { collection, id, current, next, bodyVersion }) {
+  const expected = parseExpectedVersion(req.get('If-Match'), bodyVersion);
+  const failure = versionControl.check({ collection, id, current, next, expected });
+  if (failure) {
+    logger.info(`⚠️  버전 충돌 [${collection}:${id}] 요청 v${expected} / 현재 v${failure.data.currentVersion}`);
+    res.status(failure.status).set('ETag', formatEtag(current)).json({ ok: false, data: failure.data, message: failure.message });
+    return null;
+  }
+  const updated = versionControl.commit(collection, id, current, next);
+  res.set('ETag', formatEtag(updated));
+  return updated;
+}
+
+/**
+ * 수정 API 밖의 제자리 변경(주문 상태/결제/배송, 재고) — version 을 올려 열려 있던 편집 화면의 저장을 409 로
+ * @param {string[]} fields - 바뀐 필드 (충돌 필드 계산용)
+ */
+function bumpVersion(collection, id, record, fields) {
+  versionControl.bump(collection, id, record, fields);
+}
+
+// 셀러 소유 상품 코드 집합
 function getSellerProductCodes(sellerId) {
-  return new Set(products.filter(p => p.sellerId === sellerId).map(p => p.productCode));
+  return new Set(entityIndexes.products.getAll('seller', sellerId).map(p => p.productCode));
 }
 
 // 주문이 셀러 소유 상품을 하나라도 포함하는지 (번들은 bundleItems, 단일/레거시는 productCode 콤마 분해)
@@ -535,7 +765,7 @@ function maskOrderForSeller(order, sellerCodes) {
   return { ...order, bundleItems: order.bundleItems.filter(i => sellerCodes.has(i.productCode)) };
 }
 
-// 주문에서 셀러 귀속 상품금액 라인(USD) 추출 — 배송비 제외, 쿠폰 할인은 플랫폼 부담(상품금액에 되더해 복원)
+// 주문에서 셀러 귀속 상품금액 라인(USD, 변형 상품은 sku 포함) 추출 — 배송비 제외, 쿠폰 할인은 플랫폼 부담(상품금액에 되더해 복원)
 // 주문의 bundleItems[].price / shippingCost / couponDiscount / amountUSD는 전부 USD 기준으로 저장됨
 // (청구통화 변환은 amount/currency/fxRate에만 적용) — 환율 재계산 불필요
 function orderLinesForSeller(order, sellerCodes) {
@@ -544,7 +774,9 @@ function orderLinesForSeller(order, sellerCodes) {
       .filter(i => sellerCodes.has(i.productCode))
       .map(i => ({
         productCode: i.productCode,
-        productName: i.productName || products.find(p => p.productCode === i.productCode)?.productName || '',
+        productName: i.productName || findProduct(i.productCode)?.productName || '',
+        sku: i.sku || null,
+        variantName: i.variantName || null,
         quantity: i.quantity || 1,
         itemAmountUSD: Math.round((i.price || 0) * (i.quantity || 1) * 100) / 100,
       }));
@@ -555,26 +787,173 @@ function orderLinesForSeller(order, sellerCodes) {
   return [{
     productCode: order.productCode,
     productName: order.productName || '',
+    sku: order.sku || null,
+    variantName: order.variantName || null,
     quantity: order.quantity || 1,
     itemAmountUSD: Math.round(itemAmountUSD * 100) / 100,
   }];
 }
 
-// 셀러에게 허용되지 않는 admin 경로 차단 (상품/주문/대시보드만 허용)
-const SELLER_ALLOWED_ADMIN_PREFIXES = [
-  '/datepalm-bay/api/admin/product',
-  '/datepalm-bay/api/admin/order',
-  '/datepalm-bay/api/admin/dashboard',
-];
+// ========================================
+// 관리자 API 인증 / 역할 기반 권한 (services/adminAccess.js)
+// 운영자 세션(op_ 토큰) 또는 셀러 세션(SELLER 역할) 필수, 라우트마다 requirePermission() 으로 필요 권한 선언
+// ========================================
+const ADMIN_API_PREFIX = '/datepalm-bay/api/admin';
+// 로그인 전 호출하는 경로 (인증 제외)
+const ADMIN_PUBLIC_PATHS = [`${ADMIN_API_PREFIX}/auth/login`, `${ADMIN_API_PREFIX}/auth/login/2fa`, `${ADMIN_API_PREFIX}/auth/login/2fa/setup`];
+
+// 운영자 세션이면 현재 계정 상태 기준 { operatorId, loginId, name, role }, 아니면 null
+// — 역할 변경/비활성화가 기존 세션에도 즉시 반영되도록 계정을 매번 조회
+function getOperatorSession(req) {
+  const session = sessionStore.resolve('operator', getBearerToken(req));
+  if (!session) return null;
+  const operator = operators.find(o => o.operatorId === session.subjectId);
+  if (!operator || operator.status !== 'ACTIVE') return null;
+  return { operatorId: operator.operatorId, loginId: operator.loginId, name: operator.name, role: operator.role };
+}
 
-function sellerAdminGuard(req, res, next) {
-  if (!req.path.startsWith('/datepalm-bay/api/admin')) return next(); // admin 경로만 검사
+/**
+ * 관리자 API 호출 주체 — 연동 API 키 > 운영자 > 셀러
+ * @returns {{ type: 'apiKey'|'operator'|'seller', id: string, name: string, role: string|null, permissions?: string[] }|null}
+ */
+function getAdminPrincipal(req) {
+  if (req.apiKey) {
+    const { apiKey } = req;
+    return apiKey.ownerType === 'integration'
+      ? { type: 'apiKey', id: apiKey.keyId, name: apiKey.name, role: null, permissions: scopesToPermissions(apiKey.scopes) }
+      : null;
+  }
+  const operator = getOperatorSession(req);
+  if (operator) return { type: 'operator', id: operator.operatorId, name: operator.name, role: operator.role };
   const scope = getSellerScope(req);
-  if (!scope) return next(); // 운영자(또는 비셀러 토큰)는 통과
-  if (SELLER_ALLOWED_ADMIN_PREFIXES.some((p) => req.path.startsWith(p))) return next();
-  return res.status(403).json({ ok: false, data: null, message: 'Sellers are not allowed to access this resource.' });
+  if (scope) return { type: 'seller', id: scope.sellerId, name: scope.companyName, role: adminAccess.SELLER_ROLE };
+  return null;
+}
+
+function adminAuthGuard(req, res, next) {
+  if (!req.path.startsWith(ADMIN_API_PREFIX)) return next(); // admin 경로만 검사
+  if (ADMIN_PUBLIC_PATHS.includes(req.path)) return next();
+  const principal = getAdminPrincipal(req);
+  if (!principal) {
+    return res.status(401).json({ ok: false, data: null, message: 'Admin authentication required.' });
+  }
+  req.adminPrincipal = principal;
+  next();
+}
+app.use(apiKeyAuth);
+app.use(adminAuthGuard);
+
+// API 키는 범위로 받은 권한만 — 권한 선언이 없는 계정 전용 라우트(auth/me, 2fa 등)는 불가
+function principalHasPermissions(principal, permissions) {
+  if (principal.type === 'apiKey') return permissions.length > 0 && permissions.every(p => principal.permissions.includes(p));
+  return adminAccess.hasPermissions(principal.role, permissions);
+}
+
+/**
+ * 라우트 필요 권한 선언 — 주체의 역할이 모든 권한을 가져야 통과
+ * @param {...string} permissions - adminAccess.PERMISSIONS 키 (없으면 인증된 주체 누구나)
+ */
+function requirePermission(...permissions) {
+  const unknown = permissions.filter(p => !adminAccess.PERMISSIONS[p]);
+  if (unknown.length > 0) throw new Error(`알 수 없는 권한: ${unknown.join(', ')}`);
+  const middleware = (req, res, next) => {
+    const principal = req.adminPrincipal;
+    if (principal && principalHasPermissions(principal, permissions)) return next();
+    logger.info(`🚫 권한 없음: ${principal ? `${principal.type}/${principal.id} (${principal.role})` : 'anonymous'} → ${req.method} ${req.path} [${permissions.join(', ')}]`);
+    return res.status(403).json({
+      ok: false,
+      data: { requiredPermissions: permissions },
+      message: 'You do not have permission to access this resource.',
+    });
+  };
+  middleware.requiredPermissions = permissions;
+  return middleware;
+}
+
+// 권한 선언이 빠진 admin 라우트 목록 (기동 시 점검 — 인증은 되지만 역할 제한이 없는 상태)
+function findUndeclaredAdminRoutes() {
+  return app._router.stack
+    .filter(layer => layer.route && String(layer.route.path).startsWith(ADMIN_API_PREFIX))
+    .filter(layer => !ADMIN_PUBLIC_PATHS.includes(layer.route.path))
+    .filter(layer => !layer.route.stack.some(h => h.handle.requiredPermissions))
+    .map(layer => `${Object.keys(layer.route.methods).join(',').toUpperCase()} ${layer.route.path}`);
+}
+
+// 감사 로그 행위자 — 관리자 주체(연동 키/운영자/셀러) > B2B API 키 > 고객 토큰 > 익명
+function resolveAuditActor(req) {
+  const principal = getAdminPrincipal(req);
+  if (principal) return { type: principal.type, id: principal.id, name: principal.name, role: principal.role };
+  if (req.apiKey) return { type: 'apiKey', id: req.apiKey.keyId, name: req.apiKey.name };
+  const auth = req.headers['authorization'];
+  const verified = auth ? customerTokens.verify(auth.replace(/^Bearer\s+/i, '')) : null; // 거부 로그는 라우트에서
+  return verified && verified.ok ? { type: 'user', id: verified.claims.sub } : { type: 'anonymous', id: null, ip: req.ip };
+}
+
+// 이후 요청 처리 중 markDirty() 로 기록되는 변경에 행위자/경로를 붙임
+app.use((req, res, next) => {
+  auditLog.run({ actor: resolveAuditActor(req), route: `${req.method} ${req.path}` }, next);
+});
+
+// ========================================
+// 로그인 / OTP / 가입 남용 방지 (services/rateLimiter.js)
+// 규칙별 IP·식별자 슬라이딩 윈도 + 로그인 실패 누적 시 점진적 잠금, 차단 기록은 BLOCKED_ATTEMPTS_FILE
+// ========================================
+const MINUTE_MS = 60 * 1000;
+const LOGIN_LOCKOUT = { threshold: 5, baseMs: MINUTE_MS, maxMs: 60 * MINUTE_MS, resetMs: 24 * 60 * MINUTE_MS, failureStatuses: [401] };
+
+const DEFAULT_RATE_LIMIT_RULES = {
+  customerLogin: { windowMs: 15 * MINUTE_MS, maxPerIp: 30, maxPerIdentifier: 10, lockout: LOGIN_LOCKOUT },
+  b2bLogin: { windowMs: 15 * MINUTE_MS, maxPerIp: 20, maxPerIdentifier: 10, lockout: LOGIN_LOCKOUT },
+  sellerLogin: { windowMs: 15 * MINUTE_MS, maxPerIp: 20, maxPerIdentifier: 10, lockout: LOGIN_LOCKOUT },
+  adminLogin: { windowMs: 15 * MINUTE_MS, maxPerIp: 20, maxPerIdentifier: 10, lockout: LOGIN_LOCKOUT },
+  // 비밀번호 재확인은 틀리면 403
+  verifyPassword: { windowMs: 15 * MINUTE_MS, maxPerIp: 30, maxPerIdentifier: 10, lockout: { ...LOGIN_LOCKOUT, failureStatuses: [403] } },
+  // Twilio Verify 발송은 건당 과금
+  smsSend: { windowMs: 60 * MINUTE_MS, maxPerIp: 10, maxPerIdentifier: 5 },
+  emailSend: { windowMs: 60 * MINUTE_MS, maxPerIp: 20, maxPerIdentifier: 5 },
+  // 6자리 코드 대입 방지 — 발송 요청(requestId)당 시도 횟수 제한
+  otpVerify: { windowMs: 15 * MINUTE_MS, maxPerIp: 60, maxPerIdentifier: 5 },
+  signup: { windowMs: 60 * MINUTE_MS, maxPerIp: 10 },
+};
+
+/**
+ * RATE_LIMITS 환경변수(JSON)로 규칙별 값 덮어쓰기 — 예: {"smsSend":{"maxPerIdentifier":3},"customerLogin":{"lockout":{"threshold":10}}}
+ */
+function parseRateLimitRules(value) {
+  const overrides = value ? JSON.parse(value) : {};
+  const unknown = Object.keys(overrides).filter(name => !DEFAULT_RATE_LIMIT_RULES[name]);
+  if (unknown.length > 0) throw new Error(`알 수 없는 rate limit 규칙: ${unknown.join(', ')} (사용 가능: ${Object.keys(DEFAULT_RATE_LIMIT_RULES).join(', ')})`);
+  return Object.fromEntries(Object.entries(DEFAULT_RATE_LIMIT_RULES).map(([name, rule]) => {
+    const override = overrides[name] || {};
+    const lockout = rule.lockout ? { ...rule.lockout, ...(override.lockout || {}) } : undefined;
+    return [name, { ...rule, ...override, ...(lockout ? { lockout } : {}) }];
+  }));
 }
-app.use(sellerAdminGuard);
+
+const blockedAttempts = createBlockedAttemptLog({ file: BLOCKED_ATTEMPTS_FILE });
+const rateLimiter = createRateLimiter({
+  rules: parseRateLimitRules(process.env.RATE_LIMITS),
+  onBlocked: (attempt) => {
+    logger.info(`🚫 요청 차단 [${attempt.rule}/${attempt.reason}] ${attempt.ip} ${attempt.identifier || ''} → ${attempt.route}`);
+    blockedAttempts.append(attempt);
+  },
+});
+
+// 식별자 추출 — 대소문자만 다른 ID/이메일로 한도를 우회하지 못하도록 소문자 정규화
+const normalizeIdentifier = (value) => (value === undefined || value === null || value === '' ? null : String(value).trim().toLowerCase());
+const rateLimitKeys = {
+  bodyId: (req) => normalizeIdentifier(req.body?.id),
+  loginId: (req) => normalizeIdentifier((req.body?.data || req.body || {}).loginId),
+  email: (req) => normalizeIdentifier(req.body?.email),
+  requestId: (req) => normalizeIdentifier(req.body?.requestId),
+  challenge: (req) => normalizeIdentifier((req.body?.data || req.body || {}).challengeToken),
+  phone: (req) => (req.body?.phone ? `${req.body.countryCode || ''}${String(req.body.phone).replace(/\D/g, '').replace(/^0+/, '')}` : null),
+  // 재확인 대상 회원 (토큰 sub) — 토큰이 없거나 잘못됐으면 IP 기준만 적용
+  customer: (req) => {
+    const verified = customerTokens.verify(getBearerToken(req) || '');
+    return verified.ok ? verified.claims.sub : null;
+  },
+};
 
 // Mock 문의 데이터 저장소
 const contacts = [
@@ -812,6 +1191,46 @@ const calculatePrice = (regularPrice, discountStatus, discountType, discountPric
   return regularPrice;
 };
 
+/**
+ * 관리자 요청의 productOptions(옵션 축) / variants → 저장할 값 (services/productVariants.js)
+ * variants[].images 항목: URL 문자열 또는 { upload: n } — 같은 요청 variantImages 의 n번째 업로드 파일
+ * SKU / 바코드는 다른 상품과도 겹치면 안 됨
+ * @returns {{ productOptions: Array, variants: Array, errors: string[] }}
+ */
+function buildProductVariants(req, requestData, { productCode, basePrice, previous = null }) {
+  const optionInput = requestData.productOptions !== undefined ? requestData.productOptions : previous?.productOptions;
+  const { axes, errors } = normalizeOptionAxes(optionInput);
+  if (errors.length > 0) return { productOptions: [], variants: [], errors };
+
+  const uploaded = (req.files && req.files.variantImages) || [];
+  const baseUrl = getBaseUrl(req);
+  const result = buildVariants({
+    productCode,
+    axes,
+    requested: requestData.variants,
+    previous: previous?.variants || [],
+    basePrice,
+    resolveImage: (img) => {
+      if (typeof img === 'string') return img.trim() || null;
+      const file = img && Number.isInteger(img.upload) ? uploaded[img.upload] : null;
+      return file ? `${baseUrl}/uploads/${file.filename}` : null;
+    },
+  });
+
+  const owners = new Map();
+  products.filter(p => p.productCode !== productCode).forEach(p => (p.variants || []).forEach(v => {
+    owners.set(`SKU ${v.sku}`, p.productCode);
+    if (v.barcode) owners.set(`barcode ${v.barcode}`, p.productCode);
+  }));
+  result.variants.forEach(v => {
+    [`SKU ${v.sku}`, v.barcode && `barcode ${v.barcode}`].filter(Boolean).forEach(key => {
+      if (owners.has(key)) result.errors.push(`${key}는 다른 상품(${owners.get(key)})에서 사용 중입니다.`);
+    });
+  });
+
+  return { productOptions: axes, variants: result.variants, errors: result.errors };
+}
+
 // URL로부터 이미지를 다운로드해 uploads 폴더에 저장 (상품 일괄 등록용)
 async function downloadImageFromUrl(imageUrl) {
   let response;
@@ -865,15 +1284,16 @@ async function downloadImageFromUrl(imageUrl) {
 }
 
 // 상품 생성 API
-app.post('/datepalm-bay/api/admin/product/create', upload.fields([
+app.post('/datepalm-bay/api/admin/product/create', requirePermission('products:write'), upload.fields([
   { name: 'mainImages', maxCount: 5 },
   { name: 'detailImages', maxCount: 20 },
+  { name: 'variantImages', maxCount: 50 },
   { name: 'request', maxCount: 1 },
   { name: 'detailInfo', maxCount: 1 }
-]), (req, res) => {
-  console.log('\n=== 상품 생성 요청 받음 ===');
-  console.log('Files:', req.files);
-  console.log('Body:', req.body);
+]), discardUploadsOnFailure, (req, res) => {
+  logger.debug('상품 생성 요청 받음');
+  logger.debug('업로드 파일:', summarizeUploadedFiles(req.files));
+  logger.debug('요청 본문:', req.body);
 
   try {
     // request 필드에서 JSON 데이터 파싱
@@ -887,14 +1307,13 @@ app.post('/datepalm-bay/api/admin/product/create', upload.fields([
       fs.unlinkSync(requestFilePath);
     }
 
-    console.log('=== 파싱된 요청 데이터 ===');
-    console.log(JSON.stringify(requestData, null, 2));
+    logger.debug('파싱된 요청 데이터:', requestData);
 
     // 요청 데이터 검증
     const validationErrors = validateProductRequest(requestData);
     if (validationErrors.length > 0) {
-      console.log('=== 유효성 검사 실패 ===');
-      console.log('오류 목록:', validationErrors);
+      logger.info('유효성 검사 실패');
+      logger.info('오류 목록:', validationErrors);
       return res.status(400).json({
         ok: false,
         data: null,
@@ -938,6 +1357,16 @@ app.post('/datepalm-bay/api/admin/product/create', upload.fields([
       requestData.discountPrice
     );
 
+    // 옵션 축 → SKU 변형 (재고는 재고 조정 API 로만 변경)
+    const variantResult = buildProductVariants(req, requestData, { productCode, basePrice: productPrice });
+    if (variantResult.errors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        data: null,
+        message: `입력 데이터 오류: ${variantResult.errors.join(', ')}`
+      });
+    }
+
     // 이미지 구조 생성 (mainImages, detailImages)
     // 실제 업로드된 파일의 URL 사용
     const baseUrl = getBaseUrl(req);
@@ -977,7 +1406,8 @@ app.post('/datepalm-bay/api/admin/product/create', upload.fields([
         detailImages: detailImages
       },
       groupBuyTiers: requestData.groupBuyTiers || [],
-      productOptions: requestData.productOptions || [],
+      productOptions: variantResult.productOptions,
+      variants: variantResult.variants,
       // 배송비 관련 필드
       shippingCostType: requestData.shippingCostType || 'FREE',
       shippingCost: requestData.shippingCost || 0,
@@ -986,19 +1416,19 @@ app.post('/datepalm-bay/api/admin/product/create', upload.fields([
       brand: requestData.brand || '',
       // 셀러 소유권: 셀러 세션이면 자기 sellerId 강제, 운영자는 body 지정값(없으면 미배정)
       sellerId: getSellerScope(req)?.sellerId || requestData.sellerId || null,
+      version: 1,
       createdAt: new Date().toISOString()
     };
 
     products.push(newProduct);
-    saveData(); // 파일에 저장
+    saveData(['products', newProduct.productCode]); // 파일에 저장
 
-    console.log('=== 상품 생성 성공 ===');
-    console.log('생성된 상품:', newProduct);
+    logger.info(`상품 생성 성공: ${newProduct.productCode}`);
 
     // 상품 설명 AR/FR 번역 (백그라운드 — 응답은 기다리지 않음)
     contentTranslator.translateProductFields(newProduct)
-      .then((changed) => { if (changed) saveData(); })
-      .catch((err) => console.error('[Translation] 상품 번역 실패:', err.message));
+      .then((changed) => { if (changed) saveData(['products', newProduct.productCode]); })
+      .catch((err) => logger.error('[Translation] 상품 번역 실패:', err.message));
 
     res.json({
       ok: true,
@@ -1006,8 +1436,7 @@ app.post('/datepalm-bay/api/admin/product/create', upload.fields([
       message: '상품이 성공적으로 생성되었습니다.'
     });
   } catch (error) {
-    console.error('=== 상품 생성 실패 ===');
-    console.error(error);
+    logger.error('상품 생성 실패', error);
     res.status(500).json({
       ok: false,
       data: null,
@@ -1017,7 +1446,7 @@ app.post('/datepalm-bay/api/admin/product/create', upload.fields([
 });
 
 // 상품 일괄 생성 API (CSV/엑셀 업로드용 - 이미지는 URL로 받아서 서버가 다운로드)
-app.post('/datepalm-bay/api/admin/product/bulk-create', async (req, res) => {
+app.post('/datepalm-bay/api/admin/product/bulk-create', requirePermission('products:write'), async (req, res) => {
   const rows = req.body.products;
 
   if (!Array.isArray(rows) || rows.length === 0) {
@@ -1113,11 +1542,13 @@ app.post('/datepalm-bay/api/admin/product/bulk-create', async (req, res) => {
         files: { mainImages, detailImages },
         groupBuyTiers: [],
         productOptions: [],
+        variants: [],
         shippingCostType: rowData.shippingCostType || 'FREE',
         shippingCost: rowData.shippingCost || 0,
         freeShippingThreshold: rowData.freeShippingThreshold || 0,
         brand: rowData.brand || '',
         sellerId: getSellerScope(req)?.sellerId || rowData.sellerId || null,
+        version: 1,
         createdAt: new Date().toISOString(),
       };
 
@@ -1128,7 +1559,7 @@ app.post('/datepalm-bay/api/admin/product/bulk-create', async (req, res) => {
     }
   }
 
-  saveData();
+  saveData('products');
 
   const successCount = results.filter((r) => r.success).length;
   const failCount = results.length - successCount;
@@ -1141,15 +1572,16 @@ app.post('/datepalm-bay/api/admin/product/bulk-create', async (req, res) => {
 });
 
 // 상품 수정 API
-app.put('/datepalm-bay/api/admin/product/edit', upload.fields([
+app.put('/datepalm-bay/api/admin/product/edit', requirePermission('products:write'), upload.fields([
   { name: 'mainImages', maxCount: 5 },
   { name: 'detailImages', maxCount: 20 },
+  { name: 'variantImages', maxCount: 50 },
   { name: 'request', maxCount: 1 },
   { name: 'detailInfo', maxCount: 1 }
-]), (req, res) => {
-  console.log('\n=== 상품 수정 요청 받음 ===');
-  console.log('Files:', req.files);
-  console.log('Body:', req.body);
+]), discardUploadsOnFailure, (req, res) => {
+  logger.debug('상품 수정 요청 받음');
+  logger.debug('업로드 파일:', summarizeUploadedFiles(req.files));
+  logger.debug('요청 본문:', req.body);
 
   try {
     // request 필드에서 JSON 데이터 파싱
@@ -1207,6 +1639,20 @@ app.put('/datepalm-bay/api/admin/product/edit', upload.fields([
       requestData.discountPrice
     );
 
+    // 옵션 축 → SKU 변형 (productOptions 를 보내지 않으면 기존 축 유지, 기존 SKU 의 속성/재고 유지)
+    const variantResult = buildProductVariants(req, requestData, {
+      productCode: requestData.code,
+      basePrice: productPrice,
+      previous: products[productIndex],
+    });
+    if (variantResult.errors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        data: null,
+        message: `입력 데이터 오류: ${variantResult.errors.join(', ')}`
+      });
+    }
+
     // 기존 이미지 가져오기
     let existingMainImages = products[productIndex].files?.mainImages || [];
     let existingDetailImages = products[productIndex].files?.detailImages || [];
@@ -1264,42 +1710,50 @@ app.put('/datepalm-bay/api/admin/product/edit', upload.fields([
       });
     }
 
-    products[productIndex] = {
-      ...products[productIndex],
-      productName: requestData.name,
-      productSaleStatus: requestData.saleStatus,
-      category: requestData.category,
-      productOriginPrice: requestData.productOriginPrice,
-      productRegularPrice: requestData.productRegularPrice,
-      discountType: requestData.discountType,
-      productDiscountPrice: requestData.discountPrice || 0,
-      productPrice: productPrice,
-      introduction: requestData.introduction,
-      policy: requestData.policy,
-      detailInfo,
-      files: {
-        mainImages: finalMainImages,
-        detailImages: finalDetailImages
+    const updatedProduct = applyVersionedEdit(req, res, {
+      collection: 'products',
+      id: requestData.code,
+      current: products[productIndex],
+      bodyVersion: requestData.version,
+      next: {
+        ...products[productIndex],
+        productName: requestData.name,
+        productSaleStatus: requestData.saleStatus,
+        category: requestData.category,
+        productOriginPrice: requestData.productOriginPrice,
+        productRegularPrice: requestData.productRegularPrice,
+        discountType: requestData.discountType,
+        productDiscountPrice: requestData.discountPrice || 0,
+        productPrice: productPrice,
+        introduction: requestData.introduction,
+        policy: requestData.policy,
+        detailInfo,
+        files: {
+          mainImages: finalMainImages,
+          detailImages: finalDetailImages
+        },
+        groupBuyTiers: requestData.groupBuyTiers || [],
+        productOptions: variantResult.productOptions,
+        variants: variantResult.variants,
+        // 배송비 관련 필드
+        shippingCostType: requestData.shippingCostType || 'FREE',
+        shippingCost: requestData.shippingCost || 0,
+        freeShippingThreshold: requestData.freeShippingThreshold || 0,
+        // 브랜드
+        brand: requestData.brand !== undefined ? requestData.brand : (products[productIndex].brand || ''),
+        updatedAt: new Date().toISOString()
       },
-      groupBuyTiers: requestData.groupBuyTiers || [],
-      productOptions: requestData.productOptions || [],
-      // 배송비 관련 필드
-      shippingCostType: requestData.shippingCostType || 'FREE',
-      shippingCost: requestData.shippingCost || 0,
-      freeShippingThreshold: requestData.freeShippingThreshold || 0,
-      // 브랜드
-      brand: requestData.brand !== undefined ? requestData.brand : (products[productIndex].brand || ''),
-      updatedAt: new Date().toISOString()
-    };
-    saveData(); // 파일에 저장
+    });
+    if (!updatedProduct) return;
+    products[productIndex] = updatedProduct;
+    saveData(['products', products[productIndex].productCode]); // 파일에 저장
 
-    console.log('=== 상품 수정 성공 ===');
-    console.log('수정된 상품:', products[productIndex]);
+    logger.info(`상품 수정 성공: ${products[productIndex].productCode} (v${products[productIndex].version})`);
 
     // 상품 설명 AR/FR 번역 (원본 텍스트가 바뀐 경우에만 재번역, 백그라운드 실행)
     contentTranslator.translateProductFields(products[productIndex])
-      .then((changed) => { if (changed) saveData(); })
-      .catch((err) => console.error('[Translation] 상품 번역 실패:', err.message));
+      .then((changed) => { if (changed) saveData(['products', products[productIndex].productCode]); })
+      .catch((err) => logger.error('[Translation] 상품 번역 실패:', err.message));
 
     res.json({
       ok: true,
@@ -1307,8 +1761,7 @@ app.put('/datepalm-bay/api/admin/product/edit', upload.fields([
       message: '상품이 성공적으로 수정되었습니다.'
     });
   } catch (error) {
-    console.error('=== 상품 수정 실패 ===');
-    console.error(error);
+    logger.error('상품 수정 실패', error);
     res.status(500).json({
       ok: false,
       data: null,
@@ -1318,9 +1771,9 @@ app.put('/datepalm-bay/api/admin/product/edit', upload.fields([
 });
 
 // 상품 삭제 API
-app.delete('/datepalm-bay/api/admin/product/delete', (req, res) => {
-  console.log('\n=== 상품 삭제 요청 받음 ===');
-  console.log('삭제할 상품 코드:', req.body.deleteCodes);
+app.delete('/datepalm-bay/api/admin/product/delete', requirePermission('products:write'), (req, res) => {
+  logger.debug('상품 삭제 요청 받음');
+  logger.info('삭제할 상품 코드:', req.body.deleteCodes);
 
   try {
     const { deleteCodes } = req.body;
@@ -1337,7 +1790,7 @@ app.delete('/datepalm-bay/api/admin/product/delete', (req, res) => {
     const scope = getSellerScope(req);
     if (scope) {
       const notOwned = deleteCodes.filter(code => {
-        const p = products.find(pr => pr.productCode === code);
+        const p = findProduct(code);
         return p && p.sellerId !== scope.sellerId;
       });
       if (notOwned.length > 0) {
@@ -1353,10 +1806,10 @@ app.delete('/datepalm-bay/api/admin/product/delete', (req, res) => {
         products.splice(index, 1);
       }
     });
-    saveData(); // 파일에 저장
+    saveData(...deleteCodes.map(code => ['products', code])); // 파일에 저장
 
-    console.log(`=== ${deletedCount}개 상품 삭제 성공 ===`);
-    console.log(`남은 상품 수: ${products.length}`);
+    logger.info(`${deletedCount}개 상품 삭제 성공`);
+    logger.info(`남은 상품 수: ${products.length}`);
 
     res.json({
       ok: true,
@@ -1364,8 +1817,7 @@ app.delete('/datepalm-bay/api/admin/product/delete', (req, res) => {
       message: `${deletedCount}개의 상품이 삭제되었습니다.`
     });
   } catch (error) {
-    console.error('=== 상품 삭제 실패 ===');
-    console.error(error);
+    logger.error('상품 삭제 실패', error);
     res.status(500).json({
       ok: false,
       data: null,
@@ -1375,8 +1827,8 @@ app.delete('/datepalm-bay/api/admin/product/delete', (req, res) => {
 });
 
 // 어드민 - 브랜드 목록 조회 (저장된 브랜드 + 상품에서 추출한 브랜드 병합)
-app.get('/datepalm-bay/api/admin/product/brands', (req, res) => {
-  console.log('\n=== [어드민] 브랜드 목록 조회 ===');
+app.get('/datepalm-bay/api/admin/product/brands', requirePermission('products:read'), (req, res) => {
+  logger.debug('[어드민] 브랜드 목록 조회');
 
   const brandSet = new Set();
   // 독립 저장된 브랜드
@@ -1389,7 +1841,7 @@ app.get('/datepalm-bay/api/admin/product/brands', (req, res) => {
   });
 
   const allBrands = Array.from(brandSet).sort((a, b) => a.localeCompare(b));
-  console.log(`총 ${allBrands.length}개 브랜드 조회 (저장 ${brands.length} + 상품 추출)`);
+  logger.info(`총 ${allBrands.length}개 브랜드 조회 (저장 ${brands.length} + 상품 추출)`);
 
   res.json({
     ok: true,
@@ -1399,8 +1851,8 @@ app.get('/datepalm-bay/api/admin/product/brands', (req, res) => {
 });
 
 // 어드민 - 브랜드 생성 (독립 저장)
-app.post('/datepalm-bay/api/admin/product/brands', (req, res) => {
-  console.log('\n=== [어드민] 브랜드 생성 ===');
+app.post('/datepalm-bay/api/admin/product/brands', requirePermission('products:write'), (req, res) => {
+  logger.debug('[어드민] 브랜드 생성');
   const { name } = req.body;
 
   if (!name || !name.trim()) {
@@ -1421,7 +1873,7 @@ app.post('/datepalm-bay/api/admin/product/brands', (req, res) => {
   });
 
   if (existingBrands.has(trimmedName)) {
-    console.log(`브랜드 "${trimmedName}" 이미 존재`);
+    logger.info(`브랜드 "${trimmedName}" 이미 존재`);
     return res.json({
       ok: true,
       data: trimmedName,
@@ -1430,8 +1882,8 @@ app.post('/datepalm-bay/api/admin/product/brands', (req, res) => {
   }
 
   brands.push(trimmedName);
-  saveData();
-  console.log(`브랜드 "${trimmedName}" 생성 완료`);
+  saveData('brands');
+  logger.info(`브랜드 "${trimmedName}" 생성 완료`);
 
   res.json({
     ok: true,
@@ -1441,17 +1893,17 @@ app.post('/datepalm-bay/api/admin/product/brands', (req, res) => {
 });
 
 // 상품 목록 조회 API (페이징)
-app.get('/datepalm-bay/api/admin/product/list', (req, res) => {
-  console.log('\n=== 상품 목록 조회 (페이징) ===');
+app.get('/datepalm-bay/api/admin/product/list', requirePermission('products:read'), (req, res) => {
+  logger.debug('상품 목록 조회 (페이징)');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
   const { code, name, status, category } = req.query;
 
-  console.log('필터 조건:', { code, name, status, category });
+  logger.info('필터 조건:', { code, name, status, category });
 
   // 필터링 — 셀러 세션이면 자기 상품만
   const scope = getSellerScope(req);
-  let filteredProducts = scope ? products.filter(p => p.sellerId === scope.sellerId) : [...products];
+  let filteredProducts = scope ? entityIndexes.products.getAll('seller', scope.sellerId) : [...products];
 
   if (code) {
     filteredProducts = filteredProducts.filter(p =>
@@ -1478,8 +1930,8 @@ app.get('/datepalm-bay/api/admin/product/list', (req, res) => {
   const end = start + pageSize;
   const paginatedProducts = filteredProducts.slice(start, end);
 
-  console.log(`페이지: ${pageNo}, 크기: ${pageSize}`);
-  console.log(`총 ${filteredProducts.length}개 상품 중 ${paginatedProducts.length}개 반환`);
+  logger.info(`페이지: ${pageNo}, 크기: ${pageSize}`);
+  logger.info(`총 ${filteredProducts.length}개 상품 중 ${paginatedProducts.length}개 반환`);
 
   res.json({
     ok: true,
@@ -1502,12 +1954,12 @@ app.get('/datepalm-bay/api/admin/product/list', (req, res) => {
 });
 
 // 상품 상세 조회 API
-app.get('/datepalm-bay/api/admin/product/detail/:code', (req, res) => {
-  console.log('\n=== 상품 상세 조회 ===');
+app.get('/datepalm-bay/api/admin/product/detail/:code', requirePermission('products:read'), (req, res) => {
+  logger.debug('상품 상세 조회');
   const { code } = req.params;
-  console.log(`상품 코드: ${code}`);
+  logger.info(`상품 코드: ${code}`);
 
-  const product = products.find(p => p.productCode === code);
+  const product = findProduct(code);
 
   if (!product) {
     return res.status(404).json({
@@ -1554,18 +2006,21 @@ app.get('/datepalm-bay/api/admin/product/detail/:code', (req, res) => {
     })),
     detailInfo: product.detailInfo || '',
     groupBuyTiers: product.groupBuyTiers || [],
-    productOptions: product.productOptions || [],
+    productOptions: toOptionAxes(product.productOptions),
+    variants: product.variants || [],
+    inventory: inventory.snapshot(product),
     // 배송비 관련 필드
     shippingCostType: product.shippingCostType || 'FREE',
     shippingCost: product.shippingCost || 0,
     freeShippingThreshold: product.freeShippingThreshold || 0,
     brand: product.brand || '',
     sellerId: product.sellerId || null,
+    version: getVersion(product),
   };
 
-  console.log('조회 성공:', product.productName);
+  logger.info('조회 성공:', product.productName);
 
-  res.json({
+  res.set('ETag', formatEtag(product)).json({
     ok: true,
     data: detailResponse,
     message: '상품 상세 조회 성공'
@@ -1573,21 +2028,109 @@ app.get('/datepalm-bay/api/admin/product/detail/:code', (req, res) => {
 });
 
 // 상품 목록 조회 API (전체)
-app.get('/datepalm-bay/api/admin/products', (req, res) => {
-  console.log('\n=== 상품 전체 목록 조회 ===');
-  console.log(`총 ${products.length}개 상품`);
+app.get('/datepalm-bay/api/admin/products', requirePermission('products:read'), (req, res) => {
+  logger.debug('상품 전체 목록 조회');
+  logger.info(`총 ${products.length}개 상품`);
 
   const scope = getSellerScope(req);
   res.json({
     ok: true,
-    data: scope ? products.filter(p => p.sellerId === scope.sellerId) : products,
+    data: scope ? entityIndexes.products.getAll('seller', scope.sellerId) : products,
     message: '상품 목록 조회 성공'
   });
 });
 
+// ========================================
+// 어드민 재고 API (services/inventory.js) — 셀러는 자기 상품만
+// ========================================
+
+// 재고 조정 사유 목록
+app.get('/datepalm-bay/api/admin/inventory/reasons', requirePermission('inventory:read'), (req, res) => {
+  res.json({
+    ok: true,
+    data: Object.entries(STOCK_ADJUSTMENT_REASONS).map(([reason, description]) => ({ reason, description })),
+    message: '재고 조정 사유 목록',
+  });
+});
+
+// 재고 현황 — stockStatus(IN_STOCK/LOW_STOCK/OUT_OF_STOCK), tracked(true: 재고 관리 상품만) 필터
+app.get('/datepalm-bay/api/admin/inventory', requirePermission('inventory:read'), (req, res) => {
+  const pageNo = parseInt(req.query.pageNo) || 0;
+  const pageSize = Math.min(parseInt(req.query.pageSize) || 50, 500);
+  const { productCode, stockStatus, tracked } = req.query;
+
+  const scope = getSellerScope(req);
+  let rows = (scope ? entityIndexes.products.getAll('seller', scope.sellerId) : products).map(p => inventory.snapshot(p));
+  if (productCode) rows = rows.filter(r => r.productCode === productCode);
+  if (stockStatus) rows = rows.filter(r => r.tracked && r.stockStatus === stockStatus);
+  if (tracked === 'true') rows = rows.filter(r => r.tracked);
+
+  res.json({
+    ok: true,
+    data: {
+      content: rows.slice(pageNo * pageSize, (pageNo + 1) * pageSize),
+      totalElements: rows.length,
+      pageNo,
+      pageSize,
+    },
+    message: '재고 현황 조회 성공',
+  });
+});
+
+// 재고 조정 — { productCode, sku?(변형 상품 필수), reason, delta | quantity(COUNT), note? }
+app.post('/datepalm-bay/api/admin/inventory/adjust', requirePermission('inventory:adjust'), (req, res) => {
+  const { productCode, sku, reason, delta, quantity, note } = req.body.data || req.body;
+  if (!productCode || !reason) {
+    return res.status(400).json({ ok: false, data: null, message: 'productCode와 reason이 필요합니다.' });
+  }
+
+  const scope = getSellerScope(req);
+  const product = findProduct(productCode);
+  if (product && scope && product.sellerId !== scope.sellerId) {
+    return res.status(403).json({ ok: false, data: null, message: 'You do not have access to this product.' });
+  }
+
+  const result = inventory.adjust({
+    productCode,
+    sku: sku ?? null,
+    reason,
+    delta,
+    quantity,
+    note,
+    actor: resolveAuditActor(req),
+  });
+  if (result.error) {
+    return res.status(result.status).json({ ok: false, data: null, message: result.error });
+  }
+
+  saveData(...result.targets);
+  logger.info(`📦 재고 조정 [${reason}] ${productCode}${sku ? `/${sku}` : ''}: ${result.movement.onHandDelta >= 0 ? '+' : ''}${result.movement.onHandDelta} → ${result.stock.onHand}`);
+
+  res.json({
+    ok: true,
+    data: { movement: result.movement, inventory: inventory.snapshot(findProduct(productCode)) },
+    message: '재고 조정 완료',
+  });
+});
+
+// 재고 이동 기록 (조정/예약/확정/해제/재입고) — 최신순
+app.get('/datepalm-bay/api/admin/inventory/movements', requirePermission('inventory:read'), (req, res) => {
+  const { productCode, sku, type, orderId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  const scope = getSellerScope(req);
+  let movements = inventory.listMovements({ productCode, sku, type, orderId, limit: scope ? Infinity : limit });
+  if (scope) {
+    const sellerCodes = getSellerProductCodes(scope.sellerId);
+    movements = movements.filter(m => sellerCodes.has(m.productCode)).slice(0, limit);
+  }
+
+  res.json({ ok: true, data: movements, message: '재고 이동 기록 조회 성공' });
+});
+
 // 문의 목록 조회 API
-app.get('/datepalm-bay/api/admin/inquiry/list', (req, res) => {
-  console.log('\n=== 문의 목록 조회 ===');
+app.get('/datepalm-bay/api/admin/inquiry/list', requirePermission('inquiries:read'), (req, res) => {
+  logger.debug('문의 목록 조회');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
 
@@ -1595,8 +2138,8 @@ app.get('/datepalm-bay/api/admin/inquiry/list', (req, res) => {
   const end = start + pageSize;
   const paginatedContacts = contacts.slice(start, end);
 
-  console.log(`페이지: ${pageNo}, 크기: ${pageSize}`);
-  console.log(`총 ${contacts.length}개 문의 중 ${paginatedContacts.length}개 반환`);
+  logger.info(`페이지: ${pageNo}, 크기: ${pageSize}`);
+  logger.info(`총 ${contacts.length}개 문의 중 ${paginatedContacts.length}개 반환`);
 
   res.json({
     ok: true,
@@ -1619,10 +2162,10 @@ app.get('/datepalm-bay/api/admin/inquiry/list', (req, res) => {
 });
 
 // 문의 상세 조회 API
-app.get('/datepalm-bay/api/admin/inquiry/detail/:code', (req, res) => {
-  console.log('\n=== 문의 상세 조회 ===');
+app.get('/datepalm-bay/api/admin/inquiry/detail/:code', requirePermission('inquiries:read'), (req, res) => {
+  logger.debug('문의 상세 조회');
   const { code } = req.params;
-  console.log(`문의 코드: ${code}`);
+  logger.info(`문의 코드: ${code}`);
 
   const contact = contacts.find(c => c.code === code);
 
@@ -1634,7 +2177,7 @@ app.get('/datepalm-bay/api/admin/inquiry/detail/:code', (req, res) => {
     });
   }
 
-  console.log('조회 성공:', contact.subject);
+  logger.info('조회 성공:', contact.subject);
 
   res.json({
     ok: true,
@@ -1644,8 +2187,8 @@ app.get('/datepalm-bay/api/admin/inquiry/detail/:code', (req, res) => {
 });
 
 // 회원 목록 조회 API
-app.get('/datepalm-bay/api/admin/member/list', (req, res) => {
-  console.log('\n=== 회원 목록 조회 ===');
+app.get('/datepalm-bay/api/admin/member/list', requirePermission('members:read'), (req, res) => {
+  logger.debug('회원 목록 조회');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
   const { code, name, phone, country, status } = req.query;
@@ -1677,8 +2220,8 @@ app.get('/datepalm-bay/api/admin/member/list', (req, res) => {
   const end = start + pageSize;
   const paginatedMembers = allMembers.slice(start, end);
 
-  console.log(`페이지: ${pageNo}, 크기: ${pageSize}`);
-  console.log(`총 ${allMembers.length}개 회원 중 ${paginatedMembers.length}개 반환`);
+  logger.info(`페이지: ${pageNo}, 크기: ${pageSize}`);
+  logger.info(`총 ${allMembers.length}개 회원 중 ${paginatedMembers.length}개 반환`);
 
   res.json({
     ok: true,
@@ -1701,13 +2244,13 @@ app.get('/datepalm-bay/api/admin/member/list', (req, res) => {
 });
 
 // 회원 상세 조회 API
-app.get('/datepalm-bay/api/admin/member/detail/:code', (req, res) => {
-  console.log('\n=== 회원 상세 조회 ===');
+app.get('/datepalm-bay/api/admin/member/detail/:code', requirePermission('members:read'), (req, res) => {
+  logger.debug('회원 상세 조회');
   const { code } = req.params;
-  console.log(`회원 코드: ${code}`);
+  logger.info(`회원 코드: ${code}`);
 
   // users에서 직접 조회 (source of truth)
-  const user = users.find(u => u.code === code);
+  const user = findUserByCode(code);
 
   if (!user) {
     return res.status(404).json({
@@ -1717,7 +2260,7 @@ app.get('/datepalm-bay/api/admin/member/detail/:code', (req, res) => {
     });
   }
 
-  console.log('조회 성공:', user.name);
+  logger.info('조회 성공:', user.name);
 
   res.json({
     ok: true,
@@ -1742,7 +2285,7 @@ app.get('/datepalm-bay/api/admin/member/detail/:code', (req, res) => {
 // ========================================
 function mapAdminOrderStatus(order) {
   if (!order) return 'PROCESSING';
-  if (order.status === 'REFUNDED' || order.status === 'CANCEL') return 'CANCEL';
+  if (order.status === 'REFUNDED' || order.status === 'CANCEL' || order.status === 'EXPIRED') return 'CANCEL';
   if (order.status === 'SUCCESS') {
     if ((order.courier === 'FEDEX' && order.fedexTrackingNumber) ||
         (order.courier === 'ARAMEX' && order.aramexTrackingNumber)) return 'DELIVERY';
@@ -1808,6 +2351,9 @@ function formatAdminOrderDetail(order) {
     productInfo: {
       productCode: order.productCode || '',
       productName: order.productName || '',
+      sku: order.sku || null,
+      variantName: order.variantName || null,
+      bundleItems: order.bundleItems || null,
       productPrice: order.amount || 0,
       discountType: 'STATIC',
       discountPrice: order.couponDiscount || 0,
@@ -1827,12 +2373,13 @@ function formatAdminOrderDetail(order) {
       refundCancelAccessDatetime: '',
       refundSuccessDatetime: '',
     },
+    version: getVersion(order),
   };
 }
 
 // 주문 목록 조회 API (실제 customerOrders 사용) — 셀러 세션이면 자기 상품 포함 주문만
-app.get('/datepalm-bay/api/admin/order/list', (req, res) => {
-  console.log('\n=== 주문 목록 조회 ===');
+app.get('/datepalm-bay/api/admin/order/list', requirePermission('orders:read'), (req, res) => {
+  logger.debug('주문 목록 조회');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
 
@@ -1847,8 +2394,8 @@ app.get('/datepalm-bay/api/admin/order/list', (req, res) => {
   const end = start + pageSize;
   const paginatedOrders = sorted.slice(start, end).map(formatAdminOrderListItem);
 
-  console.log(`페이지: ${pageNo}, 크기: ${pageSize}${scope ? ` (셀러: ${scope.companyName})` : ''}`);
-  console.log(`총 ${visibleOrders.length}개 주문 중 ${paginatedOrders.length}개 반환`);
+  logger.info(`페이지: ${pageNo}, 크기: ${pageSize}${scope ? ` (셀러: ${scope.companyName})` : ''}`);
+  logger.info(`총 ${visibleOrders.length}개 주문 중 ${paginatedOrders.length}개 반환`);
 
   res.json({
     ok: true,
@@ -1868,12 +2415,12 @@ app.get('/datepalm-bay/api/admin/order/list', (req, res) => {
 });
 
 // 주문 상세 조회 API — 셀러 세션이면 소유 검증 + 번들 마스킹
-app.get('/datepalm-bay/api/admin/order/detail/:code', (req, res) => {
-  console.log('\n=== 주문 상세 조회 ===');
+app.get('/datepalm-bay/api/admin/order/detail/:code', requirePermission('orders:read'), (req, res) => {
+  logger.debug('주문 상세 조회');
   const { code } = req.params;
-  console.log(`주문 코드: ${code}`);
+  logger.info(`주문 코드: ${code}`);
 
-  let order = customerOrders.find(o => o.orderId === code);
+  let order = findOrder(code);
 
   if (!order) {
     return res.status(404).json({ ok: false, data: null, message: '주문을 찾을 수 없습니다.' });
@@ -1888,9 +2435,9 @@ app.get('/datepalm-bay/api/admin/order/detail/:code', (req, res) => {
     order = maskOrderForSeller(order, sellerCodes);
   }
 
-  console.log('조회 성공:', order.orderId);
+  logger.info('조회 성공:', order.orderId);
 
-  res.json({
+  res.set('ETag', formatEtag(order)).json({
     ok: true,
     data: formatAdminOrderDetail(order),
     message: '주문 상세 조회 성공',
@@ -1898,11 +2445,8 @@ app.get('/datepalm-bay/api/admin/order/detail/:code', (req, res) => {
 });
 
 // 회원별 주문 목록 조회 API (회원 상세 화면용 — 셀러 접근 불필요)
-app.get('/datepalm-bay/api/admin/order/member-orders', (req, res) => {
-  console.log('\n=== 회원별 주문 목록 조회 ===');
-  if (getSellerScope(req)) {
-    return res.status(403).json({ ok: false, data: null, message: 'Sellers are not allowed to access this resource.' });
-  }
+app.get('/datepalm-bay/api/admin/order/member-orders', requirePermission('orders:read', 'members:read'), (req, res) => {
+  logger.debug('회원별 주문 목록 조회');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
 
@@ -1929,11 +2473,8 @@ app.get('/datepalm-bay/api/admin/order/member-orders', (req, res) => {
 });
 
 // 주문 삭제 API (영구 삭제 — 운영자 전용)
-app.delete('/datepalm-bay/api/admin/order/delete', (req, res) => {
-  console.log('\n=== 주문 삭제 ===');
-  if (getSellerScope(req)) {
-    return res.status(403).json({ ok: false, data: null, message: 'Sellers are not allowed to delete orders.' });
-  }
+app.delete('/datepalm-bay/api/admin/order/delete', requirePermission('orders:delete'), (req, res) => {
+  logger.debug('주문 삭제');
   const requestData = req.body.data || req.body;
   const { orderCodes } = requestData;
 
@@ -1941,26 +2482,28 @@ app.delete('/datepalm-bay/api/admin/order/delete', (req, res) => {
     return res.status(400).json({ ok: false, data: null, message: 'orderCodes 배열이 필요합니다.' });
   }
 
+  // 결제 전 주문이 잡고 있던 재고 예약은 해제 (결제된 주문의 재고는 삭제만으로 되돌리지 않음)
+  const stockTargets = customerOrders
+    .filter(o => orderCodes.includes(o.orderId) && o.stockReservation?.status === RESERVATION_STATUS.RESERVED)
+    .flatMap(o => inventory.release(o));
+
   const before = customerOrders.length;
   customerOrders = customerOrders.filter(o => !orderCodes.includes(o.orderId));
   const deleted = before - customerOrders.length;
 
-  saveData();
-  console.log(`${deleted}개 주문 삭제 완료`);
+  saveData(...orderCodes.map(orderId => ['orders', orderId]), ...stockTargets);
+  logger.info(`${deleted}개 주문 삭제 완료`);
 
   res.json({ ok: true, data: { deleted }, message: `${deleted}개 주문 삭제 완료` });
 });
 
 // 주문 수정 API (배송지 등 고객정보 수정 — 운영자 전용)
-app.put('/datepalm-bay/api/admin/order/edit', (req, res) => {
-  console.log('\n=== 주문 수정 ===');
-  if (getSellerScope(req)) {
-    return res.status(403).json({ ok: false, data: null, message: 'Sellers are not allowed to edit orders.' });
-  }
+app.put('/datepalm-bay/api/admin/order/edit', requirePermission('orders:edit'), (req, res) => {
+  logger.debug('주문 수정');
   const requestData = req.body.data || req.body;
   const { orderCode, ...updates } = requestData;
 
-  const order = customerOrders.find(o => o.orderId === orderCode);
+  const order = findOrder(orderCode);
   if (!order) {
     return res.status(404).json({ ok: false, data: null, message: '주문을 찾을 수 없습니다.' });
   }
@@ -1971,21 +2514,29 @@ app.put('/datepalm-bay/api/admin/order/edit', (req, res) => {
     'address', 'detailAddress', 'city', 'stateOrProvince', 'destinationCountry', 'postalCode',
     'deliveryMemo',
   ];
+  const next = { ...order };
   editableFields.forEach(field => {
-    if (updates[field] !== undefined) order[field] = updates[field];
+    if (updates[field] !== undefined) next[field] = updates[field];
+  });
+
+  const updated = applyVersionedEdit(req, res, {
+    collection: 'orders', id: order.orderId, current: order, next, bodyVersion: updates.version,
   });
+  if (!updated) return;
+  // 다른 곳에서 참조 중인 주문 객체를 유지하도록 제자리 반영
+  Object.assign(order, updated);
 
-  saveData();
-  console.log(`주문 수정 완료: ${orderCode}`);
+  saveData(['orders', order.orderId]);
+  logger.info(`주문 수정 완료: ${orderCode} (v${order.version})`);
 
-  res.json({ ok: true, data: null, message: '주문 수정 완료' });
+  res.json({ ok: true, data: { version: order.version }, message: '주문 수정 완료' });
 });
 
 // 주문 상태 변경 API (주문 취소 등) — 셀러는 자기 주문의 배송 전이(SUCCESS→DELIVERY→DELIVERED)만 가능
 const SELLER_ALLOWED_STATUS_TRANSITIONS = { SUCCESS: ['DELIVERY'], DELIVERY: ['DELIVERED'] };
 
-app.put('/datepalm-bay/api/admin/order/status', (req, res) => {
-  console.log('\n=== 주문 상태 변경 ===');
+app.put('/datepalm-bay/api/admin/order/status', requirePermission('orders:update'), (req, res) => {
+  logger.debug('주문 상태 변경');
   const requestData = req.body.data || req.body;
   const { orderCodes, targetStatus } = requestData;
 
@@ -2000,8 +2551,9 @@ app.put('/datepalm-bay/api/admin/order/status', (req, res) => {
   const sellerCodes = scope ? getSellerProductCodes(scope.sellerId) : null;
 
   let updatedCount = 0;
+  const stockTargets = [];
   orderCodes.forEach(code => {
-    const order = customerOrders.find(o => o.orderId === code);
+    const order = findOrder(code);
     if (!order) return;
     if (sellerCodes) {
       if (!orderBelongsToSeller(order, sellerCodes)) return;
@@ -2012,6 +2564,8 @@ app.put('/datepalm-bay/api/admin/order/status', (req, res) => {
     if (targetStatus === 'REFUNDED' && !order.refundedAt) {
       order.refundedAt = new Date().toISOString(); // 정산 시 환불월 판정 기준
     }
+    if (STOCK_RELEASING_ORDER_STATUSES.includes(targetStatus)) stockTargets.push(...inventory.release(order));
+    bumpVersion('orders', order.orderId, order, ['status', 'refundedAt', 'stockReservation']);
     updatedCount++;
   });
 
@@ -2023,8 +2577,8 @@ app.put('/datepalm-bay/api/admin/order/status', (req, res) => {
     });
   }
 
-  saveData();
-  console.log(`${updatedCount}개 주문 상태를 ${targetStatus}(으)로 변경 완료`);
+  saveData('orders', ...stockTargets);
+  logger.info(`${updatedCount}개 주문 상태를 ${targetStatus}(으)로 변경 완료`);
 
   res.json({ ok: true, data: { updatedCount }, message: '주문 상태 변경 완료' });
 });
@@ -2034,25 +2588,20 @@ app.put('/datepalm-bay/api/admin/order/status', (req, res) => {
 // ========================================
 
 // B2B 로그인
-app.post('/datepalm-bay/api/b2b/login', (req, res) => {
+app.post('/datepalm-bay/api/b2b/login', rateLimiter.middleware('b2bLogin', rateLimitKeys.bodyId), (req, res) => {
   const { id, password } = req.body;
   if (!id || !password) {
     return res.status(400).json({ ok: false, data: null, message: 'ID and password are required.' });
   }
 
-  const user = b2bUsers.find(u => u.id === id && u.password === password && u.isActive !== false);
-  if (!user) {
+  const user = b2bUsers.find(u => u.id === id && u.isActive !== false);
+  if (!user || !checkAccountPassword(user, password, ['b2bUsers', user.id])) {
     return res.status(401).json({ ok: false, data: null, message: 'Invalid credentials or account is inactive.' });
   }
 
-  const token = generateB2BToken();
-  b2bSessions.set(token, {
-    userId: user.id,
-    companyName: user.companyName,
-    discountPercent: user.discountPercent || 0,
-  });
+  const { token } = sessionStore.create('b2b', user.id, getSessionMeta(req));
 
-  console.log(`✅ B2B 로그인: ${user.id} (${user.companyName})`);
+  logger.info(`✅ B2B 로그인: ${user.id} (${user.companyName})`);
 
   res.json({
     ok: true,
@@ -2069,26 +2618,35 @@ app.post('/datepalm-bay/api/b2b/login', (req, res) => {
 
 // B2B 로그아웃
 app.post('/datepalm-bay/api/b2b/logout', (req, res) => {
-  const session = validateB2BToken(req);
-  if (session) {
-    const auth = req.headers['authorization'] || req.headers['x-b2b-token'];
-    const token = auth ? auth.replace(/^Bearer\s+/i, '') : null;
-    if (token) b2bSessions.delete(token);
-  }
+  const auth = req.headers['authorization'] || req.headers['x-b2b-token'];
+  const token = auth ? auth.replace(/^Bearer\s+/i, '') : null;
+  sessionStore.revoke(token);
   res.json({ ok: true, data: null, message: 'Logged out' });
 });
 
-// B2B 상품 목록 (할인 가격 포함)
-app.get('/datepalm-bay/api/b2b/products', (req, res) => {
+// B2B 모든 기기에서 로그아웃
+app.post('/datepalm-bay/api/b2b/logout-all', (req, res) => {
   const session = validateB2BToken(req);
   if (!session) {
     return res.status(401).json({ ok: false, data: null, message: 'B2B authentication required.' });
   }
+  const revoked = sessionStore.revokeAll('b2b', session.userId);
+  res.json({ ok: true, data: { revoked }, message: 'All sessions logged out' });
+});
+
+// B2B 상품 목록 (할인 가격 포함) — B2B 로그인 토큰 또는 catalog:read 범위의 B2B API 키
+app.get('/datepalm-bay/api/b2b/products', (req, res) => {
+  const session = req.apiKey ? validateB2BApiKey(req, 'catalog:read') : validateB2BToken(req);
+  if (!session) {
+    return req.apiKey
+      ? res.status(403).json({ ok: false, data: { requiredScopes: ['catalog:read'] }, message: 'This API key cannot access the B2B catalog.' })
+      : res.status(401).json({ ok: false, data: null, message: 'B2B authentication required.' });
+  }
 
   const { discountPercent } = session;
   const activeProducts = products.filter(p => p.productSaleStatus === true || p.productSaleStatus === 'true');
 
-  console.log(`[B2B] products 전체: ${products.length}, 판매중: ${activeProducts.length}, discount: ${discountPercent}%`);
+  logger.info(`[B2B] products 전체: ${products.length}, 판매중: ${activeProducts.length}, discount: ${discountPercent}%`);
 
   const b2bProducts = activeProducts.map(p => {
     const listPrice = p.productRegularPrice || p.regularPrice || p.price || 0;
@@ -2105,6 +2663,7 @@ app.get('/datepalm-bay/api/b2b/products', (req, res) => {
       thumbnailUrl: (p.mainImages && p.mainImages[0]?.url) || p.thumbnailUrl || '',
       brand: p.brand || '',
       category: p.category || '',
+      ...inventory.describeAvailability(p),
     };
   });
 
@@ -2119,13 +2678,19 @@ app.get('/datepalm-bay/api/b2b/products', (req, res) => {
 // 어드민 B2B 유저 관리 API
 // ========================================
 
+// 비밀번호 제외 직렬화
+function serializeB2BUser(user) {
+  const { password, ...rest } = user;
+  return rest;
+}
+
 // B2B 유저 목록
-app.get('/datepalm-bay/api/admin/b2b/users', (req, res) => {
-  res.json({ ok: true, data: b2bUsers, message: 'B2B users retrieved' });
+app.get('/datepalm-bay/api/admin/b2b/users', requirePermission('b2b:manage'), (req, res) => {
+  res.json({ ok: true, data: b2bUsers.map(serializeB2BUser), message: 'B2B users retrieved' });
 });
 
 // B2B 유저 생성
-app.post('/datepalm-bay/api/admin/b2b/users/create', (req, res) => {
+app.post('/datepalm-bay/api/admin/b2b/users/create', requirePermission('b2b:manage'), (req, res) => {
   const { id, password, companyName, contactEmail, discountPercent } = req.body.data || req.body;
 
   if (!id || !password || !companyName) {
@@ -2137,7 +2702,7 @@ app.post('/datepalm-bay/api/admin/b2b/users/create', (req, res) => {
 
   const newUser = {
     id,
-    password,
+    password: hashPassword(password),
     companyName,
     contactEmail: contactEmail || '',
     discountPercent: parseFloat(discountPercent) || 0,
@@ -2146,82 +2711,719 @@ app.post('/datepalm-bay/api/admin/b2b/users/create', (req, res) => {
   };
 
   b2bUsers.push(newUser);
-  saveData();
+  saveData(['b2bUsers', newUser.id]);
 
-  res.json({ ok: true, data: newUser, message: 'B2B user created' });
+  res.json({ ok: true, data: serializeB2BUser(newUser), message: 'B2B user created' });
 });
 
 // B2B 유저 수정
-app.put('/datepalm-bay/api/admin/b2b/users/edit', (req, res) => {
+app.put('/datepalm-bay/api/admin/b2b/users/edit', requirePermission('b2b:manage'), (req, res) => {
   const { id, password, companyName, contactEmail, discountPercent, isActive } = req.body.data || req.body;
 
   const user = b2bUsers.find(u => u.id === id);
   if (!user) return res.status(404).json({ ok: false, data: null, message: 'B2B user not found.' });
 
-  if (password !== undefined) user.password = password;
+  if (password) user.password = hashPassword(password);
   if (companyName !== undefined) user.companyName = companyName;
   if (contactEmail !== undefined) user.contactEmail = contactEmail;
   if (discountPercent !== undefined) user.discountPercent = parseFloat(discountPercent) || 0;
   if (isActive !== undefined) user.isActive = isActive;
+  // 비활성화 / 비밀번호 재설정 → 기존 세션 모두 종료, 비활성화 시 API 키도 폐기
+  if (user.isActive === false || password) sessionStore.revokeAll('b2b', user.id);
+  if (user.isActive === false) apiKeyStore.revokeOwner('b2b', user.id, req.adminPrincipal.id);
 
-  saveData();
-  res.json({ ok: true, data: user, message: 'B2B user updated' });
+  saveData(['b2bUsers', user.id]);
+  res.json({ ok: true, data: serializeB2BUser(user), message: 'B2B user updated' });
 });
 
 // B2B 유저 삭제
-app.delete('/datepalm-bay/api/admin/b2b/users/delete', (req, res) => {
+app.delete('/datepalm-bay/api/admin/b2b/users/delete', requirePermission('b2b:manage'), (req, res) => {
   const { id } = req.body.data || req.body;
   const before = b2bUsers.length;
   b2bUsers = b2bUsers.filter(u => u.id !== id);
   if (b2bUsers.length === before) {
     return res.status(404).json({ ok: false, data: null, message: 'B2B user not found.' });
   }
-  saveData();
+  sessionStore.revokeAll('b2b', id);
+  apiKeyStore.revokeOwner('b2b', id, req.adminPrincipal.id);
+  saveData(['b2bUsers', id]);
   res.json({ ok: true, data: null, message: 'B2B user deleted' });
 });
 
 // ========================================
-// 셀러(입점 브랜드사) 인증 & 계정
+// 어드민 API 키 관리 (services/apiKeys.js)
+// 키 원문은 발급 응답에서만 반환 — 분실 시 폐기 후 재발급
 // ========================================
 
-// 비밀번호 제외 직렬화
-function serializeSeller(seller) {
-  const { password, ...rest } = seller;
-  return { ...rest, effectiveCommissionRate: getEffectiveCommissionRate(seller) };
-}
+// 발급 가능한 범위 목록
+app.get('/datepalm-bay/api/admin/api-keys/scopes', requirePermission('apikeys:manage'), (req, res) => {
+  const scopes = Object.entries(API_KEY_SCOPES).map(([scope, def]) => ({ scope, ...def }));
+  res.json({ ok: true, data: scopes, message: 'API key scopes retrieved' });
+});
 
-// 셀러 로그인
-app.post('/datepalm-bay/api/seller/login', (req, res) => {
+// 키 목록 (ownerType / ownerId / status 필터)
+app.get('/datepalm-bay/api/admin/api-keys', requirePermission('apikeys:manage'), (req, res) => {
+  const { ownerType, ownerId, status } = req.query;
+  const list = apiKeyStore.list({ ownerType, ownerId, status }).map(serializeApiKey);
+  res.json({ ok: true, data: list, message: `${list.length} API keys` });
+});
+
+// 키 발급 — ownerType b2b 는 ownerId(B2B 계정) 필수, integration 범위는 발급자가 가진 권한 안에서만
+app.post('/datepalm-bay/api/admin/api-keys/create', requirePermission('apikeys:manage'), (req, res) => {
+  const { name, ownerType, ownerId, scopes, expiresInDays } = req.body.data || req.body;
+
+  if (!name || !API_KEY_OWNER_TYPES.includes(ownerType)) {
+    return res.status(400).json({ ok: false, data: null, message: `name and ownerType (${API_KEY_OWNER_TYPES.join(', ')}) are required.` });
+  }
+  const scopeError = validateScopes(ownerType, scopes);
+  if (scopeError) {
+    return res.status(400).json({ ok: false, data: null, message: scopeError });
+  }
+  if (ownerType === 'b2b' && !findActiveB2BUser(ownerId)) {
+    return res.status(404).json({ ok: false, data: null, message: 'Active B2B user not found.' });
+  }
+  const grantedPermissions = scopesToPermissions(scopes);
+  if (!adminAccess.hasPermissions(req.adminPrincipal.role, grantedPermissions)) {
+    return res.status(403).json({ ok: false, data: { requiredPermissions: grantedPermissions }, message: 'You cannot grant permissions you do not have.' });
+  }
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!(days > 0)) {
+      return res.status(400).json({ ok: false, data: null, message: 'expiresInDays must be a positive number.' });
+    }
+    expiresAt = new Date(Date.now() + days * 24 * HOUR_MS).toISOString();
+  }
+
+  const { key, apiKey } = apiKeyStore.issue({
+    name,
+    ownerType,
+    ownerId: ownerType === 'b2b' ? ownerId : null,
+    scopes,
+    expiresAt,
+    createdBy: req.adminPrincipal.id,
+  });
+  logger.info(`🔑 API 키 발급: ${apiKey.keyId} (${ownerType}${apiKey.ownerId ? `/${apiKey.ownerId}` : ''}, ${apiKey.scopes.join(', ')}) by ${req.adminPrincipal.id}`);
+  res.json({ ok: true, data: { key, apiKey: serializeApiKey(apiKey) }, message: 'API key issued. Store the key now — it will not be shown again.' });
+});
+
+// 키 폐기 (레코드와 요청 기록은 유지)
+app.delete('/datepalm-bay/api/admin/api-keys/revoke', requirePermission('apikeys:manage'), (req, res) => {
+  const { keyId } = req.body.data || req.body;
+  if (!apiKeyStore.find(keyId)) {
+    return res.status(404).json({ ok: false, data: null, message: 'API key not found.' });
+  }
+  if (!apiKeyStore.revoke(keyId, req.adminPrincipal.id)) {
+    return res.status(409).json({ ok: false, data: null, message: 'API key is already revoked.' });
+  }
+  logger.info(`🔑 API 키 폐기: ${keyId} by ${req.adminPrincipal.id}`);
+  res.json({ ok: true, data: serializeApiKey(apiKeyStore.find(keyId)), message: 'API key revoked' });
+});
+
+// 키별 요청 기록 (최신순, status / from / to / limit)
+app.get('/datepalm-bay/api/admin/api-keys/:keyId/requests', requirePermission('apikeys:manage'), (req, res) => {
+  const { keyId } = req.params;
+  if (!apiKeyStore.find(keyId)) {
+    return res.status(404).json({ ok: false, data: null, message: 'API key not found.' });
+  }
+  const { status, from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const entries = apiKeyRequestLog.query(keyId, { status: status ? parseInt(status) : undefined, from, to, limit });
+  res.json({ ok: true, data: entries, message: `${entries.length} requests` });
+});
+
+// ========================================
+// 2단계 인증 (TOTP — services/totp.js) — 운영자 / 셀러
+// 계정의 twoFactor: { enabled, secret, pendingSecret, enrolledAt, lastUsedStep, recoveryCodeHashes }
+// 역할별 필수 여부는 platformSettings.twoFactorRequiredRoles — 필수인데 미등록이면 로그인 도중 등록부터 진행
+// ========================================
+const TWO_FACTOR_ISSUER = process.env.TOTP_ISSUER || 'DatepalmBay';
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * MINUTE_MS;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const TWO_FACTOR_KINDS = {
+  operator: {
+    collection: 'operators',
+    label: 'Admin',
+    getList: () => operators,
+    find: (id) => operators.find(o => o.operatorId === id && o.status === 'ACTIVE'),
+    getId: (o) => o.operatorId,
+    getRole: (o) => o.role,
+    managePermission: 'operators:manage',
+  },
+  seller: {
+    collection: 'sellers',
+    label: 'Seller',
+    getList: () => sellers,
+    find: (id) => sellers.find(s => s.sellerId === id && s.status === 'ACTIVE'),
+    getId: (s) => s.sellerId,
+    getRole: () => adminAccess.SELLER_ROLE,
+    managePermission: 'sellers:manage',
+  },
+};
+// 비밀번호 확인 후 2단계 대기 중인 로그인 — challengeToken → { kind, subjectId, purpose: 'verify'|'setup', expiresAt, attempts }
+const twoFactorChallenges = new Map();
+
+function getTwoFactorRequiredRoles() {
+  return platformSettings.twoFactorRequiredRoles || [];
+}
+
+function isTwoFactorRequired(kind, account) {
+  return getTwoFactorRequiredRoles().includes(TWO_FACTOR_KINDS[kind].getRole(account));
+}
+
+// 응답용 요약 (비밀키/복구 코드 해시 제외)
+function summarizeTwoFactor(kind, account) {
+  const twoFactor = account.twoFactor || {};
+  return {
+    enabled: !!twoFactor.enabled,
+    enrolledAt: twoFactor.enrolledAt || null,
+    recoveryCodesRemaining: twoFactor.enabled ? (twoFactor.recoveryCodeHashes || []).length : 0,
+    required: isTwoFactorRequired(kind, account),
+  };
+}
+
+function saveTwoFactorAccount(kind, account) {
+  const config = TWO_FACTOR_KINDS[kind];
+  saveData([config.collection, config.getId(account)]);
+}
+
+// 등록 시작 — 새 비밀키는 pendingSecret 에 두고 코드 확인(활성화) 전까지 사용하지 않음
+function beginTwoFactorSetup(kind, account) {
+  const secret = totp.generateSecret();
+  account.twoFactor = { ...(account.twoFactor || { enabled: false }), pendingSecret: secret };
+  saveTwoFactorAccount(kind, account);
+  const issuer = `${TWO_FACTOR_ISSUER} ${TWO_FACTOR_KINDS[kind].label}`;
+  return { secret, otpauthUri: totp.buildOtpAuthUri({ secret, issuer, account: account.loginId }) };
+}
+
+/**
+ * 등록 완료 — pendingSecret 기준 코드가 맞으면 활성화
+ * @returns {string[]|null} 복구 코드 원문 (이때 한 번만 반환), 실패 시 null
+ */
+function activateTwoFactor(kind, account, code) {
+  const pendingSecret = account.twoFactor?.pendingSecret;
+  if (!pendingSecret) return null;
+  const step = totp.verifyCode(pendingSecret, code);
+  if (step === null) return null;
+  const { codes, hashes } = totp.generateRecoveryCodes();
+  account.twoFactor = { enabled: true, secret: pendingSecret, enrolledAt: new Date().toISOString(), lastUsedStep: step, recoveryCodeHashes: hashes };
+  account.updatedAt = new Date().toISOString();
+  saveTwoFactorAccount(kind, account);
+  logger.info(`🔐 2단계 인증 등록: ${kind}/${TWO_FACTOR_KINDS[kind].getId(account)}`);
+  return codes;
+}
+
+/**
+ * 2단계 확인 — TOTP 코드(이미 쓴 스텝 재사용 불가) 또는 복구 코드(1회용)
+ * @returns {'totp'|'recovery'|null}
+ */
+function verifySecondFactor(kind, account, { code, recoveryCode }) {
+  const twoFactor = account.twoFactor;
+  if (!twoFactor || !twoFactor.enabled) return null;
+  if (code) {
+    const step = totp.verifyCode(twoFactor.secret, code, { afterStep: twoFactor.lastUsedStep ?? -1 });
+    if (step === null) return null;
+    twoFactor.lastUsedStep = step;
+    saveTwoFactorAccount(kind, account);
+    return 'totp';
+  }
+  if (recoveryCode) {
+    const hashes = twoFactor.recoveryCodeHashes || [];
+    const index = hashes.indexOf(totp.hashRecoveryCode(recoveryCode));
+    if (index === -1) return null;
+    hashes.splice(index, 1);
+    saveTwoFactorAccount(kind, account);
+    logger.info(`🔐 복구 코드 사용: ${kind}/${TWO_FACTOR_KINDS[kind].getId(account)} (남은 ${hashes.length}개)`);
+    return 'recovery';
+  }
+  return null;
+}
+
+function purgeExpiredTwoFactorChallenges(now = Date.now()) {
+  for (const [token, challenge] of twoFactorChallenges) {
+    if (challenge.expiresAt <= now) twoFactorChallenges.delete(token);
+  }
+}
+
+/**
+ * 비밀번호 확인 직후 — 2단계가 필요 없으면 null, 필요하면 challenge 발급
+ * (등록돼 있으면 verify, 역할상 필수인데 미등록이면 setup)
+ */
+function startTwoFactorChallenge(kind, account) {
+  const enabled = !!account.twoFactor?.enabled;
+  if (!enabled && !isTwoFactorRequired(kind, account)) return null;
+  purgeExpiredTwoFactorChallenges();
+  const challengeToken = `2fa_${crypto.randomBytes(24).toString('hex')}`;
+  const expiresAt = Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS;
+  const purpose = enabled ? 'verify' : 'setup';
+  twoFactorChallenges.set(challengeToken, { kind, subjectId: TWO_FACTOR_KINDS[kind].getId(account), purpose, expiresAt, attempts: 0 });
+  return {
+    twoFactorRequired: purpose === 'verify',
+    twoFactorSetupRequired: purpose === 'setup',
+    challengeToken,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+// challenge → { challenge, account } (종류 불일치/만료/비활성 계정이면 null)
+function resolveTwoFactorChallenge(kind, challengeToken) {
+  const challenge = twoFactorChallenges.get(challengeToken);
+  if (!challenge || challenge.kind !== kind) return null;
+  const account = challenge.expiresAt > Date.now() ? TWO_FACTOR_KINDS[kind].find(challenge.subjectId) : null;
+  if (!account) {
+    twoFactorChallenges.delete(challengeToken);
+    return null;
+  }
+  return { challenge, account };
+}
+
+// POST .../login/2fa/setup — 필수인데 미등록인 계정이 로그인 도중 비밀키 발급
+function createTwoFactorSetupHandler(kind) {
+  return (req, res) => {
+    const { challengeToken } = req.body.data || req.body;
+    const resolved = resolveTwoFactorChallenge(kind, challengeToken);
+    if (!resolved || resolved.challenge.purpose !== 'setup') {
+      return res.status(401).json({ ok: false, data: null, message: 'Invalid or expired two-factor challenge.' });
+    }
+    res.json({ ok: true, data: beginTwoFactorSetup(kind, resolved.account), message: 'Register the key in your authenticator app' });
+  };
+}
+
+/**
+ * POST .../login/2fa — 코드 확인 후 세션 발급 (setup challenge 면 등록 완료 + 복구 코드 반환)
+ * @param {Function} completeLogin - (req, res, account, extra) => 로그인 성공 응답
+ */
+function createTwoFactorLoginHandler(kind, completeLogin) {
+  return (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body.data || req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ ok: false, data: null, message: 'challengeToken and code (or recoveryCode) are required.' });
+    }
+    const resolved = resolveTwoFactorChallenge(kind, challengeToken);
+    if (!resolved) {
+      return res.status(401).json({ ok: false, data: null, message: 'Invalid or expired two-factor challenge.' });
+    }
+
+    const { challenge, account } = resolved;
+    let recoveryCodes = null;
+    let passed;
+    if (challenge.purpose === 'setup') {
+      recoveryCodes = activateTwoFactor(kind, account, code);
+      passed = recoveryCodes !== null;
+    } else {
+      passed = verifySecondFactor(kind, account, { code, recoveryCode }) !== null;
+    }
+
+    if (!passed) {
+      challenge.attempts += 1;
+      const attemptsRemaining = Math.max(0, TWO_FACTOR_MAX_ATTEMPTS - challenge.attempts);
+      if (attemptsRemaining === 0) twoFactorChallenges.delete(challengeToken);
+      logger.info(`❌ 2단계 인증 실패: ${kind}/${challenge.subjectId} (남은 시도 ${attemptsRemaining})`);
+      return res.status(401).json({ ok: false, data: { attemptsRemaining }, message: 'Invalid two-factor code.' });
+    }
+
+    twoFactorChallenges.delete(challengeToken);
+    completeLogin(req, res, account, recoveryCodes ? { recoveryCodes } : {});
+  };
+}
+
+// ========================================
+// 운영자(관리자 콘솔) 인증 & 계정
+// ========================================
+
+// 비밀번호 제외 직렬화
+function serializeOperator(operator) {
+  const { password, twoFactor, ...rest } = operator;
+  return { ...rest, permissions: adminAccess.getRolePermissions(operator.role), twoFactor: summarizeTwoFactor('operator', operator) };
+}
+
+// 대상 운영자를 제외한 활성 SUPER_ADMIN 수 (마지막 최고관리자 강등/비활성화/삭제 방지)
+function countOtherActiveSuperAdmins(operatorId) {
+  return operators.filter(o => o.operatorId !== operatorId && o.role === 'SUPER_ADMIN' && o.status === 'ACTIVE').length;
+}
+
+/**
+ * 최초 SUPER_ADMIN 생성 (operators 가 비어 있을 때만 — ADMIN_BOOTSTRAP_LOGIN_ID / ADMIN_BOOTSTRAP_PASSWORD)
+ * @returns {boolean} 생성 여부
+ */
+function bootstrapSuperAdmin() {
+  const loginId = process.env.ADMIN_BOOTSTRAP_LOGIN_ID;
+  const password = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+  if (operators.length > 0 || !loginId || !password) return false;
+
+  const now = new Date().toISOString();
+  operators.push({
+    operatorId: `OP-${Date.now()}`,
+    loginId,
+    password: hashPassword(password),
+    name: 'Super Admin',
+    role: 'SUPER_ADMIN',
+    status: 'ACTIVE',
+    lastLoginAt: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+  auditLog.run({ actor: { type: 'system', id: 'admin-bootstrap' } }, () => markDirty('operators'));
+  logger.info(`👤 최초 SUPER_ADMIN 생성: ${loginId}`);
+  return true;
+}
+
+// 운영자 로그인
+app.post('/datepalm-bay/api/admin/auth/login', rateLimiter.middleware('adminLogin', rateLimitKeys.loginId), (req, res) => {
   const { loginId, password } = req.body.data || req.body;
   if (!loginId || !password) {
     return res.status(400).json({ ok: false, data: null, message: 'loginId and password are required.' });
   }
 
-  const seller = sellers.find(s => s.loginId === loginId && s.password === password && s.status === 'ACTIVE');
-  if (!seller) {
+  const operator = operators.find(o => o.loginId === loginId && o.status === 'ACTIVE');
+  if (!operator || !checkAccountPassword(operator, password, ['operators', operator.operatorId])) {
     return res.status(401).json({ ok: false, data: null, message: 'Invalid credentials or account is inactive.' });
   }
 
-  const token = generateSellerToken();
-  sellerSessions.set(token, { sellerId: seller.sellerId, companyName: seller.companyName });
+  const challenge = startTwoFactorChallenge('operator', operator);
+  if (challenge) {
+    logger.info(`🔐 운영자 2단계 인증 대기: ${operator.loginId}${challenge.twoFactorSetupRequired ? ' (등록 필요)' : ''}`);
+    return res.json({ ok: true, data: challenge, message: challenge.twoFactorRequired ? 'Two-factor code required' : 'Two-factor enrolment required' });
+  }
+  completeOperatorLogin(req, res, operator);
+});
+
+// 운영자 로그인 완료 (비밀번호 + 필요 시 2단계 확인 후) — 세션 발급
+function completeOperatorLogin(req, res, operator, extra = {}) {
+  const { token } = sessionStore.create('operator', operator.operatorId, getSessionMeta(req));
+  operator.lastLoginAt = new Date().toISOString();
+  saveData(['operators', operator.operatorId]);
 
-  console.log(`✅ 셀러 로그인: ${seller.loginId} (${seller.companyName})`);
+  logger.info(`✅ 운영자 로그인: ${operator.loginId} (${operator.role})`);
 
   res.json({
     ok: true,
-    data: { token, sellerId: seller.sellerId, companyName: seller.companyName, role: 'seller' },
+    data: { token, ...serializeOperator(operator), ...extra },
     message: 'Login successful',
   });
+}
+
+// 운영자 로그인 2단계 — 등록 시작(필수 역할 미등록) / 코드 확인
+app.post('/datepalm-bay/api/admin/auth/login/2fa/setup', rateLimiter.middleware('otpVerify', rateLimitKeys.challenge), createTwoFactorSetupHandler('operator'));
+app.post('/datepalm-bay/api/admin/auth/login/2fa', rateLimiter.middleware('otpVerify', rateLimitKeys.challenge), createTwoFactorLoginHandler('operator', completeOperatorLogin));
+
+// 운영자 로그아웃
+app.post('/datepalm-bay/api/admin/auth/logout', requirePermission(), (req, res) => {
+  sessionStore.revoke(getBearerToken(req));
+  res.json({ ok: true, data: null, message: 'Logged out' });
+});
+
+// 현재 주체(운영자/셀러)와 보유 권한 — 관리자 프론트 메뉴 노출 판단용
+app.get('/datepalm-bay/api/admin/auth/me', requirePermission(), (req, res) => {
+  const principal = req.adminPrincipal;
+  res.json({
+    ok: true,
+    data: { ...principal, permissions: adminAccess.getRolePermissions(principal.role) },
+    message: 'Principal retrieved',
+  });
+});
+
+// 운영자 본인 비밀번호 변경 (셀러는 /api/seller/me)
+app.put('/datepalm-bay/api/admin/auth/password', requirePermission(), (req, res) => {
+  const principal = req.adminPrincipal;
+  if (principal.type !== 'operator') {
+    return res.status(403).json({ ok: false, data: null, message: 'Only operator accounts can change password here.' });
+  }
+  const { currentPassword, newPassword } = req.body.data || req.body;
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ ok: false, data: null, message: 'currentPassword and newPassword are required.' });
+  }
+
+  const operator = operators.find(o => o.operatorId === principal.id);
+  if (!verifyPassword(currentPassword, operator.password).ok) {
+    return res.status(403).json({ ok: false, data: null, message: 'Incorrect password.' });
+  }
+
+  operator.password = hashPassword(newPassword);
+  operator.updatedAt = new Date().toISOString();
+  saveData(['operators', operator.operatorId]);
+  res.json({ ok: true, data: null, message: 'Password changed' });
+});
+
+// 본인 2단계 인증 (운영자 / 셀러 공통 — 주체 종류로 계정 구분)
+function getTwoFactorSelf(req) {
+  const { type, id } = req.adminPrincipal;
+  return { kind: type, account: TWO_FACTOR_KINDS[type].find(id) };
+}
+
+app.get('/datepalm-bay/api/admin/auth/2fa', requirePermission(), (req, res) => {
+  const { kind, account } = getTwoFactorSelf(req);
+  res.json({ ok: true, data: summarizeTwoFactor(kind, account), message: 'Two-factor status retrieved' });
+});
+
+// 등록 시작 — otpauth URI(QR) 와 비밀키 반환, activate 로 코드 확인 전까지는 적용되지 않음
+app.post('/datepalm-bay/api/admin/auth/2fa/setup', requirePermission(), (req, res) => {
+  const { kind, account } = getTwoFactorSelf(req);
+  if (account.twoFactor?.enabled) {
+    return res.status(409).json({ ok: false, data: null, message: 'Two-factor authentication is already enabled. Disable it before enrolling a new device.' });
+  }
+  res.json({ ok: true, data: beginTwoFactorSetup(kind, account), message: 'Register the key in your authenticator app' });
+});
+
+app.post('/datepalm-bay/api/admin/auth/2fa/activate', requirePermission(), (req, res) => {
+  const { kind, account } = getTwoFactorSelf(req);
+  const { code } = req.body.data || req.body;
+  if (!account.twoFactor?.pendingSecret) {
+    return res.status(409).json({ ok: false, data: null, message: 'Start two-factor setup first.' });
+  }
+  const recoveryCodes = activateTwoFactor(kind, account, code);
+  if (!recoveryCodes) {
+    return res.status(400).json({ ok: false, data: null, message: 'Invalid two-factor code.' });
+  }
+  res.json({ ok: true, data: { ...summarizeTwoFactor(kind, account), recoveryCodes }, message: 'Two-factor authentication enabled' });
+});
+
+// 복구 코드 재발급 (기존 코드 전부 무효)
+app.post('/datepalm-bay/api/admin/auth/2fa/recovery-codes', requirePermission(), (req, res) => {
+  const { kind, account } = getTwoFactorSelf(req);
+  const { code } = req.body.data || req.body;
+  if (!verifySecondFactor(kind, account, { code })) {
+    return res.status(403).json({ ok: false, data: null, message: 'Invalid two-factor code.' });
+  }
+  const { codes, hashes } = totp.generateRecoveryCodes();
+  account.twoFactor.recoveryCodeHashes = hashes;
+  saveTwoFactorAccount(kind, account);
+  res.json({ ok: true, data: { recoveryCodes: codes }, message: 'Recovery codes regenerated' });
+});
+
+// 해제 — 비밀번호 + 코드(또는 복구 코드) 확인, 역할상 필수면 불가
+app.delete('/datepalm-bay/api/admin/auth/2fa', requirePermission(), (req, res) => {
+  const { kind, account } = getTwoFactorSelf(req);
+  const { password, code, recoveryCode } = req.body.data || req.body;
+  if (isTwoFactorRequired(kind, account)) {
+    return res.status(403).json({ ok: false, data: null, message: 'Two-factor authentication is required for your role.' });
+  }
+  if (!account.twoFactor?.enabled) {
+    return res.status(409).json({ ok: false, data: null, message: 'Two-factor authentication is not enabled.' });
+  }
+  if (!verifyPassword(password, account.password).ok || !verifySecondFactor(kind, account, { code, recoveryCode })) {
+    return res.status(403).json({ ok: false, data: null, message: 'Incorrect password or two-factor code.' });
+  }
+  delete account.twoFactor;
+  account.updatedAt = new Date().toISOString();
+  saveTwoFactorAccount(kind, account);
+  logger.info(`🔓 2단계 인증 해제: ${kind}/${req.adminPrincipal.id}`);
+  res.json({ ok: true, data: summarizeTwoFactor(kind, account), message: 'Two-factor authentication disabled' });
+});
+
+// 역할별 권한 목록
+app.get('/datepalm-bay/api/admin/roles', requirePermission('operators:manage'), (req, res) => {
+  res.json({
+    ok: true,
+    data: {
+      roles: [...adminAccess.OPERATOR_ROLES, adminAccess.SELLER_ROLE].map(role => ({ role, permissions: adminAccess.getRolePermissions(role) })),
+      permissions: adminAccess.PERMISSIONS,
+    },
+    message: 'Roles retrieved',
+  });
+});
+
+// 운영자 목록
+app.get('/datepalm-bay/api/admin/operators', requirePermission('operators:manage'), (req, res) => {
+  res.json({ ok: true, data: operators.map(serializeOperator), message: 'Operators retrieved' });
+});
+
+// 운영자 생성
+app.post('/datepalm-bay/api/admin/operators/create', requirePermission('operators:manage'), (req, res) => {
+  const { loginId, password, name, role } = req.body.data || req.body;
+
+  if (!loginId || !password || !role) {
+    return res.status(400).json({ ok: false, data: null, message: 'loginId, password, role are required.' });
+  }
+  if (!adminAccess.OPERATOR_ROLES.includes(role)) {
+    return res.status(400).json({ ok: false, data: null, message: `role must be one of ${adminAccess.OPERATOR_ROLES.join(', ')}.` });
+  }
+  if (operators.find(o => o.loginId === loginId)) {
+    return res.status(409).json({ ok: false, data: null, message: 'Operator loginId already exists.' });
+  }
+
+  const newOperator = {
+    operatorId: `OP-${Date.now()}`,
+    loginId,
+    password: hashPassword(password),
+    name: name || loginId,
+    role,
+    status: 'ACTIVE',
+    lastLoginAt: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  operators.push(newOperator);
+  saveData(['operators', newOperator.operatorId]);
+
+  logger.info(`✅ 운영자 생성: ${newOperator.loginId} (${newOperator.role})`);
+  res.json({ ok: true, data: serializeOperator(newOperator), message: 'Operator created' });
+});
+
+// 운영자 수정 (역할/상태 변경은 기존 세션에도 즉시 반영)
+app.put('/datepalm-bay/api/admin/operators/edit', requirePermission('operators:manage'), (req, res) => {
+  const { operatorId, name, role, status, password } = req.body.data || req.body;
+
+  const operator = operators.find(o => o.operatorId === operatorId);
+  if (!operator) return res.status(404).json({ ok: false, data: null, message: 'Operator not found.' });
+
+  if (role !== undefined && !adminAccess.OPERATOR_ROLES.includes(role)) {
+    return res.status(400).json({ ok: false, data: null, message: `role must be one of ${adminAccess.OPERATOR_ROLES.join(', ')}.` });
+  }
+  if (status !== undefined && !['ACTIVE', 'DISABLED'].includes(status)) {
+    return res.status(400).json({ ok: false, data: null, message: 'status must be ACTIVE or DISABLED.' });
+  }
+  const losesSuperAdmin = operator.role === 'SUPER_ADMIN' && operator.status === 'ACTIVE'
+    && ((role !== undefined && role !== 'SUPER_ADMIN') || status === 'DISABLED');
+  if (losesSuperAdmin && countOtherActiveSuperAdmins(operator.operatorId) === 0) {
+    return res.status(409).json({ ok: false, data: null, message: 'At least one active SUPER_ADMIN must remain.' });
+  }
+
+  if (name !== undefined) operator.name = name;
+  if (role !== undefined) operator.role = role;
+  if (status !== undefined) operator.status = status;
+  if (password) operator.password = hashPassword(password);
+  if (password || operator.status !== 'ACTIVE') sessionStore.revokeAll('operator', operator.operatorId);
+  operator.updatedAt = new Date().toISOString();
+
+  saveData(['operators', operator.operatorId]);
+  res.json({ ok: true, data: serializeOperator(operator), message: 'Operator updated' });
+});
+
+// 운영자 삭제
+app.delete('/datepalm-bay/api/admin/operators/delete', requirePermission('operators:manage'), (req, res) => {
+  const { operatorId } = req.body.data || req.body;
+  const operator = operators.find(o => o.operatorId === operatorId);
+  if (!operator) return res.status(404).json({ ok: false, data: null, message: 'Operator not found.' });
+  if (operator.role === 'SUPER_ADMIN' && operator.status === 'ACTIVE' && countOtherActiveSuperAdmins(operatorId) === 0) {
+    return res.status(409).json({ ok: false, data: null, message: 'At least one active SUPER_ADMIN must remain.' });
+  }
+
+  operators = operators.filter(o => o.operatorId !== operatorId);
+  sessionStore.revokeAll('operator', operatorId);
+  saveData(['operators', operatorId]);
+  res.json({ ok: true, data: null, message: 'Operator deleted' });
+});
+
+// ========================================
+// 어드민 세션 관리 API (B2B / 셀러 / 운영자 로그인 세션)
+// 운영자 세션은 operators:manage 권한이 있어야 조회/종료 가능
+// ========================================
+const SESSION_KINDS = ['b2b', 'seller', 'operator', 'customer'];
+
+function canManageSessionKind(principal, kind) {
+  return kind !== 'operator' || adminAccess.hasPermissions(principal.role, ['operators:manage']);
+}
+
+// 세션 주체 표시 이름 (삭제된 계정이면 null)
+function describeSessionSubject(session) {
+  if (session.kind === 'b2b') return b2bUsers.find(u => u.id === session.subjectId)?.companyName || null;
+  if (session.kind === 'seller') return sellers.find(s => s.sellerId === session.subjectId)?.companyName || null;
+  if (session.kind === 'customer') return findUserByCode(session.subjectId)?.name || null;
+  return operators.find(o => o.operatorId === session.subjectId)?.name || null;
+}
+
+// 활성 세션 목록
+app.get('/datepalm-bay/api/admin/sessions', requirePermission('sessions:read'), (req, res) => {
+  const { kind, subjectId } = req.query;
+  if (kind && !SESSION_KINDS.includes(kind)) {
+    return res.status(400).json({ ok: false, data: null, message: `kind must be one of ${SESSION_KINDS.join(', ')}.` });
+  }
+  const list = sessionStore.list({ kind, subjectId })
+    .filter(session => canManageSessionKind(req.adminPrincipal, session.kind))
+    .map(session => ({ ...session, subjectName: describeSessionSubject(session) }));
+  res.json({ ok: true, data: list, message: `${list.length} active sessions` });
+});
+
+// 세션 하나 종료
+app.delete('/datepalm-bay/api/admin/sessions/revoke', requirePermission('sessions:manage'), (req, res) => {
+  const { sessionId } = req.body.data || req.body;
+  const session = sessionStore.list().find(s => s.sessionId === sessionId);
+  if (!session) return res.status(404).json({ ok: false, data: null, message: 'Session not found.' });
+  if (!canManageSessionKind(req.adminPrincipal, session.kind)) {
+    return res.status(403).json({ ok: false, data: { requiredPermissions: ['operators:manage'] }, message: 'You do not have permission to access this resource.' });
+  }
+  sessionStore.revokeById(sessionId);
+  logger.info(`🔒 세션 강제 종료: ${session.kind}/${session.subjectId}`);
+  res.json({ ok: true, data: null, message: 'Session revoked' });
+});
+
+// 계정의 모든 세션 종료
+app.delete('/datepalm-bay/api/admin/sessions/revoke-all', requirePermission('sessions:manage'), (req, res) => {
+  const { kind, subjectId } = req.body.data || req.body;
+  if (!SESSION_KINDS.includes(kind) || !subjectId) {
+    return res.status(400).json({ ok: false, data: null, message: `kind (${SESSION_KINDS.join(', ')}) and subjectId are required.` });
+  }
+  if (!canManageSessionKind(req.adminPrincipal, kind)) {
+    return res.status(403).json({ ok: false, data: { requiredPermissions: ['operators:manage'] }, message: 'You do not have permission to access this resource.' });
+  }
+  const revoked = sessionStore.revokeAll(kind, subjectId);
+  logger.info(`🔒 세션 전체 종료: ${kind}/${subjectId} (${revoked}개)`);
+  res.json({ ok: true, data: { revoked }, message: `${revoked} sessions revoked` });
+});
+
+// ========================================
+// 셀러(입점 브랜드사) 인증 & 계정
+// ========================================
+
+// 비밀번호 제외 직렬화
+function serializeSeller(seller) {
+  const { password, twoFactor, ...rest } = seller;
+  return { ...rest, effectiveCommissionRate: getEffectiveCommissionRate(seller), twoFactor: summarizeTwoFactor('seller', seller) };
+}
+
+// 셀러 로그인
+app.post('/datepalm-bay/api/seller/login', rateLimiter.middleware('sellerLogin', rateLimitKeys.loginId), (req, res) => {
+  const { loginId, password } = req.body.data || req.body;
+  if (!loginId || !password) {
+    return res.status(400).json({ ok: false, data: null, message: 'loginId and password are required.' });
+  }
+
+  const seller = sellers.find(s => s.loginId === loginId && s.status === 'ACTIVE');
+  if (!seller || !checkAccountPassword(seller, password, ['sellers', seller.sellerId])) {
+    return res.status(401).json({ ok: false, data: null, message: 'Invalid credentials or account is inactive.' });
+  }
+
+  const challenge = startTwoFactorChallenge('seller', seller);
+  if (challenge) {
+    logger.info(`🔐 셀러 2단계 인증 대기: ${seller.loginId}${challenge.twoFactorSetupRequired ? ' (등록 필요)' : ''}`);
+    return res.json({ ok: true, data: challenge, message: challenge.twoFactorRequired ? 'Two-factor code required' : 'Two-factor enrolment required' });
+  }
+  completeSellerLogin(req, res, seller);
 });
 
+// 셀러 로그인 완료 (비밀번호 + 필요 시 2단계 확인 후) — 세션 발급
+function completeSellerLogin(req, res, seller, extra = {}) {
+  const { token } = sessionStore.create('seller', seller.sellerId, getSessionMeta(req));
+
+  logger.info(`✅ 셀러 로그인: ${seller.loginId} (${seller.companyName})`);
+
+  res.json({
+    ok: true,
+    data: { token, sellerId: seller.sellerId, companyName: seller.companyName, role: 'seller', ...extra },
+    message: 'Login successful',
+  });
+}
+
+// 셀러 로그인 2단계 — 등록 시작(필수 역할 미등록) / 코드 확인
+app.post('/datepalm-bay/api/seller/login/2fa/setup', rateLimiter.middleware('otpVerify', rateLimitKeys.challenge), createTwoFactorSetupHandler('seller'));
+app.post('/datepalm-bay/api/seller/login/2fa', rateLimiter.middleware('otpVerify', rateLimitKeys.challenge), createTwoFactorLoginHandler('seller', completeSellerLogin));
+
 // 셀러 로그아웃
 app.post('/datepalm-bay/api/seller/logout', (req, res) => {
-  const auth = req.headers['authorization'];
-  const token = auth ? auth.replace(/^Bearer\s+/i, '') : null;
-  if (token) sellerSessions.delete(token);
+  sessionStore.revoke(getBearerToken(req));
   res.json({ ok: true, data: null, message: 'Logged out' });
 });
 
+// 셀러 모든 기기에서 로그아웃
+app.post('/datepalm-bay/api/seller/logout-all', (req, res) => {
+  const scope = getSellerScope(req);
+  if (!scope) return res.status(401).json({ ok: false, data: null, message: 'Seller authentication required.' });
+  const revoked = sessionStore.revokeAll('seller', scope.sellerId);
+  res.json({ ok: true, data: { revoked }, message: 'All sessions logged out' });
+});
+
 // 셀러 내 정보 조회
 app.get('/datepalm-bay/api/seller/me', (req, res) => {
   const scope = getSellerScope(req);
@@ -2246,10 +3448,10 @@ app.put('/datepalm-bay/api/seller/me', (req, res) => {
   if (contactEmail !== undefined) seller.contactEmail = contactEmail;
   if (contactPhone !== undefined) seller.contactPhone = contactPhone;
   if (payout !== undefined) seller.payout = { ...seller.payout, ...payout };
-  if (password) seller.password = password;
+  if (password) seller.password = hashPassword(password);
   seller.updatedAt = new Date().toISOString();
 
-  saveData();
+  saveData(['sellers', seller.sellerId]);
   res.json({ ok: true, data: serializeSeller(seller), message: 'Seller profile updated' });
 });
 
@@ -2258,12 +3460,12 @@ app.put('/datepalm-bay/api/seller/me', (req, res) => {
 // ========================================
 
 // 셀러 목록
-app.get('/datepalm-bay/api/admin/sellers', (req, res) => {
+app.get('/datepalm-bay/api/admin/sellers', requirePermission('sellers:read'), (req, res) => {
   res.json({ ok: true, data: sellers.map(serializeSeller), message: 'Sellers retrieved' });
 });
 
 // 셀러 생성
-app.post('/datepalm-bay/api/admin/sellers/create', (req, res) => {
+app.post('/datepalm-bay/api/admin/sellers/create', requirePermission('sellers:manage'), (req, res) => {
   const { loginId, password, companyName, brandNames, businessRegNo, contactName, contactEmail, contactPhone, payout, commissionRateOverride } = req.body.data || req.body;
 
   if (!loginId || !password || !companyName) {
@@ -2276,7 +3478,7 @@ app.post('/datepalm-bay/api/admin/sellers/create', (req, res) => {
   const newSeller = {
     sellerId: `SELLER-${Date.now()}`,
     loginId,
-    password,
+    password: hashPassword(password),
     companyName,
     brandNames: Array.isArray(brandNames) ? brandNames : [],
     businessRegNo: businessRegNo || '',
@@ -2291,14 +3493,14 @@ app.post('/datepalm-bay/api/admin/sellers/create', (req, res) => {
   };
 
   sellers.push(newSeller);
-  saveData();
+  saveData(['sellers', newSeller.sellerId]);
 
-  console.log(`✅ 셀러 생성: ${newSeller.loginId} (${newSeller.companyName})`);
+  logger.info(`✅ 셀러 생성: ${newSeller.loginId} (${newSeller.companyName})`);
   res.json({ ok: true, data: serializeSeller(newSeller), message: 'Seller created' });
 });
 
 // 셀러 수정
-app.put('/datepalm-bay/api/admin/sellers/edit', (req, res) => {
+app.put('/datepalm-bay/api/admin/sellers/edit', requirePermission('sellers:manage'), (req, res) => {
   const { sellerId, loginId, password, companyName, brandNames, businessRegNo, contactName, contactEmail, contactPhone, payout, commissionRateOverride, status } = req.body.data || req.body;
 
   const seller = sellers.find(s => s.sellerId === sellerId);
@@ -2310,7 +3512,7 @@ app.put('/datepalm-bay/api/admin/sellers/edit', (req, res) => {
     }
     seller.loginId = loginId;
   }
-  if (password) seller.password = password;
+  if (password) seller.password = hashPassword(password);
   if (companyName !== undefined) seller.companyName = companyName;
   if (brandNames !== undefined) seller.brandNames = Array.isArray(brandNames) ? brandNames : seller.brandNames;
   if (businessRegNo !== undefined) seller.businessRegNo = businessRegNo;
@@ -2322,20 +3524,23 @@ app.put('/datepalm-bay/api/admin/sellers/edit', (req, res) => {
     seller.commissionRateOverride = commissionRateOverride != null && commissionRateOverride !== '' ? parseFloat(commissionRateOverride) : null;
   }
   if (status !== undefined) seller.status = status;
+  // 비활성화 / 비밀번호 재설정 → 기존 세션 모두 종료
+  if (seller.status !== 'ACTIVE' || password) sessionStore.revokeAll('seller', seller.sellerId);
   seller.updatedAt = new Date().toISOString();
 
-  saveData();
+  saveData(['sellers', seller.sellerId]);
   res.json({ ok: true, data: serializeSeller(seller), message: 'Seller updated' });
 });
 
 // 셀러 삭제 (소유 상품은 미배정 상태로 복원)
-app.delete('/datepalm-bay/api/admin/sellers/delete', (req, res) => {
+app.delete('/datepalm-bay/api/admin/sellers/delete', requirePermission('sellers:manage'), (req, res) => {
   const { sellerId } = req.body.data || req.body;
   const before = sellers.length;
   sellers = sellers.filter(s => s.sellerId !== sellerId);
   if (sellers.length === before) {
     return res.status(404).json({ ok: false, data: null, message: 'Seller not found.' });
   }
+  sessionStore.revokeAll('seller', sellerId);
 
   let released = 0;
   products.forEach(p => {
@@ -2345,12 +3550,12 @@ app.delete('/datepalm-bay/api/admin/sellers/delete', (req, res) => {
     }
   });
 
-  saveData();
+  saveData(['sellers', sellerId], 'products');
   res.json({ ok: true, data: { releasedProducts: released }, message: 'Seller deleted' });
 });
 
 // 브랜드명 기준 상품 일괄 소유권 배정 (기존 상품 마이그레이션용)
-app.post('/datepalm-bay/api/admin/sellers/assign-products', (req, res) => {
+app.post('/datepalm-bay/api/admin/sellers/assign-products', requirePermission('sellers:manage'), (req, res) => {
   const { sellerId, brandNames } = req.body.data || req.body;
 
   const seller = sellers.find(s => s.sellerId === sellerId);
@@ -2367,24 +3572,24 @@ app.post('/datepalm-bay/api/admin/sellers/assign-products', (req, res) => {
     }
   });
 
-  saveData();
-  console.log(`✅ 상품 일괄 배정: ${assigned}개 → ${seller.companyName}`);
+  saveData('products');
+  logger.info(`✅ 상품 일괄 배정: ${assigned}개 → ${seller.companyName}`);
   res.json({ ok: true, data: { assignedProducts: assigned }, message: `${assigned} products assigned to ${seller.companyName}` });
 });
 
 // 플랫폼 기본 수수료율 조회/수정
-app.get('/datepalm-bay/api/admin/settings/commission', (req, res) => {
+app.get('/datepalm-bay/api/admin/settings/commission', requirePermission('sellers:read'), (req, res) => {
   res.json({ ok: true, data: platformSettings, message: 'Commission settings retrieved' });
 });
 
-app.put('/datepalm-bay/api/admin/settings/commission', (req, res) => {
+app.put('/datepalm-bay/api/admin/settings/commission', requirePermission('commission:manage'), (req, res) => {
   const { defaultCommissionRate } = req.body.data || req.body;
   const rate = parseFloat(defaultCommissionRate);
   if (Number.isNaN(rate) || rate < 0 || rate > 100) {
     return res.status(400).json({ ok: false, data: null, message: 'defaultCommissionRate must be a number between 0 and 100.' });
   }
   platformSettings.defaultCommissionRate = rate;
-  saveData();
+  saveData('platformSettings');
   res.json({ ok: true, data: platformSettings, message: 'Commission settings updated' });
 });
 
@@ -2407,8 +3612,8 @@ function getPeriodOf(dateStr) {
 }
 
 // 월별 정산서 생성 (기존 DRAFT는 재계산 덮어쓰기, CONFIRMED/PAID는 스킵)
-app.post('/datepalm-bay/api/admin/settlements/generate', (req, res) => {
-  console.log('\n=== [Settlement] 정산서 생성 ===');
+app.post('/datepalm-bay/api/admin/settlements/generate', requirePermission('settlements:manage'), (req, res) => {
+  logger.debug('[Settlement] 정산서 생성');
   const { period, sellerId } = req.body.data || req.body;
 
   if (!period || !/^\d{4}-\d{2}$/.test(period)) {
@@ -2510,8 +3715,8 @@ app.post('/datepalm-bay/api/admin/settlements/generate', (req, res) => {
     created.push({ settlementId, sellerCompanyName: seller.companyName, grossSalesUSD, refundsUSD, commissionUSD, payoutUSD });
   });
 
-  saveData();
-  console.log(`✅ 정산서 생성: ${created.length}건, 스킵 ${skipped.length}건 (기간: ${period})`);
+  saveData('settlements');
+  logger.info(`✅ 정산서 생성: ${created.length}건, 스킵 ${skipped.length}건 (기간: ${period})`);
 
   res.json({
     ok: true,
@@ -2521,7 +3726,7 @@ app.post('/datepalm-bay/api/admin/settlements/generate', (req, res) => {
 });
 
 // 정산서 목록 (운영자)
-app.get('/datepalm-bay/api/admin/settlements', (req, res) => {
+app.get('/datepalm-bay/api/admin/settlements', requirePermission('settlements:read'), (req, res) => {
   const { period, sellerId, status } = req.query;
   let list = [...settlements];
   if (period) list = list.filter(st => st.period === period);
@@ -2536,14 +3741,14 @@ app.get('/datepalm-bay/api/admin/settlements', (req, res) => {
 });
 
 // 정산서 상세 (운영자)
-app.get('/datepalm-bay/api/admin/settlements/:settlementId', (req, res) => {
+app.get('/datepalm-bay/api/admin/settlements/:settlementId', requirePermission('settlements:read'), (req, res) => {
   const settlement = settlements.find(st => st.settlementId === req.params.settlementId);
   if (!settlement) return res.status(404).json({ ok: false, data: null, message: 'Settlement not found.' });
   res.json({ ok: true, data: settlement, message: 'Settlement retrieved' });
 });
 
 // 정산서 확정 (DRAFT → CONFIRMED)
-app.put('/datepalm-bay/api/admin/settlements/:settlementId/confirm', (req, res) => {
+app.put('/datepalm-bay/api/admin/settlements/:settlementId/confirm', requirePermission('settlements:manage'), (req, res) => {
   const settlement = settlements.find(st => st.settlementId === req.params.settlementId);
   if (!settlement) return res.status(404).json({ ok: false, data: null, message: 'Settlement not found.' });
   if (settlement.status !== 'DRAFT') {
@@ -2551,12 +3756,12 @@ app.put('/datepalm-bay/api/admin/settlements/:settlementId/confirm', (req, res)
   }
   settlement.status = 'CONFIRMED';
   settlement.confirmedAt = new Date().toISOString();
-  saveData();
+  saveData(['settlements', settlement.settlementId]);
   res.json({ ok: true, data: settlement, message: 'Settlement confirmed' });
 });
 
 // 정산서 지급완료 처리 (CONFIRMED → PAID)
-app.put('/datepalm-bay/api/admin/settlements/:settlementId/pay', (req, res) => {
+app.put('/datepalm-bay/api/admin/settlements/:settlementId/pay', requirePermission('settlements:pay'), (req, res) => {
   const settlement = settlements.find(st => st.settlementId === req.params.settlementId);
   if (!settlement) return res.status(404).json({ ok: false, data: null, message: 'Settlement not found.' });
   if (settlement.status !== 'CONFIRMED') {
@@ -2566,7 +3771,7 @@ app.put('/datepalm-bay/api/admin/settlements/:settlementId/pay', (req, res) => {
   settlement.status = 'PAID';
   settlement.paidAt = new Date().toISOString();
   if (memo) settlement.memo = memo;
-  saveData();
+  saveData(['settlements', settlement.settlementId]);
   res.json({ ok: true, data: settlement, message: 'Settlement marked as paid' });
 });
 
@@ -2603,13 +3808,13 @@ app.get('/datepalm-bay/api/seller/settlements/:settlementId', (req, res) => {
 
 // 프론트 - 상품 목록 조회 (판매중인 상품만)
 app.get('/datepalm-bay/api/mvp/product/normal/list', (req, res) => {
-  console.log('\n=== [프론트] 상품 목록 조회 ===');
+  logger.debug('[프론트] 상품 목록 조회');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
   const { sortType, category } = req.query;
   const lang = (req.query.lang || 'en').toLowerCase();
 
-  console.log('필터 조건:', { pageNo, pageSize, sortType, category });
+  logger.info('필터 조건:', { pageNo, pageSize, sortType, category });
 
   // 판매중인 상품만 필터링
   let filteredProducts = products.filter(p => p.productSaleStatus === true);
@@ -2652,11 +3857,13 @@ app.get('/datepalm-bay/api/mvp/product/normal/list', (req, res) => {
       shippingCostType: p.shippingCostType || p.policy?.shippingCostType || 'FREE',
       shippingCost: p.shippingCost ?? p.policy?.shippingCost ?? 0,
       freeShippingThreshold: p.freeShippingThreshold ?? p.policy?.freeShippingThreshold ?? 0,
+      // 재고 상태 (재고 미관리 상품은 IN_STOCK + availableQuantity null)
+      ...inventory.describeAvailability(p),
     };
   });
 
-  console.log(`페이지: ${pageNo}, 크기: ${pageSize}`);
-  console.log(`총 ${filteredProducts.length}개 상품 중 ${formattedProducts.length}개 반환`);
+  logger.info(`페이지: ${pageNo}, 크기: ${pageSize}`);
+  logger.info(`총 ${filteredProducts.length}개 상품 중 ${formattedProducts.length}개 반환`);
 
   res.json({
     ok: true,
@@ -2682,13 +3889,12 @@ app.get('/datepalm-bay/api/mvp/product/normal/list', (req, res) => {
 const REVIEW_ELIGIBLE_ORDER_STATUSES = ['SUCCESS', 'DELIVERY', 'DELIVERED'];
 
 // 로그인 유저가 해당 상품을 구매(결제완료)한 이력이 있는지 확인 — 리뷰 작성 자격 검증
-// 주문에는 회원 ID가 저장되지 않으므로(주문자 정보만 저장) 이메일로 매칭한다.
-function userHasPurchasedProduct(userEmail, productCode) {
-  if (!userEmail) return false;
-  const email = userEmail.toLowerCase();
+// 주문 생성 시 연결한 회원 code(memberCode)로 매칭 (주문자 이메일은 입력값이라 본인 확인에 쓰지 않음)
+function userHasPurchasedProduct(user, productCode) {
+  if (!user || !user.code) return false;
   return customerOrders.some(order => {
     if (!REVIEW_ELIGIBLE_ORDER_STATUSES.includes(order.status)) return false;
-    if ((order.ordererEmail || '').toLowerCase() !== email) return false;
+    if (order.memberCode !== user.code) return false;
     if (Array.isArray(order.bundleItems) && order.bundleItems.length > 0) {
       return order.bundleItems.some(i => i.productCode === productCode);
     }
@@ -2698,12 +3904,13 @@ function userHasPurchasedProduct(userEmail, productCode) {
 
 // 프론트 - 상품 상세 조회
 app.get('/datepalm-bay/api/mvp/product/normal/detail/:code', (req, res) => {
-  console.log('\n=== [프론트] 상품 상세 조회 ===');
+  logger.debug('[프론트] 상품 상세 조회');
   const { code } = req.params;
   const lang = (req.query.lang || 'en').toLowerCase();
-  console.log(`상품 코드: ${code}, lang: ${lang}`);
+  logger.info(`상품 코드: ${code}, lang: ${lang}`);
 
-  const product = products.find(p => p.productCode === code && p.productSaleStatus === true);
+  const found = findProduct(code);
+  const product = found && found.productSaleStatus === true ? found : null;
 
   if (!product) {
     return res.status(404).json({
@@ -2762,12 +3969,23 @@ app.get('/datepalm-bay/api/mvp/product/normal/detail/:code', (req, res) => {
     canReviewWrite: (() => {
       const authHeader = req.headers.authorization;
       const token = authHeader ? authHeader.replace('Bearer ', '') : null;
-      const userId = token ? extractUserIdFromToken(token) : null;
-      const user = userId ? users.find(u => u.id === userId || u.code === userId) : null;
-      return user ? userHasPurchasedProduct(user.email, product.productCode) : false;
+      const userId = token ? verifyCustomerToken(token)?.sub || null : null;
+      const user = userId ? findUser(userId) : null;
+      return userHasPurchasedProduct(user, product.productCode);
     })(),
     groupBuyTiers: product.groupBuyTiers || [],
-    productOptions: product.productOptions || [],
+    productOptions: toOptionAxes(product.productOptions),
+    // SKU별 가격/이미지/재고 상태 (내부 재고 수량 레코드는 제외)
+    variants: (product.variants || []).map(variant => {
+      const { stock, ...rest } = variant;
+      return {
+        ...rest,
+        price: product.productPrice + variant.priceDelta,
+        regularPrice: product.productRegularPrice + variant.priceDelta,
+        ...inventory.describeAvailability(product, variant),
+      };
+    }),
+    ...inventory.describeAvailability(product),
     // 배송비 관련 필드 (상위 레벨 또는 policy 객체에서 가져옴)
     shippingCostType: product.shippingCostType || product.policy?.shippingCostType || 'FREE',
     shippingCost: product.shippingCost ?? product.policy?.shippingCost ?? 0,
@@ -2775,7 +3993,7 @@ app.get('/datepalm-bay/api/mvp/product/normal/detail/:code', (req, res) => {
     brand: product.brand || ''
   };
 
-  console.log('조회 성공:', product.productName);
+  logger.info('조회 성공:', product.productName);
 
   res.json({
     ok: true,
@@ -2833,15 +4051,15 @@ app.post('/datepalm-bay/api/mvp/review/create', upload.fields([
   { name: 'files', maxCount: 10 },
   { name: 'request', maxCount: 1 },
 ]), (req, res) => {
-  console.log('\n=== [Review] 리뷰 작성 ===');
+  logger.debug('[Review] 리뷰 작성');
 
   const authHeader = req.headers.authorization;
   const token = authHeader ? authHeader.replace('Bearer ', '') : null;
-  const userId = token ? extractUserIdFromToken(token) : null;
+  const userId = token ? verifyCustomerToken(token)?.sub || null : null;
   if (!userId) {
     return res.status(401).json({ ok: false, data: null, message: 'Authorization token required.' });
   }
-  const user = users.find(u => u.id === userId || u.code === userId);
+  const user = findUser(userId);
   if (!user) {
     return res.status(404).json({ ok: false, data: null, message: 'User not found.' });
   }
@@ -2868,7 +4086,7 @@ app.post('/datepalm-bay/api/mvp/review/create', upload.fields([
   if (!Number.isInteger(ratingNum) || ratingNum < 1 || ratingNum > 5) {
     return res.status(400).json({ ok: false, data: null, message: 'rating must be an integer between 1 and 5.' });
   }
-  if (!userHasPurchasedProduct(user.email, productCode)) {
+  if (!userHasPurchasedProduct(user, productCode)) {
     return res.status(403).json({ ok: false, data: null, message: 'Only customers who purchased this product can write a review.' });
   }
 
@@ -2892,9 +4110,9 @@ app.post('/datepalm-bay/api/mvp/review/create', upload.fields([
   };
 
   reviews.push(newReview);
-  saveData();
+  saveData(['reviews', newReview.reviewId]);
 
-  console.log(`✅ 리뷰 작성 완료: ${reviewId} (${productCode}, ★${ratingNum})`);
+  logger.info(`✅ 리뷰 작성 완료: ${reviewId} (${productCode}, ★${ratingNum})`);
   res.json({ ok: true, data: reviewId, message: 'Review created successfully' });
 });
 
@@ -2904,7 +4122,7 @@ app.post('/datepalm-bay/api/mvp/review/create', upload.fields([
 
 // 프론트 - 브랜드 목록 조회
 app.get('/datepalm-bay/api/mvp/product/brands', (req, res) => {
-  console.log('\n=== [프론트] 브랜드 목록 조회 ===');
+  logger.debug('[프론트] 브랜드 목록 조회');
 
   const brandSet = new Set();
   products.forEach(p => {
@@ -2914,7 +4132,7 @@ app.get('/datepalm-bay/api/mvp/product/brands', (req, res) => {
   });
 
   const brands = Array.from(brandSet).sort((a, b) => a.localeCompare(b));
-  console.log(`총 ${brands.length}개 브랜드 조회`);
+  logger.info(`총 ${brands.length}개 브랜드 조회`);
 
   res.json({
     ok: true,
@@ -2925,12 +4143,12 @@ app.get('/datepalm-bay/api/mvp/product/brands', (req, res) => {
 
 // 프론트 - 브랜드별 상품 목록 조회
 app.get('/datepalm-bay/api/mvp/product/brand/list', (req, res) => {
-  console.log('\n=== [프론트] 브랜드별 상품 목록 조회 ===');
+  logger.debug('[프론트] 브랜드별 상품 목록 조회');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
   const { sortType, brand } = req.query;
 
-  console.log('필터 조건:', { pageNo, pageSize, sortType, brand });
+  logger.info('필터 조건:', { pageNo, pageSize, sortType, brand });
 
   // 판매중인 상품만 필터링
   let filteredProducts = products.filter(p => p.productSaleStatus === true);
@@ -2971,7 +4189,7 @@ app.get('/datepalm-bay/api/mvp/product/brand/list', (req, res) => {
     brand: p.brand || ''
   }));
 
-  console.log(`총 ${filteredProducts.length}개 상품 중 ${formattedProducts.length}개 반환`);
+  logger.info(`총 ${filteredProducts.length}개 상품 중 ${formattedProducts.length}개 반환`);
 
   res.json({
     ok: true,
@@ -3012,14 +4230,14 @@ const isTeamExpired = (expiresAt) => {
 
 // Create Team
 app.post('/datepalm-bay/api/mvp/group-buy/teams', (req, res) => {
-  console.log('\n=== [Group Buy] Create Team ===');
-  console.log('Request body:', req.body);
+  logger.debug('[Group Buy] Create Team');
+  logger.debug('요청 본문:', req.body);
 
   // Handle both { data: { ... } } and direct { ... } formats
   const requestData = req.body.data || req.body;
   const { productCode, targetParticipants, quantityPerPerson, createdBy } = requestData;
 
-  console.log('Parsed data:', { productCode, targetParticipants, quantityPerPerson, createdBy });
+  logger.info('Parsed data:', { productCode, targetParticipants, quantityPerPerson, createdBy });
 
   if (!productCode || !targetParticipants || !quantityPerPerson || !createdBy) {
     return res.status(400).json({
@@ -3030,7 +4248,7 @@ app.post('/datepalm-bay/api/mvp/group-buy/teams', (req, res) => {
   }
 
   // Find product
-  const product = products.find(p => p.productCode === productCode);
+  const product = findProduct(productCode);
   if (!product) {
     return res.status(404).json({
       ok: false,
@@ -3045,7 +4263,7 @@ app.post('/datepalm-bay/api/mvp/group-buy/teams', (req, res) => {
   const expiresAt = new Date(Date.now() + 12 * 60 * 60 * 1000).toISOString(); // 12 hours from now
 
   // Find creator user info
-  const creator = users.find(u => u.id === createdBy || u.code === createdBy);
+  const creator = findUser(createdBy);
   const creatorName = creator ? creator.name : 'Team Creator';
   const creatorEmail = creator ? creator.email : 'creator@example.com';
 
@@ -3086,8 +4304,8 @@ app.post('/datepalm-bay/api/mvp/group-buy/teams', (req, res) => {
 
   // Get product image (use first main image)
   const productImage = product.files?.mainImages?.[0]?.url || `https://via.placeholder.com/120?text=${encodeURIComponent(product.productName)}`;
-  console.log('Product image URL:', productImage);
-  console.log('Product files:', JSON.stringify(product.files, null, 2));
+  logger.info('Product image URL:', productImage);
+  logger.debug('Product files:', product.files);
 
   const newTeam = {
     teamId,
@@ -3123,8 +4341,8 @@ app.post('/datepalm-bay/api/mvp/group-buy/teams', (req, res) => {
 
   groupBuyTeams.push(newTeam);
 
-  console.log(`Team created: ${teamId}, Invite Code: ${inviteCode}`);
-  saveData();
+  logger.info(`Team created: ${teamId}, Invite Code: ${inviteCode}`);
+  saveData(['groupBuyTeams', newTeam.teamId]);
 
   res.json({
     ok: true,
@@ -3135,7 +4353,7 @@ app.post('/datepalm-bay/api/mvp/group-buy/teams', (req, res) => {
 
 // Get Team Detail
 app.get('/datepalm-bay/api/mvp/group-buy/teams/:teamId', (req, res) => {
-  console.log('\n=== [Group Buy] Get Team Detail ===');
+  logger.debug('[Group Buy] Get Team Detail');
   const { teamId } = req.params;
 
   const team = groupBuyTeams.find(t => t.teamId === teamId);
@@ -3159,9 +4377,9 @@ app.get('/datepalm-bay/api/mvp/group-buy/teams/:teamId', (req, res) => {
     team.completedAt = new Date().toISOString();
   }
 
-  console.log(`Team detail retrieved: ${teamId}`);
-  console.log(`Team productImage: ${team.productImage}`);
-  console.log(`Team productName: ${team.productName}`);
+  logger.info(`Team detail retrieved: ${teamId}`);
+  logger.info(`Team productImage: ${team.productImage}`);
+  logger.info(`Team productName: ${team.productName}`);
 
   res.json({
     ok: true,
@@ -3172,7 +4390,7 @@ app.get('/datepalm-bay/api/mvp/group-buy/teams/:teamId', (req, res) => {
 
 // Get Team by Invite Code
 app.get('/datepalm-bay/api/mvp/group-buy/teams/invite/:inviteCode', (req, res) => {
-  console.log('\n=== [Group Buy] Get Team by Invite Code ===');
+  logger.debug('[Group Buy] Get Team by Invite Code');
   const { inviteCode } = req.params;
 
   const team = groupBuyTeams.find(t => t.inviteCode === inviteCode);
@@ -3196,7 +4414,7 @@ app.get('/datepalm-bay/api/mvp/group-buy/teams/invite/:inviteCode', (req, res) =
     team.completedAt = new Date().toISOString();
   }
 
-  console.log(`Team found by invite code: ${inviteCode}`);
+  logger.info(`Team found by invite code: ${inviteCode}`);
 
   res.json({
     ok: true,
@@ -3207,7 +4425,7 @@ app.get('/datepalm-bay/api/mvp/group-buy/teams/invite/:inviteCode', (req, res) =
 
 // Join Team
 app.post('/datepalm-bay/api/mvp/group-buy/teams/:teamId/join', (req, res) => {
-  console.log('\n=== [Group Buy] Join Team ===');
+  logger.debug('[Group Buy] Join Team');
   const { teamId } = req.params;
   const { userId, userName, userEmail, quantity } = req.body;
 
@@ -3277,8 +4495,8 @@ app.post('/datepalm-bay/api/mvp/group-buy/teams/:teamId/join', (req, res) => {
     team.completedAt = new Date().toISOString();
   }
 
-  console.log(`User ${userId} joined team ${teamId}`);
-  saveData();
+  logger.info(`User ${userId} joined team ${teamId}`);
+  saveData(['groupBuyTeams', team.teamId]);
 
   res.json({
     ok: true,
@@ -3289,7 +4507,7 @@ app.post('/datepalm-bay/api/mvp/group-buy/teams/:teamId/join', (req, res) => {
 
 // Get User's Teams
 app.get('/datepalm-bay/api/mvp/group-buy/teams/user/:userId', (req, res) => {
-  console.log('\n=== [Group Buy] Get User Teams ===');
+  logger.debug('[Group Buy] Get User Teams');
   const { userId } = req.params;
 
   const userTeams = groupBuyTeams.filter(team =>
@@ -3307,7 +4525,7 @@ app.get('/datepalm-bay/api/mvp/group-buy/teams/user/:userId', (req, res) => {
     }
   });
 
-  console.log(`Found ${userTeams.length} teams for user ${userId}`);
+  logger.info(`Found ${userTeams.length} teams for user ${userId}`);
 
   res.json({
     ok: true,
@@ -3318,7 +4536,7 @@ app.get('/datepalm-bay/api/mvp/group-buy/teams/user/:userId', (req, res) => {
 
 // Checkout Team Purchase
 app.post('/datepalm-bay/api/mvp/group-buy/teams/:teamId/checkout', (req, res) => {
-  console.log('\n=== [Group Buy] Checkout Team ===');
+  logger.debug('[Group Buy] Checkout Team');
   const { teamId } = req.params;
   const orderData = req.body;
 
@@ -3344,8 +4562,8 @@ app.post('/datepalm-bay/api/mvp/group-buy/teams/:teamId/checkout', (req, res) =>
   const orderCode = `ORD-GB-${Date.now()}`;
   const paymentCode = `PAY-GB-${Date.now()}`;
 
-  console.log(`Creating GROUP_BUY order: ${orderCode} for team ${teamId}`);
-  saveData();
+  logger.info(`Creating GROUP_BUY order: ${orderCode} for team ${teamId}`);
+  saveData(['groupBuyTeams', team.teamId]);
 
   res.json({
     ok: true,
@@ -3360,7 +4578,7 @@ app.post('/datepalm-bay/api/mvp/group-buy/teams/:teamId/checkout', (req, res) =>
 
 // Close Team (by team creator)
 app.post('/datepalm-bay/api/mvp/group-buy/teams/:teamId/close', (req, res) => {
-  console.log('\n=== [Group Buy] Close Team ===');
+  logger.debug('[Group Buy] Close Team');
   const { teamId } = req.params;
   const { userId } = req.body;
 
@@ -3396,7 +4614,7 @@ app.post('/datepalm-bay/api/mvp/group-buy/teams/:teamId/close', (req, res) => {
   team.status = 'CLOSED';
   team.closedAt = new Date().toISOString();
 
-  console.log(`Team ${teamId} closed by ${userId}`);
+  logger.info(`Team ${teamId} closed by ${userId}`);
 
   res.json({
     ok: true,
@@ -3410,15 +4628,14 @@ app.post('/datepalm-bay/api/mvp/group-buy/teams/:teamId/close', (req, res) => {
 // ======================================
 
 // Login
-app.post('/datepalm-bay/mvp/login', (req, res) => {
-  console.log('\n=== [Auth] Login Request ===');
-  console.log('Request body:', req.body);
-  console.log('Content-Type:', req.headers['content-type']);
+app.post('/datepalm-bay/mvp/login', rateLimiter.middleware('customerLogin', rateLimitKeys.bodyId), (req, res) => {
+  logger.debug('[Auth] Login Request');
+  logger.debug('요청 본문:', req.body);
 
   const { id, password } = req.body;
 
   if (!id || !password) {
-    console.log('Missing credentials - ID:', id, 'Password:', password ? '****' : 'undefined');
+    logger.info('Missing credentials', { id, hasPassword: Boolean(password) });
     return res.status(400).json({
       ok: false,
       data: null,
@@ -3426,11 +4643,11 @@ app.post('/datepalm-bay/mvp/login', (req, res) => {
     });
   }
 
-  // Find user by id or email
-  const user = users.find(u => (u.id === id || u.email === id) && u.password === password);
+  // Find user by id or email (같은 값이 여러 계정에 걸리면 비밀번호가 맞는 첫 계정)
+  const user = users.find(u => (u.id === id || u.email === id) && u.password && checkAccountPassword(u, password, ['users', u.code]));
 
   if (!user) {
-    console.log(`Login failed: Invalid credentials for ID ${id}`);
+    logger.info(`Login failed: Invalid credentials for ID ${id}`);
     return res.status(401).json({
       ok: false,
       data: null,
@@ -3438,8 +4655,13 @@ app.post('/datepalm-bay/mvp/login', (req, res) => {
     });
   }
 
+  if (user.status === 'WITHDRAWN') {
+    logger.info(`Login failed: User ${id} is withdrawn`);
+    return res.status(403).json({ ok: false, data: describeWithdrawal(user), message: 'This account has been withdrawn' });
+  }
+
   if (user.status !== 'ACTIVE') {
-    console.log(`Login failed: User ${id} is not active`);
+    logger.info(`Login failed: User ${id} is not active`);
     return res.status(403).json({
       ok: false,
       data: null,
@@ -3447,14 +4669,14 @@ app.post('/datepalm-bay/mvp/login', (req, res) => {
     });
   }
 
-  // Generate mock access token
-  const accessToken = `mock-token-${user.id}-${Date.now()}`;
+  // 기기 세션(리프레시 토큰) + 서명된 액세스 토큰 발급 (sub = 회원 code)
+  const tokens = issueCustomerSession(req, user);
 
-  console.log(`Login successful: ${user.name} (${user.id})`);
+  logger.info('Login successful', { userId: user.id, customerName: user.name });
 
   // Return data directly (not wrapped) - frontend saga expects this format
   res.json({
-    accessToken,
+    ...tokens,
     id: user.id,
     code: user.code,
     name: user.name,
@@ -3466,9 +4688,99 @@ app.post('/datepalm-bay/mvp/login', (req, res) => {
   });
 });
 
+// ======================================
+// 고객 토큰 갱신 / 로그인 기기 관리
+// 리프레시 토큰은 쓸 때마다 교체 — 이미 교체된 토큰이 다시 오면 탈취로 보고 그 기기를 로그아웃
+// ======================================
+app.post('/datepalm-bay/mvp/token/refresh', (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ ok: false, data: null, message: 'refreshToken is required' });
+  }
+
+  const rotated = sessionStore.rotate('customer', refreshToken);
+  if (!rotated) {
+    return res.status(401).json({ ok: false, data: null, message: 'Invalid or expired refresh token' });
+  }
+  if (rotated.reused) {
+    logger.info(`🚨 리프레시 토큰 재사용 감지 — 기기 세션 종료: ${rotated.session.subjectId} (${rotated.session.deviceId})`);
+    return res.status(401).json({ ok: false, data: null, message: 'Refresh token has already been used. Please log in again.' });
+  }
+
+  const { token, session } = rotated;
+  const user = findUserByCode(session.subjectId);
+  if (!user || !['ACTIVE', 'PENDING_PROFILE'].includes(user.status)) {
+    sessionStore.revokeDevice('customer', session.deviceId);
+    return res.status(401).json({ ok: false, data: null, message: 'Account is not active' });
+  }
+
+  res.json({
+    ok: true,
+    data: { ...issueCustomerAccessToken(user, session.deviceId), refreshToken: token },
+    message: 'Token refreshed',
+  });
+});
+
+// 액세스 토큰 → claims (없거나 폐기된 기기면 401 응답 후 null)
+function requireCustomerAuth(req, res) {
+  const token = getBearerToken(req);
+  const claims = token ? verifyCustomerToken(token) : null;
+  if (!claims) {
+    res.status(401).json({ ok: false, data: null, message: token ? 'Session expired' : 'Authorization token required' });
+    return null;
+  }
+  return claims;
+}
+
+// 로그인한 기기 목록 (최근 사용순)
+app.get('/datepalm-bay/api/mvp/member/devices', (req, res) => {
+  const claims = requireCustomerAuth(req, res);
+  if (!claims) return;
+
+  const devices = sessionStore.list({ kind: 'customer', subjectId: claims.sub }).map(s => ({
+    deviceId: s.deviceId,
+    createdAt: s.createdAt,
+    lastSeenAt: s.lastSeenAt,
+    expiresAt: s.expiresAt,
+    ip: s.ip,
+    userAgent: s.userAgent,
+    current: s.deviceId === claims.sid,
+  }));
+  res.json({ ok: true, data: devices, message: 'Devices retrieved' });
+});
+
+// 기기 하나 로그아웃
+app.delete('/datepalm-bay/api/mvp/member/devices/:deviceId', (req, res) => {
+  const claims = requireCustomerAuth(req, res);
+  if (!claims) return;
+
+  const device = sessionStore.findDevice('customer', req.params.deviceId);
+  if (!device || device.subjectId !== claims.sub) {
+    return res.status(404).json({ ok: false, data: null, message: 'Device not found' });
+  }
+  sessionStore.revokeDevice('customer', device.deviceId);
+  res.json({ ok: true, data: null, message: 'Device logged out' });
+});
+
+// 현재 기기 로그아웃
+app.post('/datepalm-bay/api/mvp/member/logout', (req, res) => {
+  const claims = requireCustomerAuth(req, res);
+  if (!claims) return;
+  sessionStore.revokeDevice('customer', claims.sid);
+  res.json({ ok: true, data: null, message: 'Logged out' });
+});
+
+// 모든 기기에서 로그아웃
+app.post('/datepalm-bay/api/mvp/member/logout-all', (req, res) => {
+  const claims = requireCustomerAuth(req, res);
+  if (!claims) return;
+  const revoked = sessionStore.revokeAll('customer', claims.sub);
+  res.json({ ok: true, data: { revoked }, message: 'All devices logged out' });
+});
+
 // Get User Profile (Me)
 app.get('/datepalm-bay/api/mvp/member/detail/me', (req, res) => {
-  console.log('\n=== [Auth] Get User Profile ===');
+  logger.debug('[Auth] Get User Profile');
 
   // Mock authentication - in real app, would verify token from header
   const authHeader = req.headers.authorization;
@@ -3482,7 +4794,7 @@ app.get('/datepalm-bay/api/mvp/member/detail/me', (req, res) => {
   }
 
   const token = authHeader.replace('Bearer ', '');
-  const userId = extractUserIdFromToken(token);
+  const userId = verifyCustomerToken(token)?.sub || null;
 
   if (!userId) {
     return res.status(401).json({
@@ -3492,7 +4804,7 @@ app.get('/datepalm-bay/api/mvp/member/detail/me', (req, res) => {
     });
   }
 
-  const user = users.find(u => u.id === userId || u.code === userId);
+  const user = findUser(userId);
 
   if (!user) {
     return res.status(404).json({
@@ -3502,7 +4814,7 @@ app.get('/datepalm-bay/api/mvp/member/detail/me', (req, res) => {
     });
   }
 
-  console.log(`Profile retrieved: ${user.name} (${user.id})`);
+  logger.info('Profile retrieved', { userId: user.id, customerName: user.name });
 
   res.json({
     ok: true,
@@ -3529,7 +4841,7 @@ app.get('/datepalm-bay/api/mvp/member/detail/me', (req, res) => {
 
 // 기본 배송지 저장/조회/삭제 — 로그인 계정에 귀속되어 기기와 무관하게 재사용 가능
 app.put('/datepalm-bay/api/mvp/member/default-address', (req, res) => {
-  console.log('\n=== [Member] Save Default Shipping Address ===');
+  logger.debug('[Member] Save Default Shipping Address');
 
   const authHeader = req.headers.authorization;
   if (!authHeader) {
@@ -3537,12 +4849,12 @@ app.put('/datepalm-bay/api/mvp/member/default-address', (req, res) => {
   }
 
   const token = authHeader.replace('Bearer ', '');
-  const userId = extractUserIdFromToken(token);
+  const userId = verifyCustomerToken(token)?.sub || null;
   if (!userId) {
     return res.status(401).json({ ok: false, data: null, message: 'Session expired' });
   }
 
-  const user = users.find(u => u.id === userId || u.code === userId);
+  const user = findUser(userId);
   if (!user) {
     return res.status(404).json({ ok: false, data: null, message: 'User not found' });
   }
@@ -3567,14 +4879,14 @@ app.put('/datepalm-bay/api/mvp/member/default-address', (req, res) => {
     destinationCountry: destinationCountry || '',
     deliveryMemo: deliveryMemo || '',
   };
-  saveData();
+  saveData(['users', user.code]);
 
-  console.log(`✅ Default shipping address saved for ${user.id}`);
+  logger.info(`✅ Default shipping address saved for ${user.id}`);
   res.json({ ok: true, data: user.defaultShippingAddress, message: 'Default shipping address saved' });
 });
 
 app.delete('/datepalm-bay/api/mvp/member/default-address', (req, res) => {
-  console.log('\n=== [Member] Remove Default Shipping Address ===');
+  logger.debug('[Member] Remove Default Shipping Address');
 
   const authHeader = req.headers.authorization;
   if (!authHeader) {
@@ -3582,26 +4894,26 @@ app.delete('/datepalm-bay/api/mvp/member/default-address', (req, res) => {
   }
 
   const token = authHeader.replace('Bearer ', '');
-  const userId = extractUserIdFromToken(token);
+  const userId = verifyCustomerToken(token)?.sub || null;
   if (!userId) {
     return res.status(401).json({ ok: false, data: null, message: 'Session expired' });
   }
 
-  const user = users.find(u => u.id === userId || u.code === userId);
+  const user = findUser(userId);
   if (!user) {
     return res.status(404).json({ ok: false, data: null, message: 'User not found' });
   }
 
   delete user.defaultShippingAddress;
-  saveData();
+  saveData(['users', user.code]);
 
-  console.log(`✅ Default shipping address removed for ${user.id}`);
+  logger.info(`✅ Default shipping address removed for ${user.id}`);
   res.json({ ok: true, data: null, message: 'Default shipping address removed' });
 });
 
 // 민감 작업(결제, 내 정보 수정) 진입 전 비밀번호 재확인
-app.post('/datepalm-bay/api/mvp/member/verify-password', (req, res) => {
-  console.log('\n=== [Auth] Verify Password (re-auth) ===');
+app.post('/datepalm-bay/api/mvp/member/verify-password', rateLimiter.middleware('verifyPassword', rateLimitKeys.customer), (req, res) => {
+  logger.debug('[Auth] Verify Password (re-auth)');
 
   const authHeader = req.headers.authorization;
   if (!authHeader) {
@@ -3609,12 +4921,12 @@ app.post('/datepalm-bay/api/mvp/member/verify-password', (req, res) => {
   }
 
   const token = authHeader.replace('Bearer ', '');
-  const userId = extractUserIdFromToken(token);
+  const userId = verifyCustomerToken(token)?.sub || null;
   if (!userId) {
     return res.status(401).json({ ok: false, data: null, message: 'Session expired' });
   }
 
-  const user = users.find(u => u.id === userId || u.code === userId);
+  const user = findUser(userId);
   if (!user) {
     return res.status(404).json({ ok: false, data: null, message: 'User not found' });
   }
@@ -3629,7 +4941,7 @@ app.post('/datepalm-bay/api/mvp/member/verify-password', (req, res) => {
     return res.status(400).json({ ok: false, data: null, message: 'Password is required' });
   }
 
-  if (user.password !== password) {
+  if (!checkAccountPassword(user, password, ['users', user.code])) {
     return res.status(403).json({ ok: false, data: null, message: 'Incorrect password' });
   }
 
@@ -3637,43 +4949,17 @@ app.post('/datepalm-bay/api/mvp/member/verify-password', (req, res) => {
 });
 
 // ======================================
-// Google Mock Login
+// SMS Verification (Twilio Verify API)
 // ======================================
-app.post('/datepalm-bay/mvp/google-login', (req, res) => {
-  console.log('\n=== [Auth] Google Mock Login ===');
+const smsVerifications = {};
 
-  // Return first test user as the Google-authenticated user
-  const user = users[0];
-  const accessToken = `mock-google-token-${user.id}-${Date.now()}`;
+app.post('/datepalm-bay/api/mvp/member/sms/send', rateLimiter.middleware('smsSend', rateLimitKeys.phone), async (req, res) => {
+  logger.debug('[SMS] Send Verification Code');
+  const { phone, countryCode } = req.body;
 
-  console.log(`Google login successful (mock): ${user.name} (${user.email})`);
-
-  // Return data directly (same format as regular login)
-  res.json({
-    accessToken,
-    id: user.id,
-    code: user.code,
-    name: user.name,
-    email: user.email,
-    phone: user.phone,
-    birthDate: user.birthDate || '1990-01-01',
-    country: user.country || 'UNITED_ARAB_EMIRATES',
-    status: user.status,
-  });
-});
-
-// ======================================
-// SMS Verification (Twilio Verify API)
-// ======================================
-const smsVerifications = {};
-
-app.post('/datepalm-bay/api/mvp/member/sms/send', async (req, res) => {
-  console.log('\n=== [SMS] Send Verification Code ===');
-  const { phone, countryCode } = req.body;
-
-  if (!phone) {
-    return res.json({ ok: false, data: null, message: 'Phone number is required' });
-  }
+  if (!phone) {
+    return res.json({ ok: false, data: null, message: 'Phone number is required' });
+  }
 
   // E.164 형식: 국가코드 + 번호 (앞자리 0 제거)
   const cleanPhone = phone.replace(/^0+/, '');
@@ -3686,25 +4972,25 @@ app.post('/datepalm-bay/api/mvp/member/sms/send', async (req, res) => {
       await twilioClient.verify.v2
         .services(TWILIO_VERIFY_SID)
         .verifications.create({ to: fullPhone, channel: 'sms' });
-      console.log(`✅ Twilio Verify sent to ${fullPhone}`);
+      logger.info('✅ Twilio Verify sent', { phone: fullPhone });
       // requestId → phone 매핑 저장 (verify 시 phone 필요)
       smsVerifications[requestId] = { phone: fullPhone, createdAt: Date.now() };
     } catch (err) {
-      console.error(`❌ Twilio Verify failed:`, err.message);
+      logger.error(`❌ Twilio Verify failed:`, err.message);
       return res.json({ ok: false, data: null, message: 'Failed to send SMS. Please try again.' });
     }
   } else {
     // Twilio 미설정 시 폴백 (개발용)
     const code = String(Math.floor(100000 + Math.random() * 900000));
     smsVerifications[requestId] = { code, phone: fullPhone, createdAt: Date.now() };
-    console.log(`⚠️  Twilio not configured - fallback code: ${code}`);
+    logger.info(`⚠️  Twilio not configured - fallback code: ${code}`);
   }
 
   res.json({ ok: true, data: requestId, message: 'SMS verification code sent' });
 });
 
-app.post('/datepalm-bay/api/mvp/member/sms/verify', async (req, res) => {
-  console.log('\n=== [SMS] Verify Code ===');
+app.post('/datepalm-bay/api/mvp/member/sms/verify', rateLimiter.middleware('otpVerify', rateLimitKeys.requestId), async (req, res) => {
+  logger.debug('[SMS] Verify Code');
   const { requestId, code } = req.body;
 
   const verification = smsVerifications[requestId];
@@ -3722,14 +5008,14 @@ app.post('/datepalm-bay/api/mvp/member/sms/verify', async (req, res) => {
 
       if (check.status === 'approved') {
         delete smsVerifications[requestId];
-        console.log('✅ Twilio Verify approved');
+        logger.info('✅ Twilio Verify approved');
         return res.json({ ok: true, data: 'verified', message: 'Phone verified successfully' });
       } else {
-        console.log(`❌ Twilio Verify rejected: ${check.status}`);
+        logger.info(`❌ Twilio Verify rejected: ${check.status}`);
         return res.json({ ok: false, data: null, message: 'Code does not match' });
       }
     } catch (err) {
-      console.error(`❌ Twilio Verify check failed:`, err.message);
+      logger.error(`❌ Twilio Verify check failed:`, err.message);
       return res.json({ ok: false, data: null, message: 'Verification failed. Please try again.' });
     }
   } else {
@@ -3742,7 +5028,7 @@ app.post('/datepalm-bay/api/mvp/member/sms/verify', async (req, res) => {
       return res.json({ ok: false, data: null, message: 'Code does not match' });
     }
     delete smsVerifications[requestId];
-    console.log('✅ SMS verification successful (fallback)');
+    logger.info('✅ SMS verification successful (fallback)');
     return res.json({ ok: true, data: 'verified', message: 'Phone verified successfully' });
   }
 });
@@ -3752,15 +5038,15 @@ app.post('/datepalm-bay/api/mvp/member/sms/verify', async (req, res) => {
 // ======================================
 const emailVerifications = {};
 
-app.post('/datepalm-bay/api/mvp/member/email/verify/send', async (req, res) => {
-  console.log('\n=== [Email] Send Verification Code ===');
+app.post('/datepalm-bay/api/mvp/member/email/verify/send', rateLimiter.middleware('emailSend', rateLimitKeys.email), async (req, res) => {
+  logger.debug('[Email] Send Verification Code');
   const { email } = req.body;
 
   if (!email) {
     return res.json({ ok: false, data: null, message: 'Email is required' });
   }
 
-  const existingUser = users.find(u => u.email === email);
+  const existingUser = findUserByEmail(email);
   if (existingUser) {
     return res.json({ ok: false, data: null, message: 'This email is already in use.' });
   }
@@ -3773,23 +5059,23 @@ app.post('/datepalm-bay/api/mvp/member/email/verify/send', async (req, res) => {
       await twilioClient.verify.v2
         .services(TWILIO_VERIFY_SID)
         .verifications.create({ to: email, channel: 'email' });
-      console.log(`📧 Twilio Verify email sent to ${email}`);
+      logger.info('📧 Twilio Verify email sent', { email });
     } catch (err) {
-      console.error('Twilio Verify email error:', err.message);
+      logger.error('Twilio Verify email error:', err.message);
       return res.json({ ok: false, data: null, message: 'Failed to send verification email.' });
     }
   } else {
     const code = String(Math.floor(100000 + Math.random() * 900000));
     emailVerifications[requestId].code = code;
-    console.log(`📧 [DEV] Email OTP for ${email}: ${code}`);
+    logger.info(`📧 [DEV] Email OTP: ${code}`, { email });
   }
-  console.log(`   Request ID: ${requestId}`);
+  logger.debug(`Request ID: ${requestId}`);
 
   res.json({ ok: true, data: requestId, message: 'Email verification code sent' });
 });
 
-app.patch('/datepalm-bay/api/mvp/member/verify/auth-email', async (req, res) => {
-  console.log('\n=== [Email] Verify OTP Code ===');
+app.patch('/datepalm-bay/api/mvp/member/verify/auth-email', rateLimiter.middleware('otpVerify', rateLimitKeys.requestId), async (req, res) => {
+  logger.debug('[Email] Verify OTP Code');
   const { requestId, code } = req.body;
 
   const verification = emailVerifications[requestId];
@@ -3806,14 +5092,14 @@ app.patch('/datepalm-bay/api/mvp/member/verify/auth-email', async (req, res) =>
 
       if (check.status === 'approved') {
         delete emailVerifications[requestId];
-        console.log('✅ Email verification successful (Twilio Verify)');
+        logger.info('✅ Email verification successful (Twilio Verify)');
         return res.json({ ok: true, data: 'verified', message: 'Email verified successfully' });
       } else {
-        console.log(`❌ Email verification failed: status=${check.status}`);
+        logger.info(`❌ Email verification failed: status=${check.status}`);
         return res.json({ ok: false, data: null, message: 'Code does not match' });
       }
     } catch (err) {
-      console.error('Twilio Verify check error:', err.message);
+      logger.error('Twilio Verify check error:', err.message);
       return res.json({ ok: false, data: null, message: 'Verification failed' });
     }
   } else {
@@ -3823,11 +5109,11 @@ app.patch('/datepalm-bay/api/mvp/member/verify/auth-email', async (req, res) =>
       return res.json({ ok: false, data: null, message: 'Code expired' });
     }
     if (verification.code !== code) {
-      console.log(`❌ Email code mismatch: expected ${verification.code}, got ${code}`);
+      logger.info(`❌ Email code mismatch: expected ${verification.code}, got ${code}`);
       return res.json({ ok: false, data: null, message: 'Code does not match' });
     }
     delete emailVerifications[requestId];
-    console.log('✅ Email verification successful (DEV)');
+    logger.info('✅ Email verification successful (DEV)');
     return res.json({ ok: true, data: 'verified', message: 'Email verified successfully' });
   }
 });
@@ -3836,19 +5122,19 @@ app.patch('/datepalm-bay/api/mvp/member/verify/auth-email', async (req, res) =>
 // Check Duplicate ID / Email
 // ======================================
 app.post('/datepalm-bay/api/mvp/member/check-id', (req, res) => {
-  console.log('\n=== [Member] Check Duplicate ID ===');
+  logger.debug('[Member] Check Duplicate ID');
   const { id } = req.body;
   const isDuplicate = users.some(u => u.id === id);
-  console.log(`ID "${id}" duplicate: ${isDuplicate}`);
+  logger.info(`ID "${id}" duplicate: ${isDuplicate}`);
   res.json({ ok: true, data: isDuplicate });
 });
 
 app.post('/datepalm-bay/api/mvp/member/check-email', (req, res) => {
-  console.log('\n=== [Member] Check Duplicate Email ===');
+  logger.debug('[Member] Check Duplicate Email');
   const email = req.body?.email || req.body;
   // Google OAuth 유저(password 없음)는 이메일 가입 중복에서 제외
   const isDuplicate = users.some(u => u.email === email && u.password);
-  console.log(`Email "${email}" duplicate: ${isDuplicate}`);
+  logger.info(`Email duplicate: ${isDuplicate}`, { email });
   res.json({ ok: true, data: isDuplicate });
 });
 
@@ -3873,6 +5159,7 @@ function ensureReferralCoupon() {
     status: 'ACTIVE',
     usageCount: 0,
     usageLimit: null,
+    version: 1,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     couponType: 'GENERAL',
@@ -3902,7 +5189,7 @@ function grantCoupon(userCode, couponCode) {
 function grantReferralRewardIfEligible(purchasingUser) {
   if (!purchasingUser.referredBy || purchasingUser.referralRewarded) return;
 
-  const referrer = users.find(u => u.code === purchasingUser.referredBy);
+  const referrer = findUserByCode(purchasingUser.referredBy);
   if (!referrer) return;
 
   ensureReferralCoupon();
@@ -3910,7 +5197,7 @@ function grantReferralRewardIfEligible(purchasingUser) {
   grantCoupon(referrer.code, REFERRAL_COUPON_CODE);
   purchasingUser.referralRewarded = true;
 
-  console.log(`🤝 추천 리워드 지급: ${referrer.code} ↔ ${purchasingUser.code}`);
+  logger.info(`🤝 추천 리워드 지급: ${referrer.code} ↔ ${purchasingUser.code}`);
 }
 
 function autoIssueWelcomeCoupons(user) {
@@ -3934,12 +5221,12 @@ function autoIssueWelcomeCoupons(user) {
       usedAt: null,
       usedOrderCode: null,
     });
-    console.log(`🎁 Welcome coupon auto-issued: ${coupon.code} -> ${user.code}`);
+    logger.info(`🎁 Welcome coupon auto-issued: ${coupon.code} -> ${user.code}`);
   });
 }
 
-app.post('/datepalm-bay/api/mvp/member/create', (req, res) => {
-  console.log('\n=== [Member] Create New Member ===');
+app.post('/datepalm-bay/api/mvp/member/create', rateLimiter.middleware('signup', rateLimitKeys.email), (req, res) => {
+  logger.debug('[Member] Create New Member');
   const { id, password, name, email, phone, birthdate, country, referralCode } = req.body;
 
   if (!id || !password || !name || !email) {
@@ -3947,18 +5234,18 @@ app.post('/datepalm-bay/api/mvp/member/create', (req, res) => {
   }
 
   // 추천인 코드는 추천인의 회원 code 값 그대로 사용 — 잘못된 코드는 조용히 무시(가입 자체는 막지 않음)
-  const referrer = referralCode ? users.find(u => u.code === referralCode) : null;
+  const referrer = referralCode ? findUserByCode(referralCode) : null;
 
   // Google OAuth 유저가 이메일로 재가입하는 경우 → 기존 유저 업데이트
   const existingGoogleUser = users.find(u => u.email === email && !u.password);
   if (existingGoogleUser) {
-    Object.assign(existingGoogleUser, { id, password, name, phone: phone || '', birthDate: birthdate || '', country: country || 'UNITED_STATES' });
+    Object.assign(existingGoogleUser, { id, password: hashPassword(password), name, phone: phone || '', birthDate: birthdate || '', country: country || 'UNITED_STATES' });
     // members에도 추가 (없으면)
     if (!members.find(m => m.code === existingGoogleUser.code)) {
       members.push({ code: existingGoogleUser.code, name, phone: phone || '', email, status: 'ACTIVE', createAt: existingGoogleUser.createAt, birthDate: birthdate || '', country: country || 'UNITED_STATES' });
     }
-    console.log(`✅ Google user upgraded to email account: ${name} (${email})`);
-    saveData();
+    logger.info('✅ Google user upgraded to email account', { customerName: name, email });
+    saveData(['users', existingGoogleUser.code], ['members', existingGoogleUser.code]);
     return res.json({ ok: true, data: { id: existingGoogleUser.id, code: existingGoogleUser.code, name, email, phone: phone || '', birthDate: birthdate || '', country: country || 'UNITED_STATES', status: 'ACTIVE', createDatetime: existingGoogleUser.createAt }, message: 'Member created successfully' });
   }
 
@@ -3969,7 +5256,7 @@ app.post('/datepalm-bay/api/mvp/member/create', (req, res) => {
 
   const newUser = {
     id,
-    password,
+    password: hashPassword(password),
     code: `USER-${String(users.length + 1).padStart(3, '0')}`,
     name,
     phone: phone || '',
@@ -4004,8 +5291,8 @@ app.post('/datepalm-bay/api/mvp/member/create', (req, res) => {
   members.push(newMember);
   autoIssueWelcomeCoupons(newUser);
 
-  console.log(`✅ New member created: ${name} (${email})`);
-  saveData();
+  logger.info('✅ New member created', { customerName: name, email });
+  saveData(['users', newUser.code], ['members', newMember.code], 'userCoupons');
 
   res.json({
     ok: true,
@@ -4027,11 +5314,11 @@ app.post('/datepalm-bay/api/mvp/member/create', (req, res) => {
 // ======================================
 // Forgot Account - Send Auth Mail
 // ======================================
-app.put('/datepalm-bay/api/mvp/member/send-auth-mail', async (req, res) => {
-  console.log('\n=== [Auth] Send Auth Mail ===');
+app.put('/datepalm-bay/api/mvp/member/send-auth-mail', rateLimiter.middleware('emailSend', rateLimitKeys.email), async (req, res) => {
+  logger.debug('[Auth] Send Auth Mail');
   const { email, type } = req.body;
 
-  const user = users.find(u => u.email === email);
+  const user = findUserByEmail(email);
   if (!user) {
     return res.json({ ok: false, data: null, message: 'No user found with this email.' });
   }
@@ -4044,70 +5331,359 @@ app.put('/datepalm-bay/api/mvp/member/send-auth-mail', async (req, res) => {
       await twilioClient.verify.v2
         .services(TWILIO_VERIFY_SID)
         .verifications.create({ to: email, channel: 'email' });
-      console.log(`📧 Twilio Verify email sent to ${email} (${type})`);
+      logger.info(`📧 Twilio Verify email sent (${type})`, { email });
     } catch (err) {
-      console.error('Twilio Verify email error:', err.message);
+      logger.error('Twilio Verify email error:', err.message);
       return res.json({ ok: false, data: null, message: 'Failed to send verification email.' });
     }
   } else {
     const code = String(Math.floor(100000 + Math.random() * 900000));
     emailVerifications[requestId].code = code;
-    console.log(`📧 [DEV] Auth mail OTP for ${email} (${type}): ${code}`);
+    logger.info(`📧 [DEV] Auth mail OTP (${type}): ${code}`, { email });
   }
-  console.log(`   Request ID: ${requestId}`);
+  logger.debug(`Request ID: ${requestId}`);
 
   res.json({ ok: true, data: requestId, message: 'Auth mail sent' });
 });
 
 // ======================================
-// Reset Password
+// Change Password (로그인한 회원 본인)
+// 액세스 토큰의 회원만 — 현재 비밀번호 또는 본인 이메일로 받은 재설정 코드(requestId + code, 1회용) 확인 후 변경
 // ======================================
-app.patch('/datepalm-bay/api/mvp/member/edit/change-password', (req, res) => {
-  console.log('\n=== [Auth] Change Password ===');
-  const { requestId, email, newPassword } = req.body;
+app.patch('/datepalm-bay/api/mvp/member/edit/change-password', rateLimiter.middleware('verifyPassword', rateLimitKeys.customer), async (req, res) => {
+  logger.debug('[Auth] Change Password');
+  const claims = requireCustomerAuth(req, res);
+  if (!claims) return;
+  const { currentPassword, requestId, code, newPassword } = req.body;
+
+  if (!newPassword) {
+    return res.json({ ok: false, data: null, message: 'New password is required' });
+  }
+  if (!currentPassword && !(requestId && code)) {
+    return res.status(400).json({ ok: false, data: null, message: 'currentPassword or requestId and code are required' });
+  }
 
-  const user = users.find(u => u.email === email);
+  const user = findUserByCode(claims.sub);
   if (!user) {
-    return res.json({ ok: false, data: null, message: 'User not found' });
+    return res.status(404).json({ ok: false, data: null, message: 'User not found' });
+  }
+  if (!user.password) {
+    return res.json({ ok: false, data: { reason: 'GOOGLE_ACCOUNT' }, message: GOOGLE_ACCOUNT_RESET_MESSAGE });
+  }
+
+  if (currentPassword) {
+    if (!checkAccountPassword(user, currentPassword, ['users', user.code])) {
+      return res.status(401).json({ ok: false, data: null, message: 'Current password is incorrect' });
+    }
+  } else {
+    // 다른 회원의 재설정 요청은 소비하지 않고 거절
+    const pending = passwordResets[requestId];
+    if (pending && pending.userCode && pending.userCode !== user.code) {
+      return res.json({ ok: false, data: null, message: 'Invalid or already used reset request' });
+    }
+    const verified = await consumePasswordReset(requestId, code);
+    if (verified.error) return res.json(verified.error);
   }
 
-  user.password = newPassword;
-  saveData();
-  console.log(`✅ Password changed for ${email}`);
+  // 비밀번호 확인이 끝난 뒤에만 변경 + 다른 기기 로그아웃 (지금 기기는 유지)
+  user.password = hashPassword(newPassword);
+  saveData(['users', user.code]);
+  const revoked = sessionStore.revokeAll('customer', user.code, { exceptDeviceId: claims.sid });
+  logger.info(`✅ Password changed for ${user.code} (다른 기기 세션 ${revoked}개 종료)`);
 
   res.json({ ok: true, data: 'success', message: 'Password changed successfully' });
 });
 
 // ======================================
-// Member Withdraw (회원 탈퇴)
+// Forgot Password - 비밀번호 재설정 (이메일 가입 회원)
+// 재설정 코드는 1회용 + 만료 — 확인 성공/만료 시 즉시 폐기, 코드 대입은 otpVerify 규칙(requestId당 5회)으로 제한
+// 요청 응답은 가입 여부와 관계없이 같음 (계정 존재 여부 노출 방지) — 없는 이메일은 메일 없이 빈 요청만 저장
+// Google 가입 회원도 메일 없이 회원 요청만 저장 → 확인(confirm) 단계에서 GOOGLE_ACCOUNT 안내
 // ======================================
-app.delete('/datepalm-bay/api/mvp/member/withdraw', (req, res) => {
-  console.log('\n=== [Member] Withdraw Account ===');
+const PASSWORD_RESET_TTL_MS = (parseFloat(process.env.PASSWORD_RESET_TTL_MINUTES) || 15) * MINUTE_MS;
+const passwordResets = {};
+const GOOGLE_ACCOUNT_RESET_MESSAGE = 'This account signs in with Google and has no password to reset. Please continue with Google sign-in.';
+
+function purgeExpiredPasswordResets(now = Date.now()) {
+  for (const [requestId, reset] of Object.entries(passwordResets)) {
+    if (reset.expiresAt <= now) delete passwordResets[requestId];
+  }
+}
+
+/**
+ * 재설정 코드 확인 후 요청 폐기 (1회용)
+ * @returns {Promise<{ user: Object } | { error: Object }>} error 는 그대로 응답 본문
+ */
+async function consumePasswordReset(requestId, code) {
+  const invalid = { ok: false, data: null, message: 'Invalid or already used reset request' };
+  const mismatch = { ok: false, data: null, message: 'Code does not match' };
+  const reset = passwordResets[requestId];
+  if (!reset) return { error: invalid };
+  if (reset.expiresAt <= Date.now()) {
+    delete passwordResets[requestId];
+    return { error: { ok: false, data: null, message: 'Code expired' } };
+  }
+  // 없는 이메일의 빈 요청 — 어떤 코드도 맞지 않음
+  if (!reset.userCode) return { error: mismatch };
+
+  const user = findUserByCode(reset.userCode);
+  if (!user) {
+    delete passwordResets[requestId];
+    return { error: { ok: false, data: null, message: 'User not found' } };
+  }
+  // Google 가입 회원 (요청 후 Google 전환 포함) — 코드와 관계없이 Google 로그인 안내
+  if (!user.password) {
+    delete passwordResets[requestId];
+    return { error: { ok: false, data: { reason: 'GOOGLE_ACCOUNT' }, message: GOOGLE_ACCOUNT_RESET_MESSAGE } };
+  }
+
+  if (twilioClient && TWILIO_VERIFY_SID) {
+    try {
+      const check = await twilioClient.verify.v2
+        .services(TWILIO_VERIFY_SID)
+        .verificationChecks.create({ to: reset.email, code: String(code) });
+      if (check.status !== 'approved') {
+        logger.info(`❌ Password reset code rejected: status=${check.status}`);
+        return { error: mismatch };
+      }
+    } catch (err) {
+      logger.error('Twilio Verify check error:', err.message);
+      return { error: { ok: false, data: null, message: 'Verification failed' } };
+    }
+  } else if (reset.code !== String(code)) {
+    logger.info('❌ Password reset code mismatch', { userCode: reset.userCode });
+    return { error: mismatch };
+  }
+
+  // 검증 중 다른 요청이 먼저 사용했으면 거절 (1회용)
+  if (passwordResets[requestId] !== reset) return { error: invalid };
+  delete passwordResets[requestId];
+  return { user };
+}
+
+app.post('/datepalm-bay/api/mvp/member/password-reset/request', rateLimiter.middleware('emailSend', rateLimitKeys.email), async (req, res) => {
+  logger.debug('[Auth] Password Reset Request');
   const { email } = req.body;
 
   if (!email) {
     return res.json({ ok: false, data: null, message: 'Email is required' });
   }
 
-  const userIndex = users.findIndex(u => u.email === email);
-  if (userIndex === -1) {
-    return res.json({ ok: false, data: null, message: 'User not found' });
+  purgeExpiredPasswordResets();
+  const now = Date.now();
+  const requestId = `pw-reset-${crypto.randomBytes(16).toString('hex')}`;
+  const reset = { userCode: null, email: null, createdAt: now, expiresAt: now + PASSWORD_RESET_TTL_MS };
+  const user = findUserByEmail(email);
+
+  if (user) {
+    // 같은 회원의 이전 재설정 요청은 폐기 (마지막으로 받은 코드만 유효)
+    for (const [previousId, previous] of Object.entries(passwordResets)) {
+      if (previous.userCode === user.code) delete passwordResets[previousId];
+    }
+    reset.userCode = user.code;
+    reset.email = user.email;
+  }
+
+  if (user && !user.password) {
+    logger.info('📧 Password reset requested for a Google account — 메일 발송 없음, 확인 시 GOOGLE_ACCOUNT 안내', { userCode: user.code });
+  } else if (user) {
+    if (twilioClient && TWILIO_VERIFY_SID) {
+      try {
+        await twilioClient.verify.v2
+          .services(TWILIO_VERIFY_SID)
+          .verifications.create({ to: user.email, channel: 'email' });
+        logger.info('📧 Twilio Verify password reset email sent', { userCode: user.code, email: user.email });
+      } catch (err) {
+        logger.error('Twilio Verify email error:', err.message);
+        return res.json({ ok: false, data: null, message: 'Failed to send password reset email.' });
+      }
+    } else {
+      reset.code = String(crypto.randomInt(100000, 1000000));
+      logger.info(`📧 [DEV] Password reset code: ${reset.code}`, { userCode: user.code, email: user.email });
+    }
+  } else {
+    logger.info('📧 Password reset requested for an unknown email — 메일 발송 없음');
   }
+  passwordResets[requestId] = reset;
+  logger.debug(`Request ID: ${requestId}`);
 
-  const user = users[userIndex];
-  users.splice(userIndex, 1);
+  res.json({
+    ok: true,
+    data: { requestId, expiresAt: new Date(reset.expiresAt).toISOString() },
+    message: 'If an account exists for this email, a password reset code has been sent',
+  });
+});
 
-  const memberIndex = members.findIndex(m => m.email === email || m.code === user.code);
-  if (memberIndex !== -1) {
-    members.splice(memberIndex, 1);
+app.post('/datepalm-bay/api/mvp/member/password-reset/confirm', rateLimiter.middleware('otpVerify', rateLimitKeys.requestId), async (req, res) => {
+  logger.debug('[Auth] Password Reset Confirm');
+  const { requestId, code, newPassword } = req.body;
+
+  if (!requestId || !code || !newPassword) {
+    return res.json({ ok: false, data: null, message: 'requestId, code and newPassword are required' });
   }
 
-  saveData();
-  console.log(`✅ Account deleted: ${user.name} (${email})`);
+  const verified = await consumePasswordReset(requestId, code);
+  if (verified.error) return res.json(verified.error);
+  const { user } = verified;
+
+  user.password = hashPassword(newPassword);
+  saveData(['users', user.code]);
+  const revoked = sessionStore.revokeAll('customer', user.code);
+  logger.info(`✅ Password reset (기기 세션 ${revoked}개 종료)`, { userCode: user.code });
 
-  res.json({ ok: true, data: null, message: 'Account deleted successfully' });
+  res.json({ ok: true, data: 'success', message: 'Password has been reset. Please log in with your new password.' });
 });
 
+// ======================================
+// Member Withdraw (회원 탈퇴)
+// 즉시 삭제하지 않고 WITHDRAWN 으로 표시(소프트 삭제) → 유예 기간 동안은 로그인 화면에서 복구 가능
+// 유예 기간이 지나면 purgeWithdrawnAccounts() 가 주문/리뷰/공동구매/회원 레코드의 개인정보를 익명화
+// 주문 금액·상태 등 정산에 필요한 값은 익명화 후에도 유지 (services/accountAnonymizer.js)
+// ======================================
+const WITHDRAWAL_GRACE_MS = (parseFloat(process.env.WITHDRAWAL_GRACE_DAYS) || 30) * 24 * HOUR_MS;
+// 결제 완료 ~ 배송 중 주문이 있으면 탈퇴 불가 (배송/환불 연락처 필요)
+const WITHDRAWAL_BLOCKING_ORDER_STATUSES = ['SUCCESS', 'DELIVERY'];
+
+// 회원 본인의 주문 (연결된 회원 code, memberCode 가 없는 예전 주문은 주문자 이메일/포인트 사용 회원)
+function findOrdersOfUser(user) {
+  const email = (user.email || '').toLowerCase();
+  return customerOrders.filter(o => o.memberCode
+    ? o.memberCode === user.code
+    : (email && (o.ordererEmail || '').toLowerCase() === email) || (o.pointsUsedBy && o.pointsUsedBy === user.code)
+  );
+}
+
+function isWithdrawalRestorable(user, now = Date.now()) {
+  return user.status === 'WITHDRAWN' && !user.anonymizedAt && new Date(user.purgeAfter).getTime() > now;
+}
+
+// 로그인 거부 응답에 넣을 탈퇴 정보 (복구 가능하면 기한 포함)
+function describeWithdrawal(user) {
+  return { reason: 'WITHDRAWN', restoreUntil: isWithdrawalRestorable(user) ? user.purgeAfter : null };
+}
+
+// 탈퇴 취소 — 탈퇴 직전 상태로 되돌림
+function restoreWithdrawnAccount(user) {
+  user.status = user.statusBeforeWithdrawal || 'ACTIVE';
+  delete user.statusBeforeWithdrawal;
+  delete user.withdrawnAt;
+  delete user.purgeAfter;
+  const member = members.find(m => m.code === user.code);
+  if (member) member.status = user.status;
+  saveData(['users', user.code], ['members', user.code]);
+  logger.info('♻️  Account restored', { userCode: user.code });
+}
+
+app.delete('/datepalm-bay/api/mvp/member/withdraw', (req, res) => {
+  logger.debug('[Member] Withdraw Account');
+  const claims = requireCustomerAuth(req, res);
+  if (!claims) return;
+
+  const user = findUserByCode(claims.sub);
+  if (!user) {
+    return res.status(404).json({ ok: false, data: null, message: 'User not found' });
+  }
+  // 기존 클라이언트는 email 을 함께 보냄 — 보냈다면 로그인한 계정과 같아야 함
+  const { email } = req.body || {};
+  if (email && String(email).toLowerCase() !== (user.email || '').toLowerCase()) {
+    return res.status(403).json({ ok: false, data: null, message: 'Email does not match the signed-in account' });
+  }
+  if (user.status === 'WITHDRAWN') {
+    return res.status(409).json({ ok: false, data: null, message: 'Account is already withdrawn' });
+  }
+
+  const openOrders = findOrdersOfUser(user).filter(o => WITHDRAWAL_BLOCKING_ORDER_STATUSES.includes(o.status));
+  if (openOrders.length > 0) {
+    return res.status(409).json({
+      ok: false,
+      data: { reason: 'OPEN_ORDERS', orderIds: openOrders.map(o => o.orderId) },
+      message: 'You cannot withdraw while orders are being processed or shipped',
+    });
+  }
+
+  const now = Date.now();
+  user.statusBeforeWithdrawal = user.status;
+  user.status = 'WITHDRAWN';
+  user.withdrawnAt = new Date(now).toISOString();
+  user.purgeAfter = new Date(now + WITHDRAWAL_GRACE_MS).toISOString();
+
+  const member = members.find(m => m.code === user.code);
+  if (member) member.status = 'WITHDRAWN';
+
+  saveData(['users', user.code], ['members', user.code]);
+  const revoked = sessionStore.revokeAll('customer', user.code);
+  logger.info(`✅ Account withdrawn — 익명화 예정 ${user.purgeAfter} (기기 세션 ${revoked}개 종료)`, { userCode: user.code });
+
+  res.json({ ok: true, data: { restoreUntil: user.purgeAfter }, message: 'Account withdrawn successfully' });
+});
+
+// 탈퇴 취소 (유예 기간 내) — 로그인과 같은 자격 증명으로 본인 확인 후 새 기기 세션 발급
+app.post('/datepalm-bay/mvp/member/restore', rateLimiter.middleware('customerLogin', rateLimitKeys.bodyId), (req, res) => {
+  const { id, password } = req.body;
+  if (!id || !password) {
+    return res.status(400).json({ ok: false, data: null, message: 'ID and password are required' });
+  }
+
+  const user = users.find(u => (u.id === id || u.email === id) && u.password && checkAccountPassword(u, password, ['users', u.code]));
+  if (!user) {
+    return res.status(401).json({ ok: false, data: null, message: 'Invalid ID or password' });
+  }
+  if (!isWithdrawalRestorable(user)) {
+    return res.status(409).json({ ok: false, data: null, message: user.status === 'WITHDRAWN' ? 'The restore period has ended' : 'Account is not withdrawn' });
+  }
+
+  restoreWithdrawnAccount(user);
+  const tokens = issueCustomerSession(req, user);
+  res.json({
+    ok: true,
+    data: { ...tokens, id: user.id, code: user.code, name: user.name, email: user.email, status: user.status },
+    message: 'Account restored successfully',
+  });
+});
+
+/**
+ * 유예 기간이 끝난 탈퇴 회원 익명화 (기동 시 + 1시간마다)
+ * @returns {number} 익명화한 회원 수
+ */
+function purgeWithdrawnAccounts(now = Date.now()) {
+  const due = users.filter(u => u.status === 'WITHDRAWN' && !u.anonymizedAt && new Date(u.purgeAfter).getTime() <= now);
+  if (due.length === 0) return 0;
+
+  const at = new Date(now).toISOString();
+  const targets = [];
+  for (const user of due) {
+    const alias = accountAnonymizer.pseudonymFor(user.code);
+    const userKeys = [user.code, user.id].filter(Boolean);
+    const email = (user.email || '').toLowerCase();
+
+    for (const order of findOrdersOfUser(user)) {
+      accountAnonymizer.anonymizeOrder(order, at);
+      bumpVersion('orders', order.orderId, order, [...Object.keys(accountAnonymizer.ORDER_PII_FIELDS), 'anonymizedAt']);
+      targets.push(['orders', order.orderId]);
+    }
+    for (const review of reviews.filter(r => userKeys.includes(r.memberId))) {
+      accountAnonymizer.anonymizeReview(review, alias, at);
+      targets.push(['reviews', review.reviewId]);
+    }
+    for (const team of groupBuyTeams) {
+      const joined = team.members.filter(m => userKeys.includes(m.userId) || (email && (m.email || '').toLowerCase() === email));
+      if (joined.length === 0 && !userKeys.includes(team.createdBy)) continue;
+      joined.forEach(m => accountAnonymizer.anonymizeGroupBuyMember(m, alias));
+      if (userKeys.includes(team.createdBy)) team.createdBy = alias;
+      targets.push(['groupBuyTeams', team.teamId]);
+    }
+
+    const member = members.find(m => m.code === user.code);
+    accountAnonymizer.anonymizeUser(user, at);
+    if (member) accountAnonymizer.anonymizeMember(member, user);
+    targets.push(['users', user.code], ['members', user.code]);
+  }
+
+  saveData(...targets);
+  logger.info(`🧹 탈퇴 회원 ${due.length}명 개인정보 익명화`);
+  return due.length;
+}
+
 // ======================================
 // Mock Events Data (기본 시드 데이터, startServer()에서 덮어씀)
 // ======================================
@@ -4416,12 +5992,12 @@ let coupons = [
 // New Products Endpoint (Products created within 1 week)
 // ======================================
 app.get('/datepalm-bay/api/mvp/product/new/list', (req, res) => {
-  console.log('\n=== [Frontend] New Products List ===');
+  logger.debug('[Frontend] New Products List');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
   const { sortType } = req.query;
 
-  console.log('Filter:', { pageNo, pageSize, sortType });
+  logger.info('Filter:', { pageNo, pageSize, sortType });
 
   // Filter on-sale products created within 2 weeks
   const twoWeeksAgo = new Date();
@@ -4471,10 +6047,12 @@ app.get('/datepalm-bay/api/mvp/product/new/list', (req, res) => {
     shippingCostType: p.shippingCostType || p.policy?.shippingCostType || 'FREE',
     shippingCost: p.shippingCost ?? p.policy?.shippingCost ?? 0,
     freeShippingThreshold: p.freeShippingThreshold ?? p.policy?.freeShippingThreshold ?? 0,
+    // 재고 상태 (재고 미관리 상품은 IN_STOCK + availableQuantity null)
+    ...inventory.describeAvailability(p),
   }));
 
-  console.log(`Page: ${pageNo}, Size: ${pageSize}`);
-  console.log(`Total ${filteredProducts.length} new products, returning ${formattedProducts.length}`);
+  logger.info(`Page: ${pageNo}, Size: ${pageSize}`);
+  logger.info(`Total ${filteredProducts.length} new products, returning ${formattedProducts.length}`);
 
   res.json({
     ok: true,
@@ -4500,12 +6078,12 @@ app.get('/datepalm-bay/api/mvp/product/new/list', (req, res) => {
 // Best Seller Endpoint (Products sorted by salesCount)
 // ======================================
 app.get('/datepalm-bay/api/mvp/product/bestseller/list', (req, res) => {
-  console.log('\n=== [Frontend] Best Seller List ===');
+  logger.debug('[Frontend] Best Seller List');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
   const { sortType } = req.query;
 
-  console.log('Filter:', { pageNo, pageSize, sortType });
+  logger.info('Filter:', { pageNo, pageSize, sortType });
 
   // Filter products on sale and add salesCount if not exists
   let filteredProducts = products
@@ -4552,10 +6130,12 @@ app.get('/datepalm-bay/api/mvp/product/bestseller/list', (req, res) => {
     shippingCostType: p.shippingCostType || p.policy?.shippingCostType || 'FREE',
     shippingCost: p.shippingCost ?? p.policy?.shippingCost ?? 0,
     freeShippingThreshold: p.freeShippingThreshold ?? p.policy?.freeShippingThreshold ?? 0,
+    // 재고 상태 (재고 미관리 상품은 IN_STOCK + availableQuantity null)
+    ...inventory.describeAvailability(p),
   }));
 
-  console.log(`Page: ${pageNo}, Size: ${pageSize}`);
-  console.log(`Total ${filteredProducts.length} best sellers, returning ${formattedProducts.length}`);
+  logger.info(`Page: ${pageNo}, Size: ${pageSize}`);
+  logger.info(`Total ${filteredProducts.length} best sellers, returning ${formattedProducts.length}`);
 
   res.json({
     ok: true,
@@ -4583,12 +6163,12 @@ app.get('/datepalm-bay/api/mvp/product/bestseller/list', (req, res) => {
 
 // Event List
 app.get('/datepalm-bay/api/mvp/event/list', (req, res) => {
-  console.log('\n=== [Frontend] Event List ===');
+  logger.debug('[Frontend] Event List');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
   const { status } = req.query;
 
-  console.log('Filter:', { pageNo, pageSize, status });
+  logger.info('Filter:', { pageNo, pageSize, status });
 
   // Update event statuses based on current date
   const now = new Date();
@@ -4641,7 +6221,7 @@ app.get('/datepalm-bay/api/mvp/event/list', (req, res) => {
 
 // Featured Events (for Hero Banner)
 app.get('/datepalm-bay/api/mvp/event/featured', (req, res) => {
-  console.log('\n=== [Frontend] Featured Events ===');
+  logger.debug('[Frontend] Featured Events');
 
   // Update event statuses
   const now = new Date();
@@ -4675,9 +6255,9 @@ app.get('/datepalm-bay/api/mvp/event/featured', (req, res) => {
 
 // Event Detail
 app.get('/datepalm-bay/api/mvp/event/detail/:code', (req, res) => {
-  console.log('\n=== [Frontend] Event Detail ===');
+  logger.debug('[Frontend] Event Detail');
   const { code } = req.params;
-  console.log(`Event code: ${code}`);
+  logger.info(`Event code: ${code}`);
 
   const event = events.find(e => e.code === code);
 
@@ -4714,8 +6294,8 @@ app.get('/datepalm-bay/api/mvp/event/detail/:code', (req, res) => {
 // ======================================
 
 // Admin - Event List
-app.get('/datepalm-bay/api/admin/event/list', (req, res) => {
-  console.log('\n=== [Admin] Event List ===');
+app.get('/datepalm-bay/api/admin/event/list', requirePermission('content:read'), (req, res) => {
+  logger.debug('[Admin] Event List');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
   const { status, eventType, keyword } = req.query;
@@ -4783,8 +6363,8 @@ app.get('/datepalm-bay/api/admin/event/list', (req, res) => {
 });
 
 // Admin - Event Detail
-app.get('/datepalm-bay/api/admin/event/detail/:code', (req, res) => {
-  console.log('\n=== [Admin] Event Detail ===');
+app.get('/datepalm-bay/api/admin/event/detail/:code', requirePermission('content:read'), (req, res) => {
+  logger.debug('[Admin] Event Detail');
   const { code } = req.params;
 
   const event = events.find(e => e.code === code);
@@ -4810,20 +6390,20 @@ app.get('/datepalm-bay/api/admin/event/detail/:code', (req, res) => {
     event.status = 'ONGOING';
   }
 
-  res.json({
+  res.set('ETag', formatEtag(event)).json({
     ok: true,
-    data: event,
+    data: { ...event, version: getVersion(event) },
     message: 'Event detail retrieved successfully'
   });
 });
 
 // Admin - Create Event
-app.post('/datepalm-bay/api/admin/event/create', upload.fields([
+app.post('/datepalm-bay/api/admin/event/create', requirePermission('content:write'), upload.fields([
   { name: 'bannerImage', maxCount: 1 },
   { name: 'thumbnailImage', maxCount: 1 },
   { name: 'request', maxCount: 1 }
 ]), (req, res) => {
-  console.log('\n=== [Admin] Create Event ===');
+  logger.debug('[Admin] Create Event');
 
   let requestData;
   try {
@@ -4864,13 +6444,14 @@ app.post('/datepalm-bay/api/admin/event/create', upload.fields([
     linkedProducts: requestData.linkedProducts || [],
     eventType: requestData.eventType || 'SALE',
     priority: requestData.priority || 1,
+    version: 1,
     createdAt: new Date().toISOString()
   };
 
   events.push(newEvent);
 
-  console.log(`Event created: ${code}`);
-  saveData();
+  logger.info(`Event created: ${code}`);
+  saveData(['events', newEvent.code]);
 
   res.json({
     ok: true,
@@ -4880,12 +6461,12 @@ app.post('/datepalm-bay/api/admin/event/create', upload.fields([
 });
 
 // Admin - Edit Event
-app.put('/datepalm-bay/api/admin/event/edit', upload.fields([
+app.put('/datepalm-bay/api/admin/event/edit', requirePermission('content:write'), upload.fields([
   { name: 'bannerImage', maxCount: 1 },
   { name: 'thumbnailImage', maxCount: 1 },
   { name: 'request', maxCount: 1 }
 ]), (req, res) => {
-  console.log('\n=== [Admin] Edit Event ===');
+  logger.debug('[Admin] Edit Event');
 
   let requestData;
   try {
@@ -4922,23 +6503,31 @@ app.put('/datepalm-bay/api/admin/event/edit', upload.fields([
     ? `${editBaseUrl}/uploads/${thumbnailFiles[0].filename}`
     : existingEvent.thumbnailImage;
 
-  events[eventIndex] = {
-    ...existingEvent,
-    title: requestData.title,
-    subtitle: requestData.subtitle || '',
-    description: requestData.description || '',
-    content: requestData.content || '',
-    bannerImage,
-    thumbnailImage,
-    startDate: requestData.startDate,
-    endDate: requestData.endDate,
-    linkedProducts: requestData.linkedProducts || [],
-    eventType: requestData.eventType || existingEvent.eventType,
-    priority: requestData.priority || existingEvent.priority,
-  };
+  const updatedEvent = applyVersionedEdit(req, res, {
+    collection: 'events',
+    id: existingEvent.code,
+    current: existingEvent,
+    bodyVersion: requestData.version,
+    next: {
+      ...existingEvent,
+      title: requestData.title,
+      subtitle: requestData.subtitle || '',
+      description: requestData.description || '',
+      content: requestData.content || '',
+      bannerImage,
+      thumbnailImage,
+      startDate: requestData.startDate,
+      endDate: requestData.endDate,
+      linkedProducts: requestData.linkedProducts || [],
+      eventType: requestData.eventType || existingEvent.eventType,
+      priority: requestData.priority || existingEvent.priority,
+    },
+  });
+  if (!updatedEvent) return;
+  events[eventIndex] = updatedEvent;
 
-  console.log(`Event updated: ${requestData.code}`);
-  saveData();
+  logger.info(`Event updated: ${requestData.code}`);
+  saveData(['events', events[eventIndex].code]);
 
   res.json({
     ok: true,
@@ -4948,8 +6537,8 @@ app.put('/datepalm-bay/api/admin/event/edit', upload.fields([
 });
 
 // Admin - Delete Event
-app.delete('/datepalm-bay/api/admin/event/delete/:code', (req, res) => {
-  console.log('\n=== [Admin] Delete Event ===');
+app.delete('/datepalm-bay/api/admin/event/delete/:code', requirePermission('content:write'), (req, res) => {
+  logger.debug('[Admin] Delete Event');
   const { code } = req.params;
 
   const eventIndex = events.findIndex(e => e.code === code);
@@ -4964,8 +6553,8 @@ app.delete('/datepalm-bay/api/admin/event/delete/:code', (req, res) => {
 
   events.splice(eventIndex, 1);
 
-  console.log(`Event deleted: ${code}`);
-  saveData();
+  logger.info(`Event deleted: ${code}`);
+  saveData(['events', code]);
 
   res.json({
     ok: true,
@@ -4990,7 +6579,7 @@ function slugify(title) {
 
 // Frontend - Blog List (게시된 글만)
 app.get('/datepalm-bay/api/mvp/blog/list', (req, res) => {
-  console.log('\n=== [Frontend] Blog List ===');
+  logger.debug('[Frontend] Blog List');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 9;
   const { category, keyword } = req.query;
@@ -5032,7 +6621,7 @@ app.get('/datepalm-bay/api/mvp/blog/list', (req, res) => {
 
 // Frontend - Blog Detail (slug 기준, 게시된 글만)
 app.get('/datepalm-bay/api/mvp/blog/detail/:slug', (req, res) => {
-  console.log('\n=== [Frontend] Blog Detail ===');
+  logger.debug('[Frontend] Blog Detail');
   const { slug } = req.params;
   const post = blogPosts.find(p => p.slug === slug && p.status === 'PUBLISHED');
 
@@ -5044,8 +6633,8 @@ app.get('/datepalm-bay/api/mvp/blog/detail/:slug', (req, res) => {
 });
 
 // Admin - Blog List (모든 상태 포함)
-app.get('/datepalm-bay/api/admin/blog/list', (req, res) => {
-  console.log('\n=== [Admin] Blog List ===');
+app.get('/datepalm-bay/api/admin/blog/list', requirePermission('content:read'), (req, res) => {
+  logger.debug('[Admin] Blog List');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
   const { status, category, keyword } = req.query;
@@ -5086,8 +6675,8 @@ app.get('/datepalm-bay/api/admin/blog/list', (req, res) => {
 });
 
 // Admin - Blog Detail
-app.get('/datepalm-bay/api/admin/blog/detail/:code', (req, res) => {
-  console.log('\n=== [Admin] Blog Detail ===');
+app.get('/datepalm-bay/api/admin/blog/detail/:code', requirePermission('content:read'), (req, res) => {
+  logger.debug('[Admin] Blog Detail');
   const { code } = req.params;
   const post = blogPosts.find(p => p.code === code);
 
@@ -5095,15 +6684,15 @@ app.get('/datepalm-bay/api/admin/blog/detail/:code', (req, res) => {
     return res.status(404).json({ ok: false, data: null, message: 'Blog post not found' });
   }
 
-  res.json({ ok: true, data: post, message: 'Blog post detail retrieved successfully' });
+  res.set('ETag', formatEtag(post)).json({ ok: true, data: { ...post, version: getVersion(post) }, message: 'Blog post detail retrieved successfully' });
 });
 
 // Admin - Create Blog Post
-app.post('/datepalm-bay/api/admin/blog/create', upload.fields([
+app.post('/datepalm-bay/api/admin/blog/create', requirePermission('content:write'), upload.fields([
   { name: 'thumbnailImage', maxCount: 1 },
   { name: 'request', maxCount: 1 }
 ]), (req, res) => {
-  console.log('\n=== [Admin] Create Blog Post ===');
+  logger.debug('[Admin] Create Blog Post');
 
   let requestData;
   try {
@@ -5140,27 +6729,28 @@ app.post('/datepalm-bay/api/admin/blog/create', upload.fields([
     category: requestData.category || 'GENERAL',
     status,
     publishedAt: status === 'PUBLISHED' ? now : null,
+    version: 1,
     createdAt: now,
     updatedAt: now,
   };
 
   blogPosts.push(newPost);
-  console.log(`Blog post created: ${code} (${slug})`);
-  saveData();
+  logger.info(`Blog post created: ${code} (${slug})`);
+  saveData(['blogPosts', newPost.code]);
 
   contentTranslator.translateBlogPostFields(newPost)
-    .then((changed) => { if (changed) saveData(); })
-    .catch((err) => console.error('[Blog] 번역 실패:', err.message));
+    .then((changed) => { if (changed) saveData(['blogPosts', newPost.code]); })
+    .catch((err) => logger.error('[Blog] 번역 실패:', err.message));
 
   res.json({ ok: true, data: newPost, message: 'Blog post created successfully' });
 });
 
 // Admin - Edit Blog Post
-app.put('/datepalm-bay/api/admin/blog/edit', upload.fields([
+app.put('/datepalm-bay/api/admin/blog/edit', requirePermission('content:write'), upload.fields([
   { name: 'thumbnailImage', maxCount: 1 },
   { name: 'request', maxCount: 1 }
 ]), (req, res) => {
-  console.log('\n=== [Admin] Edit Blog Post ===');
+  logger.debug('[Admin] Edit Blog Post');
 
   let requestData;
   try {
@@ -5198,35 +6788,43 @@ app.put('/datepalm-bay/api/admin/blog/edit', upload.fields([
     || requestData.excerpt !== existingPost.excerpt
     || requestData.content !== existingPost.content;
 
-  blogPosts[postIndex] = {
-    ...existingPost,
-    slug,
-    title: requestData.title,
-    excerpt: requestData.excerpt || '',
-    content: requestData.content || '',
-    thumbnailImage,
-    author: requestData.author || existingPost.author,
-    category: requestData.category || existingPost.category,
-    status,
-    publishedAt: status === 'PUBLISHED' ? (existingPost.publishedAt || (!wasPublished ? new Date().toISOString() : existingPost.publishedAt)) : existingPost.publishedAt,
-    updatedAt: new Date().toISOString(),
-  };
+  const updatedPost = applyVersionedEdit(req, res, {
+    collection: 'blogPosts',
+    id: existingPost.code,
+    current: existingPost,
+    bodyVersion: requestData.version,
+    next: {
+      ...existingPost,
+      slug,
+      title: requestData.title,
+      excerpt: requestData.excerpt || '',
+      content: requestData.content || '',
+      thumbnailImage,
+      author: requestData.author || existingPost.author,
+      category: requestData.category || existingPost.category,
+      status,
+      publishedAt: status === 'PUBLISHED' ? (existingPost.publishedAt || (!wasPublished ? new Date().toISOString() : existingPost.publishedAt)) : existingPost.publishedAt,
+      updatedAt: new Date().toISOString(),
+    },
+  });
+  if (!updatedPost) return;
+  blogPosts[postIndex] = updatedPost;
 
-  console.log(`Blog post updated: ${requestData.code}`);
-  saveData();
+  logger.info(`Blog post updated: ${requestData.code}`);
+  saveData(['blogPosts', blogPosts[postIndex].code]);
 
   if (contentChanged) {
     contentTranslator.translateBlogPostFields(blogPosts[postIndex])
-      .then((changed) => { if (changed) saveData(); })
-      .catch((err) => console.error('[Blog] 번역 실패:', err.message));
+      .then((changed) => { if (changed) saveData(['blogPosts', blogPosts[postIndex].code]); })
+      .catch((err) => logger.error('[Blog] 번역 실패:', err.message));
   }
 
   res.json({ ok: true, data: blogPosts[postIndex], message: 'Blog post updated successfully' });
 });
 
 // Admin - Delete Blog Post
-app.delete('/datepalm-bay/api/admin/blog/delete/:code', (req, res) => {
-  console.log('\n=== [Admin] Delete Blog Post ===');
+app.delete('/datepalm-bay/api/admin/blog/delete/:code', requirePermission('content:write'), (req, res) => {
+  logger.debug('[Admin] Delete Blog Post');
   const { code } = req.params;
 
   const postIndex = blogPosts.findIndex(p => p.code === code);
@@ -5235,8 +6833,8 @@ app.delete('/datepalm-bay/api/admin/blog/delete/:code', (req, res) => {
   }
 
   blogPosts.splice(postIndex, 1);
-  console.log(`Blog post deleted: ${code}`);
-  saveData();
+  logger.info(`Blog post deleted: ${code}`);
+  saveData(['blogPosts', code]);
 
   res.json({ ok: true, data: null, message: 'Blog post deleted successfully' });
 });
@@ -5256,13 +6854,13 @@ app.get('/datepalm-bay/api/mvp/banner/list', (req, res) => {
 });
 
 // Admin: 전체 배너 목록
-app.get('/datepalm-bay/api/admin/banner/list', (req, res) => {
+app.get('/datepalm-bay/api/admin/banner/list', requirePermission('content:read'), (req, res) => {
   const sorted = [...banners].sort((a, b) => a.order - b.order);
   res.json({ ok: true, data: sorted });
 });
 
 // Admin: 배너 생성 (이미지 업로드 포함)
-app.post('/datepalm-bay/api/admin/banner/create', upload.fields([{ name: 'image' }, { name: 'mobileImage' }]), (req, res) => {
+app.post('/datepalm-bay/api/admin/banner/create', requirePermission('content:write'), upload.fields([{ name: 'image' }, { name: 'mobileImage' }]), (req, res) => {
   const baseUrl = getBaseUrl(req);
   const { title, linkUrl, order, status } = req.body;
 
@@ -5286,13 +6884,13 @@ app.post('/datepalm-bay/api/admin/banner/create', upload.fields([{ name: 'image'
   };
 
   banners.push(newBanner);
-  saveData();
+  saveData(['banners', newBanner.code]);
 
   res.json({ ok: true, data: newBanner });
 });
 
 // Admin: 배너 수정
-app.put('/datepalm-bay/api/admin/banner/edit', upload.fields([{ name: 'image' }, { name: 'mobileImage' }]), (req, res) => {
+app.put('/datepalm-bay/api/admin/banner/edit', requirePermission('content:write'), upload.fields([{ name: 'image' }, { name: 'mobileImage' }]), (req, res) => {
   const baseUrl = getBaseUrl(req);
   const { code, title, linkUrl, order, status, removeMobileImage } = req.body;
 
@@ -5318,18 +6916,18 @@ app.put('/datepalm-bay/api/admin/banner/edit', upload.fields([{ name: 'image' },
     updatedAt: new Date().toISOString(),
   };
 
-  saveData();
+  saveData(['banners', banners[idx].code]);
   res.json({ ok: true, data: banners[idx] });
 });
 
 // Admin: 배너 삭제
-app.delete('/datepalm-bay/api/admin/banner/delete/:code', (req, res) => {
+app.delete('/datepalm-bay/api/admin/banner/delete/:code', requirePermission('content:write'), (req, res) => {
   const { code } = req.params;
   const idx = banners.findIndex(b => b.code === code);
   if (idx === -1) return res.status(404).json({ ok: false, data: null, message: '배너를 찾을 수 없습니다.' });
 
   banners.splice(idx, 1);
-  saveData();
+  saveData(['banners', code]);
   res.json({ ok: true, data: null });
 });
 
@@ -5351,10 +6949,10 @@ snsCollector.setReferences(snsReviews, products, saveData);
 // ========================================
 
 // 수동 수집 트리거
-app.post('/datepalm-bay/api/admin/sns-reviews/collect', async (req, res) => {
+app.post('/datepalm-bay/api/admin/sns-reviews/collect', requirePermission('reviews:write'), async (req, res) => {
   const { platform = 'ALL' } = req.body;
 
-  console.log(`🚀 Manual SNS collection triggered for: ${platform}`);
+  logger.info(`🚀 Manual SNS collection triggered for: ${platform}`);
 
   try {
     const results = await snsCollector.triggerCollection(platform);
@@ -5365,7 +6963,7 @@ app.post('/datepalm-bay/api/admin/sns-reviews/collect', async (req, res) => {
       message: 'Collection completed'
     });
   } catch (error) {
-    console.error('Collection error:', error);
+    logger.error('Collection error:', error);
     res.status(500).json({
       ok: false,
       data: null,
@@ -5375,7 +6973,7 @@ app.post('/datepalm-bay/api/admin/sns-reviews/collect', async (req, res) => {
 });
 
 // 수집 통계 조회
-app.get('/datepalm-bay/api/admin/sns-reviews/stats', (req, res) => {
+app.get('/datepalm-bay/api/admin/sns-reviews/stats', requirePermission('reviews:read'), (req, res) => {
   const stats = snsCollector.getCollectionStats();
 
   res.json({
@@ -5391,7 +6989,7 @@ app.get('/datepalm-bay/api/mvp/product/:productCode/sns-reviews', (req, res) =>
   const { platform, pageNo = 0, pageSize = 3 } = req.query;
   const lang = (req.query.lang || 'en').toLowerCase();
 
-  console.log(`📱 SNS Reviews requested for product: ${productCode}, platform: ${platform || 'ALL'}, page: ${pageNo}, lang: ${lang}`);
+  logger.info(`📱 SNS Reviews requested for product: ${productCode}, platform: ${platform || 'ALL'}, page: ${pageNo}, lang: ${lang}`);
 
   let filtered = snsReviews.filter(r =>
     r.status === 'APPROVED' &&
@@ -5416,7 +7014,7 @@ app.get('/datepalm-bay/api/mvp/product/:productCode/sns-reviews', (req, res) =>
     return { ...r, title: t.title || r.title, description: t.description || r.description };
   });
 
-  console.log(`Found ${paged.length}/${total} SNS reviews for product ${productCode} (page ${pageNo})`);
+  logger.info(`Found ${paged.length}/${total} SNS reviews for product ${productCode} (page ${pageNo})`);
 
   res.json({
     ok: true,
@@ -5438,7 +7036,7 @@ app.get('/datepalm-bay/api/mvp/product/:productCode/sns-reviews/summary', async
   const { productCode } = req.params;
   const lang = (req.query.lang || 'en').toLowerCase();
 
-  console.log(`📊 SNS Review Summary requested for product: ${productCode}, lang: ${lang}`);
+  logger.info(`📊 SNS Review Summary requested for product: ${productCode}, lang: ${lang}`);
 
   // 승인된 리뷰만 필터링
   const approvedReviews = snsReviews.filter(r =>
@@ -5446,7 +7044,7 @@ app.get('/datepalm-bay/api/mvp/product/:productCode/sns-reviews/summary', async
     r.matchedProducts.some(m => m.productCode === productCode)
   );
 
-  console.log(`Found ${approvedReviews.length} approved reviews for summary`);
+  logger.info(`Found ${approvedReviews.length} approved reviews for summary`);
 
   try {
     // Claude AI 서비스를 통한 요약 (오버라이드 → Claude → 키워드 fallback 체인)
@@ -5494,10 +7092,10 @@ app.get('/datepalm-bay/api/mvp/product/:productCode/sns-reviews/summary', async
           summary.summary[lang] = translated;
           if (insight) {
             insight.summary[lang] = translated;
-            saveData();
+            saveData(['productInsights', productCode]);
           }
         } catch (err) {
-          console.error(`[Translation] SNS 요약 번역 실패 (${productCode} → ${lang}):`, err.message);
+          logger.error(`[Translation] SNS 요약 번역 실패 (${productCode} → ${lang}):`, err.message);
         }
       }
     }
@@ -5508,7 +7106,7 @@ app.get('/datepalm-bay/api/mvp/product/:productCode/sns-reviews/summary', async
       message: 'SNS review summary generated successfully'
     });
   } catch (error) {
-    console.error(`❌ Summary generation failed:`, error.message);
+    logger.error(`❌ Summary generation failed:`, error.message);
     // 최종 fallback: 키워드 방식
     const summary = reviewSummarizer.summarizeReviews(approvedReviews);
     res.json({
@@ -5520,27 +7118,27 @@ app.get('/datepalm-bay/api/mvp/product/:productCode/sns-reviews/summary', async
 });
 
 // 어드민: 전체 SNS 리뷰 목록
-app.get('/datepalm-bay/api/admin/sns-reviews', (req, res) => {
+app.get('/datepalm-bay/api/admin/sns-reviews', requirePermission('reviews:read'), (req, res) => {
   const { platform, status, productCode, pageNo = 0, pageSize = 20 } = req.query;
 
-  console.log(`📱 Admin SNS Reviews list requested - platform: ${platform || 'ALL'}, status: ${status || 'ALL'}, productCode: ${productCode || 'ALL'}`);
-  console.log(`📊 전체 SNS 리뷰 개수: ${snsReviews.length}개`);
+  logger.info(`📱 Admin SNS Reviews list requested - platform: ${platform || 'ALL'}, status: ${status || 'ALL'}, productCode: ${productCode || 'ALL'}`);
+  logger.info(`📊 전체 SNS 리뷰 개수: ${snsReviews.length}개`);
 
   // 저장된 리뷰들의 productCode 목록 출력 (디버깅용)
   if (snsReviews.length > 0) {
     const allProductCodes = [...new Set(snsReviews.flatMap(r => r.matchedProducts?.map(m => m.productCode) || []))];
-    console.log(`📋 저장된 리뷰들의 productCode 목록:`, allProductCodes);
+    logger.info(`📋 저장된 리뷰들의 productCode 목록:`, allProductCodes);
   }
 
   let filtered = [...snsReviews];
 
   // productCode 필터 (상품별 SNS 리뷰 조회)
   if (productCode) {
-    console.log(`🔍 productCode 필터 적용: ${productCode}`);
+    logger.info(`🔍 productCode 필터 적용: ${productCode}`);
     filtered = filtered.filter(r =>
       r.matchedProducts && r.matchedProducts.some(m => m.productCode === productCode)
     );
-    console.log(`📊 productCode 필터 후 결과: ${filtered.length}개`);
+    logger.info(`📊 productCode 필터 후 결과: ${filtered.length}개`);
   }
 
   if (platform) {
@@ -5580,17 +7178,17 @@ async function translateApprovedReviewsAsync(reviews) {
       const changed = await contentTranslator.translateSnsReviewFields(review);
       if (changed) changedAny = true;
     } catch (err) {
-      console.error(`[Translation] SNS 리뷰 번역 실패 (id=${review.id}):`, err.message);
+      logger.error(`[Translation] SNS 리뷰 번역 실패 (id=${review.id}):`, err.message);
     }
   }
-  if (changedAny) saveData();
+  if (changedAny) saveData('snsReviews');
 }
 
-app.put('/datepalm-bay/api/admin/sns-reviews/:id/status', (req, res) => {
+app.put('/datepalm-bay/api/admin/sns-reviews/:id/status', requirePermission('reviews:write'), (req, res) => {
   const { id } = req.params;
   const { status } = req.body;
 
-  console.log(`📱 SNS Review status update: id=${id}, status=${status}`);
+  logger.info(`📱 SNS Review status update: id=${id}, status=${status}`);
 
   const reviewIndex = snsReviews.findIndex(r => r.id === parseInt(id));
 
@@ -5611,13 +7209,13 @@ app.put('/datepalm-bay/api/admin/sns-reviews/:id/status', (req, res) => {
   }
 
   snsReviews[reviewIndex].status = status.toUpperCase();
-  saveData(); // 파일에 저장
+  saveData(['snsReviews', snsReviews[reviewIndex].id]); // 파일에 저장
 
   if (snsReviews[reviewIndex].status === 'APPROVED') {
     translateApprovedReviewsAsync([snsReviews[reviewIndex]]);
   }
 
-  console.log(`SNS Review ${id} status updated to ${status.toUpperCase()}`);
+  logger.info(`SNS Review ${id} status updated to ${status.toUpperCase()}`);
 
   res.json({
     ok: true,
@@ -5627,10 +7225,10 @@ app.put('/datepalm-bay/api/admin/sns-reviews/:id/status', (req, res) => {
 });
 
 // 어드민: SNS 리뷰 삭제
-app.delete('/datepalm-bay/api/admin/sns-reviews/:id', (req, res) => {
+app.delete('/datepalm-bay/api/admin/sns-reviews/:id', requirePermission('reviews:write'), (req, res) => {
   const { id } = req.params;
 
-  console.log(`🗑️ SNS Review delete: id=${id}`);
+  logger.info(`🗑️ SNS Review delete: id=${id}`);
 
   const reviewIndex = snsReviews.findIndex(r => r.id === parseInt(id));
 
@@ -5643,9 +7241,9 @@ app.delete('/datepalm-bay/api/admin/sns-reviews/:id', (req, res) => {
   }
 
   const deletedReview = snsReviews.splice(reviewIndex, 1)[0];
-  saveData();
+  saveData(['snsReviews', deletedReview.id]);
 
-  console.log(`SNS Review ${id} deleted successfully`);
+  logger.info(`SNS Review ${id} deleted successfully`);
 
   res.json({
     ok: true,
@@ -5655,7 +7253,7 @@ app.delete('/datepalm-bay/api/admin/sns-reviews/:id', (req, res) => {
 });
 
 // 어드민: SNS 리뷰 상세 조회
-app.get('/datepalm-bay/api/admin/sns-reviews/:id', (req, res) => {
+app.get('/datepalm-bay/api/admin/sns-reviews/:id', requirePermission('reviews:read'), (req, res) => {
   const { id } = req.params;
 
   const review = snsReviews.find(r => r.id === parseInt(id));
@@ -5676,10 +7274,10 @@ app.get('/datepalm-bay/api/admin/sns-reviews/:id', (req, res) => {
 });
 
 // 어드민: 전체 PENDING 리뷰 일괄 승인
-app.put('/datepalm-bay/api/admin/sns-reviews/approve-all', (req, res) => {
+app.put('/datepalm-bay/api/admin/sns-reviews/approve-all', requirePermission('reviews:write'), (req, res) => {
   const { productCode } = req.body;
 
-  console.log(`📱 Bulk approve pending reviews for product: ${productCode || 'ALL'}`);
+  logger.info(`📱 Bulk approve pending reviews for product: ${productCode || 'ALL'}`);
 
   let targetReviews = snsReviews.filter(r => r.status === 'PENDING');
 
@@ -5697,11 +7295,11 @@ app.put('/datepalm-bay/api/admin/sns-reviews/approve-all', (req, res) => {
 
   // 파일 저장
   if (approvedCount > 0) {
-    saveData();
+    saveData('snsReviews');
     translateApprovedReviewsAsync(targetReviews);
   }
 
-  console.log(`✅ ${approvedCount} reviews approved`);
+  logger.info(`✅ ${approvedCount} reviews approved`);
 
   res.json({
     ok: true,
@@ -5711,10 +7309,10 @@ app.put('/datepalm-bay/api/admin/sns-reviews/approve-all', (req, res) => {
 });
 
 // 어드민: 선택한 리뷰 벌크 액션 (승인/거절/삭제)
-app.put('/datepalm-bay/api/admin/sns-reviews/bulk-action', (req, res) => {
+app.put('/datepalm-bay/api/admin/sns-reviews/bulk-action', requirePermission('reviews:write'), (req, res) => {
   const { ids, action } = req.body;
 
-  console.log(`📱 Bulk action: ${action} for ${ids?.length || 0} reviews`);
+  logger.info(`📱 Bulk action: ${action} for ${ids?.length || 0} reviews`);
 
   if (!ids || !Array.isArray(ids) || ids.length === 0) {
     return res.status(400).json({ ok: false, message: 'ids array is required' });
@@ -5740,14 +7338,14 @@ app.put('/datepalm-bay/api/admin/sns-reviews/bulk-action', (req, res) => {
   }
 
   if (processedCount > 0) {
-    saveData();
+    saveData('snsReviews');
     if (action === 'APPROVED') {
       translateApprovedReviewsAsync(snsReviews.filter((r) => ids.includes(r.id)));
     }
   }
 
   const actionLabel = action === 'DELETE' ? 'deleted' : action === 'APPROVED' ? 'approved' : 'rejected';
-  console.log(`✅ ${processedCount} reviews ${actionLabel}`);
+  logger.info(`✅ ${processedCount} reviews ${actionLabel}`);
 
   res.json({
     ok: true,
@@ -5757,10 +7355,10 @@ app.put('/datepalm-bay/api/admin/sns-reviews/bulk-action', (req, res) => {
 });
 
 // 어드민: URL로 SNS 리뷰 수동 추가
-app.post('/datepalm-bay/api/admin/sns-reviews/manual', async (req, res) => {
+app.post('/datepalm-bay/api/admin/sns-reviews/manual', requirePermission('reviews:write'), async (req, res) => {
   const { url, productCode } = req.body;
 
-  console.log(`📱 Manual review add: ${url} for product: ${productCode}`);
+  logger.info(`📱 Manual review add: ${url} for product: ${productCode}`);
 
   if (!url || !productCode) {
     return res.status(400).json({
@@ -5797,7 +7395,7 @@ app.post('/datepalm-bay/api/admin/sns-reviews/manual', async (req, res) => {
             };
           }
         } catch (err) {
-          console.log('YouTube Data API error, trying oEmbed:', err.message);
+          logger.info('YouTube Data API error, trying oEmbed:', err.message);
         }
 
         // 2차: YouTube oEmbed API (API 키 불필요, 실제 제목 가져오기)
@@ -5815,7 +7413,7 @@ app.post('/datepalm-bay/api/admin/sns-reviews/manual', async (req, res) => {
                 });
               }).on('error', reject);
             });
-            console.log(`YouTube oEmbed success: "${oembedData.title}"`);
+            logger.info(`YouTube oEmbed success: "${oembedData.title}"`);
             reviewData = {
               platform: 'YOUTUBE',
               externalId: videoId,
@@ -5830,7 +7428,7 @@ app.post('/datepalm-bay/api/admin/sns-reviews/manual', async (req, res) => {
               likeCount: 0,
             };
           } catch (err) {
-            console.log('YouTube oEmbed also failed:', err.message);
+            logger.info('YouTube oEmbed also failed:', err.message);
           }
         }
 
@@ -5864,7 +7462,7 @@ app.post('/datepalm-bay/api/admin/sns-reviews/manual', async (req, res) => {
           delete reviewData.status;
         }
       } catch (err) {
-        console.log('TikTok oEmbed error:', err.message);
+        logger.info('TikTok oEmbed error:', err.message);
         // 실패 시 기본 정보로 저장
         const videoId = url.match(/video\/(\d+)/)?.[1] || `manual_${Date.now()}`;
         reviewData = {
@@ -5910,8 +7508,8 @@ app.post('/datepalm-bay/api/admin/sns-reviews/manual', async (req, res) => {
       if (!existing.matchedProducts.some(m => m.productCode === productCode)) {
         existing.matchedProducts.push({ productCode, matchScore: 100 });
       }
-      saveData();
-      console.log(`🔄 Existing review updated: ${existing.id} (${existing.title})`);
+      saveData(['snsReviews', existing.id]);
+      logger.info(`🔄 Existing review updated: ${existing.id} (${existing.title})`);
       return res.json({
         ok: true,
         data: existing,
@@ -5929,10 +7527,10 @@ app.post('/datepalm-bay/api/admin/sns-reviews/manual', async (req, res) => {
     };
 
     snsReviews.push(newReview);
-    saveData();
+    saveData(['snsReviews', newReview.id]);
     translateApprovedReviewsAsync([newReview]);
 
-    console.log(`✅ Manual review added: ${newReview.id}`);
+    logger.info(`✅ Manual review added: ${newReview.id}`);
 
     res.json({
       ok: true,
@@ -5941,7 +7539,7 @@ app.post('/datepalm-bay/api/admin/sns-reviews/manual', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Manual add failed:', error);
+    logger.error('Manual add failed:', error);
     res.status(500).json({
       ok: false,
       message: error.message
@@ -5954,10 +7552,10 @@ app.post('/datepalm-bay/api/admin/sns-reviews/manual', async (req, res) => {
 // ========================================
 
 // 오버라이드 + 자동생성 요약 조회
-app.get('/datepalm-bay/api/admin/sns-reviews/:productCode/summary-override', async (req, res) => {
+app.get('/datepalm-bay/api/admin/sns-reviews/:productCode/summary-override', requirePermission('reviews:read'), async (req, res) => {
   const { productCode } = req.params;
 
-  console.log(`📝 Admin: Summary override requested for ${productCode}`);
+  logger.info(`📝 Admin: Summary override requested for ${productCode}`);
 
   // 오버라이드 데이터
   const override = snsReviewOverrides.find(o => o.productCode === productCode) || null;
@@ -5996,11 +7594,11 @@ app.get('/datepalm-bay/api/admin/sns-reviews/:productCode/summary-override', asy
 });
 
 // 수동 편집 저장
-app.put('/datepalm-bay/api/admin/sns-reviews/:productCode/summary-override', (req, res) => {
+app.put('/datepalm-bay/api/admin/sns-reviews/:productCode/summary-override', requirePermission('reviews:write'), (req, res) => {
   const { productCode } = req.params;
   const { summary, hashtags, sentiment, direction } = req.body;
 
-  console.log(`📝 Admin: Saving summary override for ${productCode}`);
+  logger.info(`📝 Admin: Saving summary override for ${productCode}`);
 
   // summary 또는 direction 중 하나는 있어야 함
   if ((!summary || typeof summary !== 'string') && !direction) {
@@ -6041,7 +7639,7 @@ app.put('/datepalm-bay/api/admin/sns-reviews/:productCode/summary-override', (re
     snsReviewOverrides.push(overrideData);
   }
 
-  saveData();
+  saveData(['snsReviewOverrides', productCode]);
 
   res.json({
     ok: true,
@@ -6051,15 +7649,15 @@ app.put('/datepalm-bay/api/admin/sns-reviews/:productCode/summary-override', (re
 });
 
 // 오버라이드 삭제 (자동생성 복원)
-app.delete('/datepalm-bay/api/admin/sns-reviews/:productCode/summary-override', (req, res) => {
+app.delete('/datepalm-bay/api/admin/sns-reviews/:productCode/summary-override', requirePermission('reviews:write'), (req, res) => {
   const { productCode } = req.params;
 
-  console.log(`📝 Admin: Deleting summary override for ${productCode}`);
+  logger.info(`📝 Admin: Deleting summary override for ${productCode}`);
 
   const idx = snsReviewOverrides.findIndex(o => o.productCode === productCode);
   if (idx >= 0) {
     snsReviewOverrides.splice(idx, 1);
-    saveData();
+    saveData(['snsReviewOverrides', productCode]);
   }
 
   res.json({
@@ -6092,34 +7690,40 @@ async function runTranslateBackfill() {
   backfillState.finishedAt = null;
   backfillState.lastError = null;
 
-  console.log(`🌐 번역 백필 시작: 상품 ${pendingProducts.length}개, SNS 리뷰 ${pendingReviews.length}개`);
+  logger.info(`🌐 번역 백필 시작: 상품 ${pendingProducts.length}개, SNS 리뷰 ${pendingReviews.length}개`);
 
   let changedAny = false;
   try {
     for (const product of pendingProducts) {
       const changed = await contentTranslator.translateProductFields(product);
-      if (changed) changedAny = true;
+      if (changed) {
+        changedAny = true;
+        markDirty(['products', product.productCode]);
+      }
       backfillState.processed.products++;
       if (backfillState.processed.products % 5 === 0) await _saveDataImpl(); // 중간 저장 (중단돼도 진행분 보존)
     }
     for (const review of pendingReviews) {
       const changed = await contentTranslator.translateSnsReviewFields(review);
-      if (changed) changedAny = true;
+      if (changed) {
+        changedAny = true;
+        markDirty(['snsReviews', review.id]);
+      }
       backfillState.processed.reviews++;
       if (backfillState.processed.reviews % 5 === 0) await _saveDataImpl();
     }
     if (changedAny) await _saveDataImpl();
-    console.log(`🌐 번역 백필 완료: 상품 ${backfillState.processed.products}개, 리뷰 ${backfillState.processed.reviews}개 처리`);
+    logger.info(`🌐 번역 백필 완료: 상품 ${backfillState.processed.products}개, 리뷰 ${backfillState.processed.reviews}개 처리`);
   } catch (err) {
     backfillState.lastError = err.message;
-    console.error('❌ 번역 백필 중 오류:', err.message);
+    logger.error('❌ 번역 백필 중 오류:', err.message);
   } finally {
     backfillState.running = false;
     backfillState.finishedAt = new Date().toISOString();
   }
 }
 
-app.post('/datepalm-bay/api/admin/tools/translate-backfill', (req, res) => {
+app.post('/datepalm-bay/api/admin/tools/translate-backfill', requirePermission('tools:manage'), (req, res) => {
   if (!contentTranslator.isAvailable()) {
     return res.status(400).json({ ok: false, data: null, message: 'Content translator not configured (ANTHROPIC_API_KEY / AI_PROVIDER=claude required)' });
   }
@@ -6127,20 +7731,21 @@ app.post('/datepalm-bay/api/admin/tools/translate-backfill', (req, res) => {
     return res.json({ ok: true, data: backfillState, message: 'Backfill already running' });
   }
 
-  runTranslateBackfill(); // fire-and-forget — 응답 기다리지 않고 백그라운드로 끝까지 진행
+  // fire-and-forget — 응답 기다리지 않고 백그라운드로 끝까지 진행 (감사 로그 행위자는 시스템 작업)
+  auditLog.run({ actor: { type: 'system', id: 'translate-backfill' } }, () => runTranslateBackfill());
 
   res.json({ ok: true, data: backfillState, message: 'Backfill started in background. Poll GET /admin/tools/translate-backfill/status for progress.' });
 });
 
-app.get('/datepalm-bay/api/admin/tools/translate-backfill/status', (req, res) => {
+app.get('/datepalm-bay/api/admin/tools/translate-backfill/status', requirePermission('tools:read'), (req, res) => {
   res.json({ ok: true, data: backfillState, message: 'Backfill status' });
 });
 
 // Claude AI 수동 재분석 트리거
-app.post('/datepalm-bay/api/admin/sns-reviews/:productCode/ai-analyze', async (req, res) => {
+app.post('/datepalm-bay/api/admin/sns-reviews/:productCode/ai-analyze', requirePermission('reviews:write'), async (req, res) => {
   const { productCode } = req.params;
 
-  console.log(`🤖 Admin: AI re-analysis triggered for ${productCode}`);
+  logger.info(`🤖 Admin: AI re-analysis triggered for ${productCode}`);
 
   const approvedReviews = snsReviews.filter(r =>
     r.status === 'APPROVED' &&
@@ -6155,12 +7760,12 @@ app.post('/datepalm-bay/api/admin/sns-reviews/:productCode/ai-analyze', async (r
   }
 
   // 상품명 찾기
-  const product = products.find(p => p.productCode === productCode);
+  const product = findProduct(productCode);
   const productName = product ? product.productName : productCode;
 
   try {
     const result = await claudeReviewSummarizer.triggerReanalysis(productCode, approvedReviews, productName);
-    console.log(`🤖 AI re-analysis result:`, JSON.stringify(result).substring(0, 200));
+    logger.info(`🤖 AI re-analysis result:`, JSON.stringify(result).substring(0, 200));
 
     res.json({
       ok: result.success,
@@ -6168,7 +7773,7 @@ app.post('/datepalm-bay/api/admin/sns-reviews/:productCode/ai-analyze', async (r
       message: result.message || (result.success ? 'AI re-analysis completed' : 'AI re-analysis failed')
     });
   } catch (error) {
-    console.error(`❌ AI re-analysis error:`, error);
+    logger.error(`❌ AI re-analysis error:`, error);
     res.status(500).json({
       ok: false,
       data: null,
@@ -6178,7 +7783,7 @@ app.post('/datepalm-bay/api/admin/sns-reviews/:productCode/ai-analyze', async (r
 });
 
 // AI 분석 상태 조회
-app.get('/datepalm-bay/api/admin/sns-reviews/ai-status', (req, res) => {
+app.get('/datepalm-bay/api/admin/sns-reviews/ai-status', requirePermission('reviews:read'), (req, res) => {
   res.json({
     ok: true,
     data: claudeReviewSummarizer.getAnalysisStatus(),
@@ -6213,13 +7818,75 @@ let customerOrders = [];
 let reviews = [];
 let blogPosts = [];
 
+// 고객 주문 API 는 주문에 연결된 회원(memberCode)과 액세스 토큰의 회원이 같을 때만 허용
+// 다른 회원의 주문은 존재 여부도 알 수 없도록 없는 주문과 같은 404
+// 회원 주문은 액세스 토큰의 회원만, 비회원 주문은 주문 생성 시 받은 guestOrderToken(X-Guest-Order-Token 헤더 또는 본문)으로
+function findOwnOrder(req, res, orderId) {
+  const order = findOrder(orderId);
+  const guestToken = req.get('X-Guest-Order-Token') || (req.body && (req.body.data || req.body).guestOrderToken);
+  if (order && !order.memberCode && order.guestOrderTokenHash && guestToken && !getBearerToken(req)) {
+    if (hashToken(String(guestToken)) === order.guestOrderTokenHash) return order;
+    res.status(404).json({ ok: false, data: null, message: 'Order not found' });
+    return null;
+  }
+  const claims = requireCustomerAuth(req, res);
+  if (!claims) return null;
+  if (!order || !order.memberCode || order.memberCode !== claims.sub) {
+    res.status(404).json({ ok: false, data: null, message: 'Order not found' });
+    return null;
+  }
+  return order;
+}
+
+// 주문 → 재고 예약 항목 (번들은 항목별 sku, 단일 주문은 주문의 sku)
+function getOrderStockItems(order) {
+  if (order.isBundleOrder && Array.isArray(order.bundleItems)) {
+    return order.bundleItems.map(i => ({ productCode: i.productCode, quantity: Number(i.quantity), sku: i.sku || null }));
+  }
+  return [{ productCode: order.productCode, quantity: Number(order.quantity), sku: order.sku || null }];
+}
+
+// 주문 라인의 선택 옵션({ sku } 또는 { selectedOptions }) → 주문에 남길 SKU 필드 (변형 없는 상품은 sku null)
+function resolveOrderLineVariant(productCode, selection) {
+  const product = findProduct(productCode);
+  if (!hasVariants(product)) return { line: variantLineFields(null) };
+  const resolved = resolveVariant(product, selection);
+  if (resolved.reason) return { error: { reason: resolved.reason, productCode } };
+  return { line: variantLineFields(resolved.variant) };
+}
+
+// 주문 총 중량(kg) — 모든 라인의 SKU 중량이 있을 때만 계산, 하나라도 없으면 null (호출부 기본값 사용)
+function getOrderWeightKg(order) {
+  let total = 0;
+  for (const item of getOrderStockItems(order)) {
+    const variant = item.sku ? findProduct(item.productCode)?.variants?.find(v => v.sku === item.sku) : null;
+    if (!variant || !variant.weight || !(item.quantity > 0)) return null;
+    total += variant.weight * item.quantity;
+  }
+  return Math.round(total * 1000) / 1000;
+}
+
+const ORDER_LINE_ERROR_RESPONSES = {
+  INSUFFICIENT_STOCK: { status: 409, message: 'Some items are out of stock' },
+  OPTION_REQUIRED: { status: 400, message: 'Please select an option' },
+  VARIANT_NOT_FOUND: { status: 400, message: 'The selected option does not exist' },
+  VARIANT_INACTIVE: { status: 409, message: 'The selected option is no longer available' },
+  INVALID_QUANTITY: { status: 400, message: 'Quantity must be a positive integer' },
+};
+
+function sendOrderLineError(res, error) {
+  const { status, message } = ORDER_LINE_ERROR_RESPONSES[error.reason];
+  return res.status(status).json({ ok: false, data: error, message });
+}
+
 // 주문 생성 API (주문 정보만 저장, PayPal 결제는 별도)
 app.post('/datepalm-bay/api/mvp/order/create', async (req, res) => {
-  console.log('\n=== [Payment] 주문 생성 ===');
+  logger.debug('[Payment] 주문 생성');
+  // 토큰이 있으면 그 회원 주문, 없으면 비회원 주문 (토큰이 있는데 만료/폐기면 비회원으로 바꾸지 않고 401)
+  const claims = getBearerToken(req) ? requireCustomerAuth(req, res) : null;
+  if (getBearerToken(req) && !claims) return;
   const orderData = req.body.data || req.body;
 
-  console.log('주문 데이터:', orderData);
-
   const {
     productCode,
     quantity,
@@ -6250,11 +7917,27 @@ app.post('/datepalm-bay/api/mvp/order/create', async (req, res) => {
   // 주문 ID 생성
   const orderId = `ORDER-${Date.now()}-${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
 
-  // 주문자 계정 조회 (통화 결정 + 포인트 사용 검증에 공용으로 사용)
-  const authHeader = req.headers.authorization;
-  const authToken = authHeader ? authHeader.replace('Bearer ', '') : null;
-  const orderingUserId = authToken ? extractUserIdFromToken(authToken) : null;
-  const orderingUser = orderingUserId ? users.find(u => u.id === orderingUserId || u.code === orderingUserId) : null;
+  // 주문 회원 (주문 소유자 + 통화 결정 + 포인트 사용 검증에 공용으로 사용) — 비회원 주문은 null
+  const orderingUser = claims ? findUserByCode(claims.sub) : null;
+  if (claims && !orderingUser) {
+    return res.status(404).json({ ok: false, data: null, message: 'User not found' });
+  }
+
+  // 선택 옵션 → SKU (변형 상품은 옵션 조합이나 sku 필수)
+  let orderBundleItems = null;
+  let lineVariant = variantLineFields(null);
+  if (isBundleOrder && bundleItems && bundleItems.length > 0) {
+    orderBundleItems = [];
+    for (const item of bundleItems) {
+      const resolved = resolveOrderLineVariant(item.productCode, item);
+      if (resolved.error) return sendOrderLineError(res, resolved.error);
+      orderBundleItems.push({ ...item, ...resolved.line });
+    }
+  } else {
+    const resolved = resolveOrderLineVariant(productCode, { sku: orderData.sku, selectedOptions });
+    if (resolved.error) return sendOrderLineError(res, resolved.error);
+    lineVariant = resolved.line;
+  }
 
   let amount;
   let orderName;
@@ -6274,15 +7957,15 @@ app.post('/datepalm-bay/api/mvp/order/create', async (req, res) => {
 
     orderName = bundleItems.length > 1
       ? `Bundle Order (${bundleItems.length} items)`
-      : products.find(p => p.productCode === bundleItems[0].productCode)?.productName || 'Product';
+      : findProduct(bundleItems[0].productCode)?.productName || 'Product';
 
-    console.log(`📦 번들 주문: ${bundleItems.length}개 상품`);
-    console.log(`  총액: $${amount}`);
-    console.log(`  쿠폰 할인: $${couponDiscount || 0}`);
-    console.log(`  배송비: $${shippingCost || 0}`);
+    logger.info(`📦 번들 주문: ${bundleItems.length}개 상품`);
+    logger.debug(`총액: $${amount}`);
+    logger.debug(`쿠폰 할인: $${couponDiscount || 0}`);
+    logger.debug(`배송비: $${shippingCost || 0}`);
   } else {
     // 단일 상품 주문
-    const product = products.find(p => p.productCode === productCode);
+    const product = findProduct(productCode);
     if (!product) {
       return res.status(404).json({
         ok: false,
@@ -6291,8 +7974,8 @@ app.post('/datepalm-bay/api/mvp/order/create', async (req, res) => {
       });
     }
 
-    // 금액 계산 (USD 기준 - 국제 결제용)
-    const priceUSD = product.productPriceUSD || product.productPrice;
+    // 금액 계산 (USD 기준 - 국제 결제용, SKU 가격 차이 포함)
+    const priceUSD = (product.productPriceUSD || product.productPrice) + lineVariant.priceDelta;
     amount = priceUSD * quantity;
 
     // 쿠폰 할인 적용
@@ -6305,15 +7988,16 @@ app.post('/datepalm-bay/api/mvp/order/create', async (req, res) => {
       amount = amount + shippingCost;
     }
 
+    const productName = lineVariant.variantName ? `${product.productName} - ${lineVariant.variantName}` : product.productName;
     orderName = quantity > 1
-      ? `${product.productName} and ${quantity - 1} more`
-      : product.productName;
+      ? `${productName} and ${quantity - 1} more`
+      : productName;
   }
 
   // 포인트 사용 (100P = $1) — 보유 포인트, 요청 포인트, 남은 주문금액 중 가장 작은 값만큼만 차감
   // 실제 차감은 결제 성공 시점(capture-order)에 이루어지며, 여기서는 금액 계산에만 반영한다.
   let pointsUsed = 0;
-  if (pointsToUse && pointsToUse > 0 && orderingUser) {
+  if (orderingUser && pointsToUse && pointsToUse > 0) {
     const availablePoints = orderingUser.points || 0;
     const maxPointsByAmount = Math.floor(amount * 100);
     pointsUsed = Math.max(0, Math.min(Math.floor(pointsToUse), availablePoints, maxPointsByAmount));
@@ -6329,7 +8013,7 @@ app.post('/datepalm-bay/api/mvp/order/create', async (req, res) => {
   let finalCurrency = 'USD';
   let fxRate = 1;
   try {
-    const memberCurrency = orderingUser ? currencyService.getMemberCurrency(orderingUser.country || '') : 'USD';
+    const memberCurrency = currencyService.getMemberCurrency(orderingUser?.country || '');
     if (memberCurrency !== 'USD') {
       const converted = await currencyService.convertFromUSD(amountUSD, memberCurrency);
       finalAmount = converted.amount;
@@ -6337,7 +8021,7 @@ app.post('/datepalm-bay/api/mvp/order/create', async (req, res) => {
       fxRate = converted.fxRate;
     }
   } catch (err) {
-    console.error('[Currency] 통화 변환 실패, USD로 진행:', err.message);
+    logger.error('[Currency] 통화 변환 실패, USD로 진행:', err.message);
   }
 
   // 주문 정보 저장
@@ -6352,6 +8036,7 @@ app.post('/datepalm-bay/api/mvp/order/create', async (req, res) => {
     currency: finalCurrency,
     orderType: orderType || 'NORMAL',
     teamId: teamId || null,
+    memberCode: orderingUser ? orderingUser.code : null,
     ordererName,
     ordererContact,
     ordererEmail,
@@ -6363,12 +8048,13 @@ app.post('/datepalm-bay/api/mvp/order/create', async (req, res) => {
     detailAddress,
     deliveryMemo,
     isBundleOrder: isBundleOrder || false,
-    bundleItems: isBundleOrder ? bundleItems : null,
+    bundleItems: isBundleOrder ? orderBundleItems || bundleItems : null,
     couponCode: couponCode || null,
     couponDiscount: couponDiscount || 0,
     pointsUsed,
-    pointsUsedBy: pointsUsed > 0 ? (orderingUser.code || orderingUser.id) : null,
+    pointsUsedBy: pointsUsed > 0 ? orderingUser.code : null,
     selectedOptions: selectedOptions || [],
+    ...lineVariant,
     shippingCost: shippingCost || 0,
     status: 'PENDING',
     paypalOrderId: null,
@@ -6394,16 +8080,27 @@ app.post('/datepalm-bay/api/mvp/order/create', async (req, res) => {
     aramexPickupId: null,
     aramexPickupDate: null,
     courier: null,
+    version: 1,
     createdAt: new Date().toISOString()
   };
+  // 비회원 주문 — 결제/조회용 토큰은 응답으로 한 번만 내려주고 해시만 저장
+  const guestOrderToken = orderingUser ? null : crypto.randomBytes(24).toString('hex');
+  if (guestOrderToken) newOrder.guestOrderTokenHash = hashToken(guestOrderToken);
+
+  // 재고 예약 — 확인과 차감을 이 동기 구간에서 한 번에 처리 (위의 통화 변환 await 이후)
+  const reservation = inventory.reserve(newOrder, getOrderStockItems(newOrder), { ttlMs: STOCK_RESERVATION_TTL_MS });
+  if (reservation.error) {
+    logger.info(`📦 재고 예약 실패 (${reservation.error.reason}): ${orderName}`);
+    return sendOrderLineError(res, reservation.error);
+  }
 
   customerOrders.push(newOrder);
-  saveData();
+  saveData(['orders', newOrder.orderId], ...reservation.targets);
 
-  console.log(`✅ 주문 생성 완료: ${orderId}`);
-  console.log(`  상품: ${orderName}`);
-  console.log(`  수량: ${newOrder.quantity}`);
-  console.log(`  금액: ${finalAmount} ${finalCurrency} (USD 환산: $${amountUSD.toFixed(2)})`);
+  logger.info(`✅ 주문 생성 완료: ${orderId}`);
+  logger.debug(`상품: ${orderName}`);
+  logger.debug(`수량: ${newOrder.quantity}`);
+  logger.debug(`금액: ${finalAmount} ${finalCurrency} (USD 환산: $${amountUSD.toFixed(2)})`);
 
   res.json({
     ok: true,
@@ -6412,7 +8109,9 @@ app.post('/datepalm-bay/api/mvp/order/create', async (req, res) => {
       amount: finalAmount,
       amountUSD,
       currency: finalCurrency,
-      orderName
+      orderName,
+      reservationExpiresAt: newOrder.stockReservation?.expiresAt || null,
+      ...(guestOrderToken && { guestOrderToken })
     },
     message: 'Order created successfully'
   });
@@ -6420,18 +8119,12 @@ app.post('/datepalm-bay/api/mvp/order/create', async (req, res) => {
 
 // PayPal 주문 생성 API
 app.post('/datepalm-bay/api/mvp/paypal/create-order', async (req, res) => {
-  console.log('\n=== [PayPal] 결제 주문 생성 ===');
+  logger.debug('[PayPal] 결제 주문 생성');
   const { orderId } = req.body.data || req.body;
 
-  // 주문 조회
-  const order = customerOrders.find(o => o.orderId === orderId);
-  if (!order) {
-    return res.status(404).json({
-      ok: false,
-      data: null,
-      message: 'Order not found'
-    });
-  }
+  // 주문 조회 (본인 주문만)
+  const order = findOwnOrder(req, res, orderId);
+  if (!order) return;
 
   try {
     // PayPal 주문 생성 (계정이 해당 통화를 거부하면 USD로 자동 폴백)
@@ -6445,7 +8138,7 @@ app.post('/datepalm-bay/api/mvp/paypal/create-order', async (req, res) => {
       });
     } catch (currencyError) {
       if (order.currency && order.currency !== 'USD') {
-        console.error(`[PayPal] ${order.currency} 거부됨, USD로 재시도:`, currencyError.message);
+        logger.error(`[PayPal] ${order.currency} 거부됨, USD로 재시도:`, currencyError.message);
         const usdAmount = order.amountUSD || order.amount;
         paypalOrder = await paypalService.createOrder({
           orderId: order.orderId,
@@ -6463,8 +8156,10 @@ app.post('/datepalm-bay/api/mvp/paypal/create-order', async (req, res) => {
 
     // PayPal 주문 ID 저장
     order.paypalOrderId = paypalOrder.id;
+    bumpVersion('orders', order.orderId, order, ['paypalOrderId', 'amount', 'currency', 'fxRate']);
+    saveData(['orders', order.orderId]);
 
-    console.log(`✅ PayPal 주문 생성: ${paypalOrder.id}`);
+    logger.info(`✅ PayPal 주문 생성: ${paypalOrder.id}`);
 
     res.json({
       ok: true,
@@ -6476,7 +8171,7 @@ app.post('/datepalm-bay/api/mvp/paypal/create-order', async (req, res) => {
       message: 'PayPal order created'
     });
   } catch (error) {
-    console.error('PayPal create order error:', error);
+    logger.error('PayPal create order error:', error);
     res.status(500).json({
       ok: false,
       data: null,
@@ -6504,13 +8199,13 @@ function calculateMemberLevel(totalPurchaseAmount, currentLevel) {
 }
 
 app.post('/datepalm-bay/api/mvp/paypal/capture-order', async (req, res) => {
-  console.log('\n=== [PayPal] 결제 승인 ===');
+  logger.debug('[PayPal] 결제 승인');
   const { paypalOrderId } = req.body.data || req.body;
 
-  console.log(`  PayPal Order ID: ${paypalOrderId}`);
+  logger.debug(`PayPal Order ID: ${paypalOrderId}`);
 
   // 주문 조회
-  const order = customerOrders.find(o => o.paypalOrderId === paypalOrderId);
+  const order = findOrderByPaypalId(paypalOrderId);
   if (!order) {
     return res.status(404).json({
       ok: false,
@@ -6519,11 +8214,36 @@ app.post('/datepalm-bay/api/mvp/paypal/capture-order', async (req, res) => {
     });
   }
 
+  // 취소/환불된 주문은 해제된 예약을 다시 잡지 않음, 이미 결제된 주문도 다시 승인하지 않음
+  if (!PAYABLE_ORDER_STATUSES.includes(order.status)) {
+    logger.info(`❌ 결제 승인 거부 (${order.status}): ${order.orderId}`);
+    return res.status(409).json({
+      ok: false,
+      data: { reason: 'ORDER_NOT_PAYABLE', status: order.status },
+      message: `Order cannot be paid in status ${order.status}`
+    });
+  }
+
+  // 재고 예약 보장 — 결제 대기 중 만료된 주문은 재고가 남아 있을 때만 다시 예약 후 결제
+  const ensured = inventory.ensureReserved(order, { ttlMs: STOCK_RESERVATION_TTL_MS });
+  if (ensured.error) {
+    logger.info(`📦 만료된 주문 재예약 실패: ${order.orderId}`);
+    return sendOrderLineError(res, ensured.error);
+  }
+  if (order.status === 'EXPIRED') {
+    order.status = 'PENDING';
+    order.expiredAt = null;
+  }
+  if (ensured.targets.length > 0) {
+    bumpVersion('orders', order.orderId, order, ['status', 'expiredAt', 'stockReservation']);
+    saveData(['orders', order.orderId], ...ensured.targets);
+  }
+
   try {
     // PayPal 결제 승인
     const captureResult = await paypalService.captureOrder(paypalOrderId);
 
-    // 주문 상태 업데이트
+    // 주문 상태 업데이트 + 예약 재고 확정
     order.status = 'SUCCESS';
     order.paymentMethod = 'PAYPAL';
     order.captureId = captureResult.purchase_units?.[0]?.payments?.captures?.[0]?.id;
@@ -6531,9 +8251,11 @@ app.post('/datepalm-bay/api/mvp/paypal/capture-order', async (req, res) => {
 
     // 로열티: 결제 성공 시점에만 포인트 사용을 실제 차감하고 적립 포인트를 지급 —
     // 주문 생성만으로는 미확정 상태라 여기서 처리해야 결제 취소/실패 시 포인트가 잘못 소모되지 않는다.
-    const purchasingUser = order.pointsUsedBy
-      ? users.find(u => u.code === order.pointsUsedBy || u.id === order.pointsUsedBy)
-      : users.find(u => (u.email || '').toLowerCase() === (order.ordererEmail || '').toLowerCase());
+    const purchasingUser = order.memberCode
+      ? findUserByCode(order.memberCode)
+      : order.pointsUsedBy
+        ? findUser(order.pointsUsedBy)
+        : findUserByEmail(order.ordererEmail, { ignoreCase: true });
 
     if (purchasingUser) {
       const isFirstPurchase = (purchasingUser.totalPurchaseCount || 0) === 0;
@@ -6548,7 +8270,7 @@ app.post('/datepalm-bay/api/mvp/paypal/capture-order', async (req, res) => {
       purchasingUser.lastPurchaseDate = order.approvedAt;
       purchasingUser.memberLevel = calculateMemberLevel(purchasingUser.totalPurchaseAmount, purchasingUser.memberLevel);
       order.pointsEarned = earnedPoints;
-      console.log(`🏅 로열티 갱신: ${purchasingUser.id} → ${purchasingUser.memberLevel}, 포인트 ${purchasingUser.points}P (+${earnedPoints}P, -${order.pointsUsed || 0}P)`);
+      logger.info(`🏅 로열티 갱신: ${purchasingUser.id} → ${purchasingUser.memberLevel}, 포인트 ${purchasingUser.points}P (+${earnedPoints}P, -${order.pointsUsed || 0}P)`);
 
       // 친구 추천 리워드: 피추천인의 첫 구매 완료 시점에 지급
       if (isFirstPurchase) {
@@ -6556,13 +8278,15 @@ app.post('/datepalm-bay/api/mvp/paypal/capture-order', async (req, res) => {
       }
     }
 
-    saveData();
+    const stockTargets = inventory.commit(order);
+    bumpVersion('orders', order.orderId, order, ['status', 'paymentMethod', 'captureId', 'approvedAt', 'pointsEarned', 'stockReservation']);
+    saveData(['orders', order.orderId], 'users', 'userCoupons', 'coupons', ...stockTargets);
 
-    console.log(`✅ PayPal 결제 완료: ${order.orderId}`);
+    logger.info(`✅ PayPal 결제 완료: ${order.orderId}`);
 
     // 관리자 텔레그램 알림 — 비동기, 실패해도 결제 응답에 영향 없음
     notificationService.notifyAdminNewOrder(order).catch((err) =>
-      console.error('[Notification] notifyAdminNewOrder error:', err.message)
+      logger.error('[Notification] notifyAdminNewOrder error:', err.message)
     );
 
     res.json({
@@ -6577,7 +8301,7 @@ app.post('/datepalm-bay/api/mvp/paypal/capture-order', async (req, res) => {
       message: 'Payment captured successfully'
     });
   } catch (error) {
-    console.error('PayPal capture error:', error);
+    logger.error('PayPal capture error:', error);
     res.status(500).json({
       ok: false,
       data: null,
@@ -6588,17 +8312,11 @@ app.post('/datepalm-bay/api/mvp/paypal/capture-order', async (req, res) => {
 
 // PayPal 주문 상태 조회 API
 app.get('/datepalm-bay/api/mvp/paypal/order/:orderId', async (req, res) => {
-  console.log('\n=== [PayPal] 주문 상태 조회 ===');
+  logger.debug('[PayPal] 주문 상태 조회');
   const { orderId } = req.params;
 
-  const order = customerOrders.find(o => o.orderId === orderId);
-  if (!order) {
-    return res.status(404).json({
-      ok: false,
-      data: null,
-      message: 'Order not found'
-    });
-  }
+  const order = findOwnOrder(req, res, orderId);
+  if (!order) return;
 
   try {
     if (order.paypalOrderId) {
@@ -6637,21 +8355,15 @@ app.get('/datepalm-bay/api/mvp/paypal/order/:orderId', async (req, res) => {
 
 // 결제 환불 API (PayPal)
 app.post('/datepalm-bay/api/mvp/payment/refund', async (req, res) => {
-  console.log('\n=== [Payment] 환불 요청 ===');
+  logger.debug('[Payment] 환불 요청');
   const { paymentCode, refundContext } = req.body.data || req.body;
 
-  console.log(`  paymentCode: ${paymentCode}`);
-  console.log(`  refundContext: ${refundContext}`);
+  logger.debug(`paymentCode: ${paymentCode}`);
+  logger.debug(`refundContext: ${refundContext}`);
 
-  // 주문 조회
-  const order = customerOrders.find(o => o.orderId === paymentCode);
-  if (!order) {
-    return res.status(404).json({
-      ok: false,
-      data: null,
-      message: 'Order not found'
-    });
-  }
+  // 주문 조회 (본인 주문만)
+  const order = findOwnOrder(req, res, paymentCode);
+  if (!order) return;
 
   if (!order.captureId) {
     return res.status(400).json({
@@ -6669,9 +8381,11 @@ app.post('/datepalm-bay/api/mvp/payment/refund', async (req, res) => {
 
     order.status = 'REFUNDED';
     order.refundedAt = new Date().toISOString(); // 정산 시 환불월 판정 기준
-    saveData();
+    const stockTargets = inventory.release(order);
+    bumpVersion('orders', order.orderId, order, ['status', 'refundedAt', 'stockReservation']);
+    saveData(['orders', order.orderId], ...stockTargets);
 
-    console.log(`✅ 환불 완료: ${paymentCode}`);
+    logger.info(`✅ 환불 완료: ${paymentCode}`);
 
     res.json({
       ok: true,
@@ -6679,7 +8393,7 @@ app.post('/datepalm-bay/api/mvp/payment/refund', async (req, res) => {
       message: 'Refund processed successfully'
     });
   } catch (error) {
-    console.log(`❌ 환불 실패: ${error.message}`);
+    logger.info(`❌ 환불 실패: ${error.message}`);
 
     res.status(400).json({
       ok: false,
@@ -6691,10 +8405,11 @@ app.post('/datepalm-bay/api/mvp/payment/refund', async (req, res) => {
 
 // 주문 내역 조회 API
 app.get('/datepalm-bay/api/mvp/orders', (req, res) => {
-  console.log('\n=== [Payment] 주문 내역 조회 ===');
+  logger.debug('[Payment] 주문 내역 조회');
+  const claims = requireCustomerAuth(req, res);
+  if (!claims) return;
 
-  // TODO: 실제 구현에서는 인증된 사용자의 주문만 조회
-  const paidOrders = customerOrders.filter(o => o.status === 'SUCCESS' || o.status === 'REFUNDED');
+  const paidOrders = customerOrders.filter(o => o.memberCode === claims.sub && (o.status === 'SUCCESS' || o.status === 'REFUNDED'));
 
   res.json({
     ok: true,
@@ -6712,7 +8427,7 @@ function mapOrderStatus(serverStatus, order) {
   if (serverStatus === 'DELIVERY') return 'DELIVERY';
   if (serverStatus === 'DELIVERED') return 'DELIVERED';
   if (serverStatus === 'SUCCESS') return 'SUCCESS';
-  if (serverStatus === 'REFUNDED') return 'CANCEL';
+  if (serverStatus === 'REFUNDED' || serverStatus === 'EXPIRED') return 'CANCEL';
   return 'PROCESSING';
 }
 
@@ -6724,13 +8439,15 @@ function mapPaymentStatus(serverStatus) {
 
 // Customer - Order History List
 app.get('/datepalm-bay/api/mvp/order/history', (req, res) => {
-  console.log('\n=== [Customer] 주문 내역 조회 ===');
+  logger.debug('[Customer] 주문 내역 조회');
+  const claims = requireCustomerAuth(req, res);
+  if (!claims) return;
 
   const visibleStatuses = ['SUCCESS', 'DELIVERY', 'DELIVERED', 'REFUNDED'];
-  const visibleOrders = customerOrders.filter(o => visibleStatuses.includes(o.status));
+  const visibleOrders = customerOrders.filter(o => o.memberCode === claims.sub && visibleStatuses.includes(o.status));
 
   const content = visibleOrders.map(o => {
-    const product = products.find(p => p.productCode === o.productCode);
+    const product = findProduct(o.productCode);
     const thumbnail = product?.files?.mainImages?.[0]?.url || '';
     return {
       thumbnail,
@@ -6743,22 +8460,21 @@ app.get('/datepalm-bay/api/mvp/order/history', (req, res) => {
     };
   }).sort((a, b) => new Date(b.orderAt) - new Date(a.orderAt));
 
-  console.log(`총 ${content.length}개 주문 반환`);
+  logger.info(`총 ${content.length}개 주문 반환`);
 
   res.json({ ok: true, data: content, message: 'Order history retrieved' });
 });
 
 // Customer - Order Detail
 app.get('/datepalm-bay/api/mvp/order/detail/:code', (req, res) => {
-  console.log(`\n=== [Customer] 주문 상세 조회: ${req.params.code} ===`);
+  logger.debug(`[Customer] 주문 상세 조회: ${req.params.code}`);
 
-  const order = customerOrders.find(o => o.orderId === req.params.code);
-  if (!order) {
-    return res.status(404).json({ ok: false, data: null, message: 'Order not found' });
-  }
+  const order = findOwnOrder(req, res, req.params.code);
+  if (!order) return;
 
-  const product = products.find(p => p.productCode === order.productCode);
-  const imageUrl = product?.files?.mainImages?.[0]?.url || '';
+  const product = findProduct(order.productCode);
+  const variant = order.sku ? product?.variants?.find(v => v.sku === order.sku) : null;
+  const imageUrl = variant?.images?.[0]?.url || product?.files?.mainImages?.[0]?.url || '';
   const orderStatus = mapOrderStatus(order.status, order);
 
   res.json({
@@ -6770,6 +8486,8 @@ app.get('/datepalm-bay/api/mvp/order/detail/:code', (req, res) => {
         orderCode: order.orderId,
         productCode: order.productCode,
         productName: order.productName,
+        sku: order.sku || null,
+        variantName: order.variantName || null,
         quantity: order.quantity,
         orderAmount: order.amount,
         currency: order.currency || 'USD',
@@ -6805,9 +8523,11 @@ app.get('/datepalm-bay/api/mvp/order/detail/:code', (req, res) => {
 
 // Customer - Order Status Count
 app.get('/datepalm-bay/api/mvp/order/status-count', (req, res) => {
-  console.log('\n=== [Customer] 주문 상태 카운트 ===');
+  logger.debug('[Customer] 주문 상태 카운트');
+  const claims = requireCustomerAuth(req, res);
+  if (!claims) return;
 
-  const orders = customerOrders.filter(o => ['SUCCESS', 'DELIVERY', 'DELIVERED'].includes(o.status));
+  const orders = customerOrders.filter(o => o.memberCode === claims.sub && ['SUCCESS', 'DELIVERY', 'DELIVERED'].includes(o.status));
 
   res.json({
     ok: true,
@@ -6826,8 +8546,8 @@ app.get('/datepalm-bay/api/mvp/order/status-count', (req, res) => {
 // ======================================
 
 // Admin - Coupon List
-app.get('/datepalm-bay/api/admin/coupon/list', (req, res) => {
-  console.log('\n=== [Admin] Coupon List ===');
+app.get('/datepalm-bay/api/admin/coupon/list', requirePermission('coupons:read'), (req, res) => {
+  logger.debug('[Admin] Coupon List');
   const pageNo = parseInt(req.query.pageNo) || 0;
   const pageSize = parseInt(req.query.pageSize) || 10;
   const { status, keyword } = req.query;
@@ -6884,8 +8604,8 @@ app.get('/datepalm-bay/api/admin/coupon/list', (req, res) => {
 });
 
 // Admin - Coupon Detail
-app.get('/datepalm-bay/api/admin/coupon/detail/:code', (req, res) => {
-  console.log('\n=== [Admin] Coupon Detail ===');
+app.get('/datepalm-bay/api/admin/coupon/detail/:code', requirePermission('coupons:read'), (req, res) => {
+  logger.debug('[Admin] Coupon Detail');
   const { code } = req.params;
 
   const coupon = coupons.find(c => c.code === code);
@@ -6905,16 +8625,16 @@ app.get('/datepalm-bay/api/admin/coupon/detail/:code', (req, res) => {
     coupon.status = 'EXPIRED';
   }
 
-  res.json({
+  res.set('ETag', formatEtag(coupon)).json({
     ok: true,
-    data: coupon,
+    data: { ...coupon, version: getVersion(coupon) },
     message: 'Coupon detail retrieved successfully'
   });
 });
 
 // Admin - Create Coupon
-app.post('/datepalm-bay/api/admin/coupon/create', express.json(), (req, res) => {
-  console.log('\n=== [Admin] Create Coupon ===');
+app.post('/datepalm-bay/api/admin/coupon/create', requirePermission('coupons:write'), express.json(), (req, res) => {
+  logger.debug('[Admin] Create Coupon');
 
   const requestData = req.body;
   const code = `CPN-${Date.now()}`;
@@ -6932,6 +8652,7 @@ app.post('/datepalm-bay/api/admin/coupon/create', express.json(), (req, res) =>
     status: 'ACTIVE',
     usageCount: 0,
     usageLimit: requestData.usageLimit || null,
+    version: 1,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     couponType: requestData.couponType || 'GENERAL',
@@ -6942,8 +8663,8 @@ app.post('/datepalm-bay/api/admin/coupon/create', express.json(), (req, res) =>
 
   coupons.push(newCoupon);
 
-  console.log(`Coupon created: ${code}`);
-  saveData();
+  logger.info(`Coupon created: ${code}`);
+  saveData(['coupons', newCoupon.code]);
 
   res.json({
     ok: true,
@@ -6953,8 +8674,8 @@ app.post('/datepalm-bay/api/admin/coupon/create', express.json(), (req, res) =>
 });
 
 // Admin - Edit Coupon
-app.put('/datepalm-bay/api/admin/coupon/edit', express.json(), (req, res) => {
-  console.log('\n=== [Admin] Edit Coupon ===');
+app.put('/datepalm-bay/api/admin/coupon/edit', requirePermission('coupons:write'), express.json(), (req, res) => {
+  logger.debug('[Admin] Edit Coupon');
 
   const requestData = req.body;
   const couponIndex = coupons.findIndex(c => c.code === requestData.code);
@@ -6969,27 +8690,35 @@ app.put('/datepalm-bay/api/admin/coupon/edit', express.json(), (req, res) => {
 
   const existingCoupon = coupons[couponIndex];
 
-  coupons[couponIndex] = {
-    ...existingCoupon,
-    name: requestData.name,
-    description: requestData.description || '',
-    discountType: requestData.discountType,
-    discountValue: requestData.discountValue,
-    minOrderAmount: requestData.minOrderAmount || 0,
-    maxDiscountAmount: requestData.maxDiscountAmount || null,
-    startDate: requestData.startDate,
-    endDate: requestData.endDate,
-    status: requestData.status || existingCoupon.status,
-    usageLimit: requestData.usageLimit || null,
-    updatedAt: new Date().toISOString(),
-    couponType: requestData.couponType || existingCoupon.couponType || 'GENERAL',
-    isDownloadable: requestData.isDownloadable !== undefined ? requestData.isDownloadable : existingCoupon.isDownloadable,
-    isAutoIssue: requestData.isAutoIssue !== undefined ? requestData.isAutoIssue : existingCoupon.isAutoIssue || false,
-    targetCondition: requestData.targetCondition !== undefined ? requestData.targetCondition : existingCoupon.targetCondition,
-  };
+  const updatedCoupon = applyVersionedEdit(req, res, {
+    collection: 'coupons',
+    id: existingCoupon.code,
+    current: existingCoupon,
+    bodyVersion: requestData.version,
+    next: {
+      ...existingCoupon,
+      name: requestData.name,
+      description: requestData.description || '',
+      discountType: requestData.discountType,
+      discountValue: requestData.discountValue,
+      minOrderAmount: requestData.minOrderAmount || 0,
+      maxDiscountAmount: requestData.maxDiscountAmount || null,
+      startDate: requestData.startDate,
+      endDate: requestData.endDate,
+      status: requestData.status || existingCoupon.status,
+      usageLimit: requestData.usageLimit || null,
+      updatedAt: new Date().toISOString(),
+      couponType: requestData.couponType || existingCoupon.couponType || 'GENERAL',
+      isDownloadable: requestData.isDownloadable !== undefined ? requestData.isDownloadable : existingCoupon.isDownloadable,
+      isAutoIssue: requestData.isAutoIssue !== undefined ? requestData.isAutoIssue : existingCoupon.isAutoIssue || false,
+      targetCondition: requestData.targetCondition !== undefined ? requestData.targetCondition : existingCoupon.targetCondition,
+    },
+  });
+  if (!updatedCoupon) return;
+  coupons[couponIndex] = updatedCoupon;
 
-  console.log(`Coupon updated: ${requestData.code}`);
-  saveData();
+  logger.info(`Coupon updated: ${requestData.code}`);
+  saveData(['coupons', requestData.code]);
 
   res.json({
     ok: true,
@@ -6999,8 +8728,8 @@ app.put('/datepalm-bay/api/admin/coupon/edit', express.json(), (req, res) => {
 });
 
 // Admin - Delete Coupon
-app.delete('/datepalm-bay/api/admin/coupon/delete/:code', (req, res) => {
-  console.log('\n=== [Admin] Delete Coupon ===');
+app.delete('/datepalm-bay/api/admin/coupon/delete/:code', requirePermission('coupons:write'), (req, res) => {
+  logger.debug('[Admin] Delete Coupon');
   const { code } = req.params;
 
   const couponIndex = coupons.findIndex(c => c.code === code);
@@ -7015,8 +8744,8 @@ app.delete('/datepalm-bay/api/admin/coupon/delete/:code', (req, res) => {
 
   coupons.splice(couponIndex, 1);
 
-  console.log(`Coupon deleted: ${code}`);
-  saveData();
+  logger.info(`Coupon deleted: ${code}`);
+  saveData(['coupons', code]);
 
   res.json({
     ok: true,
@@ -7027,7 +8756,7 @@ app.delete('/datepalm-bay/api/admin/coupon/delete/:code', (req, res) => {
 
 // Frontend - Get Available Coupons (for product page)
 app.get('/datepalm-bay/api/mvp/coupons/available', (req, res) => {
-  console.log('\n=== [Frontend] Available Coupons ===');
+  logger.debug('[Frontend] Available Coupons');
 
   const now = new Date();
   const availableCoupons = coupons.filter(coupon => {
@@ -7057,29 +8786,60 @@ app.get('/datepalm-bay/api/mvp/coupons/available', (req, res) => {
 // ======================================
 
 // 고객 세션 만료 기간 (이커머스 일반 관행: 30일 지속 로그인)
-const CUSTOMER_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
-
-// 토큰에서 userId 추출 함수 (만료된 토큰은 null 반환)
-// 토큰 형식: mock-token-{userId}-{timestamp} 또는 google-oauth-{userId}-{timestamp}
-function extractUserIdFromToken(token) {
-  if (!token) return null;
-
-  // mock-token-{userId}-{timestamp} / google-oauth-{userId}-{timestamp} 형식 처리
-  if (token.startsWith('mock-token-') || token.startsWith('google-oauth-')) {
-    const parts = token.split('-');
-    if (parts.length >= 4) {
-      // 마지막 세그먼트는 발급 시각(timestamp), 'mock'/'token' 또는 'google'/'oauth' 다음부터 그 앞까지가 userId (예: USER-001)
-      const issuedAt = Number(parts[parts.length - 1]);
-      if (!Number.isNaN(issuedAt) && Date.now() - issuedAt > CUSTOMER_TOKEN_TTL_MS) {
-        return null; // 세션 만료
-      }
-      const userIdParts = parts.slice(2, -1);
-      return userIdParts.join('-');
-    }
-  }
+const CUSTOMER_ACCESS_TOKEN_TTL_MS = (parseFloat(process.env.CUSTOMER_ACCESS_TOKEN_MINUTES) || 15) * 60 * 1000;
+
+// 고객 액세스 토큰 발급/검증 (services/customerToken.js — kid 로 키 교체 지원)
+const customerTokens = createCustomerTokenService({ ttlMs: CUSTOMER_ACCESS_TOKEN_TTL_MS });
+
+// 기기 세션(deviceId)에 묶인 짧은 액세스 토큰
+function issueCustomerAccessToken(user, deviceId) {
+  return {
+    accessToken: customerTokens.issue({ sub: user.code, uid: user.id, sid: deviceId }),
+    accessTokenExpiresAt: new Date(Date.now() + CUSTOMER_ACCESS_TOKEN_TTL_MS).toISOString(),
+  };
+}
+
+/**
+ * 고객 로그인 — 기기 세션 생성 (리프레시 토큰) + 액세스 토큰
+ * @returns {{ accessToken: string, accessTokenExpiresAt: string, refreshToken: string }}
+ */
+function issueCustomerSession(req, user) {
+  const { token, session } = sessionStore.create('customer', user.code, getSessionMeta(req));
+  return { ...issueCustomerAccessToken(user, session.deviceId), refreshToken: token };
+}
+
+/**
+ * 고객 토큰 검증 → 서명/만료 확인된 claims (sub = 회원 code, sid = 기기 ID), 실패 시 null
+ * 기기 세션이 로그아웃/비밀번호 변경 등으로 폐기됐으면 만료 전이라도 거부
+ */
+function verifyCustomerToken(token) {
+  const result = customerTokens.verify(token);
+  if (!result.ok) {
+    logger.info(`🔒 고객 토큰 거부: ${result.reason}`);
+    return null;
+  }
+  const device = sessionStore.findDevice('customer', result.claims.sid);
+  if (!device || device.subjectId !== result.claims.sub) {
+    logger.info(`🔒 고객 토큰 거부: revoked_device (${result.claims.sub})`);
+    return null;
+  }
+  return result.claims;
+}
 
-  // 다른 형식은 그대로 반환
-  return token;
+/**
+ * 저장된 비밀번호(해시 또는 이전 평문)와 비교 — 평문으로 일치하면 그 자리에서 해시로 교체 후 저장
+ * @param {Object} account - users / b2bUsers / sellers 레코드
+ * @param {string} password - 입력된 평문
+ * @param {[string, string]} target - saveData 대상 ([collection, key])
+ */
+function checkAccountPassword(account, password, target) {
+  const result = verifyPassword(password, account.password);
+  if (result.ok && result.needsRehash) {
+    account.password = hashPassword(password);
+    saveData(target);
+    logger.info(`🔐 비밀번호 해시 전환: ${target[0]}/${target[1]}`);
+  }
+  return result.ok;
 }
 
 // 유저의 쿠폰 자격 조건 확인 함수
@@ -7154,7 +8914,7 @@ function checkCouponEligibility(user, coupon) {
 
 // Frontend - 다운로드 가능한 쿠폰 목록 (자격 조건 필터링)
 app.get('/datepalm-bay/api/mvp/coupons/downloadable', (req, res) => {
-  console.log('\n=== [Frontend] Downloadable Coupons ===');
+  logger.debug('[Frontend] Downloadable Coupons');
 
   // Authorization 헤더에서 userId 추출 (간단한 Mock 인증)
   const authHeader = req.headers.authorization;
@@ -7162,12 +8922,12 @@ app.get('/datepalm-bay/api/mvp/coupons/downloadable', (req, res) => {
 
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const token = authHeader.substring(7);
-    userId = extractUserIdFromToken(token);
-    console.log(`Token: ${token} -> Extracted userId: ${userId}`);
+    userId = verifyCustomerToken(token)?.sub || null;
+    logger.info(`Token verified -> userId: ${userId}`);
   }
 
   if (!userId) {
-    console.log('No userId found - returning 401');
+    logger.info('No userId found - returning 401');
     return res.status(401).json({
       ok: false,
       data: null,
@@ -7175,9 +8935,9 @@ app.get('/datepalm-bay/api/mvp/coupons/downloadable', (req, res) => {
     });
   }
 
-  const user = users.find(u => u.code === userId || u.id === userId);
+  const user = findUser(userId);
   if (!user) {
-    console.log(`User not found for userId: ${userId}`);
+    logger.info(`User not found for userId: ${userId}`);
     return res.status(404).json({
       ok: false,
       data: null,
@@ -7185,7 +8945,7 @@ app.get('/datepalm-bay/api/mvp/coupons/downloadable', (req, res) => {
     });
   }
 
-  console.log(`User found: ${user.name} (${user.memberLevel}, id: ${user.id}, code: ${user.code})`);
+  logger.info(`User found: ${user.code} (${user.memberLevel})`);
 
   const now = new Date();
 
@@ -7214,7 +8974,7 @@ app.get('/datepalm-bay/api/mvp/coupons/downloadable', (req, res) => {
     return eligibility.eligible;
   });
 
-  console.log(`Found ${downloadableCoupons.length} downloadable coupons for user`);
+  logger.info(`Found ${downloadableCoupons.length} downloadable coupons for user`);
 
   res.json({
     ok: true,
@@ -7238,7 +8998,7 @@ app.get('/datepalm-bay/api/mvp/coupons/downloadable', (req, res) => {
 
 // Frontend - 쿠폰 다운로드
 app.post('/datepalm-bay/api/mvp/coupons/download/:code', (req, res) => {
-  console.log('\n=== [Frontend] Download Coupon ===');
+  logger.debug('[Frontend] Download Coupon');
 
   const { code } = req.params;
   const authHeader = req.headers.authorization;
@@ -7246,7 +9006,7 @@ app.post('/datepalm-bay/api/mvp/coupons/download/:code', (req, res) => {
 
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const token = authHeader.substring(7);
-    userId = extractUserIdFromToken(token);
+    userId = verifyCustomerToken(token)?.sub || null;
   }
 
   if (!userId) {
@@ -7257,7 +9017,7 @@ app.post('/datepalm-bay/api/mvp/coupons/download/:code', (req, res) => {
     });
   }
 
-  const user = users.find(u => u.code === userId || u.id === userId);
+  const user = findUser(userId);
   if (!user) {
     return res.status(404).json({
       ok: false,
@@ -7308,8 +9068,8 @@ app.post('/datepalm-bay/api/mvp/coupons/download/:code', (req, res) => {
   };
   userCoupons.push(newUserCoupon);
 
-  console.log(`Coupon ${code} downloaded by user ${user.name}`);
-  saveData();
+  logger.info(`Coupon ${code} downloaded by user ${user.code}`);
+  saveData(['userCoupons', newUserCoupon.id]);
 
   res.json({
     ok: true,
@@ -7331,19 +9091,19 @@ app.post('/datepalm-bay/api/mvp/coupons/download/:code', (req, res) => {
 
 // Frontend - 내 쿠폰 목록
 app.get('/datepalm-bay/api/mvp/coupons/my', (req, res) => {
-  console.log('\n=== [Frontend] My Coupons ===');
+  logger.debug('[Frontend] My Coupons');
 
   const authHeader = req.headers.authorization;
   let userId = null;
 
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const token = authHeader.substring(7);
-    userId = extractUserIdFromToken(token);
-    console.log(`Token: ${token} -> Extracted userId: ${userId}`);
+    userId = verifyCustomerToken(token)?.sub || null;
+    logger.info(`Token verified -> userId: ${userId}`);
   }
 
   if (!userId) {
-    console.log('No userId found - returning 401');
+    logger.info('No userId found - returning 401');
     return res.status(401).json({
       ok: false,
       data: null,
@@ -7351,9 +9111,9 @@ app.get('/datepalm-bay/api/mvp/coupons/my', (req, res) => {
     });
   }
 
-  const user = users.find(u => u.code === userId || u.id === userId);
+  const user = findUser(userId);
   if (!user) {
-    console.log(`User not found for userId: ${userId}`);
+    logger.info(`User not found for userId: ${userId}`);
     return res.status(404).json({
       ok: false,
       data: null,
@@ -7361,11 +9121,11 @@ app.get('/datepalm-bay/api/mvp/coupons/my', (req, res) => {
     });
   }
 
-  console.log(`User found: ${user.name} (id: ${user.id}, code: ${user.code})`);
+  logger.info(`User found: ${user.code}`);
 
   // 유저의 쿠폰 목록
   const myUserCoupons = userCoupons.filter(uc => uc.userId === user.code);
-  console.log(`Found ${myUserCoupons.length} coupons for user (searching by code: ${user.code})`);
+  logger.info(`Found ${myUserCoupons.length} coupons for user (searching by code: ${user.code})`);
 
   const now = new Date();
   const myCoupons = myUserCoupons.map(uc => {
@@ -7405,7 +9165,7 @@ app.get('/datepalm-bay/api/mvp/coupons/my', (req, res) => {
   const usedCoupons = myCoupons.filter(c => c.status === 'USED');
   const expiredCoupons = myCoupons.filter(c => c.status === 'EXPIRED');
 
-  console.log(`User ${user.name}: ${usableCoupons.length} usable, ${usedCoupons.length} used, ${expiredCoupons.length} expired`);
+  logger.info(`User ${user.code}: ${usableCoupons.length} usable, ${usedCoupons.length} used, ${expiredCoupons.length} expired`);
 
   res.json({
     ok: true,
@@ -7427,7 +9187,7 @@ app.get('/datepalm-bay/api/mvp/coupons/my', (req, res) => {
 
 // Frontend - 쿠폰 사용
 app.post('/datepalm-bay/api/mvp/coupons/use/:code', (req, res) => {
-  console.log('\n=== [Frontend] Use Coupon ===');
+  logger.debug('[Frontend] Use Coupon');
 
   const { code } = req.params;
   const { orderCode, orderAmount } = req.body;
@@ -7437,7 +9197,7 @@ app.post('/datepalm-bay/api/mvp/coupons/use/:code', (req, res) => {
 
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const token = authHeader.substring(7);
-    userId = extractUserIdFromToken(token);
+    userId = verifyCustomerToken(token)?.sub || null;
   }
 
   if (!userId) {
@@ -7448,7 +9208,7 @@ app.post('/datepalm-bay/api/mvp/coupons/use/:code', (req, res) => {
     });
   }
 
-  const user = users.find(u => u.code === userId || u.id === userId);
+  const user = findUser(userId);
   if (!user) {
     return res.status(404).json({
       ok: false,
@@ -7535,8 +9295,8 @@ app.post('/datepalm-bay/api/mvp/coupons/use/:code', (req, res) => {
     }
   }
 
-  console.log(`Coupon ${code} used by user ${user.name}, discount: $${discountAmount}`);
-  saveData();
+  logger.info(`Coupon ${code} used by user ${user.code}, discount: $${discountAmount}`);
+  saveData(['userCoupons', userCoupon.id], ['coupons', code]);
 
   res.json({
     ok: true,
@@ -7559,7 +9319,7 @@ app.get('/datepalm-bay/api/fx/rates', async (req, res) => {
     const rates = await currencyService.getRates();
     res.json({ ok: true, data: rates, message: 'FX rates retrieved' });
   } catch (error) {
-    console.error('[Currency] FX rates error:', error.message);
+    logger.error('[Currency] FX rates error:', error.message);
     res.status(500).json({ ok: false, data: null, message: error.message || 'Failed to fetch FX rates' });
   }
 });
@@ -7570,7 +9330,7 @@ app.get('/datepalm-bay/api/fx/rates', async (req, res) => {
 
 // FedEx 배송비 견적 조회
 app.post('/datepalm-bay/api/fedex/rates', async (req, res) => {
-  console.log('\n=== [FedEx] 배송비 견적 조회 ===');
+  logger.debug('[FedEx] 배송비 견적 조회');
   const { recipient, packages, serviceType } = req.body.data || req.body;
 
   if (!recipient || !packages || !packages.length) {
@@ -7581,13 +9341,13 @@ app.post('/datepalm-bay/api/fedex/rates', async (req, res) => {
     });
   }
 
-  console.log(`  수신자: ${recipient.city}, ${recipient.countryCode}`);
-  console.log(`  패키지 수: ${packages.length}`);
+  logger.debug(`수신자: ${recipient.city}, ${recipient.countryCode}`);
+  logger.debug(`패키지 수: ${packages.length}`);
 
   try {
     const rates = await fedexService.getRates({ recipient, packages, serviceType });
 
-    console.log(`✅ 배송비 견적 ${rates.length}건 조회 완료`);
+    logger.info(`✅ 배송비 견적 ${rates.length}건 조회 완료`);
 
     res.json({
       ok: true,
@@ -7595,7 +9355,7 @@ app.post('/datepalm-bay/api/fedex/rates', async (req, res) => {
       message: 'Rate quotes retrieved successfully'
     });
   } catch (error) {
-    console.error('FedEx rates error:', error.message);
+    logger.error('FedEx rates error:', error.message);
     res.status(500).json({
       ok: false,
       data: null,
@@ -7605,8 +9365,8 @@ app.post('/datepalm-bay/api/fedex/rates', async (req, res) => {
 });
 
 // FedEx 배송 생성 + 라벨 발급 (Admin)
-app.post('/datepalm-bay/api/admin/fedex/create-shipment', async (req, res) => {
-  console.log('\n=== [FedEx] 배송 생성 ===');
+app.post('/datepalm-bay/api/admin/fedex/create-shipment', requirePermission('shipping:manage'), async (req, res) => {
+  logger.debug('[FedEx] 배송 생성');
   const requestData = req.body.data || req.body;
   const { orderCode, serviceType, packages, labelFormat, recipientCity, recipientState, recipientCountry } = requestData;
 
@@ -7619,7 +9379,7 @@ app.post('/datepalm-bay/api/admin/fedex/create-shipment', async (req, res) => {
   }
 
   // 주문 조회
-  const order = customerOrders.find(o => o.orderId === orderCode);
+  const order = findOrder(orderCode);
   if (!order) {
     return res.status(404).json({
       ok: false,
@@ -7636,9 +9396,8 @@ app.post('/datepalm-bay/api/admin/fedex/create-shipment', async (req, res) => {
     });
   }
 
-  console.log(`  주문번호: ${orderCode}`);
-  console.log(`  수신자: ${order.recipientName}`);
-  console.log(`  서비스: ${serviceType || 'FEDEX_INTERNATIONAL_PRIORITY'}`);
+  logger.debug(`주문번호: ${orderCode}`);
+  logger.debug(`서비스: ${serviceType || 'FEDEX_INTERNATIONAL_PRIORITY'}`);
 
   // FedEx API 포맷으로 수신자 구성
   const fedexEmail = order.recipientEmail || order.ordererEmail || null;
@@ -7659,7 +9418,7 @@ app.post('/datepalm-bay/api/admin/fedex/create-shipment', async (req, res) => {
   };
 
   const shipmentPackages = packages || [{
-    weight: 1.0,
+    weight: getOrderWeightKg(order) || 1.0,
     length: 25,
     width: 20,
     height: 15
@@ -7695,12 +9454,15 @@ app.post('/datepalm-bay/api/admin/fedex/create-shipment', async (req, res) => {
     order.fedexShippedAt = new Date().toISOString();
     order.courier = 'FEDEX';
     order.status = 'DELIVERY';
+    bumpVersion('orders', order.orderId, order, [
+      'fedexTrackingNumber', 'fedexLabelBase64', 'fedexServiceType', 'fedexEstimatedDelivery', 'fedexShippedAt', 'courier', 'status',
+    ]);
 
-    saveData();
+    saveData(['orders', order.orderId]);
 
-    console.log(`✅ FedEx 배송 생성 완료`);
-    console.log(`  트래킹 번호: ${result.trackingNumber}`);
-    console.log(`  예상 배송일: ${result.estimatedDelivery}`);
+    logger.info(`✅ FedEx 배송 생성 완료`);
+    logger.debug(`트래킹 번호: ${result.trackingNumber}`);
+    logger.debug(`예상 배송일: ${result.estimatedDelivery}`);
 
     res.json({
       ok: true,
@@ -7714,7 +9476,7 @@ app.post('/datepalm-bay/api/admin/fedex/create-shipment', async (req, res) => {
       message: 'FedEx shipment created successfully'
     });
   } catch (error) {
-    console.error('FedEx create shipment error:', error.message);
+    logger.error('FedEx create shipment error:', error.message);
     res.status(500).json({
       ok: false,
       data: null,
@@ -7724,11 +9486,11 @@ app.post('/datepalm-bay/api/admin/fedex/create-shipment', async (req, res) => {
 });
 
 // FedEx 라벨 다운로드 (Admin)
-app.get('/datepalm-bay/api/admin/fedex/label/:orderCode', (req, res) => {
-  console.log('\n=== [FedEx] 라벨 다운로드 ===');
+app.get('/datepalm-bay/api/admin/fedex/label/:orderCode', requirePermission('shipping:manage'), (req, res) => {
+  logger.debug('[FedEx] 라벨 다운로드');
   const { orderCode } = req.params;
 
-  const order = customerOrders.find(o => o.orderId === orderCode);
+  const order = findOrder(orderCode);
   if (!order) {
     return res.status(404).json({
       ok: false,
@@ -7745,8 +9507,8 @@ app.get('/datepalm-bay/api/admin/fedex/label/:orderCode', (req, res) => {
     });
   }
 
-  console.log(`  주문번호: ${orderCode}`);
-  console.log(`  트래킹: ${order.fedexTrackingNumber}`);
+  logger.debug(`주문번호: ${orderCode}`);
+  logger.debug(`트래킹: ${order.fedexTrackingNumber}`);
 
   // base64 PDF를 바이너리로 변환하여 전송
   const labelBuffer = Buffer.from(order.fedexLabelBase64, 'base64');
@@ -7760,7 +9522,7 @@ app.get('/datepalm-bay/api/admin/fedex/label/:orderCode', (req, res) => {
 
 // FedEx 배송 추적
 app.post('/datepalm-bay/api/fedex/track', async (req, res) => {
-  console.log('\n=== [FedEx] 배송 추적 ===');
+  logger.debug('[FedEx] 배송 추적');
   const { trackingNumber, trackingNumbers } = req.body.data || req.body;
 
   const numbers = trackingNumbers || (trackingNumber ? [trackingNumber] : []);
@@ -7773,12 +9535,12 @@ app.post('/datepalm-bay/api/fedex/track', async (req, res) => {
     });
   }
 
-  console.log(`  추적 번호: ${numbers.join(', ')}`);
+  logger.debug(`추적 번호: ${numbers.join(', ')}`);
 
   try {
     const trackingResults = await fedexService.trackShipment(numbers);
 
-    console.log(`✅ 배송 추적 완료: ${trackingResults.length}건`);
+    logger.info(`✅ 배송 추적 완료: ${trackingResults.length}건`);
 
     res.json({
       ok: true,
@@ -7786,7 +9548,7 @@ app.post('/datepalm-bay/api/fedex/track', async (req, res) => {
       message: 'Tracking information retrieved successfully'
     });
   } catch (error) {
-    console.error('FedEx tracking error:', error.message);
+    logger.error('FedEx tracking error:', error.message);
     res.status(500).json({
       ok: false,
       data: null,
@@ -7797,7 +9559,7 @@ app.post('/datepalm-bay/api/fedex/track', async (req, res) => {
 
 // FedEx 주소 검증
 app.post('/datepalm-bay/api/fedex/validate-address', async (req, res) => {
-  console.log('\n=== [FedEx] 주소 검증 ===');
+  logger.debug('[FedEx] 주소 검증');
   const { address } = req.body.data || req.body;
 
   if (!address) {
@@ -7808,12 +9570,12 @@ app.post('/datepalm-bay/api/fedex/validate-address', async (req, res) => {
     });
   }
 
-  console.log(`  주소: ${address.streetLines?.[0]}, ${address.city}, ${address.countryCode}`);
+  logger.debug(`주소 국가: ${address.countryCode}`);
 
   try {
     const validationResult = await fedexService.validateAddress(address);
 
-    console.log(`✅ 주소 검증 완료`);
+    logger.info(`✅ 주소 검증 완료`);
 
     res.json({
       ok: true,
@@ -7821,7 +9583,7 @@ app.post('/datepalm-bay/api/fedex/validate-address', async (req, res) => {
       message: 'Address validation completed'
     });
   } catch (error) {
-    console.error('FedEx address validation error:', error.message);
+    logger.error('FedEx address validation error:', error.message);
     res.status(500).json({
       ok: false,
       data: null,
@@ -7835,15 +9597,15 @@ app.post('/datepalm-bay/api/fedex/validate-address', async (req, res) => {
 // ========================================
 
 // POST /datepalm-bay/api/admin/fedex/schedule-pickup - 픽업 예약
-app.post('/datepalm-bay/api/admin/fedex/schedule-pickup', async (req, res) => {
-  console.log('\n=== [FedEx] 픽업 예약 ===');
+app.post('/datepalm-bay/api/admin/fedex/schedule-pickup', requirePermission('shipping:manage'), async (req, res) => {
+  logger.debug('[FedEx] 픽업 예약');
   const { orderCode, readyDate, readyTime, closeTime, pickupType, totalWeight, packageCount, remarks } = req.body.data || req.body;
 
   try {
     // 주문이 있으면 주문 정보에 픽업 정보 연결
     let order = null;
     if (orderCode) {
-      order = customerOrders.find(o => o.orderCode === orderCode);
+      order = findOrderByCode(orderCode);
       if (!order) {
         return res.json({ ok: false, data: null, message: 'Order not found' });
       }
@@ -7854,7 +9616,7 @@ app.post('/datepalm-bay/api/admin/fedex/schedule-pickup', async (req, res) => {
       readyTime,
       closeTime,
       pickupType: pickupType || 'FUTURE_DAY',
-      totalWeight: totalWeight || 1.0,
+      totalWeight: totalWeight || (order && getOrderWeightKg(order)) || 1.0,
       packageCount: packageCount || 1,
       remarks,
     });
@@ -7864,19 +9626,20 @@ app.post('/datepalm-bay/api/admin/fedex/schedule-pickup', async (req, res) => {
       order.fedexPickupConfirmation = result.pickupConfirmationCode;
       order.fedexPickupDate = readyDate;
       order.fedexPickupTime = `${readyTime} ~ ${closeTime}`;
-      saveData();
+      bumpVersion('orders', order.orderId, order, ['fedexPickupConfirmation', 'fedexPickupDate', 'fedexPickupTime']);
+      saveData(['orders', order.orderId]);
     }
 
     res.json({ ok: true, data: result, message: 'Pickup scheduled successfully' });
   } catch (error) {
-    console.error('FedEx pickup schedule error:', error.message);
+    logger.error('FedEx pickup schedule error:', error.message);
     res.status(500).json({ ok: false, data: null, message: error.message || 'Failed to schedule pickup' });
   }
 });
 
 // PUT /datepalm-bay/api/admin/fedex/cancel-pickup - 픽업 취소
-app.put('/datepalm-bay/api/admin/fedex/cancel-pickup', async (req, res) => {
-  console.log('\n=== [FedEx] 픽업 취소 ===');
+app.put('/datepalm-bay/api/admin/fedex/cancel-pickup', requirePermission('shipping:manage'), async (req, res) => {
+  logger.debug('[FedEx] 픽업 취소');
   const { pickupConfirmationCode, scheduledDate, orderCode } = req.body.data || req.body;
 
   try {
@@ -7888,18 +9651,19 @@ app.put('/datepalm-bay/api/admin/fedex/cancel-pickup', async (req, res) => {
 
     // 주문에서 픽업 정보 제거
     if (orderCode) {
-      const order = customerOrders.find(o => o.orderCode === orderCode);
+      const order = findOrderByCode(orderCode);
       if (order) {
         order.fedexPickupConfirmation = null;
         order.fedexPickupDate = null;
         order.fedexPickupTime = null;
-        saveData();
+        bumpVersion('orders', order.orderId, order, ['fedexPickupConfirmation', 'fedexPickupDate', 'fedexPickupTime']);
+        saveData(['orders', order.orderId]);
       }
     }
 
     res.json({ ok: true, data: result, message: 'Pickup cancelled successfully' });
   } catch (error) {
-    console.error('FedEx pickup cancel error:', error.message);
+    logger.error('FedEx pickup cancel error:', error.message);
     res.status(500).json({ ok: false, data: null, message: error.message || 'Failed to cancel pickup' });
   }
 });
@@ -7910,7 +9674,7 @@ app.put('/datepalm-bay/api/admin/fedex/cancel-pickup', async (req, res) => {
 
 // POST /datepalm-bay/api/aramex/rates - 배송비 견적
 app.post('/datepalm-bay/api/aramex/rates', async (req, res) => {
-  console.log('\n=== [Aramex] 배송비 견적 조회 ===');
+  logger.debug('[Aramex] 배송비 견적 조회');
   const { recipient, packages, productGroup, productType } = req.body.data || req.body;
 
   if (!recipient || !packages || !packages.length) {
@@ -7921,14 +9685,14 @@ app.post('/datepalm-bay/api/aramex/rates', async (req, res) => {
     const result = await aramexService.getRates({ recipient, packages, productGroup, productType });
     res.json({ ok: true, data: result, message: 'Rates retrieved successfully' });
   } catch (error) {
-    console.error('Aramex rates error:', error.message);
+    logger.error('Aramex rates error:', error.message);
     res.status(500).json({ ok: false, data: null, message: error.message || 'Failed to get rates' });
   }
 });
 
 // POST /datepalm-bay/api/admin/aramex/create-shipment - 배송 생성
-app.post('/datepalm-bay/api/admin/aramex/create-shipment', async (req, res) => {
-  console.log('\n=== [Aramex] 배송 생성 ===');
+app.post('/datepalm-bay/api/admin/aramex/create-shipment', requirePermission('shipping:manage'), async (req, res) => {
+  logger.debug('[Aramex] 배송 생성');
   const { orderCode, recipient, packages, productType, serviceType, description, reference, codAmount } = req.body.data || req.body;
 
   if (!orderCode || !recipient || !packages || !packages.length) {
@@ -7938,7 +9702,7 @@ app.post('/datepalm-bay/api/admin/aramex/create-shipment', async (req, res) => {
   try {
     const result = await aramexService.createShipment({ orderCode, recipient, packages, productType, serviceType, description, reference, codAmount });
 
-    const order = customerOrders.find(o => o.orderCode === orderCode);
+    const order = findOrderByCode(orderCode);
     if (order) {
       order.aramexTrackingNumber = result.trackingNumber;
       order.aramexShipmentId = result.shipmentId;
@@ -7946,22 +9710,25 @@ app.post('/datepalm-bay/api/admin/aramex/create-shipment', async (req, res) => {
       order.aramexServiceType = serviceType || 'PPX';
       order.aramexShippedAt = new Date().toISOString();
       order.deliveryStatus = '배송중';
-      saveData();
+      bumpVersion('orders', order.orderId, order, [
+        'aramexTrackingNumber', 'aramexShipmentId', 'aramexLabelUrl', 'aramexServiceType', 'aramexShippedAt', 'deliveryStatus',
+      ]);
+      saveData(['orders', order.orderId]);
     }
 
     res.json({ ok: true, data: result, message: 'Shipment created successfully' });
   } catch (error) {
-    console.error('Aramex create shipment error:', error.message);
+    logger.error('Aramex create shipment error:', error.message);
     res.status(500).json({ ok: false, data: null, message: error.message || 'Failed to create shipment' });
   }
 });
 
 // GET /datepalm-bay/api/admin/aramex/label/:orderCode - 라벨 URL 조회
-app.get('/datepalm-bay/api/admin/aramex/label/:orderCode', async (req, res) => {
-  console.log('\n=== [Aramex] 라벨 URL 조회 ===');
+app.get('/datepalm-bay/api/admin/aramex/label/:orderCode', requirePermission('shipping:manage'), async (req, res) => {
+  logger.debug('[Aramex] 라벨 URL 조회');
   const { orderCode } = req.params;
 
-  const order = customerOrders.find(o => o.orderCode === orderCode);
+  const order = findOrderByCode(orderCode);
   if (!order || !order.aramexLabelUrl) {
     return res.status(404).json({ ok: false, data: null, message: 'Aramex label not found for this order' });
   }
@@ -7971,7 +9738,7 @@ app.get('/datepalm-bay/api/admin/aramex/label/:orderCode', async (req, res) => {
 
 // POST /datepalm-bay/api/aramex/track - 배송 추적
 app.post('/datepalm-bay/api/aramex/track', async (req, res) => {
-  console.log('\n=== [Aramex] 배송 추적 ===');
+  logger.debug('[Aramex] 배송 추적');
   const { trackingNumbers } = req.body.data || req.body;
 
   if (!trackingNumbers || !trackingNumbers.length) {
@@ -7982,14 +9749,14 @@ app.post('/datepalm-bay/api/aramex/track', async (req, res) => {
     const result = await aramexService.trackShipment(trackingNumbers);
     res.json({ ok: true, data: result, message: 'Tracking info retrieved successfully' });
   } catch (error) {
-    console.error('Aramex track error:', error.message);
+    logger.error('Aramex track error:', error.message);
     res.status(500).json({ ok: false, data: null, message: error.message || 'Failed to track shipment' });
   }
 });
 
 // POST /datepalm-bay/api/aramex/validate-address - 주소 검증
 app.post('/datepalm-bay/api/aramex/validate-address', async (req, res) => {
-  console.log('\n=== [Aramex] 주소 검증 ===');
+  logger.debug('[Aramex] 주소 검증');
   const { city, countryCode, postalCode } = req.body.data || req.body;
 
   if (!city || !countryCode) {
@@ -8000,14 +9767,14 @@ app.post('/datepalm-bay/api/aramex/validate-address', async (req, res) => {
     const result = await aramexService.validateAddress({ city, countryCode, postalCode });
     res.json({ ok: true, data: result, message: 'Address validation complete' });
   } catch (error) {
-    console.error('Aramex address validation error:', error.message);
+    logger.error('Aramex address validation error:', error.message);
     res.status(500).json({ ok: false, data: null, message: error.message || 'Failed to validate address' });
   }
 });
 
 // POST /datepalm-bay/api/admin/aramex/schedule-pickup - 픽업 예약
-app.post('/datepalm-bay/api/admin/aramex/schedule-pickup', async (req, res) => {
-  console.log('\n=== [Aramex] 픽업 예약 ===');
+app.post('/datepalm-bay/api/admin/aramex/schedule-pickup', requirePermission('shipping:manage'), async (req, res) => {
+  logger.debug('[Aramex] 픽업 예약');
   const { pickupDate, readyTime, closeTime, totalWeight, totalPieces, orderCode } = req.body.data || req.body;
 
   if (!pickupDate || !readyTime || !closeTime) {
@@ -8018,24 +9785,25 @@ app.post('/datepalm-bay/api/admin/aramex/schedule-pickup', async (req, res) => {
     const result = await aramexService.schedulePickup({ pickupDate, readyTime, closeTime, totalWeight, totalPieces });
 
     if (orderCode) {
-      const order = customerOrders.find(o => o.orderCode === orderCode);
+      const order = findOrderByCode(orderCode);
       if (order) {
         order.aramexPickupId = result.pickupId;
         order.aramexPickupDate = pickupDate;
-        saveData();
+        bumpVersion('orders', order.orderId, order, ['aramexPickupId', 'aramexPickupDate']);
+        saveData(['orders', order.orderId]);
       }
     }
 
     res.json({ ok: true, data: result, message: 'Pickup scheduled successfully' });
   } catch (error) {
-    console.error('Aramex pickup schedule error:', error.message);
+    logger.error('Aramex pickup schedule error:', error.message);
     res.status(500).json({ ok: false, data: null, message: error.message || 'Failed to schedule pickup' });
   }
 });
 
 // PUT /datepalm-bay/api/admin/aramex/cancel-pickup - 픽업 취소
-app.put('/datepalm-bay/api/admin/aramex/cancel-pickup', async (req, res) => {
-  console.log('\n=== [Aramex] 픽업 취소 ===');
+app.put('/datepalm-bay/api/admin/aramex/cancel-pickup', requirePermission('shipping:manage'), async (req, res) => {
+  logger.debug('[Aramex] 픽업 취소');
   const { pickupId, orderCode } = req.body.data || req.body;
 
   if (!pickupId) {
@@ -8046,17 +9814,18 @@ app.put('/datepalm-bay/api/admin/aramex/cancel-pickup', async (req, res) => {
     const result = await aramexService.cancelPickup(pickupId);
 
     if (orderCode) {
-      const order = customerOrders.find(o => o.orderCode === orderCode);
+      const order = findOrderByCode(orderCode);
       if (order) {
         order.aramexPickupId = null;
         order.aramexPickupDate = null;
-        saveData();
+        bumpVersion('orders', order.orderId, order, ['aramexPickupId', 'aramexPickupDate']);
+        saveData(['orders', order.orderId]);
       }
     }
 
     res.json({ ok: true, data: result, message: 'Pickup cancelled successfully' });
   } catch (error) {
-    console.error('Aramex pickup cancel error:', error.message);
+    logger.error('Aramex pickup cancel error:', error.message);
     res.status(500).json({ ok: false, data: null, message: error.message || 'Failed to cancel pickup' });
   }
 });
@@ -8067,7 +9836,7 @@ app.put('/datepalm-bay/api/admin/aramex/cancel-pickup', async (req, res) => {
 
 // POST /datepalm-bay/api/fedex/global-trade/regulatory - 규제 서류 조회
 app.post('/datepalm-bay/api/fedex/global-trade/regulatory', async (req, res) => {
-  console.log('\n=== [FedEx] 규제 서류 조회 ===');
+  logger.debug('[FedEx] 규제 서류 조회');
   const { destinationAddress, carrierCode, totalWeight, commodities, shipDate } = req.body.data || req.body;
 
   try {
@@ -8083,7 +9852,7 @@ app.post('/datepalm-bay/api/fedex/global-trade/regulatory', async (req, res) =>
       shipDate,
     });
 
-    console.log(`✅ 규제 서류 ${result.regulatoryDocuments.length}건, 주의사항 ${result.advisories.length}건`);
+    logger.info(`✅ 규제 서류 ${result.regulatoryDocuments.length}건, 주의사항 ${result.advisories.length}건`);
 
     res.json({
       ok: true,
@@ -8091,7 +9860,7 @@ app.post('/datepalm-bay/api/fedex/global-trade/regulatory', async (req, res) =>
       message: 'Regulatory documents retrieved successfully',
     });
   } catch (error) {
-    console.error('FedEx regulatory docs error:', error.message);
+    logger.error('FedEx regulatory docs error:', error.message);
     res.status(500).json({ ok: false, data: null, message: error.message || 'Failed to retrieve regulatory documents' });
   }
 });
@@ -8101,8 +9870,8 @@ app.post('/datepalm-bay/api/fedex/global-trade/regulatory', async (req, res) =>
 // ═══════════════════════════════════════════════
 
 // POST /datepalm-bay/api/admin/fedex/upload-documents - 통관 서류 업로드 (Pre-shipment)
-app.post('/datepalm-bay/api/admin/fedex/upload-documents', async (req, res) => {
-  console.log('\n=== [FedEx] 통관 서류 업로드 ===');
+app.post('/datepalm-bay/api/admin/fedex/upload-documents', requirePermission('shipping:manage'), async (req, res) => {
+  logger.debug('[FedEx] 통관 서류 업로드');
   const { orderCode, destinationCountryCode, documents, workflowName, carrierCode } = req.body.data || req.body;
 
   try {
@@ -8121,7 +9890,7 @@ app.post('/datepalm-bay/api/admin/fedex/upload-documents', async (req, res) => {
     // 주문 조회 (orderCode가 있는 경우)
     let order = null;
     if (orderCode) {
-      order = customerOrders.find(o => o.orderCode === orderCode);
+      order = findOrderByCode(orderCode);
       if (!order) {
         return res.json({ ok: false, data: null, message: `Order not found: ${orderCode}` });
       }
@@ -8156,9 +9925,11 @@ app.post('/datepalm-bay/api/admin/fedex/upload-documents', async (req, res) => {
           workflow: workflowName || 'ETDPreShipment',
         });
       });
+      bumpVersion('orders', order.orderId, order, ['fedexTradeDocuments']);
+      saveData(['orders', order.orderId]);
     }
 
-    console.log(`✅ 서류 ${result.documentStatuses.length}건 업로드 완료`);
+    logger.info(`✅ 서류 ${result.documentStatuses.length}건 업로드 완료`);
 
     res.json({
       ok: true,
@@ -8166,7 +9937,7 @@ app.post('/datepalm-bay/api/admin/fedex/upload-documents', async (req, res) => {
       message: 'Trade documents uploaded successfully',
     });
   } catch (error) {
-    console.error('FedEx document upload error:', error.message);
+    logger.error('FedEx document upload error:', error.message);
     res.status(500).json({ ok: false, data: null, message: error.message || 'Failed to upload trade documents' });
   }
 });
@@ -8174,8 +9945,8 @@ app.post('/datepalm-bay/api/admin/fedex/upload-documents', async (req, res) => {
 // ======================================
 // Dashboard Stats (Real Data from customerOrders)
 // ======================================
-app.get('/datepalm-bay/api/admin/dashboard/stats', (req, res) => {
-  console.log('\n=== [Dashboard] Fetching Stats ===');
+app.get('/datepalm-bay/api/admin/dashboard/stats', requirePermission('dashboard:read'), (req, res) => {
+  logger.debug('[Dashboard] Fetching Stats');
 
   const now = new Date();
   const thisMonth = now.getMonth();
@@ -8221,7 +9992,7 @@ app.get('/datepalm-bay/api/admin/dashboard/stats', (req, res) => {
   }).length;
 
   const ordersByStatus = {};
-  ['PENDING', 'SUCCESS', 'DELIVERY', 'DELIVERED', 'REFUNDED'].forEach(s => {
+  ['PENDING', 'SUCCESS', 'DELIVERY', 'DELIVERED', 'REFUNDED', 'EXPIRED'].forEach(s => {
     ordersByStatus[s] = scopedOrders.filter(o => o.status === s).length;
   });
 
@@ -8269,103 +10040,538 @@ app.get('/datepalm-bay/api/admin/dashboard/stats', (req, res) => {
   const totalOrders = scopedOrders.length;
   const avgOrderValue = paidOrders.length > 0 ? Math.round((totalRevenue / paidOrders.length) * 100) / 100 : 0;
 
-  console.log(`Dashboard: Revenue=$${monthlyRevenue.toFixed(2)}, Orders=${totalOrders}, Members=${totalMembers}`);
+  logger.info(`Dashboard: Revenue=$${monthlyRevenue.toFixed(2)}, Orders=${totalOrders}, Members=${totalMembers}`);
   res.json({ ok: true, data: { monthlyRevenue, previousMonthRevenue, totalRevenue, totalOrders, totalMembers, newMembersThisMonth, avgOrderValue, ordersByStatus, recentOrders, categoryBreakdown, monthlyTrend } });
 });
 
+// ========================================
+// 저장소 상태 / 저장 통계
+// ========================================
+app.get('/datepalm-bay/api/admin/tools/storage-stats', requirePermission('tools:read'), (req, res) => {
+  res.json({
+    ok: true,
+    data: {
+      driver: dataStore.name,
+      pendingCollections: changeTracker.size,
+      flushes: saveStats.flushes,
+      records: saveStats.records,
+      failures: saveStats.failures,
+      avgFlushMs: saveStats.flushes > 0 ? Math.round(saveStats.totalMs / saveStats.flushes) : 0,
+      lastFlush: saveStats.lastFlush,
+    },
+    message: 'Storage stats retrieved',
+  });
+});
+
+// ========================================
+// 데이터 무결성 검사 API
+// ========================================
+app.get('/datepalm-bay/api/admin/tools/integrity', requirePermission('tools:read'), (req, res) => {
+  const { report } = runIntegrityCheck();
+  res.json({ ok: true, data: { ...report, repairActions: REPAIR_ACTIONS }, message: 'Integrity check completed' });
+});
+
+// 선택한 복구 동작 적용 — { actions: ['removeOrphanUserCoupon', ...] } 또는 ['all']
+app.post('/datepalm-bay/api/admin/tools/integrity/repair', requirePermission('tools:manage'), async (req, res) => {
+  const { actions } = req.body.data || req.body || {};
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return res.status(400).json({ ok: false, data: { repairActions: REPAIR_ACTIONS }, message: 'actions 배열이 필요합니다.' });
+  }
+  let repairActions;
+  try {
+    repairActions = parseRepairActions(actions);
+  } catch (e) {
+    return res.status(400).json({ ok: false, data: { repairActions: REPAIR_ACTIONS }, message: e.message });
+  }
+
+  const { report, before, applied } = runIntegrityCheck({ repairActions });
+  if (applied.length > 0) {
+    if (_saveTimer) clearTimeout(_saveTimer);
+    await _saveDataImpl();
+  }
+  logger.info(`🩺 무결성 복구: ${applied.length}건 적용 [${repairActions.join(', ')}]`);
+  res.json({ ok: true, data: { before, applied, report }, message: `${applied.length} repair(s) applied` });
+});
+
+// ========================================
+// 감사 로그 API (조회 전용 — 수정/삭제 경로 없음)
+// ========================================
+app.get('/datepalm-bay/api/admin/audit-log', requirePermission('audit:read'), async (req, res) => {
+  const { entity, entityId, actorType, actorId, action, from, to } = req.query;
+  const pageNo = Math.max(parseInt(req.query.pageNo) || 0, 0);
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 50, 1), 500);
+
+  if ((from && Number.isNaN(new Date(from).getTime())) || (to && Number.isNaN(new Date(to).getTime()))) {
+    return res.status(400).json({ ok: false, data: null, message: 'from/to must be ISO dates.' });
+  }
+
+  const { total, content } = await auditLog.query({ entity, entityId, actorType, actorId, action, from, to }, { offset: pageNo * pageSize, limit: pageSize });
+
+  res.json({
+    ok: true,
+    data: {
+      content,
+      pageable: { pageNumber: pageNo, pageSize },
+      totalElements: total,
+      totalPages: Math.ceil(total / pageSize),
+      size: pageSize,
+      number: pageNo,
+      first: pageNo === 0,
+      last: (pageNo + 1) * pageSize >= total,
+      numberOfElements: content.length,
+    },
+    message: 'Audit log retrieved',
+  });
+});
+
+// 디스크의 감사 로그 해시 체인 재검증
+app.get('/datepalm-bay/api/admin/audit-log/verify', requirePermission('audit:read'), async (req, res) => {
+  const result = await auditLog.verify();
+  res.status(result.ok ? 200 : 409).json({
+    ok: result.ok,
+    data: result,
+    message: result.ok ? 'Audit log chain intact' : `Audit log chain broken at ${result.brokenAt} (${result.reason})`,
+  });
+});
+
+// ========================================
+// 요청 제한 / 계정 잠금 관리 API (services/rateLimiter.js)
+// ========================================
+
+// 차단 기록 (최신순, 최근 5000건)
+app.get('/datepalm-bay/api/admin/security/blocked-attempts', requirePermission('security:read'), (req, res) => {
+  const { rule, reason, ip, identifier, from, to } = req.query;
+  const pageNo = parseInt(req.query.pageNo) || 0;
+  const pageSize = Math.min(parseInt(req.query.pageSize) || 50, 500);
+
+  if ((from && Number.isNaN(new Date(from).getTime())) || (to && Number.isNaN(new Date(to).getTime()))) {
+    return res.status(400).json({ ok: false, data: null, message: 'from/to must be ISO dates.' });
+  }
+
+  const matched = blockedAttempts.query({ rule, reason, ip, identifier: normalizeIdentifier(identifier), from, to });
+  const content = matched.slice(pageNo * pageSize, (pageNo + 1) * pageSize);
+
+  res.json({
+    ok: true,
+    data: {
+      content,
+      pageable: { pageNumber: pageNo, pageSize },
+      totalElements: matched.length,
+      totalPages: Math.ceil(matched.length / pageSize),
+      size: pageSize,
+      number: pageNo,
+      first: pageNo === 0,
+      last: (pageNo + 1) * pageSize >= matched.length,
+      numberOfElements: content.length,
+    },
+    message: 'Blocked attempts retrieved',
+  });
+});
+
+// 현재 적용 중인 규칙 (기본값 + RATE_LIMITS 덮어쓰기)
+app.get('/datepalm-bay/api/admin/security/rate-limits', requirePermission('security:read'), (req, res) => {
+  res.json({ ok: true, data: rateLimiter.rules, message: 'Rate limit rules retrieved' });
+});
+
+// 잠긴 계정 목록
+app.get('/datepalm-bay/api/admin/security/lockouts', requirePermission('security:read'), (req, res) => {
+  res.json({ ok: true, data: rateLimiter.listLockouts(), message: 'Lockouts retrieved' });
+});
+
+// 잠금 해제 (고객 문의 대응)
+app.delete('/datepalm-bay/api/admin/security/lockouts', requirePermission('security:manage'), (req, res) => {
+  const { rule, identifier } = req.body.data || req.body;
+  if (!rule || !identifier) {
+    return res.status(400).json({ ok: false, data: null, message: 'rule and identifier are required.' });
+  }
+  if (!rateLimiter.unlock(rule, normalizeIdentifier(identifier))) {
+    return res.status(404).json({ ok: false, data: null, message: 'Lockout not found.' });
+  }
+  logger.info(`🔓 잠금 해제 [${rule}] ${identifier} by ${req.adminPrincipal.id}`);
+  res.json({ ok: true, data: null, message: 'Lockout cleared' });
+});
+
+// ========================================
+// 2단계 인증 정책 / 초기화 (운영자 · 셀러 TOTP)
+// ========================================
+
+// 역할별 필수 여부 + 등록 현황
+app.get('/datepalm-bay/api/admin/security/two-factor', requirePermission('security:read'), (req, res) => {
+  const countEnrolled = (list) => ({ enrolled: list.filter(a => a.twoFactor?.enabled).length, total: list.length });
+  res.json({
+    ok: true,
+    data: {
+      requiredRoles: getTwoFactorRequiredRoles(),
+      availableRoles: [...adminAccess.OPERATOR_ROLES, adminAccess.SELLER_ROLE],
+      operators: countEnrolled(operators),
+      sellers: countEnrolled(sellers),
+    },
+    message: 'Two-factor policy retrieved',
+  });
+});
+
+// 필수 역할 변경 — 새로 필수가 된 역할의 미등록 계정은 세션을 종료해 다음 로그인 때 등록하도록 함
+app.put('/datepalm-bay/api/admin/security/two-factor', requirePermission('operators:manage'), (req, res) => {
+  const { requiredRoles } = req.body.data || req.body;
+  const availableRoles = [...adminAccess.OPERATOR_ROLES, adminAccess.SELLER_ROLE];
+  if (!Array.isArray(requiredRoles) || requiredRoles.some(r => !availableRoles.includes(r))) {
+    return res.status(400).json({ ok: false, data: null, message: `requiredRoles must be an array of ${availableRoles.join(', ')}.` });
+  }
+
+  const previous = getTwoFactorRequiredRoles();
+  platformSettings.twoFactorRequiredRoles = [...new Set(requiredRoles)];
+  saveData('platformSettings');
+
+  const added = platformSettings.twoFactorRequiredRoles.filter(r => !previous.includes(r));
+  let revoked = 0;
+  for (const [kind, config] of Object.entries(TWO_FACTOR_KINDS)) {
+    for (const account of config.getList()) {
+      if (added.includes(config.getRole(account)) && !account.twoFactor?.enabled) {
+        revoked += sessionStore.revokeAll(kind, config.getId(account));
+      }
+    }
+  }
+  logger.info(`🔐 2단계 인증 필수 역할: [${platformSettings.twoFactorRequiredRoles.join(', ')}] (미등록 계정 세션 ${revoked}개 종료)`);
+  res.json({ ok: true, data: { requiredRoles: platformSettings.twoFactorRequiredRoles, revokedSessions: revoked }, message: 'Two-factor policy updated' });
+});
+
+// 기기 분실 등 — 계정의 2단계 인증 초기화 (셀러는 sellers:manage, 운영자는 operators:manage)
+app.delete('/datepalm-bay/api/admin/security/two-factor/reset', requirePermission(), (req, res) => {
+  const { kind, subjectId } = req.body.data || req.body;
+  const config = TWO_FACTOR_KINDS[kind];
+  if (!config || !subjectId) {
+    return res.status(400).json({ ok: false, data: null, message: `kind (${Object.keys(TWO_FACTOR_KINDS).join(', ')}) and subjectId are required.` });
+  }
+  if (!adminAccess.hasPermissions(req.adminPrincipal.role, [config.managePermission])) {
+    return res.status(403).json({ ok: false, data: { requiredPermissions: [config.managePermission] }, message: 'You do not have permission to access this resource.' });
+  }
+  const account = config.getList().find(a => config.getId(a) === subjectId);
+  if (!account) {
+    return res.status(404).json({ ok: false, data: null, message: 'Account not found.' });
+  }
+
+  delete account.twoFactor;
+  account.updatedAt = new Date().toISOString();
+  saveTwoFactorAccount(kind, account);
+  const revoked = sessionStore.revokeAll(kind, subjectId);
+  logger.info(`🔓 2단계 인증 초기화: ${kind}/${subjectId} by ${req.adminPrincipal.id} (세션 ${revoked}개 종료)`);
+  res.json({ ok: true, data: { revokedSessions: revoked }, message: 'Two-factor authentication reset' });
+});
+
+// ========================================
+// 데이터 스냅샷 API (JSON 파일 모드 백업 / 복원)
+// ========================================
+
+// 스냅샷 목록 (최신순)
+app.get('/datepalm-bay/api/admin/tools/snapshots', requirePermission('tools:read'), (req, res) => {
+  res.json({ ok: true, data: jsonStore.listSnapshots(DATA_FILE), message: 'Snapshots retrieved' });
+});
+
+// 현재 메모리 데이터로 수동 스냅샷 생성 (저장소 모드와 무관)
+app.post('/datepalm-bay/api/admin/tools/snapshots', requirePermission('tools:manage'), (req, res) => {
+  try {
+    const name = jsonStore.createSnapshot(DATA_FILE, { ...getLiveDataset(), schemaMigrations, savedAt: new Date().toISOString() }, 'manual');
+    logger.info(`📸 수동 스냅샷 생성: ${name}`);
+    res.json({ ok: true, data: { name }, message: 'Snapshot created' });
+  } catch (e) {
+    logger.error('❌ 스냅샷 생성 실패:', e.message);
+    res.status(500).json({ ok: false, data: null, message: `Snapshot failed: ${e.message}` });
+  }
+});
+
+// 스냅샷 vs 현재 데이터 비교 (스냅샷 → 현재 기준: 현재에만 있으면 added)
+app.get('/datepalm-bay/api/admin/tools/snapshots/:name/diff', requirePermission('tools:read'), (req, res) => {
+  let snapshot;
+  try {
+    snapshot = jsonStore.readSnapshot(DATA_FILE, req.params.name);
+  } catch (e) {
+    return res.status(422).json({ ok: false, data: null, message: `Snapshot is corrupted: ${e.message}` });
+  }
+  if (!snapshot) return res.status(404).json({ ok: false, data: null, message: 'Snapshot not found.' });
+
+  const diff = diffDatasets(normalizeDataset(snapshot), getLiveDataset());
+  res.json({ ok: true, data: { name: req.params.name, savedAt: snapshot.savedAt || null, collections: diff }, message: 'Snapshot diff computed' });
+});
+
+// 스냅샷 복원 — 복원 직전 현재 데이터를 prerestore 스냅샷으로 보관한 뒤 즉시 저장
+app.post('/datepalm-bay/api/admin/tools/snapshots/:name/restore', requirePermission('tools:manage'), async (req, res) => {
+  let snapshot;
+  try {
+    snapshot = jsonStore.readSnapshot(DATA_FILE, req.params.name);
+  } catch (e) {
+    return res.status(422).json({ ok: false, data: null, message: `Snapshot is corrupted: ${e.message}` });
+  }
+  if (!snapshot) return res.status(404).json({ ok: false, data: null, message: 'Snapshot not found.' });
+
+  try {
+    const restored = normalizeDataset(snapshot);
+    const diff = diffDatasets(getLiveDataset(), restored);
+    const backupName = jsonStore.createSnapshot(DATA_FILE, { ...getLiveDataset(), schemaMigrations, savedAt: new Date().toISOString() }, 'prerestore');
+
+    applyDataset(restored, { exact: true });
+    bindServiceReferences();
+    const integrity = runIntegrityCheck({ repairActions: INTEGRITY_BOOT_REPAIRS });
+    if (_saveTimer) clearTimeout(_saveTimer);
+    // 전체 데이터셋 교체 → 바뀐 컬렉션만 저장 + 감사 기록 (대상 없는 markDirty 는 감사 비교를 생략하므로 명시)
+    markDirty(...Object.keys(diff));
+    await _saveDataImpl();
+
+    logger.info(`♻️  스냅샷 복원 완료: ${req.params.name} (복원 전 데이터: ${backupName})`);
+    res.json({ ok: true, data: { restored: req.params.name, backup: backupName, collections: diff, integrity: integrity.report.summary }, message: 'Snapshot restored' });
+  } catch (e) {
+    logger.error('❌ 스냅샷 복원 실패:', e.message);
+    res.status(500).json({ ok: false, data: null, message: `Restore failed: ${e.message}` });
+  }
+});
+
+// ========================================
+// 전체 데이터 내보내기 / 가져오기 API (백업, 환경 복제)
+// ========================================
+
+// 가져오기용 아카이브 업로드 (이미지 검증 필터를 타지 않도록 별도 multer 인스턴스, 임시 디렉토리)
+const archiveUpload = multer({ dest: os.tmpdir(), limits: { fileSize: 1024 * 1024 * 1024 } });
+
+// 내보내기 — 전체 컬렉션 + 참조 중인 uploads/ 파일을 gzip JSON 아카이브로 스트리밍
+// ?files=false 이면 업로드 파일 제외
+app.get('/datepalm-bay/api/admin/tools/export', requirePermission('tools:manage'), async (req, res) => {
+  const includeFiles = req.query.files !== 'false';
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  res.setHeader('Content-Type', 'application/gzip');
+  res.setHeader('Content-Disposition', `attachment; filename="datepalmbay-export-${stamp}.json.gz"`);
+
+  const gzip = zlib.createGzip();
+  gzip.pipe(res);
+  try {
+    const summary = await dataTransfer.writeArchive(gzip, {
+      dataset: getLiveDataset(),
+      schemaMigrations,
+      sourceBaseUrl: getBaseUrl(req),
+      uploadDir,
+      includeFiles,
+    });
+    logger.info(`📦 데이터 내보내기 완료: ${summary.collections}개 컬렉션, ${summary.files}개 파일`);
+  } catch (e) {
+    // 헤더가 이미 전송되어 JSON 에러 응답 불가 → 스트림 중단으로 불완전 아카이브임을 알림
+    logger.error('❌ 데이터 내보내기 실패:', e.message);
+    res.destroy(e);
+  }
+});
+
+// 가져오기 — multipart 필드 archive
+// ?mode=replace(전체 교체) | merge(엔티티 단위 병합, 기본값), ?dryRun=true 이면 검증/변경 요약만 반환
+app.post('/datepalm-bay/api/admin/tools/import', requirePermission('tools:manage'), archiveUpload.single('archive'), async (req, res) => {
+  const mode = req.query.mode || 'merge';
+  const dryRun = req.query.dryRun === 'true';
+  if (!['replace', 'merge'].includes(mode)) {
+    if (req.file) fs.unlink(req.file.path, () => {});
+    return res.status(400).json({ ok: false, data: null, message: 'mode must be replace or merge.' });
+  }
+  if (!req.file) {
+    return res.status(400).json({ ok: false, data: null, message: 'archive file is required.' });
+  }
+
+  let archive;
+  try {
+    archive = dataTransfer.readArchive(req.file.path);
+  } catch (e) {
+    return res.status(400).json({ ok: false, data: null, message: `Archive could not be read: ${e.message}` });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+
+  const migrations = migrator.listMigrations();
+  const errors = dataTransfer.validateArchive(archive, migrations.map(m => m.id));
+  if (errors.length > 0) {
+    return res.status(422).json({ ok: false, data: { errors }, message: 'Archive validation failed.' });
+  }
+
+  try {
+    // 오래된 스키마에서 내보낸 아카이브: 누락된 마이그레이션의 data 단계를 적용해 현재 형태로 맞춤
+    const archiveMigrationIds = new Set((archive.schemaMigrations || []).map(m => m.id));
+    const upgradedBy = [];
+    let collections = archive.collections;
+    for (const migration of migrations) {
+      if (archiveMigrationIds.has(migration.id) || !migration.data) continue;
+      await migration.data(collections, { backend: 'import' });
+      upgradedBy.push(`${migration.id}_${migration.name}`);
+    }
+
+    const files = archive.files || [];
+    // 아카이브에 들어 있더라도 세션 / 2단계 인증 값은 가져오지 않음 (대상 환경 값 유지)
+    collections = dataTransfer.stripAuthSecrets(collections);
+    collections = dataTransfer.rewriteUploadUrls(collections, files.map(f => f.name), getBaseUrl(req));
+
+    const live = getLiveDataset();
+    let next;
+    let stats = null;
+    if (mode === 'replace') {
+      next = normalizeDataset(collections);
+    } else {
+      ({ dataset: next, stats } = dataTransfer.mergeDatasets(live, collections));
+    }
+    dataTransfer.restoreAuthSecrets(next, live);
+    const diff = diffDatasets(live, next);
+
+    if (dryRun) {
+      return res.json({ ok: true, data: { mode, dryRun, upgradedBy, files: files.length, merge: stats, collections: diff }, message: 'Import validated (dry run)' });
+    }
+
+    const backupName = jsonStore.createSnapshot(DATA_FILE, { ...live, schemaMigrations, savedAt: new Date().toISOString() }, 'preimport');
+    const fileResult = dataTransfer.writeArchiveFiles(files, uploadDir);
+
+    applyDataset(next, { exact: true });
+    bindServiceReferences();
+    const integrity = runIntegrityCheck({ repairActions: INTEGRITY_BOOT_REPAIRS });
+    if (_saveTimer) clearTimeout(_saveTimer);
+    // 전체 데이터셋 교체 → 바뀐 컬렉션만 저장 + 감사 기록 (대상 없는 markDirty 는 감사 비교를 생략하므로 명시)
+    markDirty(...Object.keys(diff));
+    await _saveDataImpl();
+
+    logger.info(`📥 데이터 가져오기 완료 (${mode}): 파일 ${fileResult.written}개 기록, ${fileResult.skipped}개 기존 파일 유지 (가져오기 전 데이터: ${backupName})`);
+    res.json({ ok: true, data: { mode, backup: backupName, upgradedBy, files: fileResult, merge: stats, collections: diff, integrity: integrity.report.summary }, message: 'Import completed' });
+  } catch (e) {
+    logger.error('❌ 데이터 가져오기 실패:', e.message);
+    res.status(500).json({ ok: false, data: null, message: `Import failed: ${e.message}` });
+  }
+});
+
 // ======================================
 // Google OAuth Token Verification
+// ID 토큰은 Google JWKS 로 서명 검증 + aud(GOOGLE_CLIENT_ID) 확인, 액세스 토큰은 tokeninfo 로 발급 대상 확인
 // ======================================
+const GOOGLE_CLIENT_IDS = (process.env.GOOGLE_CLIENT_ID || '').split(',').map(s => s.trim()).filter(Boolean);
+const googleTokenVerifier = GOOGLE_CLIENT_IDS.length > 0
+  ? createGoogleTokenVerifier({ clientIds: GOOGLE_CLIENT_IDS, keyFile: process.env.GOOGLE_JWKS_FILE || undefined })
+  : null;
+
+/**
+ * 검증된 Google 프로필 → 회원 (googleId → 이메일 순으로 찾고, 없으면 가입)
+ * 이메일이 같은 기존 비밀번호 계정은 Google 이 확인한 이메일(email_verified)일 때만 연결 —
+ * 받은편지함을 가진 사람만 연결할 수 있으므로 비밀번호 재설정(이메일 코드)과 같은 수준의 확인
+ * @returns {{ user: Object, isNewUser: boolean, linked: boolean } | { error: { status: number, reason: string, message: string } }}
+ */
+function resolveGoogleAccount(profile) {
+  const byGoogleId = entityIndexes.users.get('googleId', profile.sub);
+  if (byGoogleId) return { user: byGoogleId, isNewUser: false, linked: false };
+
+  if (!profile.email) {
+    return { error: { status: 400, reason: 'NO_EMAIL', message: 'Google account has no email address' } };
+  }
+  if (profile.email_verified !== true && profile.email_verified !== 'true') {
+    return { error: { status: 403, reason: 'EMAIL_NOT_VERIFIED', message: 'Google has not verified this email address' } };
+  }
+
+  const existing = findUserByEmail(profile.email, { ignoreCase: true });
+  if (existing) {
+    if (existing.googleId && existing.googleId !== profile.sub) {
+      return { error: { status: 409, reason: 'LINKED_TO_OTHER_GOOGLE_ACCOUNT', message: 'This email is already linked to a different Google account' } };
+    }
+    existing.googleId = profile.sub;
+    existing.googleLinkedAt = new Date().toISOString();
+    if (!existing.picture && profile.picture) existing.picture = profile.picture;
+    saveData(['users', existing.code]);
+    logger.info(`🔗 Google 계정 연결: ${existing.code}`);
+    return { user: existing, isNewUser: false, linked: true };
+  }
+
+  const newUser = {
+    id: profile.email,
+    password: '',
+    code: `USER-G-${Date.now()}`,
+    name: profile.name || profile.email.split('@')[0],
+    phone: '',
+    email: profile.email,
+    createAt: new Date().toISOString(),
+    status: 'PENDING_PROFILE',
+    memberLevel: 'BASIC',
+    birthMonth: 1,
+    lastPurchaseDate: null,
+    totalPurchaseCount: 0,
+    totalPurchaseAmount: 0,
+    googleId: profile.sub,
+    picture: profile.picture,
+  };
+  users.push(newUser);
+  members.push({
+    code: newUser.code,
+    name: newUser.name,
+    phone: newUser.phone,
+    email: newUser.email,
+    status: 'PENDING_PROFILE',
+    createAt: newUser.createAt,
+    birthDate: '',
+    country: '',
+  });
+  saveData(['users', newUser.code], ['members', newUser.code]);
+  logger.info(`New Google user registered: ${newUser.code}`);
+  return { user: newUser, isNewUser: true, linked: false };
+}
+
 app.post('/datepalm-bay/mvp/google-login-oauth', async (req, res) => {
-  console.log('\n=== [Auth] Google OAuth Login ===');
+  logger.debug('[Auth] Google OAuth Login');
   const { credential } = req.body;
 
   if (!credential) {
     return res.status(400).json({ message: 'No credential provided' });
   }
+  if (!googleTokenVerifier) {
+    logger.error('❌ GOOGLE_CLIENT_ID 미설정 — Google 로그인 불가');
+    return res.status(503).json({ message: 'Google sign-in is not configured' });
+  }
 
   try {
-    let googlePayload;
-
-    // Check if credential is a JWT (has 3 dot-separated parts) or an access_token
-    const parts = credential.split('.');
-    if (parts.length === 3) {
-      // JWT credential from GoogleLogin component
-      googlePayload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
-    } else {
-      // Access token from useGoogleLogin hook - fetch user info from Google
-      console.log('Using access_token flow, fetching Google userinfo...');
-      const userInfoRes = await fetch('https://www.googleapis.com/oauth2/v3/userinfo', {
-        headers: { Authorization: `Bearer ${credential}` },
-      });
-      if (!userInfoRes.ok) {
-        return res.status(401).json({ message: 'Invalid Google access token' });
-      }
-      googlePayload = await userInfoRes.json();
+    // GoogleLogin 컴포넌트는 ID 토큰(JWT), useGoogleLogin 훅은 액세스 토큰을 보냄
+    const isIdToken = credential.split('.').length === 3;
+    const result = isIdToken
+      ? await googleTokenVerifier.verifyIdToken(credential)
+      : await googleTokenVerifier.verifyAccessToken(credential);
+    if (!result.ok) {
+      logger.info(`🔒 Google ${isIdToken ? 'ID' : '액세스'} 토큰 거부: ${result.reason}`);
+      return res.status(401).json({ message: 'Invalid Google token' });
     }
 
-    console.log(`Google OAuth user: ${googlePayload.name} (${googlePayload.email})`);
-
-    let user = users.find(u => u.email === googlePayload.email);
-    let isNewUser = false;
-
-    if (!user) {
-      isNewUser = true;
-      const newUser = {
-        id: googlePayload.email,
-        password: '',
-        code: `USER-G-${Date.now()}`,
-        name: googlePayload.name || googlePayload.email.split('@')[0],
-        phone: '',
-        email: googlePayload.email,
-        createAt: new Date().toISOString(),
-        status: 'PENDING_PROFILE',
-        memberLevel: 'BASIC',
-        birthMonth: 1,
-        lastPurchaseDate: null,
-        totalPurchaseCount: 0,
-        totalPurchaseAmount: 0,
-        googleId: googlePayload.sub,
-        picture: googlePayload.picture,
-      };
-      users.push(newUser);
-      members.push({
-        code: newUser.code,
-        name: newUser.name,
-        phone: newUser.phone,
-        email: newUser.email,
-        status: 'PENDING_PROFILE',
-        createAt: newUser.createAt,
-        birthDate: '',
-        country: '',
-      });
-      user = newUser;
-      saveData();
-      console.log(`New Google user registered: ${user.name}`);
+    const googlePayload = result.claims;
+    logger.info('Google OAuth user', { customerName: googlePayload.name, email: googlePayload.email });
+
+    const resolved = resolveGoogleAccount(googlePayload);
+    if (resolved.error) {
+      logger.info(`❌ Google 로그인 거부 (${resolved.error.reason})`, { email: googlePayload.email });
+      return res.status(resolved.error.status).json({ reason: resolved.error.reason, message: resolved.error.message });
     }
 
-    const accessToken = `google-oauth-${user.code}-${Date.now()}`;
-    res.json({ accessToken, id: user.id, code: user.code, name: user.name, email: user.email, phone: user.phone, birthDate: user.birthDate || '', country: user.country || '', status: user.status, isNewUser });
+    const { user, isNewUser, linked } = resolved;
+    // 탈퇴 회원 — restore: true 로 다시 요청하면 유예 기간 내에서 탈퇴 취소 후 로그인
+    if (user.status === 'WITHDRAWN') {
+      if (!req.body.restore || !isWithdrawalRestorable(user)) {
+        return res.status(403).json({ ...describeWithdrawal(user), message: 'This account has been withdrawn' });
+      }
+      restoreWithdrawnAccount(user);
+    }
+    const tokens = issueCustomerSession(req, user);
+    res.json({ ...tokens, id: user.id, code: user.code, name: user.name, email: user.email, phone: user.phone, birthDate: user.birthDate || '', country: user.country || '', status: user.status, isNewUser, linked });
   } catch (e) {
-    console.error('Google token decode error:', e.message);
-    res.status(401).json({ message: 'Invalid Google token' });
+    logger.error('Google token verification error:', e.message);
+    res.status(502).json({ message: 'Google token verification failed' });
   }
 });
 
 // ======================================
 // Google OAuth 프로필 완성 (추가정보 입력)
 // ======================================
+// Google 로그인으로 받은 액세스 토큰의 회원만 — 본문 userCode 는 토큰 회원과 다르면 거부
 app.put('/datepalm-bay/api/mvp/member/complete-profile', (req, res) => {
-  console.log('\n=== [Auth] Complete Profile ===');
+  logger.debug('[Auth] Complete Profile');
+  const claims = requireCustomerAuth(req, res);
+  if (!claims) return;
   const { userCode, country, birthDate, phone } = req.body;
 
-  if (!userCode) {
-    return res.json({ ok: false, data: null, message: 'userCode is required' });
+  if (userCode && userCode !== claims.sub) {
+    return res.status(403).json({ ok: false, data: null, message: 'You can only complete your own profile' });
   }
 
-  const user = users.find(u => u.code === userCode);
+  const user = findUserByCode(claims.sub);
   if (!user) {
-    return res.json({ ok: false, data: null, message: 'User not found' });
+    return res.status(404).json({ ok: false, data: null, message: 'User not found' });
   }
 
   // 프로필 정보 업데이트
@@ -8377,7 +10583,7 @@ app.put('/datepalm-bay/api/mvp/member/complete-profile', (req, res) => {
   user.memberLevel = 'BRONZE';
 
   // members 배열도 동기화
-  const member = members.find(m => m.code === userCode);
+  const member = members.find(m => m.code === user.code);
   if (member) {
     member.country = user.country;
     member.birthDate = user.birthDate;
@@ -8387,14 +10593,15 @@ app.put('/datepalm-bay/api/mvp/member/complete-profile', (req, res) => {
 
   autoIssueWelcomeCoupons(user);
 
-  saveData();
-  console.log(`✅ Profile completed: ${user.name} (${user.email}), country=${country}, phone=${phone}`);
+  saveData(['users', user.code], ['members', user.code], 'userCoupons');
+  logger.info(`✅ Profile completed: ${user.code}, country=${country}`, { phone });
 
-  const accessToken = `google-oauth-${user.code}-${Date.now()}`;
+  // 호출한 기기 세션으로 액세스 토큰만 다시 발급 (새 세션/리프레시 토큰은 만들지 않음)
+  const tokens = issueCustomerAccessToken(user, claims.sid);
   res.json({
     ok: true,
     data: {
-      accessToken,
+      ...tokens,
       id: user.id,
       code: user.code,
       name: user.name,
@@ -8411,101 +10618,186 @@ app.put('/datepalm-bay/api/mvp/member/complete-profile', (req, res) => {
 // 전역 에러 핸들러 (모든 라우트 이후에 배치)
 app.use(handleMulterError);
 
+// 로드/복원한 데이터셋을 모듈 변수에 할당
+// exact=false(기동 시): 비어 있는 상품/브랜드/공동구매/SNS 리뷰와 null 컬렉션은 기존(시드) 데이터 유지
+// exact=true(스냅샷 복원/가져오기): 배열이면 비어 있어도 그대로 교체
+function applyDataset(data, { exact = false } = {}) {
+  const nonEmpty = (list) => Array.isArray(list) && (exact || list.length > 0);
+
+  if (nonEmpty(data.products)) products = data.products;
+  if (nonEmpty(data.brands)) brands = data.brands;
+  if (data.members) members = data.members;
+  if (data.users) users = data.users;
+  // users ↔ members 동기화 등 정합성 복구는 runIntegrityCheck() 가 담당
+  if (data.userCoupons) userCoupons = data.userCoupons;
+  if (nonEmpty(data.groupBuyTeams)) groupBuyTeams = data.groupBuyTeams;
+  if (data.events) events = data.events;
+  if (data.banners) banners = data.banners;
+  if (data.coupons) coupons = data.coupons;
+  if (nonEmpty(data.snsReviews)) snsReviews = data.snsReviews;
+  if (data.orders) customerOrders = data.orders;
+  if (data.b2bUsers) b2bUsers = data.b2bUsers;
+  if (data.snsReviewOverrides) snsReviewOverrides = data.snsReviewOverrides;
+  if (data.productInsights) productInsights = data.productInsights;
+  if (data.aiFeedbackHistory) aiFeedbackHistory = data.aiFeedbackHistory;
+  if (data.sellers) sellers = data.sellers;
+  if (data.operators) operators = data.operators;
+  if (data.sessions) sessions = data.sessions;
+  if (data.apiKeys) apiKeys = data.apiKeys;
+  if (data.settlements) settlements = data.settlements;
+  if (data.stockMovements) stockMovements = data.stockMovements;
+  if (data.platformSettings) platformSettings = data.platformSettings;
+  if (data.reviews) reviews = data.reviews;
+  if (data.blogPosts) blogPosts = data.blogPosts;
+}
+
 // ========================================
-// Async 서버 시작 (MySQL 연결 → 데이터 로드 → 서버 시작)
+// 데이터 무결성 검사 (services/integrityValidator.js)
+// 기동/스냅샷 복원/가져오기 직후 자동 실행, 관리자 API 로 수동 실행·복구
+// ========================================
+// 자동 실행 시 적용할 복구 동작 (INTEGRITY_REPAIR_ON_BOOT: 쉼표 목록 | all | none, 기본은 기존 동작인 members 동기화만)
+const INTEGRITY_BOOT_REPAIRS = parseRepairActions(process.env.INTEGRITY_REPAIR_ON_BOOT || 'createMissingMember');
+
+function parseRepairActions(value) {
+  const names = Array.isArray(value) ? value : String(value).split(',').map(s => s.trim()).filter(Boolean);
+  if (names.includes('all')) return Object.keys(REPAIR_ACTIONS);
+  if (names.includes('none')) return [];
+  const unknown = names.filter(n => !REPAIR_ACTIONS[n]);
+  if (unknown.length > 0) throw new Error(`알 수 없는 복구 동작: ${unknown.join(', ')} (사용 가능: ${Object.keys(REPAIR_ACTIONS).join(', ')})`);
+  return names;
+}
+
+/**
+ * 현재 메모리 데이터셋 검사 + 선택한 복구 적용 (복구된 레코드는 변경 표시 → 다음 flush 에 저장)
+ * @returns {{ report: Object, before: Object|null, applied: Array }} report 는 복구 후 재검사 결과
+ */
+function runIntegrityCheck({ repairActions = [] } = {}) {
+  const initial = validateDataset(getLiveDataset());
+  let report = initial;
+  let applied = [];
+  if (repairActions.length > 0 && initial.summary.repairable > 0) {
+    const result = repairDataset(getLiveDataset(), initial, { actions: repairActions });
+    applied = result.applied;
+    if (result.touched.length > 0) {
+      markDirty(...result.touched);
+      report = validateDataset(getLiveDataset());
+    }
+  }
+  const { errors, warnings } = report.summary;
+  logger.info(`🩺 무결성 검사: 오류 ${errors}건, 경고 ${warnings}건${applied.length > 0 ? `, 복구 ${applied.length}건` : ''} (${report.durationMs}ms)`);
+  return { report, before: applied.length > 0 ? initial.summary : null, applied };
+}
+
+// 데이터 배열을 참조로 들고 있는 서비스들에 현재 배열을 다시 연결 (재할당 후 필수)
+function bindServiceReferences() {
+  snsCollector.setReferences(snsReviews, products, saveData);
+  claudeReviewSummarizer.initialize({
+    productInsights,
+    aiFeedbackHistory,
+    snsReviewOverrides,
+    onSave: saveData,
+  });
+}
+
+// ========================================
+// Async 서버 시작 (저장소 연결 → 데이터 로드 → 서버 시작)
 // ========================================
 async function startServer() {
-  // 1. MySQL 연결 시도
-  _useMySQL = await waitForMySQL(5);
+  // 1. 저장소 연결 (STORAGE_DRIVER: auto | mysql | sqlite | json)
+  dataStore = await openStorage({ dataFile: DATA_FILE });
+  fileStorage = dataStore.relational ? createJsonFileAdapter({ dataFile: DATA_FILE }) : dataStore;
+
+  // 1-1. 미적용 마이그레이션이 있으면 기동 거부 (스키마와 코드 불일치 상태로 데이터를 쓰지 않도록)
+  const pendingMigrations = await migrator.getPending(dataStore);
+  if (pendingMigrations.length > 0) {
+    throw new Error(`미적용 마이그레이션 ${pendingMigrations.length}개 (${pendingMigrations.map(m => `${m.id}_${m.name}`).join(', ')}) — 'npm run migrate' 실행 후 다시 시작하세요.`);
+  }
+  schemaMigrations = await migrator.getApplied(dataStore);
 
-  // 2. MySQL/JSON에서 데이터 로드
+  // 2. 저장소(관계형 → JSON 파일)에서 데이터 로드
   const loadedData = await loadData();
 
   // 3. 로드된 데이터를 모듈 변수에 할당 (기본 시드 데이터를 덮어씀)
-  if (loadedData.products && loadedData.products.length > 0) products = loadedData.products;
-  if (loadedData.brands && loadedData.brands.length > 0) brands = loadedData.brands;
-  if (loadedData.members) members = loadedData.members;
-  if (loadedData.users) users = loadedData.users;
-
-  // users에 있지만 members에 없는 유저를 members에 동기화
-  for (const user of users) {
-    if (!members.find(m => m.code === user.code || m.email === user.email)) {
-      members.push({
-        code: user.code,
-        name: user.name,
-        phone: user.phone || '',
-        email: user.email,
-        status: user.status || 'ACTIVE',
-        createAt: user.createAt,
-        birthDate: user.birthDate || '',
-        country: user.country || '',
-      });
-    }
+  applyDataset(loadedData);
+
+  // 3-1. 감사 로그 로드(해시 체인 검증) + 비교 기준선 설정 — 이후 변경분만 기록
+  const auditIntegrity = await auditLog.load();
+  if (!auditIntegrity.ok) {
+    logger.error(`❌ 감사 로그 무결성 검증 실패 (${auditIntegrity.reason}, seq/line ${auditIntegrity.brokenAt}) — ${AUDIT_LOG_FILE}`);
   }
-  if (loadedData.userCoupons) userCoupons = loadedData.userCoupons;
-  if (loadedData.groupBuyTeams && loadedData.groupBuyTeams.length > 0) groupBuyTeams = loadedData.groupBuyTeams;
-  if (loadedData.events) events = loadedData.events;
-  if (loadedData.banners) banners = loadedData.banners;
-  if (loadedData.coupons) coupons = loadedData.coupons;
-  if (loadedData.snsReviews && loadedData.snsReviews.length > 0) snsReviews = loadedData.snsReviews;
-  if (loadedData.orders) customerOrders = loadedData.orders;
-  if (loadedData.b2bUsers) b2bUsers = loadedData.b2bUsers;
-  if (loadedData.snsReviewOverrides) snsReviewOverrides = loadedData.snsReviewOverrides;
-  if (loadedData.productInsights) productInsights = loadedData.productInsights;
-  if (loadedData.aiFeedbackHistory) aiFeedbackHistory = loadedData.aiFeedbackHistory;
-  if (loadedData.sellers) sellers = loadedData.sellers;
-  if (loadedData.settlements) settlements = loadedData.settlements;
-  if (loadedData.platformSettings) platformSettings = loadedData.platformSettings;
-  if (loadedData.reviews) reviews = loadedData.reviews;
-  if (loadedData.blogPosts) blogPosts = loadedData.blogPosts;
+  auditLog.prime(getLiveDataset());
+
+  // 3-2. 무결성 검사 (참조/필수 필드) + 자동 복구 — 복구분은 즉시 저장
+  const bootIntegrity = auditLog.run({ actor: { type: 'system', id: 'integrity-check' } }, () => runIntegrityCheck({ repairActions: INTEGRITY_BOOT_REPAIRS }));
+  bootIntegrity.report.issues
+    .filter(i => i.severity === 'error')
+    .slice(0, 10)
+    .forEach(i => logger.warn(`⚠️  [${i.check}] ${i.collection}/${i.entityId}: ${i.message}`));
+  if (bootIntegrity.applied.length > 0) await _saveDataImpl();
 
   // 4. 더미/테스트 주문 데이터 정리
   const testOrderIds = ['ORDER-TEST-FEDEX-001', 'ORDER-TEST-002', 'ORDER-TEST-FEDEX-003'];
   const beforeCount = customerOrders.length;
   customerOrders = customerOrders.filter(o => !testOrderIds.includes(o.orderId));
   if (customerOrders.length < beforeCount) {
-    console.log(`🧹 더미 주문 ${beforeCount - customerOrders.length}개 삭제`);
+    logger.info(`🧹 더미 주문 ${beforeCount - customerOrders.length}개 삭제`);
     // 즉시 저장 (debounce 무시)
+    auditLog.run({ actor: { type: 'system', id: 'startup-cleanup' } }, () => markDirty('orders'));
     await _saveDataImpl();
   }
 
-  // 5. SNS 수집기에 로드된 데이터 참조 재설정
-  snsCollector.setReferences(snsReviews, products, saveData);
+  // 4-1. 만료된 로그인 세션 정리 (이후 1시간마다)
+  const purgedSessions = sessionStore.purgeExpired();
+  if (purgedSessions > 0) logger.info(`🧹 만료 세션 ${purgedSessions}개 삭제`);
+  setInterval(() => sessionStore.purgeExpired(), HOUR_MS).unref();
+  // 요청 제한 윈도/잠금 상태 정리 + 최근 차단 기록 로드
+  setInterval(() => rateLimiter.sweep(), 10 * MINUTE_MS).unref();
+  blockedAttempts.load();
+  apiKeyRequestLog.load();
 
-  // 6. Claude AI 리뷰 분석기 초기화
-  claudeReviewSummarizer.initialize({
-    productInsights,
-    aiFeedbackHistory,
-    snsReviewOverrides,
-    onSave: saveData,
-  });
+  // 4-2. 유예 기간이 끝난 탈퇴 회원 익명화 (이후 1시간마다)
+  const runWithdrawalPurge = () => auditLog.run({ actor: { type: 'system', id: 'withdrawal-purge' } }, () => purgeWithdrawnAccounts());
+  runWithdrawalPurge();
+  setInterval(runWithdrawalPurge, HOUR_MS).unref();
+
+  // 4-3. 결제 대기 시간이 지난 주문의 재고 예약 해제 (이후 1분마다)
+  const runReservationExpiry = () => auditLog.run({ actor: { type: 'system', id: 'stock-reservation-expiry' } }, () => expireStockReservations());
+  runReservationExpiry();
+  setInterval(runReservationExpiry, MINUTE_MS).unref();
+
+  // 4-4. 운영자 계정이 하나도 없으면 환경변수로 최초 SUPER_ADMIN 생성 + 권한 선언 누락 라우트 점검
+  if (bootstrapSuperAdmin()) await _saveDataImpl();
+  const undeclaredAdminRoutes = findUndeclaredAdminRoutes();
+  if (undeclaredAdminRoutes.length > 0) {
+    logger.warn(`⚠️  권한 선언(requirePermission)이 없는 admin 라우트 ${undeclaredAdminRoutes.length}개: ${undeclaredAdminRoutes.join(', ')}`);
+  }
+
+  // 5-6. SNS 수집기 / Claude AI 리뷰 분석기에 로드된 데이터 참조 연결
+  bindServiceReferences();
 
   // 7. 상품/SNS 리뷰 다국어 번역기 초기화
   contentTranslator.initialize();
 
-  console.log(`\n📊 데이터 로드 완료: ${products.length}개 상품, ${brands.length}개 브랜드, ${(customerOrders || []).length}개 주문, ${(members || []).length}개 회원`);
+  logger.info(`📊 데이터 로드 완료: ${products.length}개 상품, ${brands.length}개 브랜드, ${(customerOrders || []).length}개 주문, ${(members || []).length}개 회원`);
 
   // 5. 서버 시작
   app.listen(port, () => {
-    console.log(`
-╔═══════════════════════════════════════╗
-║   Mock API Server Running             ║
-║   Port: ${port}                          ║
-║   URL: http://localhost:${port}         ║
-║   Storage: ${_useMySQL ? 'MySQL ✅' : 'JSON File 📁'}              ║
-╚═══════════════════════════════════════╝
-  `);
-
-    // API 연결 상태 출력
-    console.log('🔗 API Connection Status:');
-    console.log(`  MySQL: ${_useMySQL ? '✅ Connected' : '⚠️  Not connected (JSON file mode)'}`);
-    console.log(`  YouTube API: ${process.env.YOUTUBE_API_KEY ? '✅ Configured' : '❌ Not configured'}`);
-    console.log(`  TikTok API: ${process.env.TIKTOK_CLIENT_KEY && process.env.TIKTOK_CLIENT_SECRET ? '✅ Configured' : '⚠️  Not configured (optional)'}`);
-    console.log(`  Instagram API: ${process.env.INSTAGRAM_ACCESS_TOKEN && process.env.INSTAGRAM_BUSINESS_ACCOUNT_ID ? '✅ Configured' : '⚠️  Not configured (optional)'}`);
-    console.log(`  FedEx API: ${process.env.FEDEX_API_KEY && process.env.FEDEX_SECRET_KEY ? '✅ Configured' : '⚠️  Not configured (optional)'}`);
-    console.log(`  Claude AI: ${claudeReviewSummarizer.isClaudeAvailable() ? '✅ Connected (provider: claude)' : '⚠️  Not configured (keyword fallback)'}`);
-    console.log(`  Content Translator (AR/FR): ${contentTranslator.isAvailable() ? '✅ Connected' : '⚠️  Not configured'}`);
-    console.log('');
+    logger.info(`🚀 Mock API Server Running — http://localhost:${port}`, { port, storage: dataStore.label, relational: dataStore.relational });
+
+    // API 연결 상태
+    const connections = {
+      storage: dataStore.relational ? `✅ ${dataStore.label}` : '⚠️  JSON file mode (set STORAGE_DRIVER=sqlite or MySQL env for relational storage)',
+      adminOperators: operators.some(o => o.status === 'ACTIVE') ? `✅ ${operators.length} account(s)` : '⚠️  none (set ADMIN_BOOTSTRAP_LOGIN_ID / ADMIN_BOOTSTRAP_PASSWORD — admin API is locked)',
+      customerTokens: customerTokens.ephemeral ? '⚠️  ephemeral dev key (set CUSTOMER_TOKEN_KEYS — access tokens reset on restart)' : `✅ HS256 (kid ${customerTokens.activeKid}), ${CUSTOMER_ACCESS_TOKEN_TTL_MS / 60000}min access + refresh`,
+      googleSignIn: googleTokenVerifier ? `✅ ${GOOGLE_CLIENT_IDS.length} client ID(s)${process.env.GOOGLE_JWKS_FILE ? ' (local JWKS file)' : ''}` : '⚠️  disabled (set GOOGLE_CLIENT_ID)',
+      youtube: process.env.YOUTUBE_API_KEY ? '✅ Configured' : '❌ Not configured',
+      tiktok: process.env.TIKTOK_CLIENT_KEY && process.env.TIKTOK_CLIENT_SECRET ? '✅ Configured' : '⚠️  Not configured (optional)',
+      instagram: process.env.INSTAGRAM_ACCESS_TOKEN && process.env.INSTAGRAM_BUSINESS_ACCOUNT_ID ? '✅ Configured' : '⚠️  Not configured (optional)',
+      fedex: process.env.FEDEX_API_KEY && process.env.FEDEX_SECRET_KEY ? '✅ Configured' : '⚠️  Not configured (optional)',
+      claude: claudeReviewSummarizer.isClaudeAvailable() ? '✅ Connected (provider: claude)' : '⚠️  Not configured (keyword fallback)',
+      contentTranslator: contentTranslator.isAvailable() ? '✅ Connected' : '⚠️  Not configured',
+    };
+    logger.info('🔗 API Connection Status', connections);
   });
 }
 
@@ -8513,7 +10805,7 @@ async function startServer() {
 // Graceful Shutdown (SIGTERM/SIGINT)
 // ========================================
 async function gracefulShutdown(signal) {
-  console.log(`\n🛑 ${signal} received, shutting down gracefully...`);
+  logger.info(`🛑 ${signal} received, shutting down gracefully...`);
 
   // 미완료 debounced save 강제 실행
   if (_saveTimer) {
@@ -8521,19 +10813,22 @@ async function gracefulShutdown(signal) {
     _saveTimer = null;
     try {
       await _saveDataImpl();
-      console.log('💾 미완료 저장 강제 실행 완료');
+      logger.info('💾 미완료 저장 강제 실행 완료');
     } catch (e) {
-      console.error('❌ 강제 저장 실패:', e.message);
+      logger.error('❌ 강제 저장 실패:', e.message);
     }
   }
 
-  // MySQL 풀 종료
-  if (_useMySQL) {
+  // 대기 중인 감사 로그 기록 완료
+  await auditLog.flush();
+
+  // 저장소 연결 종료
+  if (dataStore) {
     try {
-      await database.close();
-      console.log('🗄️  MySQL connection pool closed');
+      await dataStore.close();
+      logger.info(`🗄️  ${dataStore.label} storage closed`);
     } catch (e) {
-      console.error('❌ MySQL 풀 종료 실패:', e.message);
+      logger.error(`❌ ${dataStore.label} 저장소 종료 실패:`, e.message);
     }
   }
 
@@ -8545,6 +10840,6 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 // 서버 시작!
 startServer().catch(e => {
-  console.error('❌ Server startup failed:', e);
+  logger.error('❌ Server startup failed:', e);
   process.exit(1);
 });
@@ -0,0 +1,96 @@
+/**
+ * 탈퇴 회원 개인정보 익명화 — 유예 기간이 끝난 탈퇴 회원의 레코드를 제자리에서 비식별화
+ *
+ * - 주문: 주문자/수령인 이름·연락처·이메일·주소, 배송 라벨/통관 서류 삭제
+ *   금액·통화·환율·상품·상태·쿠폰·포인트·결제/환불 시각 등 정산에 쓰는 값은 그대로 유지
+ * - 리뷰 / 공동구매 참여: 회원 식별자를 가명(WITHDRAWN-…)으로 교체, 이름·이메일 삭제 (별점·내용·수량은 유지)
+ * - 회원(users / members): code 만 남긴 묘비(tombstone) 레코드로 축소 — 주문 pointsUsedBy, userCoupons 참조 유지
+ */
+const crypto = require('crypto');
+
+const ANONYMIZED_NAME = 'Withdrawn member';
+
+// 주문의 개인정보 필드 → 익명화 후 값
+const ORDER_PII_FIELDS = {
+  ordererName: ANONYMIZED_NAME,
+  ordererContact: null,
+  ordererEmail: null,
+  recipientName: ANONYMIZED_NAME,
+  recipientContact: null,
+  recipientEmail: null,
+  postalCode: null,
+  address: null,
+  detailAddress: null,
+  deliveryMemo: null,
+  // 라벨/서류에 수령인 주소가 인쇄되어 있음
+  fedexLabelBase64: null,
+  fedexTradeDocuments: [],
+  aramexLabelUrl: null,
+};
+
+// 탈퇴 후에도 남기는 회원 필드 (나머지는 삭제)
+const USER_RETAINED_FIELDS = [
+  'code', 'status', 'memberLevel', 'createAt', 'withdrawnAt', 'purgeAfter',
+  'totalPurchaseCount', 'totalPurchaseAmount', 'lastPurchaseDate', 'version',
+];
+
+/**
+ * 회원 code → 가명 (같은 회원은 항상 같은 값, 원래 code 는 역산 불가)
+ */
+function pseudonymFor(code) {
+  return `WITHDRAWN-${crypto.createHash('sha256').update(String(code)).digest('hex').slice(0, 12).toUpperCase()}`;
+}
+
+function anonymizeOrder(order, at) {
+  Object.assign(order, ORDER_PII_FIELDS, { anonymizedAt: at });
+  return order;
+}
+
+function anonymizeReview(review, alias, at) {
+  review.memberId = alias;
+  review.anonymizedAt = at;
+  return review;
+}
+
+function anonymizeGroupBuyMember(member, alias) {
+  member.userId = alias;
+  member.name = ANONYMIZED_NAME;
+  member.email = '';
+  return member;
+}
+
+/**
+ * 회원 레코드를 묘비로 축소 (제자리 수정 — server.js 배열 참조 유지)
+ */
+function anonymizeUser(user, at) {
+  const alias = pseudonymFor(user.code);
+  for (const key of Object.keys(user)) {
+    if (!USER_RETAINED_FIELDS.includes(key)) delete user[key];
+  }
+  Object.assign(user, {
+    id: alias,
+    name: ANONYMIZED_NAME,
+    email: `${alias.toLowerCase()}@withdrawn.invalid`,
+    phone: '',
+    password: '',
+    anonymizedAt: at,
+  });
+  return user;
+}
+
+function anonymizeMember(member, user) {
+  Object.assign(member, { name: user.name, email: user.email, phone: '', birthDate: '', country: '', status: user.status });
+  delete member.address;
+  return member;
+}
+
+module.exports = {
+  ANONYMIZED_NAME,
+  ORDER_PII_FIELDS,
+  pseudonymFor,
+  anonymizeOrder,
+  anonymizeReview,
+  anonymizeGroupBuyMember,
+  anonymizeUser,
+  anonymizeMember,
+};
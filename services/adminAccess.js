@@ -0,0 +1,95 @@
+/**
+ * 관리자 API 접근 제어 — 역할(role) → 권한(permission) 매핑
+ *
+ * - 운영자 계정(operators 컬렉션)은 SUPER_ADMIN / OPERATIONS / CS / MARKETING / FINANCE 중 하나의 역할을 가짐
+ * - 셀러 세션은 SELLER 역할로 취급 (데이터 범위 제한은 각 라우트의 getSellerScope 가 계속 담당)
+ * - 각 /datepalm-bay/api/admin 라우트는 server.js 에서 requirePermission('<resource>:<action>') 으로 필요 권한을 선언
+ */
+const PERMISSIONS = {
+  'products:read': '상품 조회',
+  'products:write': '상품 등록/수정/삭제, 브랜드 관리',
+  'inventory:read': '재고 현황·이동 기록 조회',
+  'inventory:adjust': '재고 조정 (입고/폐기/실사 등)',
+  'orders:read': '주문 조회',
+  'orders:update': '주문 상태 변경',
+  'orders:edit': '주문 고객정보(배송지 등) 수정',
+  'orders:delete': '주문 삭제',
+  'shipping:manage': 'FedEx / Aramex 배송장·픽업·통관 서류',
+  'members:read': '회원 조회',
+  'inquiries:read': '문의 조회',
+  'b2b:manage': 'B2B 계정 관리',
+  'sellers:read': '셀러 조회',
+  'sellers:manage': '셀러 등록/수정/삭제, 상품 배정',
+  'commission:manage': '판매수수료 기본 요율 변경',
+  'settlements:read': '정산 조회',
+  'settlements:manage': '정산서 생성/확정',
+  'settlements:pay': '정산 지급 처리',
+  'content:read': '이벤트/블로그/배너 조회',
+  'content:write': '이벤트/블로그/배너 등록/수정/삭제',
+  'coupons:read': '쿠폰 조회',
+  'coupons:write': '쿠폰 등록/수정/삭제',
+  'reviews:read': 'SNS 리뷰 / AI 요약 조회',
+  'reviews:write': 'SNS 리뷰 수집/승인/수정, AI 분석',
+  'dashboard:read': '대시보드 통계',
+  'tools:read': '저장소 통계, 무결성 검사, 스냅샷 목록',
+  'tools:manage': '복구, 스냅샷 생성/복원, 내보내기/가져오기, 번역 백필',
+  'audit:read': '감사 로그 조회',
+  'operators:manage': '운영자 계정 관리',
+  'sessions:read': 'B2B / 셀러 로그인 세션 조회',
+  'sessions:manage': 'B2B / 셀러 로그인 세션 강제 종료',
+  'security:read': '요청 차단 기록, 계정 잠금 목록 조회',
+  'security:manage': '계정 잠금 해제',
+  'apikeys:manage': 'B2B / 외부 연동 API 키 발급·폐기, 키별 요청 기록 조회',
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// 운영자 계정에 부여할 수 있는 역할
+const OPERATOR_ROLES = ['SUPER_ADMIN', 'OPERATIONS', 'CS', 'MARKETING', 'FINANCE'];
+const SELLER_ROLE = 'SELLER';
+
+const ROLE_PERMISSIONS = {
+  SUPER_ADMIN: ALL_PERMISSIONS,
+  OPERATIONS: [
+    'products:read', 'products:write', 'inventory:read', 'inventory:adjust', 'orders:read', 'orders:update', 'orders:edit', 'shipping:manage',
+    'members:read', 'inquiries:read', 'b2b:manage', 'sellers:read', 'sellers:manage',
+    'content:read', 'coupons:read', 'reviews:read', 'dashboard:read', 'tools:read',
+    'sessions:read', 'sessions:manage', 'security:read', 'security:manage', 'apikeys:manage',
+  ],
+  CS: [
+    'orders:read', 'orders:update', 'orders:edit', 'members:read', 'inquiries:read',
+    'products:read', 'inventory:read', 'coupons:read', 'reviews:read', 'dashboard:read', 'security:read', 'security:manage',
+  ],
+  MARKETING: [
+    'products:read', 'content:read', 'content:write', 'coupons:read', 'coupons:write',
+    'reviews:read', 'reviews:write', 'dashboard:read',
+  ],
+  FINANCE: [
+    'orders:read', 'sellers:read', 'settlements:read', 'settlements:manage', 'settlements:pay',
+    'commission:manage', 'dashboard:read', 'audit:read',
+  ],
+  // 기존 셀러 허용 범위(상품/주문/대시보드)와 동일 — 주문 삭제/고객정보 수정, 회원별 주문 조회는 제외
+  [SELLER_ROLE]: ['products:read', 'products:write', 'inventory:read', 'inventory:adjust', 'orders:read', 'orders:update', 'dashboard:read'],
+};
+
+function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * @param {string} role
+ * @param {string[]} permissions - 모두 보유해야 true
+ */
+function hasPermissions(role, permissions) {
+  const granted = getRolePermissions(role);
+  return permissions.every((p) => granted.includes(p));
+}
+
+module.exports = {
+  PERMISSIONS,
+  OPERATOR_ROLES,
+  SELLER_ROLE,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  hasPermissions,
+};
@@ -0,0 +1,242 @@
+/**
+ * B2B / 외부 연동용 API 키 — apiKeys 컬렉션에 저장, X-API-Key 헤더로 인증
+ *
+ * - 키 형식: dpk_<keyId>_<secret> — 원문은 발급 응답에서 한 번만 보여주고 sha256 해시만 저장
+ * - 소유자(ownerType): b2b(B2B 계정 — 카탈로그를 그 계정 할인가로 조회) / integration(외부 시스템 — 관리자 API 일부)
+ * - 범위(scope): 키로 호출할 수 있는 API 묶음, 관리자 API 범위는 adminAccess 권한으로 변환해 requirePermission 에서 검사
+ * - 만료(expiresAt, 없으면 무기한) / 폐기(REVOKED — 요청 기록 조회를 위해 레코드는 남김)
+ * - 마지막 사용 시각·IP 는 touchIntervalMs 에 한 번만 저장 (요청마다 저장하지 않도록)
+ * - 키별 요청 기록은 createApiKeyRequestLog() — JSONL 파일 + 키별 최근 N건 메모리 보관
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { createEntityIndex } = require('./entityIndex');
+const logger = require('./logger').child({ module: 'apiKeys' });
+
+const KEY_PREFIX = 'dpk';
+const KEY_PATTERN = /^dpk_([0-9a-f]{16})_[0-9a-f]{48}$/;
+
+const API_KEY_OWNER_TYPES = ['b2b', 'integration'];
+
+// 범위 → 설명 / 발급 가능한 소유자 / 관리자 API 권한
+const API_KEY_SCOPES = {
+  'catalog:read': { description: 'B2B 상품 카탈로그 조회 (계정 할인가)', ownerTypes: ['b2b'], permissions: [] },
+  'products:read': { description: '상품 조회 (관리자 API)', ownerTypes: ['integration'], permissions: ['products:read'] },
+  'orders:read': { description: '주문 조회 (관리자 API)', ownerTypes: ['integration'], permissions: ['orders:read'] },
+  'orders:write': { description: '주문 상태 변경, 고객정보 수정 (관리자 API)', ownerTypes: ['integration'], permissions: ['orders:update', 'orders:edit'] },
+};
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * 범위 목록 → 관리자 API 권한 목록 (중복 제거)
+ */
+function scopesToPermissions(scopes) {
+  return [...new Set((scopes || []).flatMap((scope) => (API_KEY_SCOPES[scope] ? API_KEY_SCOPES[scope].permissions : [])))];
+}
+
+/**
+ * 발급 요청의 범위 검증
+ * @returns {string|null} 오류 메시지
+ */
+function validateScopes(ownerType, scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return 'scopes must be a non-empty array';
+  const unknown = scopes.filter((s) => !API_KEY_SCOPES[s]);
+  if (unknown.length > 0) return `Unknown scopes: ${unknown.join(', ')}`;
+  const notAllowed = scopes.filter((s) => !API_KEY_SCOPES[s].ownerTypes.includes(ownerType));
+  if (notAllowed.length > 0) return `Scopes not available for ${ownerType} keys: ${notAllowed.join(', ')}`;
+  return null;
+}
+
+// 저장 레코드 → 응답 (해시 제외)
+function serializeApiKey(apiKey) {
+  const { keyHash, ...rest } = apiKey;
+  return rest;
+}
+
+/**
+ * @param {Object} options
+ * @param {Function} options.getList - 현재 apiKeys 배열 반환
+ * @param {Function} options.onChange - (...targets) => void, saveData 와 같은 형식
+ * @param {number} [options.touchIntervalMs] - 마지막 사용 기록 저장 최소 간격
+ */
+function createApiKeyStore({ getList, onChange, touchIntervalMs = 60 * 1000 }) {
+  const index = createEntityIndex(getList, {
+    id: { get: (k) => k.keyId },
+  });
+
+  function isUsable(apiKey, now = Date.now()) {
+    return apiKey.status === 'ACTIVE' && (!apiKey.expiresAt || new Date(apiKey.expiresAt).getTime() > now);
+  }
+
+  /**
+   * @returns {boolean} 이번에 폐기했으면 true (이미 폐기된 키는 false)
+   */
+  function revoke(keyId, revokedBy = null) {
+    const apiKey = index.get('id', keyId);
+    if (!apiKey || apiKey.status === 'REVOKED') return false;
+    apiKey.status = 'REVOKED';
+    apiKey.revokedAt = new Date().toISOString();
+    apiKey.revokedBy = revokedBy;
+    onChange(['apiKeys', keyId]);
+    return true;
+  }
+
+  return {
+    /**
+     * @param {{ name: string, ownerType: string, ownerId?: string, scopes: string[], expiresAt?: string|null, createdBy?: Object }} params
+     * @returns {{ key: string, apiKey: Object }} key 는 원문 (이후 조회 불가)
+     */
+    issue({ name, ownerType, ownerId = null, scopes, expiresAt = null, createdBy = null }) {
+      const keyId = crypto.randomBytes(8).toString('hex');
+      const key = `${KEY_PREFIX}_${keyId}_${crypto.randomBytes(24).toString('hex')}`;
+      const apiKey = {
+        keyId,
+        keyHash: hashKey(key),
+        name,
+        ownerType,
+        ownerId,
+        scopes: [...new Set(scopes)],
+        status: 'ACTIVE',
+        expiresAt,
+        createdAt: new Date().toISOString(),
+        createdBy,
+        lastUsedAt: null,
+        lastUsedIp: null,
+        revokedAt: null,
+      };
+      getList().push(apiKey);
+      onChange(['apiKeys', keyId]);
+      return { key, apiKey };
+    },
+
+    /**
+     * 헤더 값 → 사용 가능한 키 + 마지막 사용 기록
+     * @returns {{ apiKey: Object } | { error: 'malformed'|'invalid'|'revoked'|'expired', apiKey?: Object }}
+     */
+    authenticate(key, { ip } = {}) {
+      const match = KEY_PATTERN.exec(String(key || ''));
+      if (!match) return { error: 'malformed' };
+      const apiKey = index.get('id', match[1]);
+      if (!apiKey || !crypto.timingSafeEqual(Buffer.from(apiKey.keyHash, 'hex'), Buffer.from(hashKey(key), 'hex'))) {
+        return { error: 'invalid' };
+      }
+      const now = Date.now();
+      if (apiKey.status !== 'ACTIVE') return { error: 'revoked', apiKey };
+      if (!isUsable(apiKey, now)) return { error: 'expired', apiKey };
+
+      const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+      if (now - lastUsed >= touchIntervalMs || apiKey.lastUsedIp !== (ip || null)) {
+        apiKey.lastUsedAt = new Date(now).toISOString();
+        apiKey.lastUsedIp = ip || null;
+        onChange(['apiKeys', apiKey.keyId]);
+      }
+      return { apiKey };
+    },
+
+    find(keyId) {
+      return index.get('id', keyId) || null;
+    },
+
+    /**
+     * @param {{ ownerType?: string, ownerId?: string, status?: string }} [filters]
+     * @returns {Array} 최근 발급순
+     */
+    list({ ownerType, ownerId, status } = {}) {
+      return getList()
+        .filter((k) => (!ownerType || k.ownerType === ownerType) && (!ownerId || k.ownerId === ownerId) && (!status || k.status === status))
+        .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+    },
+
+    revoke,
+
+    /**
+     * 소유자의 모든 키 폐기 (B2B 계정 비활성화/삭제 시)
+     * @returns {number}
+     */
+    revokeOwner(ownerType, ownerId, revokedBy = null) {
+      return getList()
+        .filter((k) => k.ownerType === ownerType && k.ownerId === ownerId)
+        .filter((k) => revoke(k.keyId, revokedBy)).length;
+    },
+  };
+}
+
+/**
+ * 키별 요청 기록 — JSONL 파일 끝에 추가, 키마다 최근 keepPerKey 건은 메모리에 두고 조회
+ * @param {{ file: string, keepPerKey?: number }} options
+ */
+function createApiKeyRequestLog({ file, keepPerKey = 1000 }) {
+  const entriesByKey = new Map();
+
+  function remember(entry) {
+    const entries = entriesByKey.get(entry.keyId) || [];
+    entries.push(entry);
+    if (entries.length > keepPerKey) entries.splice(0, entries.length - keepPerKey);
+    entriesByKey.set(entry.keyId, entries);
+  }
+
+  return {
+    file,
+
+    load() {
+      if (!fs.existsSync(file)) return 0;
+      let count = 0;
+      for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+        if (!line) continue;
+        try {
+          remember(JSON.parse(line));
+          count++;
+        } catch (e) {
+          // 손상된 줄은 건너뜀
+        }
+      }
+      return count;
+    },
+
+    /**
+     * @param {{ keyId: string, method: string, path: string, status: number, ip: string, durationMs: number }} entry
+     */
+    append(entry) {
+      const stored = { at: new Date().toISOString(), ...entry };
+      remember(stored);
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(stored)}\n`);
+      } catch (e) {
+        logger.error('❌ API 키 요청 기록 저장 실패:', e.message);
+      }
+    },
+
+    /**
+     * @param {string} keyId
+     * @param {{ status?: number, from?: string, to?: string, limit?: number }} [filters]
+     * @returns {Array} 최신순
+     */
+    query(keyId, { status, from, to, limit = 100 } = {}) {
+      const fromTime = from ? new Date(from).getTime() : null;
+      const toTime = to ? new Date(to).getTime() : null;
+      return (entriesByKey.get(keyId) || []).filter((e) => {
+        if (status && e.status !== status) return false;
+        const at = new Date(e.at).getTime();
+        if (fromTime !== null && at < fromTime) return false;
+        if (toTime !== null && at > toTime) return false;
+        return true;
+      }).reverse().slice(0, limit);
+    },
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_OWNER_TYPES,
+  scopesToPermissions,
+  validateScopes,
+  serializeApiKey,
+  createApiKeyStore,
+  createApiKeyRequestLog,
+};
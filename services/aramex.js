@@ -14,6 +14,7 @@
  */
 
 const nodeFetch = typeof globalThis.fetch === 'function' ? globalThis.fetch : require('node-fetch');
+const logger = require('./logger').child({ module: 'aramex' });
 
 const ARAMEX_MODE = process.env.ARAMEX_MODE || 'test';
 const ARAMEX_API_BASE = ARAMEX_MODE === 'production'
@@ -80,7 +81,7 @@ function getShipperInfo() {
  */
 async function aramexRequest(endpoint, body) {
   const url = `${ARAMEX_API_BASE}/${endpoint}`;
-  console.log(`[Aramex] → ${url}`);
+  logger.info(`[Aramex] → ${url}`);
 
   const response = await nodeFetch(url, {
     method: 'POST',
@@ -91,13 +92,13 @@ async function aramexRequest(endpoint, body) {
   const data = await response.json();
 
   if (!response.ok) {
-    console.error('[Aramex] API 오류:', JSON.stringify(data, null, 2));
+    logger.error('[Aramex] API 오류:', data);
     throw new Error(data.HasErrors ? (data.Notifications?.[0]?.Message || 'Aramex API error') : 'Aramex API request failed');
   }
 
   if (data.HasErrors) {
     const msg = data.Notifications?.map(n => n.Message).join(' | ') || 'Aramex API error';
-    console.error('[Aramex] 응답 오류:', msg);
+    logger.error('[Aramex] 응답 오류:', msg);
     throw new Error(msg);
   }
 
@@ -131,9 +132,9 @@ async function getRates({ recipient, packages, productGroup = 'EXP', productType
 
   const chargeableWeight = Math.max(totalWeight, volumeWeight);
 
-  console.log('\n=== [Aramex] 배송비 견적 ===');
-  console.log(`  목적지: ${recipient.countryCode} ${recipient.city || ''}`);
-  console.log(`  실중량: ${totalWeight}kg, 부피중량: ${volumeWeight.toFixed(2)}kg, 청구중량: ${chargeableWeight.toFixed(2)}kg`);
+  logger.debug('[Aramex] 배송비 견적');
+  logger.debug(`목적지: ${recipient.countryCode} ${recipient.city || ''}`);
+  logger.debug(`실중량: ${totalWeight}kg, 부피중량: ${volumeWeight.toFixed(2)}kg, 청구중량: ${chargeableWeight.toFixed(2)}kg`);
 
   // productType이 없으면 Priority + Economy 두 견적 모두 조회
   const typesToQuery = productType
@@ -186,11 +187,11 @@ async function getRates({ recipient, packages, productGroup = 'EXP', productType
         rateDetails: data.RateDetails || [],
       });
     } catch (e) {
-      console.warn(`[Aramex] ${type} 견적 실패 (계속):`, e.message);
+      logger.warn(`[Aramex] ${type} 견적 실패 (계속):`, e.message);
     }
   }
 
-  console.log(`✅ [Aramex] 견적 완료: ${results.length}개 옵션`);
+  logger.info(`✅ [Aramex] 견적 완료: ${results.length}개 옵션`);
   return results;
 }
 
@@ -228,10 +229,10 @@ async function createShipment({
   }, 0);
   const chargeableWeight = Math.max(totalWeight, volumeWeight);
 
-  console.log('\n=== [Aramex] 배송 생성 ===');
-  console.log(`  주문: ${orderCode}`);
-  console.log(`  목적지: ${recipient.countryCode} ${recipient.city}`);
-  console.log(`  서비스: ${productGroup}/${productType}`);
+  logger.debug('[Aramex] 배송 생성');
+  logger.debug(`주문: ${orderCode}`);
+  logger.debug(`목적지: ${recipient.countryCode} ${recipient.city}`);
+  logger.debug(`서비스: ${productGroup}/${productType}`);
 
   const shipmentDetails = {
     Dimensions: packages.length === 1 ? {
@@ -329,9 +330,9 @@ async function createShipment({
   const trackingNumber = shipmentResult.ID || shipmentResult.Number;
   const labelUrl = data.ShipmentLabel?.LabelURL || null;
 
-  console.log(`✅ [Aramex] 배송 생성 완료`);
-  console.log(`  추적번호: ${trackingNumber}`);
-  console.log(`  라벨 URL: ${labelUrl || '없음'}`);
+  logger.info(`✅ [Aramex] 배송 생성 완료`);
+  logger.debug(`추적번호: ${trackingNumber}`);
+  logger.debug(`라벨 URL: ${labelUrl || '없음'}`);
 
   return {
     trackingNumber,
@@ -355,8 +356,8 @@ async function trackShipment(trackingNumbers) {
   const clientInfo = buildClientInfo();
   const nums = Array.isArray(trackingNumbers) ? trackingNumbers : [trackingNumbers];
 
-  console.log('\n=== [Aramex] 배송 추적 ===');
-  console.log(`  추적번호: ${nums.join(', ')}`);
+  logger.debug('[Aramex] 배송 추적');
+  logger.debug(`추적번호: ${nums.join(', ')}`);
 
   const body = {
     ClientInfo: clientInfo,
@@ -389,7 +390,7 @@ async function trackShipment(trackingNumbers) {
     };
   });
 
-  console.log(`✅ [Aramex] 추적 완료: ${results.length}개`);
+  logger.info(`✅ [Aramex] 추적 완료: ${results.length}개`);
   return results.length === 1 ? results[0] : results;
 }
 
@@ -418,9 +419,9 @@ async function schedulePickup({
   const clientInfo = buildClientInfo();
   const shipper = getShipperInfo();
 
-  console.log('\n=== [Aramex] 픽업 예약 ===');
-  console.log(`  날짜: ${pickupDate}`);
-  console.log(`  준비 시간: ${readyTime} ~ ${closeTime}`);
+  logger.debug('[Aramex] 픽업 예약');
+  logger.debug(`날짜: ${pickupDate}`);
+  logger.debug(`준비 시간: ${readyTime} ~ ${closeTime}`);
 
   const pickupDateObj = new Date(pickupDate);
 
@@ -455,7 +456,7 @@ async function schedulePickup({
   const data = await aramexRequest('pickup/v1/CreatePickup', body);
 
   const pickupId = data.ProcessedPickup?.ID;
-  console.log(`✅ [Aramex] 픽업 예약 완료: ${pickupId}`);
+  logger.info(`✅ [Aramex] 픽업 예약 완료: ${pickupId}`);
 
   return {
     pickupId,
@@ -473,8 +474,8 @@ async function schedulePickup({
 async function cancelPickup(pickupId) {
   const clientInfo = buildClientInfo();
 
-  console.log('\n=== [Aramex] 픽업 취소 ===');
-  console.log(`  픽업 ID: ${pickupId}`);
+  logger.debug('[Aramex] 픽업 취소');
+  logger.debug(`픽업 ID: ${pickupId}`);
 
   const body = {
     ClientInfo: clientInfo,
@@ -484,7 +485,7 @@ async function cancelPickup(pickupId) {
 
   const data = await aramexRequest('pickup/v1/CancelPickup', body);
 
-  console.log('✅ [Aramex] 픽업 취소 완료');
+  logger.info('✅ [Aramex] 픽업 취소 완료');
   return { pickupId, cancelled: true };
 }
 
@@ -499,8 +500,8 @@ async function cancelPickup(pickupId) {
 async function validateAddress({ city, countryCode, postalCode }) {
   const clientInfo = buildClientInfo();
 
-  console.log('\n=== [Aramex] 서비스 지역 확인 ===');
-  console.log(`  주소: ${countryCode} ${city}`);
+  logger.debug('[Aramex] 서비스 지역 확인');
+  logger.debug(`주소: ${countryCode} ${city}`);
 
   // Aramex Location Validator
   const body = {
@@ -517,7 +518,7 @@ async function validateAddress({ city, countryCode, postalCode }) {
     const data = await aramexRequest('location/v1/ValidateAddress', body);
 
     const isValid = !data.HasErrors && (data.Result === 1 || data.Result === 0);
-    console.log(`✅ [Aramex] 주소 검증: ${isValid ? '유효' : '무효'}`);
+    logger.info(`✅ [Aramex] 주소 검증: ${isValid ? '유효' : '무효'}`);
 
     return {
       isValid,
@@ -527,7 +528,7 @@ async function validateAddress({ city, countryCode, postalCode }) {
     };
   } catch (e) {
     // 주소 검증 실패해도 배송은 시도할 수 있음
-    console.warn('[Aramex] 주소 검증 실패 (서비스 자체는 가능할 수 있음):', e.message);
+    logger.warn('[Aramex] 주소 검증 실패 (서비스 자체는 가능할 수 있음):', e.message);
     return { isValid: null, error: e.message };
   }
 }
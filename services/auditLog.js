@@ -0,0 +1,312 @@
+/**
+ * 감사 로그 — 저장되는 모든 변경을 행위자 / 엔티티 / 동작 / 전후 diff 로 append-only 기록
+ *
+ * - 기록 시점: server.js 의 markDirty() — saveData 호출부가 넘긴 컬렉션/레코드를 직전 기록본과 비교해 create/update/delete 판정
+ *   대상 없는 markDirty() 는 비교하지 않음 (전체 데이터셋 diff 방지) — 전체 교체는 바뀐 컬렉션을 대상으로 넘김
+ * - 행위자: 요청 컨텍스트(AsyncLocalStorage) — 셀러 세션 / 운영자 / 고객 / 시스템 작업 (요청 밖이면 system)
+ * - 저장: JSONL 파일 끝에 추가만 함 (수정/삭제 경로 없음), 항목마다 직전 항목 해시를 포함한 해시 체인 → verify() 로 변조 검출
+ *   추가는 비동기 쓰기 큐로 (요청 경로에서 동기 I/O 없음), 조회/검증은 파일을 한 줄씩 읽음 (전체 이력을 메모리에 두지 않음)
+ * - 비밀번호/토큰 등 민감 필드 값은 diff 에서 마스킹, aiFeedbackHistory / sessions 는 기록하지 않음
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const { COLLECTION_NAMES, SINGLETON_COLLECTIONS, getEntityKey } = require('./dataset');
+const logger = require('./logger').child({ module: 'auditLog' });
+
+// 기록하지 않는 컬렉션 — 자연키가 없는 AI 피드백 누적 이력, 사용할 때마다 만료 시각이 갱신되는 로그인 세션,
+// 그 자체가 추가 전용 이력인 재고 이동 기록 (재고 수량 변경은 products 변경으로 기록됨)
+const UNAUDITED_COLLECTIONS = ['aiFeedbackHistory', 'sessions', 'stockMovements'];
+const SENSITIVE_FIELD_PATTERN = /password|secret|token|apikey|api_key/i;
+const GENESIS_HASH = '0'.repeat(64);
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, SENSITIVE_FIELD_PATTERN.test(k) ? '[REDACTED]' : redact(v)]));
+  }
+  return value;
+}
+
+function hashEntry(prevHash, entry) {
+  return crypto.createHash('sha256').update(prevHash + JSON.stringify(entry)).digest('hex');
+}
+
+/**
+ * 최상위 필드 단위 전후 diff — 레코드가 객체가 아니면(브랜드 문자열 등) value 필드 하나로 취급
+ * @returns {Object<string, { before: *, after: * }>}
+ */
+function diffRecords(before, after) {
+  const wrap = (v) => (v && typeof v === 'object' && !Array.isArray(v) ? v : (v === undefined ? {} : { value: v }));
+  const a = wrap(before);
+  const b = wrap(after);
+  const changes = {};
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (JSON.stringify(a[key]) === JSON.stringify(b[key])) continue;
+    const masked = SENSITIVE_FIELD_PATTERN.test(key);
+    changes[key] = {
+      before: masked && a[key] !== undefined ? '[REDACTED]' : redact(a[key] ?? null),
+      after: masked && b[key] !== undefined ? '[REDACTED]' : redact(b[key] ?? null),
+    };
+  }
+  return changes;
+}
+
+/**
+ * @param {{ file: string }} options - JSONL 로그 파일 경로
+ */
+function createAuditLog({ file }) {
+  const context = new AsyncLocalStorage();
+  // 최근 기록본: collection → Map(entityId → JSON 문자열), prime() 전에는 기록하지 않음
+  let baseline = null;
+  let lastHash = GENESIS_HASH;
+  let seq = 0;
+  // 파일 추가 쓰기 큐 — 해시 체인은 append() 에서 동기로 이어 붙이고 파일 기록만 순서대로 비동기 처리
+  let writing = Promise.resolve();
+
+  // 파일을 한 줄씩 읽어 항목마다 onEntry 호출 (파싱 실패 줄은 { seq: null, corruptLine })
+  async function scan(onEntry) {
+    await writing;
+    if (!fs.existsSync(file)) return;
+    const lines = readline.createInterface({ input: fs.createReadStream(file, { encoding: 'utf-8' }), crlfDelay: Infinity });
+    let lineNo = 0;
+    for await (const line of lines) {
+      lineNo++;
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        entry = { seq: null, corruptLine: lineNo };
+      }
+      onEntry(entry);
+    }
+  }
+
+  // 해시 체인 검증 + 마지막 정상 항목 (load 가 이어서 기록할 위치)
+  async function verifyFile() {
+    let prevHash = GENESIS_HASH;
+    let count = 0;
+    let broken = null;
+    let last = null;
+    await scan((entry) => {
+      count++;
+      if (!entry.corruptLine) last = entry;
+      if (broken) return;
+      if (entry.corruptLine) {
+        broken = { brokenAt: entry.corruptLine, reason: 'unparseable line' };
+        return;
+      }
+      const { hash, ...body } = entry;
+      if (body.prevHash !== prevHash || hashEntry(prevHash, body) !== hash) {
+        broken = { brokenAt: entry.seq, reason: 'hash mismatch' };
+        return;
+      }
+      prevHash = hash;
+    });
+    const result = broken
+      ? { ok: false, count, ...broken }
+      : { ok: true, count, brokenAt: null, reason: null };
+    return { result, last };
+  }
+
+  function snapshotCollection(collection, value) {
+    const map = new Map();
+    if (SINGLETON_COLLECTIONS.includes(collection)) {
+      if (value !== null && value !== undefined) map.set(collection, JSON.stringify(value));
+      return map;
+    }
+    for (const row of value || []) {
+      const id = getEntityKey(collection, row);
+      if (id !== null && !map.has(id)) map.set(id, JSON.stringify(row));
+    }
+    return map;
+  }
+
+  function findRecord(collection, value, id) {
+    if (SINGLETON_COLLECTIONS.includes(collection)) return id === collection ? value : undefined;
+    return (value || []).find((row) => getEntityKey(collection, row) === id);
+  }
+
+  function buildEntry(collection, id, beforeJson, after) {
+    const before = beforeJson === undefined ? undefined : JSON.parse(beforeJson);
+    const action = before === undefined ? 'create' : (after === undefined ? 'delete' : 'update');
+    const changes = diffRecords(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) return null;
+    const store = context.getStore() || {};
+    return {
+      at: new Date().toISOString(),
+      actor: store.actor || { type: 'system', id: null },
+      route: store.route || null,
+      entity: collection,
+      entityId: id,
+      action,
+      changes,
+    };
+  }
+
+  // 한 컬렉션 비교 → 감사 항목 목록 (ids 가 있으면 해당 레코드만)
+  function diffCollection(collection, value, ids) {
+    const previous = baseline.get(collection) || new Map();
+    const result = [];
+    if (!ids) {
+      const current = snapshotCollection(collection, value);
+      for (const [id, json] of current) {
+        if (previous.get(id) === json) continue;
+        const entry = buildEntry(collection, id, previous.get(id), JSON.parse(json));
+        if (entry) result.push(entry);
+      }
+      for (const [id, json] of previous) {
+        if (!current.has(id)) result.push(buildEntry(collection, id, json, undefined));
+      }
+      baseline.set(collection, current);
+      return result;
+    }
+    for (const id of ids) {
+      const record = findRecord(collection, value, id);
+      const json = record === undefined ? undefined : JSON.stringify(record);
+      if (previous.get(id) === json) continue;
+      const entry = buildEntry(collection, id, previous.get(id), record);
+      if (entry) result.push(entry);
+      if (json === undefined) previous.delete(id);
+      else previous.set(id, json);
+    }
+    baseline.set(collection, previous);
+    return result;
+  }
+
+  function append(newEntries) {
+    if (newEntries.length === 0) return;
+    const lines = newEntries.map((entry) => {
+      const body = { seq: ++seq, ...entry, prevHash: lastHash };
+      const hash = hashEntry(lastHash, body);
+      lastHash = hash;
+      return JSON.stringify({ ...body, hash });
+    });
+    const chunk = `${lines.join('\n')}\n`;
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, chunk);
+      })
+      .catch((e) => logger.error('❌ 감사 로그 기록 실패:', e.message));
+  }
+
+  return {
+    file,
+
+    /**
+     * 파일의 마지막 항목 위치 로드 + 해시 체인 검증 (깨져 있어도 이어서 기록, 결과만 반환)
+     * @returns {Promise<{ ok: boolean, count: number, brokenAt: number|null, reason: string|null }>}
+     */
+    async load() {
+      const { result, last } = await verifyFile();
+      lastHash = last ? last.hash : GENESIS_HASH;
+      seq = last ? last.seq : 0;
+      return result;
+    },
+
+    /**
+     * 비교 기준선 설정 (데이터 로드 직후 — 이후 변경분만 기록)
+     */
+    prime(dataset) {
+      baseline = new Map();
+      for (const collection of COLLECTION_NAMES) {
+        if (!UNAUDITED_COLLECTIONS.includes(collection)) baseline.set(collection, snapshotCollection(collection, dataset[collection]));
+      }
+    },
+
+    /**
+     * 변경 표시 대상을 기준선과 비교해 감사 항목 추가
+     * @param {Array<string|[string, string]>} targets - markDirty 인자 (빈 배열이면 비교하지 않음)
+     * @param {Object} dataset - 현재 메모리 데이터셋
+     * @returns {number} 추가된 항목 수
+     */
+    capture(targets, dataset) {
+      if (!baseline) return 0;
+      if (targets.length === 0) {
+        logger.warn('⚠️  대상 없는 저장 — 감사 로그 비교 생략 (saveData 에 컬렉션/레코드를 넘기세요)');
+        return 0;
+      }
+      const scope = new Map(); // collection → Set(id) | null(전체)
+      for (const target of targets) {
+        const [collection, key] = Array.isArray(target) ? target : [target, undefined];
+        if (!COLLECTION_NAMES.includes(collection) || UNAUDITED_COLLECTIONS.includes(collection)) continue;
+        if (key === undefined || key === null || scope.get(collection) === null) {
+          scope.set(collection, null);
+        } else {
+          if (!scope.has(collection)) scope.set(collection, new Set());
+          scope.get(collection).add(SINGLETON_COLLECTIONS.includes(collection) ? collection : String(key));
+        }
+      }
+      const newEntries = [];
+      for (const [collection, ids] of scope) {
+        newEntries.push(...diffCollection(collection, dataset[collection], ids && [...ids]));
+      }
+      append(newEntries);
+      return newEntries.length;
+    },
+
+    /**
+     * 행위자 컨텍스트 안에서 실행 (요청 미들웨어 / 시스템 작업)
+     * @param {{ actor: { type: string, id: string|null, name?: string }, route?: string }} store
+     */
+    run(store, fn) {
+      return context.run(store, fn);
+    },
+
+    /**
+     * 파일을 한 줄씩 읽어 필터 — 최신순 offset ~ offset+limit 구간에 들 수 있는 최근 일치 항목만 유지
+     * @param {{ entity?: string, entityId?: string, actorType?: string, actorId?: string, action?: string, from?: string, to?: string }} filters
+     * @param {{ offset?: number, limit?: number }} [page]
+     * @returns {Promise<{ total: number, content: Array }>} content 는 최신순
+     */
+    async query({ entity, entityId, actorType, actorId, action, from, to } = {}, { offset = 0, limit = 50 } = {}) {
+      const fromTime = from ? new Date(from).getTime() : null;
+      // 날짜만 주면 그날 끝까지 포함
+      const toTime = to ? new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0) : null;
+      const keep = Math.max(0, offset) + Math.max(1, limit);
+      let recent = [];
+      let total = 0;
+      const matches = (e) => {
+        if (e.corruptLine) return false;
+        if (entity && e.entity !== entity) return false;
+        if (entityId && e.entityId !== entityId) return false;
+        if (actorType && e.actor.type !== actorType) return false;
+        if (actorId && e.actor.id !== actorId) return false;
+        if (action && e.action !== action) return false;
+        const at = new Date(e.at).getTime();
+        if (fromTime !== null && at < fromTime) return false;
+        if (toTime !== null && at > toTime) return false;
+        return true;
+      };
+      await scan((e) => {
+        if (!matches(e)) return;
+        total++;
+        recent.push(e);
+        if (recent.length > keep * 2) recent = recent.slice(-keep);
+      });
+      return { total, content: recent.slice(-keep).reverse().slice(Math.max(0, offset), keep) };
+    },
+
+    /**
+     * 파일 전체 해시 체인 재검증 (디스크 기준, 대기 중인 기록 후)
+     * @returns {Promise<{ ok: boolean, count: number, brokenAt: number|null, reason: string|null }>}
+     */
+    async verify() {
+      return (await verifyFile()).result;
+    },
+
+    /**
+     * 대기 중인 파일 기록 완료까지 대기 (종료 시)
+     */
+    flush() {
+      return writing;
+    },
+  };
+}
+
+module.exports = { createAuditLog, diffRecords };
@@ -12,6 +12,7 @@
  */
 
 const Anthropic = require('@anthropic-ai/sdk').default;
+const logger = require('./logger').child({ module: 'claudeReviewSummarizer' });
 
 // Anthropic 클라이언트 (환경변수에서 API 키 로드)
 let anthropicClient = null;
@@ -30,6 +31,7 @@ const CACHE_TTL = 30 * 60 * 1000; // 30분
 
 /**
  * 초기화 — server.js에서 호출
+ * refs.onSave 는 변경한 컬렉션(또는 [컬렉션, 식별자])을 인자로 받는 저장 콜백
  */
 function initialize(refs) {
   productInsightsRef = refs.productInsights;
@@ -42,13 +44,13 @@ function initialize(refs) {
   if (apiKey && apiKey.startsWith('sk-ant-')) {
     try {
       anthropicClient = new Anthropic({ apiKey });
-      console.log('🤖 Claude AI Review Summarizer initialized (model: ' + AI_MODEL + ')');
+      logger.info('🤖 Claude AI Review Summarizer initialized (model: ' + AI_MODEL + ')');
     } catch (e) {
-      console.error('❌ Claude AI 초기화 실패:', e.message);
+      logger.error('❌ Claude AI 초기화 실패:', e.message);
       anthropicClient = null;
     }
   } else {
-    console.log('⚠️  ANTHROPIC_API_KEY not configured — using keyword fallback');
+    logger.info('⚠️  ANTHROPIC_API_KEY not configured — using keyword fallback');
   }
 }
 
@@ -199,7 +201,7 @@ Return a JSON object with this exact structure (no markdown, no code blocks, jus
         productInsightsRef.push(insightData);
       }
 
-      if (saveCallback) saveCallback();
+      if (saveCallback) saveCallback(['productInsights', productCode]);
     }
 
     // 캐시 업데이트
@@ -209,7 +211,7 @@ Return a JSON object with this exact structure (no markdown, no code blocks, jus
       timestamp: Date.now(),
     });
 
-    console.log(`🤖 Claude 분석 완료: ${productCode} (${reviews.length}개 리뷰, v${result.updatedInsights ? 'updated' : 'new'})`);
+    logger.info(`🤖 Claude 분석 완료: ${productCode} (${reviews.length}개 리뷰, v${result.updatedInsights ? 'updated' : 'new'})`);
 
     return {
       summary: result.summary,
@@ -221,7 +223,7 @@ Return a JSON object with this exact structure (no markdown, no code blocks, jus
     };
 
   } catch (error) {
-    console.error(`❌ Claude 분석 실패 (${productCode}):`, error.message);
+    logger.error(`❌ Claude 분석 실패 (${productCode}):`, error.message);
     throw error;
   }
 }
@@ -254,7 +256,7 @@ async function getSummary(productCode, approvedReviews, keywordFallback) {
   if (snsReviewOverridesRef) {
     const override = snsReviewOverridesRef.find(o => o.productCode === productCode);
     if (override) {
-      console.log(`📝 오버라이드 요약 사용: ${productCode}`);
+      logger.info(`📝 오버라이드 요약 사용: ${productCode}`);
       return {
         summary: override.summary,
         hashtags: override.hashtags || [],
@@ -272,7 +274,7 @@ async function getSummary(productCode, approvedReviews, keywordFallback) {
       // 캐시 확인
       const cached = getCachedAnalysis(productCode, approvedReviews.map(r => r.id));
       if (cached) {
-        console.log(`💾 캐시된 Claude 분석 반환: ${productCode}`);
+        logger.info(`💾 캐시된 Claude 분석 반환: ${productCode}`);
         return {
           ...cached,
           reviewCount: approvedReviews.length,
@@ -283,14 +285,14 @@ async function getSummary(productCode, approvedReviews, keywordFallback) {
       // Claude 분석 실행
       return await analyzeWithClaude(approvedReviews, productCode);
     } catch (error) {
-      console.error(`⚠️ Claude 분석 실패, 키워드 fallback 전환: ${error.message}`);
+      logger.error(`⚠️ Claude 분석 실패, 키워드 fallback 전환: ${error.message}`);
     }
   }
 
   // 3. productInsights에 저장된 이전 분석 결과 사용
   const existingInsights = getProductInsights(productCode);
   if (existingInsights && existingInsights.summary) {
-    console.log(`📊 저장된 insights 사용: ${productCode} (v${existingInsights.version})`);
+    logger.info(`📊 저장된 insights 사용: ${productCode} (v${existingInsights.version})`);
     return {
       summary: existingInsights.summary.en || existingInsights.summary,
       hashtags: existingInsights.hashtags || [],
@@ -303,7 +305,7 @@ async function getSummary(productCode, approvedReviews, keywordFallback) {
 
   // 4. 키워드 기반 fallback
   if (keywordFallback && approvedReviews.length > 0) {
-    console.log(`🔤 키워드 fallback 사용: ${productCode}`);
+    logger.info(`🔤 키워드 fallback 사용: ${productCode}`);
     const kwResult = keywordFallback(approvedReviews);
     // kwResult.summary가 {ko, en} 객체일 수 있음 → 문자열로 정규화
     const normalizedSummary = typeof kwResult.summary === 'object'
@@ -351,8 +353,8 @@ function recordFeedback(productCode, originalSummary, correctedSummary) {
     if (idx >= 0) aiFeedbackHistoryRef.splice(idx, 1);
   }
 
-  if (saveCallback) saveCallback();
-  console.log(`📝 피드백 기록 완료: ${productCode} (총 ${productFeedbacks.length}개)`);
+  if (saveCallback) saveCallback('aiFeedbackHistory');
+  logger.info(`📝 피드백 기록 완료: ${productCode} (총 ${productFeedbacks.length}개)`);
 }
 
 /**
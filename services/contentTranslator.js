@@ -8,6 +8,7 @@
 const crypto = require('crypto');
 
 const Anthropic = require('@anthropic-ai/sdk').default;
+const logger = require('./logger').child({ module: 'contentTranslator' });
 
 let anthropicClient = null;
 const AI_MODEL = process.env.AI_MODEL || 'claude-haiku-4-5-20251001';
@@ -24,13 +25,13 @@ function initialize() {
   if (apiKey && apiKey.startsWith('sk-ant-')) {
     try {
       anthropicClient = new Anthropic({ apiKey });
-      console.log('🌐 Content Translator initialized (model: ' + AI_MODEL + ')');
+      logger.info('🌐 Content Translator initialized (model: ' + AI_MODEL + ')');
     } catch (e) {
-      console.error('❌ Content Translator 초기화 실패:', e.message);
+      logger.error('❌ Content Translator 초기화 실패:', e.message);
       anthropicClient = null;
     }
   } else {
-    console.log('⚠️  ANTHROPIC_API_KEY not configured — content translation disabled');
+    logger.info('⚠️  ANTHROPIC_API_KEY not configured — content translation disabled');
   }
 }
 
@@ -119,9 +120,9 @@ async function translateProductFields(product) {
       const translated = await translateFields(sourceFields, lang);
       product.translations[lang] = { ...translated, sourceHash, translatedAt: new Date().toISOString() };
       changed = true;
-      console.log(`🌐 상품 번역 완료: ${product.productCode} → ${lang}`);
+      logger.info(`🌐 상품 번역 완료: ${product.productCode} → ${lang}`);
     } catch (error) {
-      console.error(`❌ 상품 번역 실패 (${product.productCode} → ${lang}):`, error.message);
+      logger.error(`❌ 상품 번역 실패 (${product.productCode} → ${lang}):`, error.message);
     }
   }
 
@@ -151,7 +152,7 @@ async function translateSnsReviewFields(review) {
       review.translations[lang] = { ...translated, sourceHash, translatedAt: new Date().toISOString() };
       changed = true;
     } catch (error) {
-      console.error(`❌ SNS 리뷰 번역 실패 (${review.id} → ${lang}):`, error.message);
+      logger.error(`❌ SNS 리뷰 번역 실패 (${review.id} → ${lang}):`, error.message);
     }
   }
 
@@ -181,9 +182,9 @@ async function translateBlogPostFields(post) {
       const translated = await translateFields(sourceFields, lang);
       post.translations[lang] = { ...translated, sourceHash, translatedAt: new Date().toISOString() };
       changed = true;
-      console.log(`🌐 블로그 번역 완료: ${post.code} → ${lang}`);
+      logger.info(`🌐 블로그 번역 완료: ${post.code} → ${lang}`);
     } catch (error) {
-      console.error(`❌ 블로그 번역 실패 (${post.code} → ${lang}):`, error.message);
+      logger.error(`❌ 블로그 번역 실패 (${post.code} → ${lang}):`, error.message);
     }
   }
 
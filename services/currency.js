@@ -9,6 +9,7 @@ const fs = require('fs');
 const path = require('path');
 
 const nodeFetch = typeof globalThis.fetch === 'function' ? globalThis.fetch : require('node-fetch');
+const logger = require('./logger').child({ module: 'currency' });
 
 const DATA_DIR = process.env.DATA_DIR || __dirname;
 const CACHE_FILE = path.join(DATA_DIR, 'fx-rates-cache.json');
@@ -85,7 +86,7 @@ function saveCacheToDisk() {
   try {
     fs.writeFileSync(CACHE_FILE, JSON.stringify(cachedRates, null, 2), 'utf-8');
   } catch (err) {
-    console.error('[Currency] FX 캐시 저장 실패:', err.message);
+    logger.error('[Currency] FX 캐시 저장 실패:', err.message);
   }
 }
 
@@ -107,9 +108,9 @@ async function getRates() {
     try {
       cachedRates = await fetchLatestRates();
       saveCacheToDisk();
-      console.log('[Currency] FX 환율 갱신 완료:', cachedRates.updatedAt);
+      logger.info('[Currency] FX 환율 갱신 완료:', cachedRates.updatedAt);
     } catch (err) {
-      console.error('[Currency] FX 환율 갱신 실패, 기존 캐시 사용:', err.message);
+      logger.error('[Currency] FX 환율 갱신 실패, 기존 캐시 사용:', err.message);
       if (!cachedRates) {
         // 캐시조차 없으면 환율 1:1(USD 그대로)로 폴백
         cachedRates = { base: 'USD', rates: { USD: 1 }, updatedAt: new Date().toISOString(), fallback: true };
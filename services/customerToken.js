@@ -0,0 +1,108 @@
+/**
+ * 고객 액세스 토큰 — HMAC-SHA256 서명 JWT (HS256)
+ *
+ * - 클레임: sub(회원 code), uid(로그인 ID), sid(로그인 기기 ID — sessions 컬렉션), iat / exp(초 단위), iss, typ=customer
+ * - 헤더 kid 로 서명 키 식별 → 키 교체 시 새 키로 발급하고 이전 키는 검증 전용으로 남겨 기존 세션 유지
+ *
+ * Env:
+ *   CUSTOMER_TOKEN_KEYS    — "kid:secret,kid:secret" (첫 번째가 발급 키, 나머지는 검증 전용)
+ *   CUSTOMER_TOKEN_SECRET  — 단일 키 약식 (kid "k1")
+ *   둘 다 없으면 기동마다 새로 만드는 임시 키 (재시작 시 모든 세션 만료 — 로컬 개발용)
+ */
+const crypto = require('crypto');
+
+const ISSUER = 'datepalmbay';
+const ALGORITHM = 'HS256';
+// 서버 간 시계 오차 허용 (초)
+const CLOCK_SKEW_SEC = 60;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function decodeBase64urlJson(segment) {
+  return JSON.parse(Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf-8'));
+}
+
+function sign(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * 환경변수 → { keys: Map(kid → secret), activeKid, ephemeral }
+ */
+function loadKeysFromEnv(env = process.env) {
+  const keys = new Map();
+  const configured = (env.CUSTOMER_TOKEN_KEYS || '').split(',').map((s) => s.trim()).filter(Boolean);
+  for (const entry of configured) {
+    const sep = entry.indexOf(':');
+    if (sep <= 0 || sep === entry.length - 1) throw new Error(`CUSTOMER_TOKEN_KEYS 항목 형식 오류 (kid:secret): "${entry.slice(0, 12)}…"`);
+    keys.set(entry.slice(0, sep), entry.slice(sep + 1));
+  }
+  if (keys.size === 0 && env.CUSTOMER_TOKEN_SECRET) keys.set('k1', env.CUSTOMER_TOKEN_SECRET);
+  if (keys.size > 0) return { keys, activeKid: keys.keys().next().value, ephemeral: false };
+
+  const kid = `dev-${crypto.randomBytes(4).toString('hex')}`;
+  keys.set(kid, crypto.randomBytes(32).toString('hex'));
+  return { keys, activeKid: kid, ephemeral: true };
+}
+
+/**
+ * @param {{ ttlMs: number, keys?: Map<string, string>, activeKid?: string }} options - keys 생략 시 환경변수에서 로드
+ */
+function createCustomerTokenService({ ttlMs, keys, activeKid } = {}) {
+  const config = keys ? { keys, activeKid: activeKid || keys.keys().next().value, ephemeral: false } : loadKeysFromEnv();
+
+  return {
+    activeKid: config.activeKid,
+    ephemeral: config.ephemeral,
+
+    /**
+     * @param {{ sub: string, uid?: string, sid?: string }} subject - sub 는 회원 code, sid 는 기기 세션 ID
+     * @returns {string}
+     */
+    issue({ sub, uid, sid }) {
+      const now = Math.floor(Date.now() / 1000);
+      const header = { alg: ALGORITHM, typ: 'JWT', kid: config.activeKid };
+      const payload = { sub, uid: uid || null, sid: sid || null, iss: ISSUER, typ: 'customer', iat: now, exp: now + Math.floor(ttlMs / 1000) };
+      const body = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+      return `${body}.${sign(config.keys.get(config.activeKid), body)}`;
+    },
+
+    /**
+     * 서명 / kid / 만료 / 발급 시각 검증
+     * @returns {{ ok: true, claims: Object } | { ok: false, reason: string }}
+     */
+    verify(token) {
+      if (typeof token !== 'string') return { ok: false, reason: 'missing' };
+      const parts = token.split('.');
+      if (parts.length !== 3) return { ok: false, reason: 'malformed' };
+
+      let header;
+      let claims;
+      try {
+        header = decodeBase64urlJson(parts[0]);
+        claims = decodeBase64urlJson(parts[1]);
+      } catch (e) {
+        return { ok: false, reason: 'malformed' };
+      }
+      if (header.alg !== ALGORITHM) return { ok: false, reason: 'unsupported_alg' };
+      const secret = config.keys.get(header.kid);
+      if (!secret) return { ok: false, reason: 'unknown_kid' };
+
+      const expected = Buffer.from(sign(secret, `${parts[0]}.${parts[1]}`));
+      const actual = Buffer.from(parts[2]);
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { ok: false, reason: 'bad_signature' };
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      if (claims.iss !== ISSUER || claims.typ !== 'customer' || !claims.sub) return { ok: false, reason: 'invalid_claims' };
+      if (!Number.isInteger(claims.exp) || claims.exp <= now) return { ok: false, reason: 'expired' };
+      if (!Number.isInteger(claims.iat) || claims.iat > now + CLOCK_SKEW_SEC) return { ok: false, reason: 'invalid_iat' };
+      return { ok: true, claims };
+    },
+  };
+}
+
+module.exports = { createCustomerTokenService, loadKeysFromEnv };
@@ -0,0 +1,269 @@
+/**
+ * 전체 데이터셋 내보내기 / 가져오기 (백업, 환경 복제용)
+ *
+ * 아카이브 형식 (gzip 압축 JSON, ARCHIVE_VERSION 으로 버전 관리):
+ *   {
+ *     format: 'datepalmbay-export', version: 1, exportedAt, sourceBaseUrl,
+ *     schemaMigrations: [{ id, name }],
+ *     collections: { products: [...], orders: [...], ..., platformSettings: {...} },
+ *     files: [{ name, size, sha256, data(base64) }]   // collections 가 참조하는 uploads/ 파일
+ *   }
+ *
+ * - 가져오기 시 업로드 파일 URL 의 호스트를 대상 환경 base URL 로 재작성 (환경 간 이미지 깨짐 방지)
+ * - 인증 비밀값은 아카이브에 넣지 않음: 기기 세션(sessions) 컬렉션, 운영자/셀러의 2단계 인증(twoFactor — TOTP 시크릿, 복구 코드 해시)
+ *   가져올 때도 아카이브의 값은 무시하고 대상 환경의 값을 유지 (restoreAuthSecrets)
+ * - 아카이브가 현재보다 오래된 스키마면 누락된 마이그레이션의 data 단계를 적용, 더 최신이면 거부
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { once } = require('events');
+
+const { COLLECTION_NAMES, SINGLETON_COLLECTIONS, getEntityKey } = require('./dataset');
+
+const ARCHIVE_FORMAT = 'datepalmbay-export';
+const ARCHIVE_VERSION = 1;
+
+// 내보내기/가져오기에서 제외하는 인증 비밀값 — 컬렉션 전체 / 컬렉션별 레코드 필드
+const EXCLUDED_COLLECTIONS = ['sessions'];
+const SECRET_FIELDS = { operators: ['twoFactor'], sellers: ['twoFactor'] };
+
+// 데이터 안에서 업로드 파일 참조 추출: ".../uploads/<filename>"
+const UPLOAD_REF_PATTERN = /\/uploads\/([A-Za-z0-9가-힣._-]+)/g;
+const UPLOAD_URL_PATTERN = /https?:\/\/[^"\s/]+(?::\d+)?\/uploads\/([A-Za-z0-9가-힣._-]+)/g;
+
+/**
+ * 데이터셋이 참조하는 uploads/ 파일 중 실제로 존재하는 파일명 목록
+ */
+function collectReferencedUploads(dataset, uploadDir) {
+  const names = new Set();
+  const json = JSON.stringify(dataset);
+  for (const match of json.matchAll(UPLOAD_REF_PATTERN)) {
+    names.add(match[1]);
+  }
+  return [...names].filter((name) => fs.existsSync(path.join(uploadDir, name))).sort();
+}
+
+/**
+ * 인증 비밀값을 뺀 컬렉션 사본 (원본은 그대로)
+ */
+function stripAuthSecrets(collections) {
+  const out = {};
+  for (const [name, value] of Object.entries(collections)) {
+    if (EXCLUDED_COLLECTIONS.includes(name)) continue;
+    const fields = SECRET_FIELDS[name];
+    out[name] = fields && Array.isArray(value)
+      ? value.map((row) => {
+        const copy = { ...row };
+        for (const field of fields) delete copy[field];
+        return copy;
+      })
+      : value;
+  }
+  return out;
+}
+
+/**
+ * 가져온 데이터셋에 대상 환경(live)의 인증 비밀값을 되돌림 — 세션 컬렉션 유지, 같은 식별자 계정의 twoFactor 유지
+ * 대상 환경에 없는 계정은 2단계 인증 없이 들어오며, 필수 역할이면 다음 로그인 때 다시 등록
+ */
+function restoreAuthSecrets(dataset, live) {
+  for (const name of EXCLUDED_COLLECTIONS) dataset[name] = live[name];
+  for (const [name, fields] of Object.entries(SECRET_FIELDS)) {
+    if (!Array.isArray(dataset[name])) continue;
+    const liveByKey = new Map((live[name] || []).map((row) => [getEntityKey(name, row), row]));
+    dataset[name] = dataset[name].map((row) => {
+      const copy = { ...row };
+      const current = liveByKey.get(getEntityKey(name, row));
+      for (const field of fields) {
+        if (current && current[field] !== undefined) copy[field] = current[field];
+        else delete copy[field];
+      }
+      return copy;
+    });
+  }
+  return dataset;
+}
+
+async function writeChunk(out, chunk) {
+  if (!out.write(chunk)) await once(out, 'drain');
+}
+
+/**
+ * 아카이브를 스트림으로 기록 (gzip 은 호출부에서 파이프)
+ * 파일은 하나씩 읽어 base64 로 기록 — 전체 업로드를 메모리에 올리지 않음
+ * @returns {{ collections: number, files: number }}
+ */
+async function writeArchive(out, { dataset: liveDataset, schemaMigrations, sourceBaseUrl, uploadDir, includeFiles = true }) {
+  const dataset = stripAuthSecrets(liveDataset);
+  const fileNames = includeFiles ? collectReferencedUploads(dataset, uploadDir) : [];
+  const header = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    sourceBaseUrl,
+    schemaMigrations: (schemaMigrations || []).map((m) => ({ id: m.id, name: m.name })),
+  };
+
+  await writeChunk(out, `${JSON.stringify(header).slice(0, -1)},"collections":{`);
+  const names = COLLECTION_NAMES.filter((name) => dataset[name] !== undefined);
+  for (let i = 0; i < names.length; i++) {
+    await writeChunk(out, `${i > 0 ? ',' : ''}${JSON.stringify(names[i])}:${JSON.stringify(dataset[names[i]] ?? null)}`);
+  }
+  await writeChunk(out, '},"files":[');
+  for (let i = 0; i < fileNames.length; i++) {
+    const buffer = fs.readFileSync(path.join(uploadDir, fileNames[i]));
+    const entry = {
+      name: fileNames[i],
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      data: buffer.toString('base64'),
+    };
+    await writeChunk(out, `${i > 0 ? ',' : ''}${JSON.stringify(entry)}`);
+  }
+  await writeChunk(out, ']}');
+  out.end();
+  return { collections: names.length, files: fileNames.length };
+}
+
+/**
+ * 아카이브 파일 읽기 (gzip 여부 자동 판별)
+ */
+function readArchive(filePath) {
+  let buffer = fs.readFileSync(filePath);
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) buffer = zlib.gunzipSync(buffer);
+  return JSON.parse(buffer.toString('utf-8'));
+}
+
+/**
+ * 아카이브 구조 검증
+ * @param {Object} archive
+ * @param {string[]} knownMigrationIds - 현재 서버가 아는 마이그레이션 id
+ * @returns {string[]} 오류 메시지 목록 (비어 있으면 유효)
+ */
+function validateArchive(archive, knownMigrationIds) {
+  const errors = [];
+  if (!archive || typeof archive !== 'object') return ['Archive is not a JSON object.'];
+  if (archive.format !== ARCHIVE_FORMAT) errors.push(`Unknown archive format: ${archive.format}`);
+  if (archive.version !== ARCHIVE_VERSION) errors.push(`Unsupported archive version: ${archive.version} (expected ${ARCHIVE_VERSION})`);
+  if (!archive.collections || typeof archive.collections !== 'object') {
+    errors.push('Archive has no collections.');
+    return errors;
+  }
+
+  for (const [name, value] of Object.entries(archive.collections)) {
+    if (!COLLECTION_NAMES.includes(name)) {
+      errors.push(`Unknown collection: ${name}`);
+      continue;
+    }
+    const expectsArray = !SINGLETON_COLLECTIONS.includes(name);
+    if (value !== null && expectsArray && !Array.isArray(value)) errors.push(`Collection ${name} must be an array.`);
+    if (value !== null && !expectsArray && (typeof value !== 'object' || Array.isArray(value))) errors.push(`Collection ${name} must be an object.`);
+  }
+
+  const unknownMigrations = (archive.schemaMigrations || []).map((m) => m.id).filter((id) => !knownMigrationIds.includes(id));
+  if (unknownMigrations.length > 0) {
+    errors.push(`Archive was exported from a newer schema (unknown migrations: ${unknownMigrations.join(', ')}). Upgrade this server first.`);
+  }
+
+  for (const file of archive.files || []) {
+    if (!file.name || file.name !== path.basename(file.name) || !/^[A-Za-z0-9가-힣._-]+$/.test(file.name)) {
+      errors.push(`Invalid file name in archive: ${file.name}`);
+      continue;
+    }
+    const buffer = Buffer.from(file.data || '', 'base64');
+    const digest = crypto.createHash('sha256').update(buffer).digest('hex');
+    if (buffer.length !== file.size || digest !== file.sha256) errors.push(`File checksum mismatch: ${file.name}`);
+  }
+  return errors;
+}
+
+/**
+ * 업로드 파일 URL 의 호스트를 대상 base URL 로 재작성 (아카이브에 포함된 파일만)
+ */
+function rewriteUploadUrls(collections, fileNames, baseUrl) {
+  const included = new Set(fileNames);
+  const json = JSON.stringify(collections).replace(UPLOAD_URL_PATTERN, (url, name) => (
+    included.has(name) ? `${baseUrl}/uploads/${name}` : url
+  ));
+  return JSON.parse(json);
+}
+
+/**
+ * 엔티티 단위 병합 — 같은 식별자는 가져온 쪽으로 교체(내용이 다를 때만 updated 집계), 새 식별자는 추가
+ * 식별자 없는 레코드(aiFeedbackHistory)는 동일 내용이 없을 때만 추가, 단일 객체는 얕은 병합
+ * @returns {{ dataset: Object, stats: Object }} stats: { [collection]: { added, updated } }
+ */
+function mergeDatasets(current, incoming) {
+  const dataset = { ...current };
+  const stats = {};
+  for (const [name, value] of Object.entries(incoming)) {
+    if (value === null || value === undefined) continue;
+    if (!Array.isArray(value)) {
+      dataset[name] = { ...(current[name] || {}), ...value };
+      stats[name] = { added: 0, updated: 1 };
+      continue;
+    }
+
+    const merged = Array.isArray(current[name]) ? [...current[name]] : [];
+    const indexByKey = new Map();
+    const existingJson = new Set();
+    merged.forEach((row, i) => {
+      const key = getEntityKey(name, row);
+      if (key !== null) indexByKey.set(key, i);
+      else existingJson.add(JSON.stringify(row));
+    });
+
+    let added = 0;
+    let updated = 0;
+    for (const row of value) {
+      const key = getEntityKey(name, row);
+      if (key !== null && indexByKey.has(key)) {
+        const index = indexByKey.get(key);
+        if (JSON.stringify(merged[index]) !== JSON.stringify(row)) updated++;
+        merged[index] = row;
+      } else if (key !== null || !existingJson.has(JSON.stringify(row))) {
+        if (key !== null) indexByKey.set(key, merged.length);
+        merged.push(row);
+        added++;
+      }
+    }
+    dataset[name] = merged;
+    stats[name] = { added, updated };
+  }
+  return { dataset, stats };
+}
+
+/**
+ * 아카이브의 파일을 uploads/ 에 기록 — 이미 같은 이름의 파일이 있으면 건너뜀
+ * @returns {{ written: number, skipped: number }}
+ */
+function writeArchiveFiles(files, uploadDir) {
+  let written = 0;
+  let skipped = 0;
+  for (const file of files || []) {
+    const target = path.join(uploadDir, file.name);
+    if (fs.existsSync(target)) {
+      skipped++;
+      continue;
+    }
+    fs.writeFileSync(target, Buffer.from(file.data, 'base64'));
+    written++;
+  }
+  return { written, skipped };
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  collectReferencedUploads,
+  stripAuthSecrets,
+  restoreAuthSecrets,
+  writeArchive,
+  readArchive,
+  validateArchive,
+  rewriteUploadUrls,
+  mergeDatasets,
+  writeArchiveFiles,
+};
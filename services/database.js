@@ -1,11 +1,27 @@
 /**
  * MySQL Database Service
- * JSON Blob storage for data persistence (replaces JSON file storage)
+ * Relational storage — one table per entity (indexed columns + full JSON document per row)
+ *
+ * - 테이블 정의와 변경 감지는 storage/schema.js (SQLite 드라이버와 공유)
+ * - 스키마 생성/변환은 migrations/ 의 번호순 마이그레이션이 수행 (schema_migrations 테이블에 기록)
+ * - 구버전 data_store(JSON Blob 단일 테이블)는 변환 후 data_store_legacy_* 로 보관
  */
 const mysql = require('mysql2/promise');
 
+const { SINGLETON_COLLECTIONS } = require('./dataset');
+const logger = require('./logger').child({ module: 'database' });
+const {
+  COLLECTIONS, CHILD_TABLES, planCollectionSave, entityColumnNames, entityRowValues,
+} = require('./storage/schema');
+
 let pool = null;
 
+// UPSERT 한 번에 보낼 최대 행 수 (max_allowed_packet 여유 확보)
+const UPSERT_CHUNK_SIZE = 200;
+
+// 마지막으로 DB에 기록된 행 스냅샷: collection → Map(id → { seq, json })
+const lastSaved = new Map();
+
 /**
  * Initialize MySQL connection pool
  * Supports Railway auto-injected variables or individual env vars
@@ -37,62 +53,271 @@ function getPool() {
     });
   }
 
-  console.log('🗄️  MySQL connection pool created');
+  logger.info('🗄️  MySQL connection pool created');
   return pool;
 }
 
 /**
- * Initialize data_store table if not exists
+ * 엔티티 테이블 DDL 생성
+ */
+function buildEntityTableDDL(spec) {
+  const columnDefs = spec.columns.map((c) => `${c.name} ${c.type} NULL`);
+  const indexDefs = spec.columns
+    .filter((c) => c.index)
+    .map((c) => `KEY idx_${spec.table}_${c.name} (${c.name})`);
+  return `
+    CREATE TABLE IF NOT EXISTS ${spec.table} (
+      id VARCHAR(191) NOT NULL,
+      seq INT NOT NULL DEFAULT 0,
+      ${columnDefs.map((d) => `${d},`).join('\n      ')}
+      doc LONGTEXT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      ${[...indexDefs, `KEY idx_${spec.table}_seq (seq)`].join(',\n      ')}
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`;
+}
+
+function buildChildTableDDL(name, child) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${name} (
+      ${child.columns.map((c) => `${c.name} ${c.type},`).join('\n      ')}
+      PRIMARY KEY (${child.primaryKey.join(', ')}),
+      ${child.indexes.map((i) => `KEY ${i.name} (${i.columns.join(', ')})`).join(',\n      ')}
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`;
+}
+
+/**
+ * Create all entity tables if not exist (migration 001)
  */
-async function initTable() {
+async function createEntityTables() {
   const db = getPool();
+  for (const spec of Object.values(COLLECTIONS)) {
+    await db.execute(buildEntityTableDDL(spec));
+  }
+  for (const [name, child] of Object.entries(CHILD_TABLES)) {
+    await db.execute(buildChildTableDDL(name, child));
+  }
   await db.execute(`
-    CREATE TABLE IF NOT EXISTS data_store (
-      data_key VARCHAR(50) PRIMARY KEY,
-      data_value LONGTEXT NOT NULL,
+    CREATE TABLE IF NOT EXISTS settings (
+      setting_key VARCHAR(64) PRIMARY KEY,
+      doc LONGTEXT NOT NULL,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
   `);
-  console.log('🗄️  data_store table ready');
+  logger.info(`🗄️  ${Object.keys(COLLECTIONS).length}개 엔티티 테이블 준비 완료`);
+}
+
+/**
+ * Initialize schema_migrations table if not exists (연결 확인 겸용)
+ */
+async function initMigrationTable() {
+  const db = getPool();
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id VARCHAR(16) PRIMARY KEY,
+      name VARCHAR(191) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+/**
+ * @returns {Array<{ id: string, name: string, appliedAt: string }>} 적용된 마이그레이션 (id 오름차순)
+ */
+async function getAppliedMigrations() {
+  const db = getPool();
+  const [rows] = await db.query('SELECT id, name, applied_at FROM schema_migrations ORDER BY id');
+  return rows.map((r) => ({ id: r.id, name: r.name, appliedAt: new Date(r.applied_at).toISOString() }));
+}
+
+async function recordMigration(id, name) {
+  const db = getPool();
+  await db.execute('INSERT INTO schema_migrations (id, name) VALUES (?, ?)', [id, name]);
+}
+
+/**
+ * 엔티티 테이블에 행이 하나라도 있는지 (빈 DB 판정용)
+ */
+async function hasEntityRows() {
+  const db = getPool();
+  for (const spec of Object.values(COLLECTIONS)) {
+    const [rows] = await db.query(`SELECT 1 FROM ${spec.table} LIMIT 1`);
+    if (rows.length > 0) return true;
+  }
+  return false;
+}
+
+/**
+ * 구버전 data_store(JSON Blob) → 엔티티 테이블 변환 (migration 002)
+ * 변환 후 원본은 data_store_legacy_<timestamp> 로 이름을 바꿔 보관 (재실행 시 중복 변환 방지)
+ * @returns {boolean} 변환 수행 여부
+ */
+async function migrateLegacyDataStore() {
+  const db = getPool();
+  const [tables] = await db.query(
+    `SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'data_store'`
+  );
+  if (tables.length === 0) return false;
+
+  const [rows] = await db.query('SELECT data_key, data_value FROM data_store');
+  const entities = {};
+  for (const row of rows) {
+    if (!COLLECTIONS[row.data_key] && !SINGLETON_COLLECTIONS.includes(row.data_key)) {
+      logger.warn(`⚠️  data_store: 알 수 없는 키 "${row.data_key}" 건너뜀`);
+      continue;
+    }
+    try {
+      entities[row.data_key] = JSON.parse(row.data_value);
+    } catch (e) {
+      throw new Error(`data_store "${row.data_key}" 파싱 실패 — 변환 중단: ${e.message}`);
+    }
+  }
+
+  logger.info(`🔄 data_store → 엔티티 테이블 변환 시작 (${Object.keys(entities).length}개 컬렉션)...`);
+  await saveAll(entities);
+
+  const legacyName = `data_store_legacy_${Date.now()}`;
+  await db.query(`RENAME TABLE data_store TO ${legacyName}`);
+  logger.info(`✅ data_store 변환 완료 (원본은 ${legacyName} 테이블로 보관)`);
+  return true;
 }
 
 /**
  * Load all entities from MySQL
- * @returns {Object} Map of { key: parsedValue }
+ * @returns {Object} Map of { collection: value } — 행이 하나도 없는 컬렉션은 제외
  */
 async function loadAll() {
   const db = getPool();
-  const [rows] = await db.execute('SELECT data_key, data_value FROM data_store');
   const result = {};
-  for (const row of rows) {
+
+  for (const [collection, spec] of Object.entries(COLLECTIONS)) {
+    const [rows] = await db.query(`SELECT id, seq, doc FROM ${spec.table} ORDER BY seq, id`);
+    const snapshot = new Map();
+    const list = [];
+    for (const row of rows) {
+      try {
+        list.push(JSON.parse(row.doc));
+        snapshot.set(row.id, { seq: row.seq, json: row.doc });
+      } catch (e) {
+        logger.error(`❌ Failed to parse ${spec.table} row "${row.id}":`, e.message);
+      }
+    }
+    lastSaved.set(collection, snapshot);
+    if (list.length > 0) result[collection] = list;
+  }
+
+  const [settingRows] = await db.query('SELECT setting_key, doc FROM settings');
+  for (const row of settingRows) {
     try {
-      result[row.data_key] = JSON.parse(row.data_value);
+      result[row.setting_key] = JSON.parse(row.doc);
     } catch (e) {
-      console.error(`❌ Failed to parse data for key "${row.data_key}":`, e.message);
-      result[row.data_key] = null;
+      logger.error(`❌ Failed to parse setting "${row.setting_key}":`, e.message);
     }
   }
+
   return result;
 }
 
 /**
- * Save multiple entities in a single transaction (UPSERT)
- * @param {Object} entities - Map of { key: value }
+ * 스냅샷이 없는 컬렉션은 DB 현재 상태로 채움 (loadAll 없이 saveAll 이 먼저 호출된 경우)
+ */
+async function ensureSnapshot(connection, collection) {
+  if (lastSaved.has(collection)) return lastSaved.get(collection);
+  const [rows] = await connection.query(`SELECT id, seq, doc FROM ${COLLECTIONS[collection].table}`);
+  const snapshot = new Map(rows.map((r) => [r.id, { seq: r.seq, json: r.doc }]));
+  lastSaved.set(collection, snapshot);
+  return snapshot;
+}
+
+async function upsertRows(connection, spec, rows) {
+  const columnNames = entityColumnNames(spec);
+  const updates = columnNames.filter((c) => c !== 'id').map((c) => `${c} = VALUES(${c})`).join(', ');
+  for (let i = 0; i < rows.length; i += UPSERT_CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + UPSERT_CHUNK_SIZE);
+    const values = chunk.map((r) => entityRowValues(spec, r));
+    await connection.query(
+      `INSERT INTO ${spec.table} (${columnNames.join(', ')}) VALUES ? ON DUPLICATE KEY UPDATE ${updates}`,
+      [values]
+    );
+  }
+}
+
+async function rewriteChildren(connection, spec, rows) {
+  for (const childName of spec.children || []) {
+    const child = CHILD_TABLES[childName];
+    const ids = rows.map((r) => r.id);
+    for (let i = 0; i < ids.length; i += UPSERT_CHUNK_SIZE) {
+      await connection.query(`DELETE FROM ${childName} WHERE ${child.parentColumn} IN (?)`, [ids.slice(i, i + UPSERT_CHUNK_SIZE)]);
+    }
+    const childRows = rows.flatMap((r) => child.rows(r.id, r.row));
+    for (let i = 0; i < childRows.length; i += UPSERT_CHUNK_SIZE) {
+      await connection.query(
+        `INSERT INTO ${childName} (${child.columns.map((c) => c.name).join(', ')}) VALUES ?`,
+        [childRows.slice(i, i + UPSERT_CHUNK_SIZE)]
+      );
+    }
+  }
+}
+
+async function deleteRows(connection, spec, ids) {
+  for (let i = 0; i < ids.length; i += UPSERT_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + UPSERT_CHUNK_SIZE);
+    await connection.query(`DELETE FROM ${spec.table} WHERE id IN (?)`, [chunk]);
+    for (const childName of spec.children || []) {
+      await connection.query(`DELETE FROM ${childName} WHERE ${CHILD_TABLES[childName].parentColumn} IN (?)`, [chunk]);
+    }
+  }
+}
+
+/**
+ * Save entities in a single transaction — 변경된 행만 UPSERT, 사라진 행만 DELETE
+ * @param {Object} entities - Map of { collection: value }
+ * @param {{ dirty?: Map<string, Set<string>|null> }} [options] - 지정 시 표시된 컬렉션/레코드만 비교 (storage/changeTracker)
+ * @returns {{ upserted: number, deleted: number }}
  */
-async function saveAll(entities) {
+async function saveAll(entities, { dirty = null } = {}) {
   const db = getPool();
   const connection = await db.getConnection();
+  const pendingSnapshots = new Map();
+  let upserted = 0;
+  let deleted = 0;
   try {
     await connection.beginTransaction();
-    for (const [key, value] of Object.entries(entities)) {
-      const jsonStr = JSON.stringify(value);
-      await connection.execute(
-        `INSERT INTO data_store (data_key, data_value) VALUES (?, ?)
-         ON DUPLICATE KEY UPDATE data_value = VALUES(data_value)`,
-        [key, jsonStr]
-      );
+    for (const [collection, value] of Object.entries(entities)) {
+      if (dirty && !dirty.has(collection)) continue;
+      if (SINGLETON_COLLECTIONS.includes(collection)) {
+        if (value === null || value === undefined) continue;
+        await connection.execute(
+          `INSERT INTO settings (setting_key, doc) VALUES (?, ?)
+           ON DUPLICATE KEY UPDATE doc = VALUES(doc)`,
+          [collection, JSON.stringify(value)]
+        );
+        continue;
+      }
+      const spec = COLLECTIONS[collection];
+      if (!spec) {
+        logger.warn(`⚠️  알 수 없는 컬렉션 "${collection}" 저장 건너뜀`);
+        continue;
+      }
+
+      const previous = await ensureSnapshot(connection, collection);
+      const { changed, removedIds, snapshot } = planCollectionSave(collection, value, previous, dirty && dirty.get(collection));
+
+      if (changed.length > 0) {
+        await upsertRows(connection, spec, changed);
+        await rewriteChildren(connection, spec, changed);
+      }
+      if (removedIds.length > 0) {
+        await deleteRows(connection, spec, removedIds);
+      }
+      upserted += changed.length;
+      deleted += removedIds.length;
+      pendingSnapshots.set(collection, snapshot);
     }
     await connection.commit();
+    // 커밋 성공 후에만 스냅샷 갱신 (롤백 시 다음 저장에서 다시 비교)
+    for (const [collection, snapshot] of pendingSnapshots) lastSaved.set(collection, snapshot);
+    return { upserted, deleted };
   } catch (e) {
     await connection.rollback();
     throw e;
@@ -122,10 +347,17 @@ async function close() {
     await pool.end();
     pool = null;
   }
+  lastSaved.clear();
 }
 
 module.exports = {
-  initTable,
+  COLLECTIONS,
+  createEntityTables,
+  initMigrationTable,
+  getAppliedMigrations,
+  recordMigration,
+  hasEntityRows,
+  migrateLegacyDataStore,
   loadAll,
   saveAll,
   isAvailable,
@@ -0,0 +1,139 @@
+/**
+ * 영속 데이터셋 형태 정의
+ * - server.js 가 저장/로드하는 컬렉션 목록과 기본값의 단일 출처
+ * - 기본값 null = "저장본 없음" → server.js 의 시드 데이터(members/users/coupons 등)를 유지
+ */
+
+const COLLECTION_DEFAULTS = {
+  products: () => [],
+  snsReviews: () => [],
+  brands: () => [],
+  orders: () => null,
+  members: () => null,
+  users: () => null,
+  userCoupons: () => null,
+  coupons: () => null,
+  groupBuyTeams: () => [],
+  events: () => null,
+  banners: () => [],
+  snsReviewOverrides: () => [],
+  productInsights: () => [],
+  aiFeedbackHistory: () => [],
+  b2bUsers: () => [],
+  sellers: () => [],
+  operators: () => [],
+  sessions: () => [],
+  apiKeys: () => [],
+  settlements: () => [],
+  stockMovements: () => [],
+  platformSettings: () => null,
+  reviews: () => [],
+  blogPosts: () => [],
+};
+
+const COLLECTION_NAMES = Object.keys(COLLECTION_DEFAULTS);
+
+// 배열이 아닌 단일 객체 컬렉션
+const SINGLETON_COLLECTIONS = ['platformSettings'];
+
+// 컬렉션별 엔티티 식별자 (aiFeedbackHistory 는 자연키 없음, platformSettings 는 단일 객체)
+const ENTITY_KEYS = {
+  products: (r) => r.productCode,
+  snsReviews: (r) => r.id,
+  brands: (r) => r,
+  orders: (r) => r.orderId,
+  members: (r) => r.code,
+  users: (r) => r.code,
+  userCoupons: (r) => r.id,
+  coupons: (r) => r.code,
+  groupBuyTeams: (r) => r.teamId,
+  events: (r) => r.code,
+  banners: (r) => r.code,
+  snsReviewOverrides: (r) => r.productCode,
+  productInsights: (r) => r.productCode,
+  aiFeedbackHistory: () => null,
+  b2bUsers: (r) => r.id,
+  sellers: (r) => r.sellerId,
+  operators: (r) => r.operatorId,
+  sessions: (r) => r.sessionId,
+  apiKeys: (r) => r.keyId,
+  settlements: (r) => r.settlementId,
+  stockMovements: (r) => r.movementId,
+  reviews: (r) => r.reviewId,
+  blogPosts: (r) => r.code,
+};
+
+/**
+ * 엔티티 식별자 (문자열) — 식별자가 없으면 null
+ */
+function getEntityKey(collection, row) {
+  const getter = ENTITY_KEYS[collection];
+  if (!getter || row === null || row === undefined) return null;
+  const key = getter(row);
+  return key === undefined || key === null || key === '' ? null : String(key);
+}
+
+/**
+ * 저장소에서 읽은 원본 객체 → 알려진 컬렉션만 추려 누락분은 기본값으로 채운 데이터셋
+ */
+function normalizeDataset(raw) {
+  const source = raw || {};
+  const dataset = {};
+  for (const name of COLLECTION_NAMES) {
+    dataset[name] = source[name] ?? COLLECTION_DEFAULTS[name]();
+  }
+  return dataset;
+}
+
+/**
+ * 두 데이터셋의 컬렉션별 차이 (base → target 기준: target 에만 있으면 added)
+ * @returns {Object} { [collection]: { added, removed, changed, addedKeys, removedKeys, changedKeys } }
+ *   키 목록은 컬렉션당 최대 keyLimit 개
+ */
+function diffDatasets(base, target, keyLimit = 50) {
+  const result = {};
+  for (const name of COLLECTION_NAMES) {
+    const before = base?.[name];
+    const after = target?.[name];
+
+    if (!Array.isArray(before) && !Array.isArray(after)) {
+      const changed = JSON.stringify(before ?? null) !== JSON.stringify(after ?? null);
+      if (changed) result[name] = { added: 0, removed: 0, changed: 1, addedKeys: [], removedKeys: [], changedKeys: [] };
+      continue;
+    }
+
+    const index = (list) => {
+      const map = new Map();
+      (Array.isArray(list) ? list : []).forEach((row, i) => {
+        map.set(getEntityKey(name, row) ?? `#${i}`, JSON.stringify(row));
+      });
+      return map;
+    };
+    const beforeMap = index(before);
+    const afterMap = index(after);
+    const addedKeys = [...afterMap.keys()].filter((k) => !beforeMap.has(k));
+    const removedKeys = [...beforeMap.keys()].filter((k) => !afterMap.has(k));
+    const changedKeys = [...afterMap.keys()].filter((k) => beforeMap.has(k) && beforeMap.get(k) !== afterMap.get(k));
+
+    if (addedKeys.length || removedKeys.length || changedKeys.length) {
+      result[name] = {
+        added: addedKeys.length,
+        removed: removedKeys.length,
+        changed: changedKeys.length,
+        addedKeys: addedKeys.slice(0, keyLimit),
+        removedKeys: removedKeys.slice(0, keyLimit),
+        changedKeys: changedKeys.slice(0, keyLimit),
+      };
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  COLLECTION_DEFAULTS,
+  COLLECTION_NAMES,
+  SINGLETON_COLLECTIONS,
+  getEntityKey,
+  normalizeDataset,
+  diffDatasets,
+};
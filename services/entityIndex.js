@@ -0,0 +1,157 @@
+/**
+ * 메모리 인덱스 — 컬렉션 배열 위에 키 → 레코드 Map 을 유지해 라우트의 선형 탐색(find/filter)을 대체
+ *
+ * - 재구축: 최초 조회 시, 배열이 재할당되었거나 짧아진 경우(삭제 → 위치 이동), invalidate() 호출 시
+ * - 증분 갱신: 배열 끝에 추가된 레코드는 다음 조회 때 그 레코드만 색인
+ *   touch(key) — 기본 키(primary)로 레코드 하나의 키 필드를 다시 읽어 바뀐 키만 Map 에서 교체 (제자리 수정 / products[i] = 새 객체)
+ *   server.js 의 saveData(['collection', key]) 가 touch, 컬렉션 단위 saveData('collection') 는 invalidate
+ * - 단일 키 조회는 인덱스가 가리키는 위치의 레코드 키를 다시 확인 → 표시 없이 키가 바뀌었으면 재구축
+ * - 같은 키가 여러 레코드에 있으면 배열 앞쪽 레코드 (Array.prototype.find 와 동일)
+ */
+
+/**
+ * @param {Function} getList - 현재 컬렉션 배열을 반환 (server.js 의 let 배열은 재할당되므로 함수로 받음)
+ * @param {Object<string, { get: Function, multi?: boolean }>} keys
+ *   get(row): 키 값 (undefined/null/'' 이면 색인하지 않음), multi: 키 하나에 여러 레코드 (getAll 전용)
+ * @param {{ primary?: string }} [options] - touch(key) 가 레코드를 찾을 키 이름 (기본 첫 번째 키, saveData 레코드 키와 같은 필드)
+ */
+function createEntityIndex(getList, keys, { primary = Object.keys(keys)[0] } = {}) {
+  let source = null;
+  let length = -1;
+  let stale = true;
+  let maps = {};
+  // 위치별 색인 당시 레코드와 키 값 — touch 시 바뀐 키만 교체
+  let indexed = [];
+
+  function isKey(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+
+  function readKeys(row) {
+    const values = {};
+    for (const [name, spec] of Object.entries(keys)) values[name] = row ? spec.get(row) : undefined;
+    return values;
+  }
+
+  // 배열 순서 유지 (multi 목록은 위치 오름차순, 단일 키는 가장 앞 위치)
+  function addPos(name, key, pos) {
+    if (!isKey(key)) return;
+    const map = maps[name];
+    if (keys[name].multi) {
+      const positions = map.get(key) || [];
+      let at = positions.length;
+      while (at > 0 && positions[at - 1] > pos) at--;
+      positions.splice(at, 0, pos);
+      map.set(key, positions);
+    } else if (!map.has(key) || map.get(key) > pos) {
+      map.set(key, pos);
+    }
+  }
+
+  function removePos(name, key, pos) {
+    if (!isKey(key)) return;
+    const map = maps[name];
+    if (keys[name].multi) {
+      const positions = (map.get(key) || []).filter((p) => p !== pos);
+      if (positions.length === 0) map.delete(key);
+      else map.set(key, positions);
+      return;
+    }
+    if (map.get(key) !== pos) return;
+    // 같은 키를 가진 뒤쪽 레코드가 있으면 그 위치로
+    const next = indexed.findIndex((entry, p) => p !== pos && entry && entry.keys[name] === key);
+    if (next === -1) map.delete(key);
+    else map.set(key, next);
+  }
+
+  function indexRow(list, pos) {
+    const row = list[pos];
+    const values = readKeys(row);
+    indexed[pos] = row ? { row, keys: values } : null;
+    if (!row) return;
+    for (const name of Object.keys(keys)) addPos(name, values[name], pos);
+  }
+
+  function rebuild(list) {
+    maps = {};
+    indexed = [];
+    for (const name of Object.keys(keys)) maps[name] = new Map();
+    for (let pos = 0; pos < list.length; pos++) indexRow(list, pos);
+    source = list;
+    length = list.length;
+    stale = false;
+  }
+
+  function current() {
+    const list = getList() || [];
+    if (stale || list !== source || list.length < length) {
+      rebuild(list);
+    } else if (list.length > length) {
+      for (let pos = length; pos < list.length; pos++) indexRow(list, pos);
+      length = list.length;
+    }
+    return list;
+  }
+
+  return {
+    /**
+     * 키로 레코드 하나 조회
+     * @returns {Object|undefined}
+     */
+    get(name, key) {
+      if (!isKey(key)) return undefined;
+      const list = current();
+      let pos = maps[name].get(key);
+      if (pos !== undefined && (!list[pos] || keys[name].get(list[pos]) !== key)) {
+        rebuild(list);
+        pos = maps[name].get(key);
+      }
+      return pos === undefined ? undefined : list[pos];
+    },
+
+    /**
+     * 다중 키(multi)로 레코드 목록 조회
+     * @returns {Array}
+     */
+    getAll(name, key) {
+      if (!isKey(key)) return [];
+      const list = current();
+      return (maps[name].get(key) || []).map((pos) => list[pos]);
+    },
+
+    /**
+     * 레코드 하나 다시 색인 — 기본 키(색인 당시 값)로 위치를 찾아 바뀐 키만 교체
+     * 위치가 바뀌었거나(삭제 후 추가) 색인에 없는 키면 다음 조회 때 재구축
+     */
+    touch(key) {
+      if (stale || !isKey(key)) return;
+      const list = getList() || [];
+      // 삭제 / 재할당 — 다음 조회 때 어차피 전체 재구축
+      if (list !== source || list.length < length) return;
+      current();
+      const pos = maps[primary].get(key);
+      const entry = pos === undefined ? null : indexed[pos];
+      const row = pos === undefined ? undefined : list[pos];
+      if (!entry || !row || (row !== entry.row && keys[primary].get(row) !== key)) {
+        stale = true;
+        return;
+      }
+      const next = readKeys(row);
+      for (const name of Object.keys(keys)) {
+        if (next[name] === entry.keys[name]) continue;
+        removePos(name, entry.keys[name], pos);
+        addPos(name, next[name], pos);
+      }
+      indexed[pos] = { row, keys: next };
+    },
+
+    /**
+     * 다음 조회 때 재구축 (삭제 / 컬렉션 단위 변경 후 호출)
+     */
+    invalidate() {
+      stale = true;
+    },
+  };
+}
+
+module.exports = { createEntityIndex };
@@ -5,6 +5,7 @@
 
 // Node.js < 18 fetch polyfill
 const nodeFetch = typeof globalThis.fetch === 'function' ? globalThis.fetch : require('node-fetch');
+const logger = require('./logger').child({ module: 'fedex' });
 
 const FEDEX_MODE = process.env.FEDEX_MODE || 'production';
 const FEDEX_API_BASE = FEDEX_MODE === 'production'
@@ -33,9 +34,9 @@ async function getAccessToken(project = 'default') {
     const apiKey = process.env.FEDEX_TRACK_API_KEY || process.env.FEDEX_API_KEY;
     const secretKey = process.env.FEDEX_TRACK_SECRET_KEY || process.env.FEDEX_SECRET_KEY;
 
-    console.log('\n=== [FedEx] Track Authentication ===');
-    console.log('Using Track-specific key:', !!process.env.FEDEX_TRACK_API_KEY);
-    console.log('API Key loaded:', apiKey ? `${apiKey.substring(0, 10)}...` : 'NOT SET');
+    logger.debug('[FedEx] Track Authentication');
+    logger.info('Using Track-specific key:', !!process.env.FEDEX_TRACK_API_KEY);
+    logger.info('API Key loaded:', apiKey ? `${apiKey.substring(0, 10)}...` : 'NOT SET');
 
     if (!apiKey || !secretKey) {
       throw new Error('FedEx Track credentials not configured. Set FEDEX_TRACK_API_KEY and FEDEX_TRACK_SECRET_KEY.');
@@ -53,7 +54,7 @@ async function getAccessToken(project = 'default') {
 
     if (!response.ok) {
       const error = await response.text();
-      console.error('[FedEx] Track auth failed:', error);
+      logger.error('[FedEx] Track auth failed:', error);
       throw new Error(`FedEx Track auth failed: ${error}`);
     }
 
@@ -61,7 +62,7 @@ async function getAccessToken(project = 'default') {
     cachedTrackToken = data.access_token;
     trackTokenExpiresAt = Date.now() + (data.expires_in * 1000);
 
-    console.log('[FedEx] Track token acquired, expires in:', data.expires_in, 'seconds');
+    logger.info('[FedEx] Track token acquired, expires in:', data.expires_in, 'seconds');
     return cachedTrackToken;
   }
 
@@ -73,11 +74,11 @@ async function getAccessToken(project = 'default') {
   const apiKey = process.env.FEDEX_API_KEY;
   const secretKey = process.env.FEDEX_SECRET_KEY;
 
-  console.log('\n=== [FedEx] Authentication ===');
-  console.log('FEDEX_MODE:', process.env.FEDEX_MODE);
-  console.log('API Base:', FEDEX_API_BASE);
-  console.log('API Key loaded:', apiKey ? `${apiKey.substring(0, 10)}...` : 'NOT SET');
-  console.log('Secret Key loaded:', secretKey ? `${secretKey.substring(0, 10)}...` : 'NOT SET');
+  logger.debug('[FedEx] Authentication');
+  logger.info('FEDEX_MODE:', process.env.FEDEX_MODE);
+  logger.info('API Base:', FEDEX_API_BASE);
+  logger.info('API Key loaded:', apiKey ? `${apiKey.substring(0, 10)}...` : 'NOT SET');
+  logger.info('Secret Key loaded:', secretKey ? `${secretKey.substring(0, 10)}...` : 'NOT SET');
 
   if (!apiKey || !secretKey) {
     throw new Error('FedEx credentials not configured. Set FEDEX_API_KEY and FEDEX_SECRET_KEY.');
@@ -95,7 +96,7 @@ async function getAccessToken(project = 'default') {
 
   if (!response.ok) {
     const error = await response.text();
-    console.error('[FedEx] Auth failed:', error);
+    logger.error('[FedEx] Auth failed:', error);
     throw new Error(`FedEx auth failed: ${error}`);
   }
 
@@ -103,7 +104,7 @@ async function getAccessToken(project = 'default') {
   cachedToken = data.access_token;
   tokenExpiresAt = Date.now() + (data.expires_in * 1000);
 
-  console.log('[FedEx] Token acquired, expires in:', data.expires_in, 'seconds');
+  logger.info('[FedEx] Token acquired, expires in:', data.expires_in, 'seconds');
   return cachedToken;
 }
 
@@ -172,9 +173,9 @@ async function getRates({ recipient, packages, serviceType }) {
     },
   };
 
-  console.log('\n=== [FedEx] Getting Rates ===');
-  console.log('To:', recipient.countryCode, recipient.postalCode);
-  console.log('Packages:', packages.length);
+  logger.debug('[FedEx] Getting Rates');
+  logger.info('To:', recipient.countryCode, recipient.postalCode);
+  logger.info('Packages:', packages.length);
 
   const response = await nodeFetch(`${FEDEX_API_BASE}/rate/v1/rates/quotes`, {
     method: 'POST',
@@ -188,7 +189,7 @@ async function getRates({ recipient, packages, serviceType }) {
   const data = await response.json();
 
   if (!response.ok) {
-    console.error('[FedEx] Rate quote error:', JSON.stringify(data, null, 2));
+    logger.error('[FedEx] Rate quote error:', data);
     throw new Error(data.errors?.[0]?.message || 'Failed to get FedEx rates');
   }
 
@@ -208,7 +209,7 @@ async function getRates({ recipient, packages, serviceType }) {
     };
   });
 
-  console.log('[FedEx] Rate options:', rateOptions.length);
+  logger.info('[FedEx] Rate options:', rateOptions.length);
   return rateOptions;
 }
 
@@ -286,10 +287,10 @@ async function createShipment({ recipient, packages, serviceType, labelFormat =
     },
   };
 
-  console.log('\n=== [FedEx] Creating Shipment ===');
-  console.log('Service:', serviceType);
-  console.log('To:', recipient.address?.countryCode, recipient.address?.postalCode);
-  console.log('Packages:', packages.length);
+  logger.debug('[FedEx] Creating Shipment');
+  logger.info('Service:', serviceType);
+  logger.info('To:', recipient.address?.countryCode, recipient.address?.postalCode);
+  logger.info('Packages:', packages.length);
 
   const response = await nodeFetch(`${FEDEX_API_BASE}/ship/v1/shipments`, {
     method: 'POST',
@@ -303,7 +304,7 @@ async function createShipment({ recipient, packages, serviceType, labelFormat =
   const data = await response.json();
 
   if (!response.ok) {
-    console.error('[FedEx] Create shipment error:', JSON.stringify(data, null, 2));
+    logger.error('[FedEx] Create shipment error:', data);
     throw new Error(data.errors?.[0]?.message || 'Failed to create FedEx shipment');
   }
 
@@ -319,7 +320,7 @@ async function createShipment({ recipient, packages, serviceType, labelFormat =
     estimatedDelivery: shipmentResult?.completedShipmentDetail?.operationalDetail?.deliveryDate || null,
   };
 
-  console.log('[FedEx] Shipment created, tracking:', result.trackingNumber);
+  logger.info('[FedEx] Shipment created, tracking:', result.trackingNumber);
   return result;
 }
 
@@ -339,8 +340,8 @@ async function trackShipment(trackingNumbers) {
     })),
   };
 
-  console.log('\n=== [FedEx] Tracking Shipment ===');
-  console.log('Tracking numbers:', numbers.join(', '));
+  logger.debug('[FedEx] Tracking Shipment');
+  logger.info('Tracking numbers:', numbers.join(', '));
 
   const response = await nodeFetch(`${FEDEX_API_BASE}/track/v1/trackingnumbers`, {
     method: 'POST',
@@ -354,7 +355,7 @@ async function trackShipment(trackingNumbers) {
   const data = await response.json();
 
   if (!response.ok) {
-    console.error('[FedEx] Tracking error:', JSON.stringify(data, null, 2));
+    logger.error('[FedEx] Tracking error:', data);
     throw new Error(data.errors?.[0]?.message || 'Failed to track FedEx shipment');
   }
 
@@ -379,7 +380,7 @@ async function trackShipment(trackingNumbers) {
     };
   });
 
-  console.log('[FedEx] Tracking results:', results.length);
+  logger.info('[FedEx] Tracking results:', results.length);
   return results;
 }
 
@@ -404,8 +405,8 @@ async function validateAddress(address) {
     ],
   };
 
-  console.log('\n=== [FedEx] Validating Address ===');
-  console.log('Address:', address.city, address.countryCode);
+  logger.debug('[FedEx] Validating Address');
+  logger.info('Address:', address.city, address.countryCode);
 
   const response = await nodeFetch(`${FEDEX_API_BASE}/address/v1/addresses/resolve`, {
     method: 'POST',
@@ -419,7 +420,7 @@ async function validateAddress(address) {
   const data = await response.json();
 
   if (!response.ok) {
-    console.error('[FedEx] Address validation error:', JSON.stringify(data, null, 2));
+    logger.error('[FedEx] Address validation error:', data);
     throw new Error(data.errors?.[0]?.message || 'Failed to validate address');
   }
 
@@ -486,10 +487,10 @@ async function schedulePickup({ pickupAddress, pickupContact, readyDate, readyTi
     ...(remarks && { remarks }),
   };
 
-  console.log('\n=== [FedEx] Scheduling Pickup ===');
-  console.log('Date:', readyDate);
-  console.log('Ready:', readyTime, '~ Close:', closeTime);
-  console.log('Packages:', packageCount, 'Weight:', totalWeight, 'kg');
+  logger.debug('[FedEx] Scheduling Pickup');
+  logger.info('Date:', readyDate);
+  logger.info('Ready:', readyTime, '~ Close:', closeTime);
+  logger.info('Packages:', packageCount, 'Weight:', totalWeight, 'kg');
 
   const response = await nodeFetch(`${FEDEX_API_BASE}/pickup/v1/pickups`, {
     method: 'POST',
@@ -503,7 +504,7 @@ async function schedulePickup({ pickupAddress, pickupContact, readyDate, readyTi
   const data = await response.json();
 
   if (!response.ok) {
-    console.error('[FedEx] Pickup schedule error:', JSON.stringify(data, null, 2));
+    logger.error('[FedEx] Pickup schedule error:', data);
     throw new Error(data.errors?.[0]?.message || 'Failed to schedule pickup');
   }
 
@@ -515,7 +516,7 @@ async function schedulePickup({ pickupAddress, pickupContact, readyDate, readyTi
     location: data.output?.location || null,
   };
 
-  console.log('[FedEx] Pickup scheduled, confirmation:', result.pickupConfirmationCode);
+  logger.info('[FedEx] Pickup scheduled, confirmation:', result.pickupConfirmationCode);
   return result;
 }
 
@@ -534,8 +535,8 @@ async function cancelPickup(pickupConfirmationCode, scheduledDate) {
     scheduledDate,
   };
 
-  console.log('\n=== [FedEx] Cancelling Pickup ===');
-  console.log('Confirmation:', pickupConfirmationCode);
+  logger.debug('[FedEx] Cancelling Pickup');
+  logger.info('Confirmation:', pickupConfirmationCode);
 
   const response = await nodeFetch(`${FEDEX_API_BASE}/pickup/v1/pickups/cancel`, {
     method: 'PUT',
@@ -549,11 +550,11 @@ async function cancelPickup(pickupConfirmationCode, scheduledDate) {
   const data = await response.json();
 
   if (!response.ok) {
-    console.error('[FedEx] Pickup cancel error:', JSON.stringify(data, null, 2));
+    logger.error('[FedEx] Pickup cancel error:', data);
     throw new Error(data.errors?.[0]?.message || 'Failed to cancel pickup');
   }
 
-  console.log('[FedEx] Pickup cancelled:', pickupConfirmationCode);
+  logger.info('[FedEx] Pickup cancelled:', pickupConfirmationCode);
   return { cancelled: true, pickupConfirmationCode };
 }
 
@@ -603,10 +604,10 @@ async function retrieveRegulatoryDocuments({ originAddress, destinationAddress,
     },
   };
 
-  console.log('\n=== [FedEx] Retrieving Regulatory Documents ===');
-  console.log('Origin:', payload.originAddress.countryCode, payload.originAddress.postalCode);
-  console.log('Destination:', destinationAddress.countryCode, destinationAddress.postalCode);
-  console.log('Carrier:', carrierCode);
+  logger.debug('[FedEx] Retrieving Regulatory Documents');
+  logger.info('Origin:', payload.originAddress.countryCode, payload.originAddress.postalCode);
+  logger.info('Destination:', destinationAddress.countryCode, destinationAddress.postalCode);
+  logger.info('Carrier:', carrierCode);
 
   const response = await nodeFetch(`${FEDEX_API_BASE}/globaltrade/v1/shipments/regulatorydetails/retrieve`, {
     method: 'POST',
@@ -621,7 +622,7 @@ async function retrieveRegulatoryDocuments({ originAddress, destinationAddress,
   const data = await response.json();
 
   if (!response.ok) {
-    console.error('[FedEx] Regulatory docs error:', JSON.stringify(data, null, 2));
+    logger.error('[FedEx] Regulatory docs error:', data);
     throw new Error(data.errors?.[0]?.message || 'Failed to retrieve regulatory documents');
   }
 
@@ -644,9 +645,9 @@ async function retrieveRegulatoryDocuments({ originAddress, destinationAddress,
     eeiRequired: output.eeiRequired || false,
   };
 
-  console.log('[FedEx] Regulatory documents:', result.regulatoryDocuments.length);
-  console.log('[FedEx] Advisories:', result.advisories.length);
-  console.log('[FedEx] EEI Required:', result.eeiRequired);
+  logger.info('[FedEx] Regulatory documents:', result.regulatoryDocuments.length);
+  logger.info('[FedEx] Advisories:', result.advisories.length);
+  logger.info('[FedEx] EEI Required:', result.eeiRequired);
   return result;
 }
 
@@ -671,10 +672,10 @@ async function retrieveRegulatoryDocuments({ originAddress, destinationAddress,
 async function uploadTradeDocuments({ workflowName = 'ETDPreshipment', carrierCode = 'FDXE', originCountryCode, destinationCountryCode, documents, trackingNumber, shipmentDate }) {
   const accessToken = await getAccessToken();
 
-  console.log('\n=== [FedEx] Uploading Trade Documents ===');
-  console.log('Workflow:', workflowName);
-  console.log('Documents:', documents.length);
-  console.log('Route:', originCountryCode || 'KR', '→', destinationCountryCode);
+  logger.debug('[FedEx] Uploading Trade Documents');
+  logger.info('Workflow:', workflowName);
+  logger.info('Documents:', documents.length);
+  logger.info('Route:', originCountryCode || 'KR', '→', destinationCountryCode);
 
   const docApiBase = process.env.FEDEX_MODE === 'production'
     ? 'https://documentapi.prod.fedex.com'
@@ -708,7 +709,7 @@ async function uploadTradeDocuments({ workflowName = 'ETDPreshipment', carrierCo
     formData.append('document', JSON.stringify(documentJson));
     formData.append('attachment', new Blob([fileBuffer], { type: fileContentType }), fileName);
 
-    console.log(`  Uploading: ${fileName} (${doc.shipDocumentType || 'COMMERCIAL_INVOICE'})`);
+    logger.debug(`Uploading: ${fileName} (${doc.shipDocumentType || 'COMMERCIAL_INVOICE'})`);
 
     const response = await nodeFetch(`${docApiBase}/documents/v1/etds/upload`, {
       method: 'POST',
@@ -728,7 +729,7 @@ async function uploadTradeDocuments({ workflowName = 'ETDPreshipment', carrierCo
     }
 
     if (!response.ok) {
-      console.error(`[FedEx] Document upload error (${fileName}):`, JSON.stringify(data, null, 2));
+      logger.error(`[FedEx] Document upload error (${fileName}):`, data);
       results.push({
         fileName,
         documentType: doc.shipDocumentType || 'COMMERCIAL_INVOICE',
@@ -755,9 +756,9 @@ async function uploadTradeDocuments({ workflowName = 'ETDPreshipment', carrierCo
     failCount: results.filter((r) => r.status === 'FAILED').length,
   };
 
-  console.log('[FedEx] Documents uploaded:', result.successCount, '/', documents.length);
+  logger.info('[FedEx] Documents uploaded:', result.successCount, '/', documents.length);
   result.documentStatuses.forEach((doc) => {
-    console.log(`  - ${doc.documentType}: ${doc.fileName} (${doc.status})`);
+    logger.debug(`- ${doc.documentType}: ${doc.fileName} (${doc.status})`);
   });
   return result;
 }
@@ -0,0 +1,143 @@
+/**
+ * Google 로그인 자격 검증 — ID 토큰(JWT) 서명 검증 + 액세스 토큰 audience 확인
+ *
+ * - ID 토큰: Google JWKS 공개키로 RS256 서명 검증, iss / aud(우리 클라이언트 ID) / exp / iat 확인
+ * - JWKS 는 응답의 Cache-Control max-age 동안 캐시, 모르는 kid 가 오면(키 교체) 최소 간격을 두고 다시 받음
+ * - keyFile 지정 시 Google 대신 로컬 JWKS 파일 사용 (테스트용 — 직접 만든 키로 서명한 토큰 검증)
+ * - 액세스 토큰(useGoogleLogin 흐름): tokeninfo 로 발급 대상(aud) 확인 후 userinfo 로 프로필 조회
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+
+const nodeFetch = typeof globalThis.fetch === 'function' ? globalThis.fetch : require('node-fetch');
+const logger = require('./logger').child({ module: 'googleIdToken' });
+
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_TOKENINFO_URL = 'https://oauth2.googleapis.com/tokeninfo';
+const GOOGLE_USERINFO_URL = 'https://www.googleapis.com/oauth2/v3/userinfo';
+const ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const ALGORITHM = 'RS256';
+// 서버 간 시계 오차 허용 (초)
+const CLOCK_SKEW_SEC = 60;
+const DEFAULT_CACHE_MS = 60 * 60 * 1000;
+// 모르는 kid 로 인한 재조회 최소 간격 — 위조 토큰으로 JWKS 요청을 폭주시키지 못하도록
+const MIN_REFRESH_INTERVAL_MS = 60 * 1000;
+
+function decodeBase64urlJson(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf-8'));
+}
+
+function parseMaxAge(cacheControl) {
+  const match = /max-age=(\d+)/.exec(cacheControl || '');
+  return match ? Number(match[1]) * 1000 : DEFAULT_CACHE_MS;
+}
+
+/**
+ * JWKS → Map(kid → KeyObject), RSA 서명키만
+ */
+function importJwks(jwks) {
+  const keys = new Map();
+  for (const jwk of (jwks && jwks.keys) || []) {
+    if (jwk.kty !== 'RSA' || !jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+    keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  }
+  return keys;
+}
+
+/**
+ * @param {Object} options
+ * @param {string[]} options.clientIds - 허용할 OAuth 클라이언트 ID (aud)
+ * @param {string} [options.keyFile] - 로컬 JWKS 파일 경로 (지정 시 Google JWKS 대신 사용)
+ * @param {string} [options.jwksUrl]
+ * @param {Function} [options.fetchImpl]
+ */
+function createGoogleTokenVerifier({ clientIds, keyFile, jwksUrl = GOOGLE_JWKS_URL, fetchImpl = nodeFetch }) {
+  let cache = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+
+  async function loadKeys() {
+    if (keyFile) {
+      return { keys: importJwks(JSON.parse(fs.readFileSync(keyFile, 'utf-8'))), maxAgeMs: DEFAULT_CACHE_MS };
+    }
+    const response = await fetchImpl(jwksUrl);
+    if (!response.ok) throw new Error(`Google JWKS 조회 실패: ${response.status}`);
+    return { keys: importJwks(await response.json()), maxAgeMs: parseMaxAge(response.headers.get('cache-control')) };
+  }
+
+  async function refresh() {
+    const now = Date.now();
+    try {
+      const { keys, maxAgeMs } = await loadKeys();
+      cache = { keys, expiresAt: now + maxAgeMs, fetchedAt: now };
+    } catch (e) {
+      // 조회 실패 시 기존 키로 계속 검증 (재시도는 최소 간격 이후)
+      cache.fetchedAt = now;
+      if (cache.keys.size === 0) throw e;
+      logger.error('⚠️  Google JWKS 갱신 실패, 캐시된 키 사용:', e.message);
+    }
+  }
+
+  async function getKey(kid) {
+    const now = Date.now();
+    if (now >= cache.expiresAt) await refresh();
+    if (!cache.keys.has(kid) && now - cache.fetchedAt >= MIN_REFRESH_INTERVAL_MS) await refresh();
+    return cache.keys.get(kid) || null;
+  }
+
+  return {
+    clientIds,
+
+    /**
+     * ID 토큰 검증
+     * @returns {Promise<{ ok: true, claims: Object } | { ok: false, reason: string }>}
+     */
+    async verifyIdToken(idToken) {
+      if (typeof idToken !== 'string') return { ok: false, reason: 'missing' };
+      const parts = idToken.split('.');
+      if (parts.length !== 3) return { ok: false, reason: 'malformed' };
+
+      let header;
+      let claims;
+      try {
+        header = decodeBase64urlJson(parts[0]);
+        claims = decodeBase64urlJson(parts[1]);
+      } catch (e) {
+        return { ok: false, reason: 'malformed' };
+      }
+      if (header.alg !== ALGORITHM) return { ok: false, reason: 'unsupported_alg' };
+
+      const key = await getKey(header.kid);
+      if (!key) return { ok: false, reason: 'unknown_kid' };
+      const signed = crypto.verify('RSA-SHA256', Buffer.from(`${parts[0]}.${parts[1]}`), key, Buffer.from(parts[2], 'base64url'));
+      if (!signed) return { ok: false, reason: 'bad_signature' };
+
+      const now = Math.floor(Date.now() / 1000);
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!ISSUERS.includes(claims.iss)) return { ok: false, reason: 'invalid_issuer' };
+      if (!audiences.some((aud) => clientIds.includes(aud))) return { ok: false, reason: 'invalid_audience' };
+      if (!claims.sub) return { ok: false, reason: 'invalid_claims' };
+      if (!Number.isInteger(claims.exp) || claims.exp <= now - CLOCK_SKEW_SEC) return { ok: false, reason: 'expired' };
+      if (!Number.isInteger(claims.iat) || claims.iat > now + CLOCK_SKEW_SEC) return { ok: false, reason: 'invalid_iat' };
+      return { ok: true, claims };
+    },
+
+    /**
+     * 액세스 토큰 → 프로필 (우리 클라이언트에 발급된 토큰만)
+     * @returns {Promise<{ ok: true, claims: Object } | { ok: false, reason: string }>} claims: sub, email, email_verified, name, picture
+     */
+    async verifyAccessToken(accessToken) {
+      if (!accessToken) return { ok: false, reason: 'missing' };
+      const infoRes = await fetchImpl(`${GOOGLE_TOKENINFO_URL}?access_token=${encodeURIComponent(accessToken)}`);
+      if (!infoRes.ok) return { ok: false, reason: 'invalid_token' };
+      const info = await infoRes.json();
+      if (!clientIds.includes(info.aud) && !clientIds.includes(info.azp)) return { ok: false, reason: 'invalid_audience' };
+
+      const userInfoRes = await fetchImpl(GOOGLE_USERINFO_URL, { headers: { Authorization: `Bearer ${accessToken}` } });
+      if (!userInfoRes.ok) return { ok: false, reason: 'invalid_token' };
+      const profile = await userInfoRes.json();
+      if (!profile.sub || profile.sub !== info.sub) return { ok: false, reason: 'invalid_claims' };
+      return { ok: true, claims: profile };
+    },
+  };
+}
+
+module.exports = { createGoogleTokenVerifier, importJwks };
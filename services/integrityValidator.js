@@ -0,0 +1,298 @@
+/**
+ * 데이터 무결성 검사기 — 로드된 데이터셋의 필수 필드 / 중복 키 / 컬렉션 간 참조를 검사해 구조화된 리포트 생성
+ *
+ * - validateDataset(): 읽기 전용, 이슈마다 심각도(error | warning)와 가능한 복구 동작(repair)을 표시
+ * - repairDataset(): 선택한 복구 동작만 배열을 제자리 수정으로 적용 (server.js 모듈 변수 참조 유지)
+ *   → 반환한 touched 를 saveData/markDirty 로 넘겨 저장 + 감사 로그 기록
+ * - 주문/정산처럼 당시 스냅샷을 보존해야 하는 기록은 참조가 끊겨도 경고만 (복구 동작 없음)
+ */
+const { getEntityKey, SINGLETON_COLLECTIONS } = require('./dataset');
+
+// 컬렉션별 필수 필드
+const REQUIRED_FIELDS = {
+  products: ['productCode', 'productName'],
+  orders: ['orderId', 'status'],
+  users: ['code', 'email'],
+  members: ['code'],
+  userCoupons: ['id', 'userId', 'couponCode'],
+  coupons: ['code', 'discountType'],
+  groupBuyTeams: ['teamId', 'productCode'],
+  events: ['code', 'title'],
+  banners: ['code'],
+  snsReviews: ['id', 'platform'],
+  snsReviewOverrides: ['productCode'],
+  productInsights: ['productCode'],
+  b2bUsers: ['id'],
+  sellers: ['sellerId', 'loginId'],
+  operators: ['operatorId', 'loginId', 'role'],
+  sessions: ['sessionId', 'kind', 'subjectId', 'expiresAt'],
+  apiKeys: ['keyId', 'keyHash', 'ownerType', 'status'],
+  settlements: ['settlementId', 'sellerId', 'period'],
+  stockMovements: ['movementId', 'productCode', 'type'],
+  reviews: ['reviewId', 'productCode'],
+  blogPosts: ['code', 'slug', 'title'],
+};
+
+/**
+ * 복구 동작 — 이슈의 repair 값, POST 복구 요청/INTEGRITY_REPAIR_ON_BOOT 에 이 이름을 사용
+ */
+const REPAIR_ACTIONS = {
+  createMissingMember: 'users 에만 있는 회원을 members 에 생성',
+  removeOrphanUserCoupon: '존재하지 않는 쿠폰/회원을 가리키는 userCoupons 삭제',
+  unassignMissingSeller: '삭제된 셀러에 배정된 상품의 sellerId 해제',
+  removeOrphanProductRefs: '삭제된 상품을 가리키는 SNS 매칭/요약 덮어쓰기/인사이트/이벤트·쿠폰 상품 목록 항목 제거',
+  dropDuplicateKey: '같은 키의 레코드 중 첫 번째만 남기고 삭제',
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// 주문이 가리키는 상품 코드 (번들은 bundleItems, 단일/레거시는 productCode 콤마 분해)
+function orderProductCodes(order) {
+  if (Array.isArray(order.bundleItems) && order.bundleItems.length > 0) {
+    return order.bundleItems.map((i) => i.productCode).filter(Boolean);
+  }
+  return String(order.productCode || '').split(',').map((c) => c.trim()).filter(Boolean);
+}
+
+function linkedProductCode(item) {
+  return typeof item === 'string' ? item : item && item.productCode;
+}
+
+/**
+ * @param {Object} dataset - { collection: value } (server.js getLiveDataset())
+ * @returns {{ checkedAt: string, durationMs: number, ok: boolean, summary: Object, issues: Array }}
+ */
+function validateDataset(dataset) {
+  const startedAt = Date.now();
+  const issues = [];
+  const add = (issue) => issues.push({ repair: null, ...issue });
+  const list = (name) => (Array.isArray(dataset[name]) ? dataset[name] : []);
+
+  // 1. 컬렉션 형태 / 필수 필드 / 중복 키
+  for (const [collection, value] of Object.entries(dataset)) {
+    if (SINGLETON_COLLECTIONS.includes(collection) || value === null || value === undefined) continue;
+    if (!Array.isArray(value)) {
+      add({ check: 'collection.not_array', severity: 'error', collection, entityId: null, field: null, message: `${collection} 이(가) 배열이 아닙니다.` });
+      continue;
+    }
+    const seen = new Set();
+    value.forEach((row, index) => {
+      const entityId = getEntityKey(collection, row);
+      for (const field of REQUIRED_FIELDS[collection] || []) {
+        if (row && typeof row === 'object' && isBlank(row[field])) {
+          add({ check: 'field.required', severity: 'error', collection, entityId: entityId || `#${index}`, field, message: `필수 필드 ${field} 누락` });
+        }
+      }
+      if (entityId === null) return;
+      if (seen.has(entityId)) {
+        add({ check: 'key.duplicate', severity: 'error', collection, entityId, field: null, message: `중복 키 (${index}번째 레코드)`, repair: 'dropDuplicateKey' });
+      }
+      seen.add(entityId);
+    });
+  }
+
+  const productCodes = new Set(list('products').map((p) => p.productCode));
+  const couponCodes = new Set(list('coupons').map((c) => c.code));
+  const sellerIds = new Set(list('sellers').map((s) => s.sellerId));
+  const userKeys = new Set(list('users').flatMap((u) => [u.code, u.id]).filter(Boolean));
+  const memberKeys = new Set(list('members').flatMap((m) => [m.code, m.email]).filter(Boolean));
+
+  // 2. 회원: users ↔ members
+  for (const user of list('users')) {
+    if (!memberKeys.has(user.code) && !memberKeys.has(user.email)) {
+      add({ check: 'user.member_missing', severity: 'warning', collection: 'users', entityId: user.code, field: null, message: 'members 목록에 없는 회원', repair: 'createMissingMember' });
+    }
+  }
+
+  // 3. 다운로드 쿠폰 → 쿠폰 / 회원
+  for (const uc of list('userCoupons')) {
+    if (uc.couponCode && !couponCodes.has(uc.couponCode)) {
+      add({ check: 'userCoupon.coupon_missing', severity: 'error', collection: 'userCoupons', entityId: uc.id, field: 'couponCode', ref: uc.couponCode, message: `존재하지 않는 쿠폰 ${uc.couponCode}`, repair: 'removeOrphanUserCoupon' });
+    }
+    if (uc.userId && !userKeys.has(uc.userId)) {
+      add({ check: 'userCoupon.user_missing', severity: 'warning', collection: 'userCoupons', entityId: uc.id, field: 'userId', ref: uc.userId, message: `존재하지 않는 회원 ${uc.userId}`, repair: 'removeOrphanUserCoupon' });
+    }
+  }
+
+  // 4. 상품 → 셀러, SKU 는 전체 상품에서 유일
+  const skuOwners = new Map();
+  for (const product of list('products')) {
+    if (product.sellerId && !sellerIds.has(product.sellerId)) {
+      add({ check: 'product.seller_missing', severity: 'error', collection: 'products', entityId: product.productCode, field: 'sellerId', ref: product.sellerId, message: `삭제된 셀러 ${product.sellerId}에 배정됨`, repair: 'unassignMissingSeller' });
+    }
+    for (const variant of product.variants || []) {
+      if (skuOwners.has(variant.sku)) {
+        add({ check: 'product.sku_duplicate', severity: 'error', collection: 'products', entityId: product.productCode, field: 'variants', ref: variant.sku, message: `SKU ${variant.sku}가 상품 ${skuOwners.get(variant.sku)}와 중복` });
+      } else {
+        skuOwners.set(variant.sku, product.productCode);
+      }
+    }
+  }
+
+  // 5. 주문 → 상품 / 쿠폰 / 주문 회원 / 포인트 사용 회원 (주문 당시 스냅샷이 있으므로 경고만)
+  for (const order of list('orders')) {
+    const missing = orderProductCodes(order).filter((code) => !productCodes.has(code));
+    if (missing.length > 0) {
+      add({ check: 'order.product_missing', severity: 'warning', collection: 'orders', entityId: order.orderId, field: 'productCode', ref: missing.join(','), message: `삭제된 상품 참조 ${missing.join(', ')}` });
+    }
+    const missingSkus = [order, ...(order.bundleItems || [])].map((line) => line && line.sku).filter((sku) => sku && !skuOwners.has(sku));
+    if (missingSkus.length > 0) {
+      add({ check: 'order.sku_missing', severity: 'warning', collection: 'orders', entityId: order.orderId, field: 'sku', ref: missingSkus.join(','), message: `삭제된 SKU 참조 ${missingSkus.join(', ')}` });
+    }
+    if (order.couponCode && !couponCodes.has(order.couponCode)) {
+      add({ check: 'order.coupon_missing', severity: 'warning', collection: 'orders', entityId: order.orderId, field: 'couponCode', ref: order.couponCode, message: `삭제된 쿠폰 참조 ${order.couponCode}` });
+    }
+    if (order.memberCode && !userKeys.has(order.memberCode)) {
+      add({ check: 'order.member_missing', severity: 'warning', collection: 'orders', entityId: order.orderId, field: 'memberCode', ref: order.memberCode, message: `주문 회원 ${order.memberCode} 없음` });
+    }
+    if (order.pointsUsedBy && !userKeys.has(order.pointsUsedBy)) {
+      add({ check: 'order.points_user_missing', severity: 'warning', collection: 'orders', entityId: order.orderId, field: 'pointsUsedBy', ref: order.pointsUsedBy, message: `포인트 사용 회원 ${order.pointsUsedBy} 없음` });
+    }
+  }
+
+  // 6. 정산서 → 셀러, 공동구매 팀 / 리뷰 → 상품 (기록 보존, 경고만)
+  for (const st of list('settlements')) {
+    if (st.sellerId && !sellerIds.has(st.sellerId)) {
+      add({ check: 'settlement.seller_missing', severity: 'warning', collection: 'settlements', entityId: st.settlementId, field: 'sellerId', ref: st.sellerId, message: `삭제된 셀러 ${st.sellerId}의 정산서` });
+    }
+  }
+  for (const team of list('groupBuyTeams')) {
+    if (team.productCode && !productCodes.has(team.productCode)) {
+      add({ check: 'groupBuyTeam.product_missing', severity: 'warning', collection: 'groupBuyTeams', entityId: team.teamId, field: 'productCode', ref: team.productCode, message: `삭제된 상품 ${team.productCode}의 팀` });
+    }
+  }
+  for (const review of list('reviews')) {
+    if (review.productCode && !productCodes.has(review.productCode)) {
+      add({ check: 'review.product_missing', severity: 'warning', collection: 'reviews', entityId: review.reviewId, field: 'productCode', ref: review.productCode, message: `삭제된 상품 ${review.productCode}의 리뷰` });
+    }
+  }
+
+  // 7. 상품 부가 데이터 → 상품
+  for (const collection of ['snsReviewOverrides', 'productInsights']) {
+    for (const row of list(collection)) {
+      if (row.productCode && !productCodes.has(row.productCode)) {
+        add({ check: `${collection}.product_missing`, severity: 'warning', collection, entityId: row.productCode, field: 'productCode', ref: row.productCode, message: '삭제된 상품의 데이터', repair: 'removeOrphanProductRefs' });
+      }
+    }
+  }
+  for (const review of list('snsReviews')) {
+    const missing = (review.matchedProducts || []).map((m) => m.productCode).filter((code) => !productCodes.has(code));
+    if (missing.length > 0) {
+      add({ check: 'snsReview.product_missing', severity: 'warning', collection: 'snsReviews', entityId: review.id, field: 'matchedProducts', ref: missing.join(','), message: `삭제된 상품 매칭 ${missing.join(', ')}`, repair: 'removeOrphanProductRefs' });
+    }
+  }
+  for (const [collection, field] of [['events', 'linkedProducts'], ['coupons', 'applicableProductCodes']]) {
+    for (const row of list(collection)) {
+      const missing = (row[field] || []).map(linkedProductCode).filter((code) => code && !productCodes.has(code));
+      if (missing.length > 0) {
+        add({ check: `${collection}.product_missing`, severity: 'warning', collection, entityId: row.code, field, ref: missing.join(','), message: `삭제된 상품 ${missing.join(', ')}`, repair: 'removeOrphanProductRefs' });
+      }
+    }
+  }
+
+  const byCheck = {};
+  for (const issue of issues) byCheck[issue.check] = (byCheck[issue.check] || 0) + 1;
+  const errors = issues.filter((i) => i.severity === 'error').length;
+  return {
+    checkedAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    ok: errors === 0,
+    summary: {
+      errors,
+      warnings: issues.length - errors,
+      repairable: issues.filter((i) => i.repair).length,
+      byCheck,
+    },
+    issues,
+  };
+}
+
+/**
+ * 리포트의 이슈 중 actions 에 포함된 복구 동작만 적용 (배열 제자리 수정)
+ * @param {Object} dataset - validateDataset 에 넘긴 것과 같은 데이터셋
+ * @param {Object} report - 방금 만든 validateDataset 결과
+ * @param {{ actions: string[] }} options - REPAIR_ACTIONS 이름 목록
+ * @returns {{ applied: Array, touched: Array<string|[string, string]> }} touched 는 markDirty 인자 형태
+ */
+function repairDataset(dataset, report, { actions }) {
+  const enabled = new Set(actions);
+  const applied = [];
+  const touched = [];
+  const productCodes = new Set((dataset.products || []).map((p) => p.productCode));
+  const targets = report.issues.filter((i) => i.repair && enabled.has(i.repair));
+  const note = (issue, collection, entityId) => {
+    applied.push({ check: issue.check, repair: issue.repair, collection, entityId });
+    touched.push([collection, entityId]);
+  };
+  const removeWhere = (collection, predicate) => {
+    const arr = dataset[collection] || [];
+    for (let i = arr.length - 1; i >= 0; i--) if (predicate(arr[i], i)) arr.splice(i, 1);
+  };
+
+  const handledUserCoupons = new Set();
+  for (const issue of targets) {
+    switch (issue.repair) {
+      case 'createMissingMember': {
+        const user = (dataset.users || []).find((u) => u.code === issue.entityId);
+        if (!user || !Array.isArray(dataset.members) || dataset.members.some((m) => m.code === user.code || m.email === user.email)) break;
+        dataset.members.push({
+          code: user.code,
+          name: user.name,
+          phone: user.phone || '',
+          email: user.email,
+          status: user.status || 'ACTIVE',
+          createAt: user.createAt,
+          birthDate: user.birthDate || '',
+          country: user.country || '',
+        });
+        note(issue, 'members', user.code);
+        break;
+      }
+      case 'removeOrphanUserCoupon':
+        if (handledUserCoupons.has(issue.entityId)) break;
+        handledUserCoupons.add(issue.entityId);
+        removeWhere('userCoupons', (uc) => uc.id === issue.entityId);
+        note(issue, 'userCoupons', issue.entityId);
+        break;
+      case 'unassignMissingSeller': {
+        const product = (dataset.products || []).find((p) => p.productCode === issue.entityId);
+        if (!product) break;
+        product.sellerId = null;
+        note(issue, 'products', product.productCode);
+        break;
+      }
+      case 'removeOrphanProductRefs':
+        if (issue.collection === 'snsReviewOverrides' || issue.collection === 'productInsights') {
+          removeWhere(issue.collection, (row) => row.productCode === issue.entityId);
+        } else if (issue.collection === 'snsReviews') {
+          const review = dataset.snsReviews.find((r) => r.id === issue.entityId);
+          if (!review) break;
+          review.matchedProducts = (review.matchedProducts || []).filter((m) => productCodes.has(m.productCode));
+        } else {
+          const row = (dataset[issue.collection] || []).find((r) => r.code === issue.entityId);
+          if (!row) break;
+          row[issue.field] = (row[issue.field] || []).filter((item) => productCodes.has(linkedProductCode(item)));
+        }
+        note(issue, issue.collection, issue.entityId);
+        break;
+      case 'dropDuplicateKey': {
+        // 같은 키의 첫 레코드만 유지 (한 키에 이슈가 여러 개여도 한 번에 정리)
+        const arr = dataset[issue.collection] || [];
+        const first = arr.findIndex((row) => getEntityKey(issue.collection, row) === issue.entityId);
+        const before = arr.length;
+        removeWhere(issue.collection, (row, i) => i > first && getEntityKey(issue.collection, row) === issue.entityId);
+        if (arr.length < before) note(issue, issue.collection, issue.entityId);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return { applied, touched };
+}
+
+module.exports = {
+  REPAIR_ACTIONS, validateDataset, repairDataset,
+};
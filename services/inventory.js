@@ -0,0 +1,338 @@
+/**
+ * 재고 — 상품/SKU별 보유 수량과 주문 예약, 재고 이동 기록(stockMovements 컬렉션)
+ *
+ * - 재고 레코드 { onHand, reserved } 는 product.stock / product.variants[i].stock 에 보관
+ *   없으면 재고 미관리(무제한 — 기존 상품 호환), 관리자 재고 조정을 처음 하면 관리 시작
+ * - 변형(SKU)이 있는 상품은 SKU별 재고만 조정 가능 (상품 단위 재고는 변형이 없는 상품용)
+ * - 판매 가능 수량 = onHand - reserved
+ * - 주문 흐름: 생성 시 reserve() → 결제 승인 시 commit()(onHand·reserved 차감)
+ *   → 만료/취소 시 release()(reserved 만 차감), 결제 후 환불이면 release() 가 onHand 복구
+ * - 예약 상태는 order.stockReservation 에 기록 — 같은 주문을 두 번 확정/해제하지 않음
+ * - 변경 함수는 저장 대상(saveData 형식 targets)을 돌려주고 저장은 호출부가 담당
+ * - 가능 수량 확인과 차감을 await 없는 동기 코드 한 번에 처리 → 단일 프로세스에서 동시 주문이 겹쳐도 초과 판매 없음
+ */
+const crypto = require('crypto');
+
+const { hasVariants } = require('./productVariants');
+
+// 관리자 재고 조정 사유 (COUNT 는 실사 수량으로 지정, 나머지는 증감)
+const STOCK_ADJUSTMENT_REASONS = {
+  RECEIVED: '입고',
+  RETURNED: '반품 재입고',
+  DAMAGED: '파손/불량 폐기',
+  LOST: '분실',
+  COUNT: '재고 실사 (수량 지정)',
+  CORRECTION: '기타 정정',
+};
+
+// 주문 예약 상태
+const RESERVATION_STATUS = {
+  RESERVED: 'RESERVED', // 결제 대기 — reserved 에 잡혀 있음
+  COMMITTED: 'COMMITTED', // 결제 완료 — onHand 에서 차감됨
+  RELEASED: 'RELEASED', // 만료/취소로 예약 해제
+  RESTOCKED: 'RESTOCKED', // 결제 후 환불/취소로 onHand 복구
+};
+
+function isTracked(stock) {
+  return Boolean(stock) && Number.isInteger(stock.onHand);
+}
+
+function availableOf(stock) {
+  return isTracked(stock) ? Math.max(0, stock.onHand - (stock.reserved || 0)) : null;
+}
+
+function trackedVariants(product) {
+  return (product.variants || []).filter((v) => isTracked(v.stock));
+}
+
+/**
+ * @param {Object} options
+ * @param {Function} options.findProduct - productCode → 상품
+ * @param {Function} options.getMovements - 현재 stockMovements 배열 반환
+ * @param {number} [options.lowStockThreshold] - 이 수량 이하이면 LOW_STOCK
+ * @param {Function} [options.onStockChange] - (product) => void, 재고를 바꾼 상품마다 한 번 (version 증가용)
+ */
+function createInventory({ findProduct, getMovements, lowStockThreshold = 5, onStockChange = () => {} }) {
+  // (상품, sku) → 재고 레코드가 있는 대상 { product, variant, stock } — 미관리면 stock null
+  function resolveTarget(product, sku) {
+    if (!product) return null;
+    if (sku !== null && sku !== undefined) {
+      const variant = (product.variants || []).find((v) => v.sku === sku);
+      return variant ? { product, variant, stock: variant.stock || null } : null;
+    }
+    return { product, variant: null, stock: product.stock || null };
+  }
+
+  function record(entry) {
+    const movement = {
+      movementId: `STK-${Date.now()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+      at: new Date().toISOString(),
+      ...entry,
+    };
+    getMovements().push(movement);
+    return movement;
+  }
+
+  // 주문 항목 → 예약 대상 라인 (같은 대상은 합산, 재고 미관리/없는 상품은 제외)
+  function resolveLines(items) {
+    const lines = new Map();
+    for (const item of items) {
+      const product = findProduct(item.productCode);
+      if (!product) continue;
+      const sku = hasVariants(product) ? item.sku || null : null;
+      if (hasVariants(product) && !sku) return { error: { reason: 'OPTION_REQUIRED', productCode: product.productCode } };
+      const target = resolveTarget(product, sku);
+      if (!target || !isTracked(target.stock)) continue;
+      if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+        return { error: { reason: 'INVALID_QUANTITY', productCode: product.productCode } };
+      }
+
+      const id = `${product.productCode}\u0000${sku ?? ''}`;
+      const line = lines.get(id) || { productCode: product.productCode, sku, quantity: 0 };
+      line.quantity += item.quantity;
+      lines.set(id, line);
+    }
+    return { lines: [...lines.values()] };
+  }
+
+  // 모든 라인이 가능 수량 안이면 null, 아니면 부족 목록
+  function findShortages(lines) {
+    const shortages = lines
+      .map((line) => {
+        const target = resolveTarget(findProduct(line.productCode), line.sku);
+        const available = target ? availableOf(target.stock) : 0;
+        return { ...line, available: available ?? Infinity };
+      })
+      .filter((line) => line.quantity > line.available)
+      .map(({ productCode, sku, quantity, available }) => ({ productCode, sku, requested: quantity, available }));
+    return shortages.length > 0 ? shortages : null;
+  }
+
+  // 라인별 재고 변경 적용 + 이동 기록, 변경된 저장 대상 반환
+  function applyLines(lines, { onHandDelta, reservedDelta, type, orderId }) {
+    const targets = [];
+    const changed = new Set();
+    for (const line of lines) {
+      const target = resolveTarget(findProduct(line.productCode), line.sku);
+      if (!target || !target.stock) continue; // 예약 후 상품/SKU 를 삭제한 경우
+      changed.add(target.product);
+      target.stock.onHand += onHandDelta * line.quantity;
+      target.stock.reserved = Math.max(0, (target.stock.reserved || 0) + reservedDelta * line.quantity);
+      const movement = record({
+        type,
+        productCode: line.productCode,
+        sku: line.sku,
+        onHandDelta: onHandDelta * line.quantity,
+        reservedDelta: reservedDelta * line.quantity,
+        onHandAfter: target.stock.onHand,
+        reservedAfter: target.stock.reserved,
+        orderId,
+      });
+      targets.push(['products', line.productCode], ['stockMovements', movement.movementId]);
+    }
+    changed.forEach((product) => onStockChange(product));
+    return targets;
+  }
+
+  /**
+   * 상품/SKU의 고객용 재고 상태 (상품 단위는 판매 중인 SKU 합계, 미관리 SKU 가 있으면 미관리)
+   * @returns {{ stockStatus: 'IN_STOCK'|'LOW_STOCK'|'OUT_OF_STOCK', availableQuantity: number|null }} 미관리면 availableQuantity null
+   */
+  function describeAvailability(product, variant = null) {
+    let available;
+    if (variant) {
+      available = variant.active === false ? 0 : availableOf(variant.stock);
+    } else if (hasVariants(product)) {
+      const active = product.variants.filter((v) => v.active !== false);
+      available = active.some((v) => !isTracked(v.stock)) ? null : active.reduce((sum, v) => sum + availableOf(v.stock), 0);
+    } else {
+      available = availableOf(product.stock);
+    }
+    if (available === null) return { stockStatus: 'IN_STOCK', availableQuantity: null };
+    const stockStatus = available <= 0 ? 'OUT_OF_STOCK' : available <= lowStockThreshold ? 'LOW_STOCK' : 'IN_STOCK';
+    return { stockStatus, availableQuantity: available };
+  }
+
+  return {
+    describeAvailability,
+
+    /**
+     * 주문 생성 시 재고 예약 — 하나라도 부족하면 아무것도 예약하지 않음
+     * @param {Object} order - stockReservation 을 기록할 주문
+     * @param {Array<{ productCode: string, quantity: number, sku?: string|null }>} items — 변형 상품은 sku 필수
+     * @param {{ ttlMs: number }} options
+     * @returns {{ targets: Array } | { error: Object }} targets 는 saveData 대상 (재고 관리 상품이 없으면 빈 배열)
+     */
+    reserve(order, items, { ttlMs }) {
+      const { lines, error } = resolveLines(items);
+      if (error) return { error };
+      if (lines.length === 0) return { targets: [] };
+      const shortages = findShortages(lines);
+      if (shortages) return { error: { reason: 'INSUFFICIENT_STOCK', shortages } };
+
+      const targets = applyLines(lines, { onHandDelta: 0, reservedDelta: 1, type: 'RESERVE', orderId: order.orderId });
+      const now = Date.now();
+      order.stockReservation = {
+        status: RESERVATION_STATUS.RESERVED,
+        lines,
+        reservedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString(),
+      };
+      return { targets };
+    },
+
+    /**
+     * 결제 직전 예약 보장 — 유효한 예약은 만료 시각을 늦추고(결제 처리 중 만료 방지),
+     * 만료로 해제된 예약은 재고가 남아 있을 때만 다시 잡음
+     * @returns {{ targets: Array } | { error: Object }}
+     */
+    ensureReserved(order, { ttlMs }) {
+      const reservation = order.stockReservation;
+      if (!reservation) return { targets: [] };
+      if (reservation.status === RESERVATION_STATUS.RESERVED) {
+        reservation.expiresAt = new Date(Date.now() + ttlMs).toISOString();
+        return { targets: [] };
+      }
+      if (reservation.status !== RESERVATION_STATUS.RELEASED) return { targets: [] };
+      const shortages = findShortages(reservation.lines);
+      if (shortages) return { error: { reason: 'INSUFFICIENT_STOCK', shortages } };
+      const targets = applyLines(reservation.lines, { onHandDelta: 0, reservedDelta: 1, type: 'RESERVE', orderId: order.orderId });
+      const now = Date.now();
+      Object.assign(reservation, {
+        status: RESERVATION_STATUS.RESERVED,
+        reservedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString(),
+        releasedAt: null,
+      });
+      return { targets };
+    },
+
+    /**
+     * 결제 승인 — 예약 수량을 보유 수량에서 확정 차감
+     * @returns {Array} saveData 대상
+     */
+    commit(order) {
+      const reservation = order.stockReservation;
+      if (!reservation || reservation.status !== RESERVATION_STATUS.RESERVED) return [];
+      const targets = applyLines(reservation.lines, { onHandDelta: -1, reservedDelta: -1, type: 'COMMIT', orderId: order.orderId });
+      reservation.status = RESERVATION_STATUS.COMMITTED;
+      reservation.committedAt = new Date().toISOString();
+      return targets;
+    },
+
+    /**
+     * 예약 해제(결제 전) 또는 재입고(결제 후) — 이미 해제/재입고된 주문은 그대로
+     * @returns {Array} saveData 대상
+     */
+    release(order) {
+      const reservation = order.stockReservation;
+      if (!reservation) return [];
+      const at = new Date().toISOString();
+      if (reservation.status === RESERVATION_STATUS.RESERVED) {
+        const targets = applyLines(reservation.lines, { onHandDelta: 0, reservedDelta: -1, type: 'RELEASE', orderId: order.orderId });
+        Object.assign(reservation, { status: RESERVATION_STATUS.RELEASED, releasedAt: at });
+        return targets;
+      }
+      if (reservation.status === RESERVATION_STATUS.COMMITTED) {
+        const targets = applyLines(reservation.lines, { onHandDelta: 1, reservedDelta: 0, type: 'RESTOCK', orderId: order.orderId });
+        Object.assign(reservation, { status: RESERVATION_STATUS.RESTOCKED, releasedAt: at });
+        return targets;
+      }
+      return [];
+    },
+
+    /**
+     * 관리자 재고 조정 — 미관리 대상은 0 에서 시작해 관리 시작
+     * @param {{ productCode: string, sku?: string|null, delta?: number, quantity?: number, reason: string, note?: string, actor?: Object }} params
+     *   COUNT 는 quantity(실사 수량), 나머지 사유는 delta(증감)
+     * @returns {{ stock: Object, movement: Object, targets: Array } | { error: string, status: number }}
+     */
+    adjust({ productCode, sku = null, delta, quantity, reason, note = '', actor = null }) {
+      if (!STOCK_ADJUSTMENT_REASONS[reason]) {
+        return { status: 400, error: `reason must be one of: ${Object.keys(STOCK_ADJUSTMENT_REASONS).join(', ')}` };
+      }
+      const product = findProduct(productCode);
+      if (!product) return { status: 404, error: 'Product not found' };
+      const target = resolveTarget(product, sku);
+      if (!target) return { status: 404, error: `SKU not found: ${sku}` };
+      if (!target.variant && hasVariants(product)) {
+        return { status: 400, error: 'This product has variants — stock is tracked per SKU, sku is required' };
+      }
+
+      const current = target.stock || { onHand: 0, reserved: 0 };
+      let nextOnHand;
+      if (reason === 'COUNT') {
+        if (!Number.isInteger(quantity) || quantity < 0) return { status: 400, error: 'quantity must be a non-negative integer' };
+        nextOnHand = quantity;
+      } else {
+        if (!Number.isInteger(delta) || delta === 0) return { status: 400, error: 'delta must be a non-zero integer' };
+        nextOnHand = current.onHand + delta;
+      }
+      if (nextOnHand < 0) return { status: 409, error: `On-hand quantity cannot go below 0 (current ${current.onHand})` };
+      if (nextOnHand < (current.reserved || 0)) {
+        return { status: 409, error: `${current.reserved} unit(s) are reserved by pending orders — on-hand cannot go below that` };
+      }
+
+      const stock = { onHand: nextOnHand, reserved: current.reserved || 0 };
+      if (target.variant) target.variant.stock = stock;
+      else product.stock = stock;
+      onStockChange(product);
+      const movement = record({
+        type: 'ADJUST',
+        productCode,
+        sku: target.variant ? sku : null,
+        onHandDelta: nextOnHand - current.onHand,
+        reservedDelta: 0,
+        onHandAfter: stock.onHand,
+        reservedAfter: stock.reserved,
+        reason,
+        note: note || '',
+        actor,
+      });
+      return { stock, movement, targets: [['products', productCode], ['stockMovements', movement.movementId]] };
+    },
+
+    /**
+     * 상품의 재고 현황 (관리자용)
+     * @returns {{ productCode: string, tracked: boolean, stock: Object|null, available: number|null, variants: Array }}
+     */
+    snapshot(product) {
+      const variants = (product.variants || []).map((v) => ({
+        sku: v.sku,
+        name: v.name,
+        barcode: v.barcode || null,
+        active: v.active !== false,
+        tracked: isTracked(v.stock),
+        stock: v.stock || null,
+        available: availableOf(v.stock),
+      }));
+      const tracked = isTracked(product.stock) || variants.some((v) => v.tracked);
+      return {
+        productCode: product.productCode,
+        productName: product.productName,
+        tracked,
+        stock: product.stock || null,
+        ...describeAvailability(product),
+        variants,
+      };
+    },
+
+    /**
+     * @param {{ productCode?: string, sku?: string, type?: string, orderId?: string, limit?: number }} [filters]
+     * @returns {Array} 최신순
+     */
+    listMovements({ productCode, sku, type, orderId, limit = 100 } = {}) {
+      return getMovements()
+        .filter((m) => (!productCode || m.productCode === productCode) && (!sku || m.sku === sku))
+        .filter((m) => (!type || m.type === type) && (!orderId || m.orderId === orderId))
+        .slice(-limit)
+        .reverse();
+    },
+  };
+}
+
+module.exports = {
+  STOCK_ADJUSTMENT_REASONS,
+  RESERVATION_STATUS,
+  createInventory,
+};
@@ -0,0 +1,164 @@
+/**
+ * Crash-safe JSON 파일 저장소
+ *
+ * - 원자적 쓰기: 임시 파일에 기록 + fsync 후 rename (중간에 죽어도 기존 파일은 온전)
+ * - 스냅샷: 정상 저장된 데이터 파일을 DATA_DIR/snapshots/ 에 타임스탬프 이름으로 복사, 최근 N개만 유지
+ * - 손상 복구: 데이터 파일 파싱 실패 시 가장 최근의 정상 스냅샷으로 복구
+ *
+ * Env:
+ *   JSON_SNAPSHOT_KEEP              — 유지할 스냅샷 개수 (기본 10)
+ *   JSON_SNAPSHOT_INTERVAL_MINUTES  — 자동 스냅샷 최소 간격 (기본 30분)
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').child({ module: 'jsonStore' });
+
+const SNAPSHOT_KEEP = parseInt(process.env.JSON_SNAPSHOT_KEEP || '10', 10);
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.JSON_SNAPSHOT_INTERVAL_MINUTES || '30', 10) * 60 * 1000;
+const SNAPSHOT_NAME_PATTERN = /^mock-data-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(?:-[a-z]+)?\.json$/;
+
+function getSnapshotDir(dataFile) {
+  return path.join(path.dirname(dataFile), 'snapshots');
+}
+
+/**
+ * 임시 파일 + fsync + rename 으로 JSON 저장
+ */
+function writeJsonAtomic(file, data) {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpFile, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * @returns {Array<{ name: string, size: number, createdAt: string }>} 최신순
+ */
+function listSnapshots(dataFile) {
+  const dir = getSnapshotDir(dataFile);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((name) => SNAPSHOT_NAME_PATTERN.test(name))
+    .map((name) => {
+      const stat = fs.statSync(path.join(dir, name));
+      return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+    })
+    .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+function pruneSnapshots(dataFile) {
+  const dir = getSnapshotDir(dataFile);
+  for (const snapshot of listSnapshots(dataFile).slice(SNAPSHOT_KEEP)) {
+    fs.unlinkSync(path.join(dir, snapshot.name));
+  }
+}
+
+/**
+ * 스냅샷 생성
+ * @param {string} dataFile
+ * @param {Object} [data] - 지정하면 해당 데이터를, 없으면 현재 데이터 파일을 스냅샷으로 저장
+ * @param {string} [label] - 파일명 접미사 (예: 'manual', 'prerestore')
+ * @returns {string|null} 생성된 스냅샷 이름
+ */
+function createSnapshot(dataFile, data, label) {
+  const dir = getSnapshotDir(dataFile);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = `mock-data-${stamp}${label ? `-${label}` : ''}.json`;
+  const target = path.join(dir, name);
+
+  if (data) {
+    writeJsonAtomic(target, data);
+  } else {
+    if (!fs.existsSync(dataFile)) return null;
+    fs.copyFileSync(dataFile, target);
+  }
+  pruneSnapshots(dataFile);
+  return name;
+}
+
+/**
+ * 마지막 자동 스냅샷 이후 간격이 지났으면 현재 데이터 파일을 스냅샷 (덮어쓰기 직전 호출)
+ */
+function snapshotIfDue(dataFile) {
+  const latest = listSnapshots(dataFile)[0];
+  if (latest && Date.now() - new Date(latest.createdAt).getTime() < SNAPSHOT_INTERVAL_MS) return null;
+  return createSnapshot(dataFile);
+}
+
+function isValidSnapshotName(name) {
+  return SNAPSHOT_NAME_PATTERN.test(name);
+}
+
+/**
+ * 스냅샷 읽기 — 존재하지 않으면 null
+ */
+function readSnapshot(dataFile, name) {
+  if (!isValidSnapshotName(name)) return null;
+  const file = path.join(getSnapshotDir(dataFile), name);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * 데이터 파일 읽기 (손상 시 최신 정상 스냅샷으로 복구)
+ * @returns {{ data: Object|null, recoveredFrom: string|null }} 파일이 없으면 data = null
+ * @throws 데이터 파일이 손상되었고 복구 가능한 스냅샷도 없을 때
+ */
+function readWithRecovery(dataFile) {
+  if (!fs.existsSync(dataFile)) return { data: null, recoveredFrom: null };
+
+  try {
+    return { data: JSON.parse(fs.readFileSync(dataFile, 'utf-8')), recoveredFrom: null };
+  } catch (e) {
+    logger.error(`❌ 데이터 파일 손상 (${e.message}), 스냅샷에서 복구 시도...`);
+  }
+
+  // 손상된 원본은 덮어쓰지 않고 보관 (수동 분석용)
+  const corruptCopy = `${dataFile}.corrupt-${Date.now()}`;
+  fs.copyFileSync(dataFile, corruptCopy);
+  logger.error(`손상된 파일 보관: ${corruptCopy}`);
+
+  for (const snapshot of listSnapshots(dataFile)) {
+    try {
+      const data = readSnapshot(dataFile, snapshot.name);
+      writeJsonAtomic(dataFile, data);
+      logger.info(`✅ 스냅샷에서 복구: ${snapshot.name}`);
+      return { data, recoveredFrom: snapshot.name };
+    } catch (e) {
+      logger.error(`스냅샷 ${snapshot.name} 도 손상됨: ${e.message}`);
+    }
+  }
+  throw new Error(`데이터 파일(${dataFile})이 손상되었고 복구 가능한 스냅샷이 없습니다. 빈 데이터로 덮어쓰지 않도록 기동을 중단합니다.`);
+}
+
+/**
+ * 데이터 파일이 없으면 시드 파일(앱 디렉토리의 mock-data.json)을 복사 — Volume 최초 사용 시
+ * 서버 기동과 마이그레이션 CLI 가 저장소를 열기 전에 호출 (마이그레이션이 빈 파일을 먼저 만들면 시드가 영영 복사되지 않음)
+ * @returns {boolean} 복사 여부
+ */
+function seedDataFile(dataFile, seedFile) {
+  if (path.resolve(dataFile) === path.resolve(seedFile)) return false;
+  if (fs.existsSync(dataFile) || !fs.existsSync(seedFile)) return false;
+  fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+  fs.copyFileSync(seedFile, dataFile);
+  logger.info(`📋 초기 데이터를 Volume으로 복사: ${seedFile} → ${dataFile}`);
+  return true;
+}
+
+module.exports = {
+  seedDataFile,
+  writeJsonAtomic,
+  listSnapshots,
+  createSnapshot,
+  snapshotIfDue,
+  readSnapshot,
+  isValidSnapshotName,
+  readWithRecovery,
+};
@@ -0,0 +1,215 @@
+/**
+ * 구조화 로그 — 레벨별 JSON 한 줄 로그 + 요청 ID(상관관계 ID) + 민감정보 마스킹
+ *
+ * - 레벨: debug < info < warn < error, LOG_LEVEL 미만은 출력하지 않음 (기본 info)
+ * - 형식: LOG_FORMAT=json(기본, 한 줄 JSON) | pretty(로컬 개발용 사람이 읽는 형식)
+ * - 호출 형식은 console 과 같음: logger.info('메시지', 값...) — 첫 문자열이 msg, 객체는 data, Error 는 err 로 분리
+ * - 요청 컨텍스트(AsyncLocalStorage): requestLogger() 미들웨어가 요청마다 ID 를 만들고(X-Request-Id 재사용 가능)
+ *   응답 헤더로 돌려줌 → 요청 처리 중 남긴 모든 로그에 reqId 가 붙고, 응답 완료 시 상태/소요 시간 로그
+ * - 마스킹 규칙(REDACTION_RULES): 키 이름(keys)과 문자열 값 패턴(pattern)으로 적용, 메시지 문자열에도 패턴 적용
+ *   LOG_REDACT_DISABLE=email,phone 으로 규칙 끄기, LOG_REDACT_KEYS=ssn,passport 로 비밀값 키 추가
+ */
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+const MAX_STRING_LENGTH = 2000;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function maskEmail(email) {
+  const [local, domain] = email.split('@');
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+function maskPhone(phone) {
+  const digits = phone.replace(/\D/g, '');
+  return digits.length > 4 ? `***${digits.slice(-4)}` : '***';
+}
+
+function maskName(name) {
+  return `${name.slice(0, 1)}***`;
+}
+
+/**
+ * 기본 마스킹 규칙 — keys: 이 이름의 필드 값 전체에 replace 적용 / pattern: 모든 문자열 값과 메시지에서 일치 부분 치환
+ */
+const REDACTION_RULES = [
+  // 토큰은 값이 비밀인 필드만 (accessToken, refreshToken, token …) — customerTokens, tokenExpiresAt 같은 이름은 제외
+  { name: 'secret', keys: /password|passwd|secret|^(access|refresh|id|session|challenge|reset|csrf)?_?token$|authorization|cookie|api[-_]?key|credential|recovery_?codes?|^otp$/i, replace: () => REDACTED },
+  { name: 'bearer', pattern: /Bearer\s+[\w.~+/-]+=*/gi, replace: () => `Bearer ${REDACTED}` },
+  { name: 'apiKey', pattern: /\bdpk_[0-9a-f]{16}_[0-9a-f]{48}\b/g, replace: (m) => `${m.slice(0, 20)}_${REDACTED}` },
+  { name: 'email', keys: /e-?mail/i, pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g, replace: (m) => (m.includes('@') ? maskEmail(m) : m) },
+  // 값 패턴은 국가번호(+) 로 시작하는 번호와 구분자가 있는 국내 번호(010-1234-5678)만 — 주문번호 등 붙은 긴 숫자는 건드리지 않음, 나머지는 필드 이름으로
+  { name: 'phone', keys: /phone|contact|mobile/i, pattern: /\+\d[\d\s-]{6,}\d|\b0\d{1,2}[\s-]\d{3,4}[\s-]\d{4}\b/g, replace: maskPhone },
+  // 사람 이름 / 주소는 필드 이름으로만 — productName 등 일반 name 필드는 그대로
+  { name: 'name', keys: /^(orderer|recipient|receiver|customer|person|depositor|account_?holder)_?(first_?|last_?)?name$|^(first|last|full)_?name$/i, replace: maskName },
+  { name: 'address', keys: /address|^postal_?code$|^zip_?code$/i, replace: () => REDACTED },
+];
+
+/**
+ * @param {{ rules?: Array, disable?: string[], extraSecretKeys?: string[] }} [options]
+ * @returns {Function} (value) => 마스킹된 사본
+ */
+function createRedactor({ rules = REDACTION_RULES, disable = [], extraSecretKeys = [] } = {}) {
+  const active = rules
+    .filter((rule) => !disable.includes(rule.name))
+    .map((rule) => (rule.name === 'secret' && extraSecretKeys.length > 0
+      ? { ...rule, keys: new RegExp(`${rule.keys.source}|${extraSecretKeys.map((k) => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')}`, 'i') }
+      : rule));
+  const patternRules = active.filter((rule) => rule.pattern);
+
+  function redactString(value) {
+    let out = value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…(${value.length} chars)` : value;
+    for (const rule of patternRules) out = out.replace(rule.pattern, (m) => rule.replace(m));
+    return out;
+  }
+
+  function redactKeyed(rule, value) {
+    if (value === null || value === undefined || value === '') return value;
+    return typeof value === 'string' && rule.name !== 'secret' ? rule.replace(value) : REDACTED;
+  }
+
+  function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactString(value);
+    if (value instanceof Error) return { name: value.name, message: redactString(value.message), stack: value.stack };
+    if (Buffer.isBuffer(value)) return `<Buffer ${value.length} bytes>`;
+    if (!value || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+    seen.add(value);
+    if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1, seen));
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      const rule = active.find((r) => r.keys && r.keys.test(key));
+      out[key] = rule ? redactKeyed(rule, v) : redact(v, depth + 1, seen);
+    }
+    return out;
+  }
+
+  return redact;
+}
+
+const requestContext = new AsyncLocalStorage();
+
+function getRequestId() {
+  const store = requestContext.getStore();
+  return store ? store.reqId : null;
+}
+
+// console 형식 인자 → { msg, data, err }
+function splitArgs(args) {
+  const parts = [];
+  const objects = [];
+  let err = null;
+  for (const arg of args) {
+    if (arg instanceof Error && !err) err = arg;
+    else if (arg && typeof arg === 'object') objects.push(arg);
+    else parts.push(typeof arg === 'string' ? arg : util.inspect(arg));
+  }
+  const msg = parts.join(' ').replace(/^\n+/, '').trimEnd();
+  const data = objects.length === 0 ? undefined : (objects.length === 1 ? objects[0] : objects);
+  return { msg, data, err };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} [options.level] - 최소 출력 레벨
+ * @param {'json'|'pretty'} [options.format]
+ * @param {Function} [options.redact] - createRedactor() 결과
+ * @param {Object} [options.bindings] - 모든 로그에 붙일 필드 (module 등)
+ * @param {{ write: Function }} [options.stream]
+ */
+function createLogger({ level = 'info', format = 'json', redact = createRedactor(), bindings = {}, stream = process.stdout } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  function write(levelName, args) {
+    if (LEVELS[levelName] < threshold) return;
+    const { msg, data, err } = splitArgs(args);
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      ...bindings,
+      reqId: getRequestId() || undefined,
+      msg: redact(msg),
+      data: data === undefined ? undefined : redact(data),
+      err: err ? redact(err) : undefined,
+    };
+    if (format === 'pretty') {
+      const extra = entry.data === undefined ? '' : ` ${util.inspect(entry.data, { depth: 4, breakLength: Infinity })}`;
+      const where = [entry.module, entry.reqId && entry.reqId.slice(0, 8)].filter(Boolean).join(' ');
+      stream.write(`${entry.time.slice(11, 23)} ${levelName.toUpperCase().padEnd(5)} ${where ? `[${where}] ` : ''}${entry.msg}${extra}${err ? `\n${entry.err.stack}` : ''}\n`);
+      return;
+    }
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    level,
+    debug: (...args) => write('debug', args),
+    info: (...args) => write('info', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args),
+    isLevelEnabled: (name) => LEVELS[name] >= threshold,
+    /**
+     * @param {Object} childBindings - 예: { module: 'fedex' }
+     */
+    child(childBindings) {
+      return createLogger({ level, format, redact, bindings: { ...bindings, ...childBindings }, stream });
+    },
+  };
+}
+
+/**
+ * 요청 로그 미들웨어 — 요청 ID 발급/전달 + 응답 완료 로그 (5xx error, 4xx warn, 나머지 info)
+ * @param {{ logger: Object, header?: string, skip?: Function }} options - skip(req) 가 true 면 완료 로그 생략 (ID 는 발급)
+ */
+function requestLogger({ logger, header = 'X-Request-Id', skip = () => false }) {
+  return (req, res, next) => {
+    const incoming = req.get(header);
+    const reqId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+    req.id = reqId;
+    res.setHeader(header, reqId);
+
+    requestContext.run({ reqId }, () => {
+      res.on('finish', () => {
+        if (skip(req)) return;
+        const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+        const levelName = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        logger[levelName]('request completed', {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          status: res.statusCode,
+          durationMs,
+          ip: req.ip,
+          contentLength: Number(res.get('Content-Length')) || undefined,
+        });
+      });
+      next();
+    });
+  };
+}
+
+function parseList(value) {
+  return String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+// 환경변수 기반 기본 로거 (서비스 모듈은 logger.child({ module }) 로 사용)
+const rootLogger = createLogger({
+  level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  format: process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json',
+  redact: createRedactor({ disable: parseList(process.env.LOG_REDACT_DISABLE), extraSecretKeys: parseList(process.env.LOG_REDACT_KEYS) }),
+});
+
+module.exports = {
+  ...rootLogger,
+  LEVELS,
+  REDACTION_RULES,
+  createLogger,
+  createRedactor,
+  requestLogger,
+  getRequestId,
+};
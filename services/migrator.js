@@ -0,0 +1,100 @@
+/**
+ * Schema/Data Migration Runner
+ *
+ * - migrations/NNN_name.js 파일을 번호순으로 적용
+ * - 각 마이그레이션은 { description, mysql?, sqlite?, data? } 를 export
+ *     mysql(ctx) / sqlite(ctx): 드라이버별 스키마 작업 (DDL, 테이블 변환 등) — 해당 훅이 없는 드라이버는 건너뜀
+ *     data(dataset, ctx): 데이터 형태 변경 — 모든 저장소에 동일한 함수로 적용 (결정적)
+ *     ctx: { storage, dataFile } — storage 는 services/storage 어댑터, dataFile 은 JSON 데이터 파일 경로
+ * - 적용 기록: 관계형(MySQL/SQLite) → schema_migrations 테이블, JSON → 데이터 파일의 schemaMigrations 배열
+ * - 서버는 기동 시 getPending() 으로 미적용 마이그레이션이 있으면 기동을 거부 (npm run migrate 필요)
+ */
+const fs = require('fs');
+const path = require('path');
+
+const jsonStore = require('./jsonStore');
+const logger = require('./logger').child({ module: 'migrator' });
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+const DRIVER_HOOKS = ['mysql', 'sqlite'];
+
+/**
+ * @returns {Array<{ id: string, name: string, description: string, mysql?: Function, sqlite?: Function, data?: Function }>}
+ */
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map((file) => file.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .sort((a, b) => a[1].localeCompare(b[1]))
+    .map(([file, id, name]) => {
+      const mod = require(path.join(MIGRATIONS_DIR, file));
+      const hooks = Object.fromEntries(DRIVER_HOOKS.filter((d) => mod[d]).map((d) => [d, mod[d]]));
+      return { id, name, description: mod.description || name, ...hooks, data: mod.data };
+    });
+}
+
+function readDataFile(dataFile) {
+  return jsonStore.readWithRecovery(dataFile).data || {};
+}
+
+/**
+ * 적용된 마이그레이션 목록
+ * @param {Object} storage - services/storage 어댑터 (연결된 상태)
+ */
+async function getApplied(storage) {
+  return storage.getAppliedMigrations();
+}
+
+async function getPending(storage) {
+  const appliedIds = new Set((await getApplied(storage)).map((m) => m.id));
+  return listMigrations().filter((m) => !appliedIds.has(m.id));
+}
+
+/**
+ * 미적용 마이그레이션을 순서대로 적용
+ * @param {Object} storage - services/storage 어댑터 (연결된 상태)
+ * @param {{ dataFile: string }} options - JSON 데이터 파일 (관계형 저장소로의 이관 원본)
+ * @returns {Array<{ id: string, name: string }>} 이번에 적용된 마이그레이션
+ */
+async function runPending(storage, { dataFile }) {
+  const pending = await getPending(storage);
+  const ctx = { storage, dataFile };
+  const applied = [];
+
+  if (storage.relational) {
+    for (const migration of pending) {
+      logger.info(`▶️  [migrate] ${migration.id}_${migration.name}: ${migration.description}`);
+      if (migration[storage.name]) await migration[storage.name](ctx);
+      if (migration.data) {
+        const dataset = (await storage.load()) || {};
+        await migration.data(dataset, ctx);
+        await storage.save(dataset);
+      }
+      await storage.recordMigration(migration.id, migration.name);
+      applied.push({ id: migration.id, name: migration.name });
+    }
+    return applied;
+  }
+
+  // JSON 파일: 메모리에서 순서대로 적용 후, 마이그레이션마다 기록과 함께 저장
+  const data = readDataFile(storage.dataFile);
+  data.schemaMigrations = data.schemaMigrations || [];
+  for (const migration of pending) {
+    logger.info(`▶️  [migrate] ${migration.id}_${migration.name}: ${migration.description}`);
+    if (migration.data) await migration.data(data, ctx);
+    data.schemaMigrations.push({ id: migration.id, name: migration.name, appliedAt: new Date().toISOString() });
+    jsonStore.writeJsonAtomic(storage.dataFile, data);
+    applied.push({ id: migration.id, name: migration.name });
+  }
+  return applied;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  listMigrations,
+  getApplied,
+  getPending,
+  runPending,
+};
@@ -7,13 +7,14 @@
  */
 
 const nodeFetch = typeof globalThis.fetch === 'function' ? globalThis.fetch : require('node-fetch');
+const logger = require('./logger').child({ module: 'notification' });
 
 async function notifyAdminNewOrder(order) {
   const token = process.env.TELEGRAM_BOT_TOKEN;
   const chatId = process.env.TELEGRAM_CHAT_ID;
 
   if (!token || !chatId) {
-    console.log('[Notification] TELEGRAM_BOT_TOKEN or TELEGRAM_CHAT_ID not set — skipping');
+    logger.info('[Notification] TELEGRAM_BOT_TOKEN or TELEGRAM_CHAT_ID not set — skipping');
     return;
   }
 
@@ -48,12 +49,12 @@ async function notifyAdminNewOrder(order) {
 
     const data = await response.json();
     if (data.ok) {
-      console.log('[Notification] Telegram message sent');
+      logger.info('[Notification] Telegram message sent');
     } else {
-      console.error('[Notification] Telegram error:', data.description);
+      logger.error('[Notification] Telegram error:', data.description);
     }
   } catch (err) {
-    console.error('[Notification] Telegram send failed:', err.message);
+    logger.error('[Notification] Telegram send failed:', err.message);
   }
 }
 
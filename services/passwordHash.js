@@ -0,0 +1,67 @@
+/**
+ * 비밀번호 해시 — scrypt + 계정별 무작위 salt
+ *
+ * - 저장 형식: "scrypt$N$r$p$<salt base64>$<hash base64>" (파라미터를 함께 저장 → 나중에 강도를 올려도 기존 해시 검증 가능)
+ * - 이 형식이 아닌 저장값은 이전 평문 비밀번호로 보고 비교, 일치하면 needsRehash → 호출부가 로그인 성공 시 해시로 교체
+ */
+const crypto = require('crypto');
+
+const PREFIX = 'scrypt';
+const DEFAULT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+// N=2^17 까지 허용 (128 * N * r 바이트)
+const MAX_MEM = 256 * 1024 * 1024;
+
+function parseHash(stored) {
+  if (typeof stored !== 'string') return null;
+  const parts = stored.split('$');
+  if (parts.length !== 6 || parts[0] !== PREFIX) return null;
+  const [N, r, p] = parts.slice(1, 4).map(Number);
+  if (![N, r, p].every((n) => Number.isInteger(n) && n > 0)) return null;
+  return { N, r, p, salt: Buffer.from(parts[4], 'base64'), hash: Buffer.from(parts[5], 'base64') };
+}
+
+function isPasswordHash(stored) {
+  return parseHash(stored) !== null;
+}
+
+/**
+ * @param {string} password - 평문
+ * @returns {string} 저장용 해시 문자열
+ */
+function hashPassword(password) {
+  const { N, r, p } = DEFAULT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = crypto.scryptSync(String(password), salt, KEY_BYTES, { N, r, p, maxmem: MAX_MEM });
+  return [PREFIX, N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * @param {string} password - 입력된 평문
+ * @param {string} stored - 저장값 (해시 또는 이전 평문)
+ * @returns {{ ok: boolean, needsRehash: boolean }} needsRehash: 일치했지만 평문이거나 기본값보다 약한 파라미터
+ */
+function verifyPassword(password, stored) {
+  if (!password || !stored) return { ok: false, needsRehash: false };
+  const parsed = parseHash(stored);
+
+  if (!parsed) {
+    const a = Buffer.from(String(password));
+    const b = Buffer.from(String(stored));
+    const ok = a.length === b.length && crypto.timingSafeEqual(a, b);
+    return { ok, needsRehash: ok };
+  }
+
+  let actual;
+  try {
+    actual = crypto.scryptSync(String(password), parsed.salt, parsed.hash.length, { N: parsed.N, r: parsed.r, p: parsed.p, maxmem: MAX_MEM });
+  } catch (e) {
+    return { ok: false, needsRehash: false };
+  }
+  const ok = actual.length === parsed.hash.length && crypto.timingSafeEqual(actual, parsed.hash);
+  const weaker = parsed.N < DEFAULT_PARAMS.N || parsed.r < DEFAULT_PARAMS.r || parsed.p < DEFAULT_PARAMS.p;
+  return { ok, needsRehash: ok && weaker };
+}
+
+module.exports = { hashPassword, verifyPassword, isPasswordHash };
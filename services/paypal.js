@@ -5,6 +5,7 @@
 
 // Node.js < 18 fetch polyfill
 const nodeFetch = typeof globalThis.fetch === 'function' ? globalThis.fetch : require('node-fetch');
+const logger = require('./logger').child({ module: 'paypal' });
 
 const PAYPAL_MODE = process.env.PAYPAL_MODE || 'production';
 const PAYPAL_API_BASE = PAYPAL_MODE === 'sandbox'
@@ -18,11 +19,11 @@ async function getAccessToken() {
   const clientId = process.env.PAYPAL_CLIENT_ID;
   const clientSecret = process.env.PAYPAL_CLIENT_SECRET;
 
-  console.log('\n=== [PayPal] Authentication Debug ===');
-  console.log('PAYPAL_MODE:', PAYPAL_MODE);
-  console.log('API Base:', PAYPAL_API_BASE);
-  console.log('Client ID loaded:', clientId ? `${clientId.substring(0, 10)}...` : 'NOT SET');
-  console.log('Client Secret loaded:', clientSecret ? `${clientSecret.substring(0, 10)}...` : 'NOT SET');
+  logger.debug('[PayPal] Authentication Debug');
+  logger.info('PAYPAL_MODE:', PAYPAL_MODE);
+  logger.info('API Base:', PAYPAL_API_BASE);
+  logger.info('Client ID loaded:', clientId ? `${clientId.substring(0, 10)}...` : 'NOT SET');
+  logger.info('Client Secret loaded:', clientSecret ? `${clientSecret.substring(0, 10)}...` : 'NOT SET');
 
   if (!clientId || !clientSecret) {
     throw new Error('PayPal credentials not configured. Set PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET environment variables.');
@@ -87,8 +88,8 @@ async function createOrder({ orderId, amount, orderName, currency = 'USD' }) {
     },
   };
 
-  console.log('\n=== [PayPal] Creating Order ===');
-  console.log('Payload:', JSON.stringify(payload, null, 2));
+  logger.debug('[PayPal] Creating Order');
+  logger.debug('Payload:', payload);
 
   const response = await nodeFetch(`${PAYPAL_API_BASE}/v2/checkout/orders`, {
     method: 'POST',
@@ -102,11 +103,11 @@ async function createOrder({ orderId, amount, orderName, currency = 'USD' }) {
   const data = await response.json();
 
   if (!response.ok) {
-    console.error('PayPal create order error:', data);
+    logger.error('PayPal create order error:', data);
     throw new Error(data.message || 'Failed to create PayPal order');
   }
 
-  console.log('PayPal Order Created:', data.id);
+  logger.info('PayPal Order Created:', data.id);
   return data;
 }
 
@@ -117,8 +118,8 @@ async function createOrder({ orderId, amount, orderName, currency = 'USD' }) {
 async function captureOrder(paypalOrderId) {
   const accessToken = await getAccessToken();
 
-  console.log('\n=== [PayPal] Capturing Order ===');
-  console.log('PayPal Order ID:', paypalOrderId);
+  logger.debug('[PayPal] Capturing Order');
+  logger.info('PayPal Order ID:', paypalOrderId);
 
   const response = await nodeFetch(`${PAYPAL_API_BASE}/v2/checkout/orders/${paypalOrderId}/capture`, {
     method: 'POST',
@@ -131,11 +132,11 @@ async function captureOrder(paypalOrderId) {
   const data = await response.json();
 
   if (!response.ok) {
-    console.error('PayPal capture error:', data);
+    logger.error('PayPal capture error:', data);
     throw new Error(data.message || 'Failed to capture PayPal order');
   }
 
-  console.log('PayPal Order Captured:', data.status);
+  logger.info('PayPal Order Captured:', data.status);
   return data;
 }
 
@@ -171,8 +172,8 @@ async function getOrder(paypalOrderId) {
 async function refundPayment(captureId, refundData = {}) {
   const accessToken = await getAccessToken();
 
-  console.log('\n=== [PayPal] Refunding Payment ===');
-  console.log('Capture ID:', captureId);
+  logger.debug('[PayPal] Refunding Payment');
+  logger.info('Capture ID:', captureId);
 
   const response = await nodeFetch(`${PAYPAL_API_BASE}/v2/payments/captures/${captureId}/refund`, {
     method: 'POST',
@@ -186,11 +187,11 @@ async function refundPayment(captureId, refundData = {}) {
   const data = await response.json();
 
   if (!response.ok) {
-    console.error('PayPal refund error:', data);
+    logger.error('PayPal refund error:', data);
     throw new Error(data.message || 'Failed to refund PayPal payment');
   }
 
-  console.log('PayPal Refund Completed:', data.status);
+  logger.info('PayPal Refund Completed:', data.status);
   return data;
 }
 
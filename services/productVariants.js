@@ -0,0 +1,297 @@
+/**
+ * 상품 옵션 축 / SKU 변형(variant)
+ *
+ * - productOptions: 옵션 축 [{ code: 'shade', name: 'Shade', values: [{ code: 'ROSE', name: 'Rose' }, ...] }]
+ *   값 객체의 다른 필드(swatch 등)는 그대로 보관
+ *   예전 형식(축 없이 옵션 값만 나열한 배열)은 축 하나('option')로 해석 — toOptionAxes()
+ * - variants: 축 값 조합마다 SKU 하나
+ *   { sku, options: { shade: 'ROSE', size: '30ML' }, name, priceDelta, barcode, images, weight(kg), active, stock }
+ *   축의 모든 조합을 만들고, 요청의 variants 는 options 조합(또는 기존 sku)으로 찾아 속성을 덮어씀
+ * - stock 은 services/inventory.js 가 관리 — 요청 본문 값은 무시하고 같은 SKU(없으면 같은 조합)의 기존 재고를 이어 붙임
+ * - 주문 라인은 sku 로 변형을 참조, 가격은 상품 가격 + priceDelta
+ */
+const MAX_OPTION_AXES = 3;
+const MAX_AXIS_VALUES = 50;
+const MAX_VARIANTS = 200;
+const MAX_VARIANT_IMAGES = 10;
+const LEGACY_AXIS = { code: 'option', name: 'Option' };
+
+/**
+ * 옵션 값(문자열/객체) → 값 코드
+ * 문자열·숫자는 그대로, 객체는 code → value → name 순
+ */
+function optionKeyOf(option) {
+  if (option === null || option === undefined) return null;
+  if (typeof option !== 'object') return String(option);
+  const key = option.code ?? option.value ?? option.name;
+  return key === undefined || key === null ? null : String(key);
+}
+
+function isAxisList(productOptions) {
+  return productOptions.some((o) => o && typeof o === 'object' && Array.isArray(o.values));
+}
+
+/**
+ * productOptions → 옵션 축 배열 (예전 평면 형식은 축 하나로 변환, 검증은 하지 않음)
+ */
+function toOptionAxes(productOptions) {
+  if (!Array.isArray(productOptions) || productOptions.length === 0) return [];
+  if (isAxisList(productOptions)) return productOptions;
+  return [{ ...LEGACY_AXIS, values: productOptions }];
+}
+
+function hasVariants(product) {
+  return Boolean(product) && Array.isArray(product.variants) && product.variants.length > 0;
+}
+
+// 조합 키 — 축 순서대로 값 코드를 이어 붙임
+function comboKeyOf(axes, options) {
+  return axes.map((axis) => (options || {})[axis.code] ?? '').join('\u0000');
+}
+
+function defaultSku(productCode, values) {
+  return [productCode, ...values].join('-').toUpperCase().replace(/[^\w-]/g, '');
+}
+
+// 축 값의 조합 (카티전 곱) → [{ axisCode: valueCode }]
+function combinationsOf(axes) {
+  return axes.reduce(
+    (combos, axis) => combos.flatMap((combo) => axis.values.map((value) => ({ ...combo, [axis.code]: value.code }))),
+    [{}],
+  );
+}
+
+/**
+ * 관리자 요청의 productOptions 검증 + 정규화
+ * @returns {{ axes: Array, errors: string[] }}
+ */
+function normalizeOptionAxes(productOptions) {
+  const errors = [];
+  if (productOptions !== undefined && productOptions !== null && !Array.isArray(productOptions)) {
+    return { axes: [], errors: ['productOptions는 배열이어야 합니다.'] };
+  }
+  const axes = toOptionAxes(productOptions).map((axis) => {
+    const code = String(axis?.code ?? axis?.name ?? '').trim();
+    const values = (Array.isArray(axis?.values) ? axis.values : []).map((value) => {
+      const valueCode = (optionKeyOf(value) ?? '').trim();
+      const base = value && typeof value === 'object' ? value : {};
+      return { ...base, code: valueCode, name: base.name ?? valueCode };
+    });
+    return { code, name: axis?.name ?? code, values };
+  });
+
+  if (axes.length > MAX_OPTION_AXES) errors.push(`옵션 축은 최대 ${MAX_OPTION_AXES}개까지 등록 가능합니다.`);
+  const axisCodes = new Set();
+  for (const axis of axes) {
+    if (!axis.code) errors.push('옵션 축 code(또는 name)는 필수입니다.');
+    else if (axisCodes.has(axis.code)) errors.push(`옵션 축 code가 중복됩니다: ${axis.code}`);
+    axisCodes.add(axis.code);
+
+    if (axis.values.length === 0) errors.push(`옵션 축 ${axis.code}에 값이 없습니다.`);
+    if (axis.values.length > MAX_AXIS_VALUES) errors.push(`옵션 축 ${axis.code}의 값은 최대 ${MAX_AXIS_VALUES}개까지 등록 가능합니다.`);
+    const valueCodes = new Set();
+    for (const value of axis.values) {
+      if (!value.code) errors.push(`옵션 축 ${axis.code}에 code 없는 값이 있습니다.`);
+      else if (valueCodes.has(value.code)) errors.push(`옵션 축 ${axis.code}의 값 code가 중복됩니다: ${value.code}`);
+      valueCodes.add(value.code);
+    }
+  }
+  return { axes, errors };
+}
+
+/**
+ * 옵션 축 조합으로 SKU 목록 생성
+ * @param {Object} params
+ * @param {string} params.productCode
+ * @param {Array} params.axes - normalizeOptionAxes() 결과
+ * @param {Array} [params.requested] - 요청의 variants (options 조합 또는 sku 로 대상 지정)
+ * @param {Array} [params.previous] - 수정 전 variants (SKU·속성·재고 유지)
+ * @param {number} [params.basePrice] - 상품 판매가 (priceDelta 적용 후 0 이하 금지)
+ * @param {Function} [params.resolveImage] - variants[].images 항목 → URL (기본: 문자열만 허용)
+ * @returns {{ variants: Array, errors: string[] }}
+ */
+function buildVariants({ productCode, axes, requested = [], previous = [], basePrice = null, resolveImage = (img) => (typeof img === 'string' ? img : null) }) {
+  const errors = [];
+  if (requested !== undefined && requested !== null && !Array.isArray(requested)) {
+    return { variants: [], errors: ['variants는 배열이어야 합니다.'] };
+  }
+  requested = requested || [];
+  previous = previous || [];
+  if (axes.length === 0) {
+    if (requested.length > 0) errors.push('옵션 축(productOptions) 없이 variants를 지정할 수 없습니다.');
+    const reserved = previous.filter((v) => v.stock && v.stock.reserved > 0);
+    if (reserved.length > 0) errors.push(`결제 대기 주문에 예약된 SKU는 삭제할 수 없습니다: ${reserved.map((v) => v.sku).join(', ')}`);
+    return { variants: [], errors };
+  }
+
+  const combos = combinationsOf(axes);
+  if (combos.length > MAX_VARIANTS) {
+    return { variants: [], errors: [`옵션 조합(SKU)은 최대 ${MAX_VARIANTS}개까지 가능합니다. (현재 ${combos.length}개)`] };
+  }
+  const comboKeys = new Set(combos.map((combo) => comboKeyOf(axes, combo)));
+  const previousBySku = new Map(previous.map((v) => [v.sku, v]));
+  const previousByCombo = new Map(previous.map((v) => [comboKeyOf(axes, v.options), v]));
+
+  // 요청 항목 → 조합 키 (options 가 없으면 기존 sku 의 조합)
+  const requestedByCombo = new Map();
+  for (const entry of requested) {
+    const options = entry && entry.options ? entry.options : previousBySku.get(entry?.sku)?.options;
+    const key = options ? comboKeyOf(axes, options) : null;
+    if (!key || !comboKeys.has(key)) {
+      errors.push(`없는 옵션 조합의 variant입니다: ${entry?.sku || JSON.stringify(entry?.options || {})}`);
+      continue;
+    }
+    if (requestedByCombo.has(key)) errors.push(`같은 옵션 조합의 variant가 중복됩니다: ${JSON.stringify(options)}`);
+    requestedByCombo.set(key, entry);
+  }
+
+  const carried = new Set();
+  const variants = combos.map((options) => {
+    const key = comboKeyOf(axes, options);
+    const entry = requestedByCombo.get(key) || {};
+    const prev = (entry.sku && previousBySku.get(entry.sku)) || previousByCombo.get(key) || null;
+    if (prev) carried.add(prev);
+    const pick = (field, fallback) => (entry[field] !== undefined ? entry[field] : prev?.[field] ?? fallback);
+    const valueCodes = axes.map((axis) => options[axis.code]);
+    const sku = String(pick('sku', defaultSku(productCode, valueCodes))).trim();
+
+    const priceDelta = Number(pick('priceDelta', 0));
+    if (!Number.isFinite(priceDelta)) errors.push(`${sku}: priceDelta는 숫자여야 합니다.`);
+    else if (basePrice !== null && basePrice + priceDelta <= 0) errors.push(`${sku}: priceDelta 적용 후 가격이 0보다 커야 합니다.`);
+
+    const weight = pick('weight', null);
+    if (weight !== null && !(Number(weight) > 0)) errors.push(`${sku}: weight(kg)는 0보다 커야 합니다.`);
+
+    const barcode = pick('barcode', null);
+    const imageInputs = pick('images', []);
+    let images = [];
+    if (!Array.isArray(imageInputs) || imageInputs.length > MAX_VARIANT_IMAGES) {
+      errors.push(`${sku}: images는 최대 ${MAX_VARIANT_IMAGES}개 배열이어야 합니다.`);
+    } else {
+      images = imageInputs.map((img, index) => {
+        const url = img && typeof img === 'object' && img.url ? img.url : resolveImage(img);
+        if (!url) errors.push(`${sku}: 잘못된 이미지 항목입니다 (${index + 1}번째).`);
+        return { code: `${sku}-I${index + 1}`, url, order: index + 1 };
+      });
+    }
+
+    const variant = {
+      sku,
+      options,
+      name: axes.map((axis) => axis.values.find((v) => v.code === options[axis.code]).name).join(' / '),
+      priceDelta: Number.isFinite(priceDelta) ? priceDelta : 0,
+      barcode: barcode === null || barcode === '' ? null : String(barcode).trim(),
+      images,
+      weight: weight === null ? null : Number(weight),
+      active: pick('active', true) !== false,
+    };
+    if (prev && prev.stock) variant.stock = prev.stock;
+    return variant;
+  });
+
+  const skus = new Set();
+  for (const variant of variants) {
+    if (!variant.sku) errors.push('sku는 빈 값일 수 없습니다.');
+    else if (skus.has(variant.sku)) errors.push(`sku가 중복됩니다: ${variant.sku}`);
+    skus.add(variant.sku);
+  }
+  const barcodes = variants.map((v) => v.barcode).filter(Boolean);
+  const duplicateBarcode = barcodes.find((b, i) => barcodes.indexOf(b) !== i);
+  if (duplicateBarcode) errors.push(`barcode가 중복됩니다: ${duplicateBarcode}`);
+
+  // 조합에서 빠진 기존 SKU 에 결제 대기 예약이 있으면 삭제 불가 (예약 해제 시 재고 대상이 사라짐)
+  const dropped = previous.filter((v) => !carried.has(v) && v.stock && v.stock.reserved > 0);
+  if (dropped.length > 0) errors.push(`결제 대기 주문에 예약된 SKU는 삭제할 수 없습니다: ${dropped.map((v) => v.sku).join(', ')}`);
+
+  return { variants, errors };
+}
+
+/**
+ * 고객 주문의 선택 옵션 → 변형
+ * selection: sku 문자열 / { axisCode: valueCode } / [{ axis, value }] / 값 목록(문자열·{ code }) — 값 목록은 그 값을 가진 축에 배정
+ * @returns {{ variant: Object } | { reason: 'OPTION_REQUIRED'|'VARIANT_NOT_FOUND'|'VARIANT_INACTIVE' }}
+ */
+function resolveVariant(product, { sku, selectedOptions } = {}) {
+  const axes = toOptionAxes(product.productOptions);
+  let variant = null;
+  if (sku) {
+    variant = product.variants.find((v) => v.sku === sku) || null;
+    if (!variant) return { reason: 'VARIANT_NOT_FOUND' };
+  } else {
+    const chosen = {};
+    if (Array.isArray(selectedOptions)) {
+      for (const item of selectedOptions) {
+        if (item && typeof item === 'object' && item.axis !== undefined) {
+          chosen[item.axis] = String(item.value);
+          continue;
+        }
+        const valueCode = optionKeyOf(item);
+        const axis = axes.find((a) => chosen[a.code] === undefined && a.values.some((v) => optionKeyOf(v) === valueCode));
+        if (axis) chosen[axis.code] = valueCode;
+      }
+    } else if (selectedOptions && typeof selectedOptions === 'object') {
+      Object.assign(chosen, selectedOptions);
+    }
+    if (axes.some((axis) => chosen[axis.code] === undefined)) return { reason: 'OPTION_REQUIRED' };
+    const key = comboKeyOf(axes, chosen);
+    variant = product.variants.find((v) => comboKeyOf(axes, v.options) === key) || null;
+    if (!variant) return { reason: 'VARIANT_NOT_FOUND' };
+  }
+  if (variant.active === false) return { reason: 'VARIANT_INACTIVE' };
+  return { variant };
+}
+
+/**
+ * 주문 라인에 남기는 변형 정보 (이후 상품 수정과 무관한 주문 시점 값)
+ */
+function variantLineFields(variant) {
+  return variant
+    ? { sku: variant.sku, variantName: variant.name, variantOptions: variant.options, priceDelta: variant.priceDelta }
+    : { sku: null, variantName: null, variantOptions: null, priceDelta: 0 };
+}
+
+/**
+ * 예전 평면 productOptions 상품 → 옵션 축 + variants (마이그레이션용)
+ * 옵션 값마다 SKU 하나, 옵션의 stock 은 SKU 로 옮김
+ * @returns {Map<string, string>} 예전 옵션 키 → sku
+ */
+function convertLegacyOptions(product) {
+  const skuByOptionKey = new Map();
+  const legacy = product.productOptions;
+  if (!Array.isArray(legacy) || legacy.length === 0 || isAxisList(legacy)) return skuByOptionKey;
+
+  const options = legacy.filter((o) => optionKeyOf(o) !== null);
+  product.productOptions = [{
+    ...LEGACY_AXIS,
+    values: options.map((o) => {
+      if (o && typeof o === 'object') {
+        const { stock, ...rest } = o;
+        return { ...rest, code: optionKeyOf(o), name: rest.name ?? optionKeyOf(o) };
+      }
+      return { code: String(o), name: String(o) };
+    }),
+  }];
+  const axes = product.productOptions;
+  const { variants } = buildVariants({ productCode: product.productCode, axes });
+  for (const variant of variants) {
+    const optionKey = variant.options[LEGACY_AXIS.code];
+    const source = options.find((o) => optionKeyOf(o) === optionKey);
+    if (source && typeof source === 'object' && source.stock) variant.stock = source.stock;
+    skuByOptionKey.set(optionKey, variant.sku);
+  }
+  product.variants = variants;
+  return skuByOptionKey;
+}
+
+module.exports = {
+  MAX_OPTION_AXES,
+  MAX_VARIANTS,
+  optionKeyOf,
+  toOptionAxes,
+  hasVariants,
+  normalizeOptionAxes,
+  buildVariants,
+  resolveVariant,
+  variantLineFields,
+  convertLegacyOptions,
+};
@@ -0,0 +1,232 @@
+/**
+ * 로그인 / OTP / 가입 남용 방지 — 규칙(rule)별 슬라이딩 윈도 요청 제한 + 점진적 계정 잠금
+ *
+ * - 슬라이딩 윈도: 규칙마다 IP 기준(maxPerIp), 식별자 기준(maxPerIdentifier — 로그인 ID, 전화번호, 이메일 등) 요청 수 제한
+ *   키마다 최근 요청 시각을 최대 한도만큼만 보관 → 한도에 닿으면 가장 오래된 요청이 윈도를 벗어날 때까지 차단
+ * - 점진적 잠금(lockout): 응답 상태가 failureStatuses 인 요청을 식별자별로 세어 threshold 회 연속 실패 시 잠금,
+ *   잠길 때마다 잠금 시간 2배 (baseMs → maxMs), 성공(2xx) 시 초기화, resetMs 동안 실패가 없으면 잠금 단계도 초기화
+ * - 차단된 요청은 기록하지 않고(윈도 미소모) onBlocked 로 전달 → createBlockedAttemptLog() 로 JSONL 파일에 남김
+ * - 제한/잠금 상태는 메모리에만 보관 (재시작 시 초기화)
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').child({ module: 'rateLimiter' });
+
+/**
+ * @typedef {Object} RateLimitRule
+ * @property {number} windowMs
+ * @property {number} [maxPerIp] - 생략/0 이면 IP 기준 제한 없음
+ * @property {number} [maxPerIdentifier] - 생략/0 이면 식별자 기준 제한 없음
+ * @property {{ threshold: number, baseMs: number, maxMs: number, resetMs: number, failureStatuses: number[] }} [lockout]
+ */
+
+/**
+ * @param {{ rules: Object<string, RateLimitRule>, onBlocked?: Function }} options
+ *   onBlocked({ rule, reason: 'ip'|'identifier'|'lockout', ip, identifier, route, retryAfterMs })
+ */
+function createRateLimiter({ rules, onBlocked = () => {} }) {
+  const windows = new Map(); // `${rule}|ip|${ip}` / `${rule}|id|${identifier}` → 요청 시각 배열 (오래된 순)
+  const lockouts = new Map(); // `${rule}|${identifier}` → { failures, level, lockedUntil, lastFailureAt }
+
+  function getRule(name) {
+    const rule = rules[name];
+    if (!rule) throw new Error(`알 수 없는 rate limit 규칙: ${name}`);
+    return rule;
+  }
+
+  // 윈도 한도 초과 시 남은 대기 시간(ms), 아니면 0
+  function windowRetryAfter(key, max, windowMs, now) {
+    if (!max) return 0;
+    const hits = (windows.get(key) || []).filter((t) => t > now - windowMs);
+    if (hits.length === 0) windows.delete(key);
+    else windows.set(key, hits);
+    return hits.length >= max ? hits[hits.length - max] + windowMs - now : 0;
+  }
+
+  function recordHit(key, max, now) {
+    if (!max) return;
+    const hits = windows.get(key) || [];
+    hits.push(now);
+    if (hits.length > max) hits.splice(0, hits.length - max);
+    windows.set(key, hits);
+  }
+
+  function lockRetryAfter(key, now) {
+    const state = lockouts.get(key);
+    return state && state.lockedUntil > now ? state.lockedUntil - now : 0;
+  }
+
+  // 실패 기록 — 이번 실패로 잠겼으면 잠금 시간(ms), 아니면 0
+  function recordFailure(name, identifier, now = Date.now()) {
+    const { lockout } = getRule(name);
+    if (!lockout || !identifier) return 0;
+    const key = `${name}|${identifier}`;
+    const state = lockouts.get(key) || { failures: 0, level: 0, lockedUntil: 0, lastFailureAt: 0 };
+    if (state.lastFailureAt && now - state.lastFailureAt > lockout.resetMs) {
+      state.failures = 0;
+      state.level = 0;
+    }
+    state.failures += 1;
+    state.lastFailureAt = now;
+    let lockedMs = 0;
+    if (state.failures >= lockout.threshold) {
+      lockedMs = Math.min(lockout.baseMs * (2 ** state.level), lockout.maxMs);
+      state.lockedUntil = now + lockedMs;
+      state.level += 1;
+      state.failures = 0;
+    }
+    lockouts.set(key, state);
+    return lockedMs;
+  }
+
+  function recordSuccess(name, identifier) {
+    if (identifier) lockouts.delete(`${name}|${identifier}`);
+  }
+
+  return {
+    rules,
+
+    /**
+     * 라우트 미들웨어
+     * @param {string} name - 규칙 이름
+     * @param {Function} [getIdentifier] - (req) => string|null (소문자 정규화 등은 호출부에서)
+     */
+    middleware(name, getIdentifier = () => null) {
+      const rule = getRule(name);
+      return (req, res, next) => {
+        const now = Date.now();
+        const ip = req.ip || 'unknown';
+        const identifier = getIdentifier(req) || null;
+        const route = `${req.method} ${req.path}`;
+        const ipKey = `${name}|ip|${ip}`;
+        const idKey = identifier ? `${name}|id|${identifier}` : null;
+
+        const checks = [
+          ['lockout', identifier && rule.lockout ? lockRetryAfter(`${name}|${identifier}`, now) : 0],
+          ['ip', windowRetryAfter(ipKey, rule.maxPerIp, rule.windowMs, now)],
+          ['identifier', idKey ? windowRetryAfter(idKey, rule.maxPerIdentifier, rule.windowMs, now) : 0],
+        ];
+        const blocked = checks.find(([, retryAfterMs]) => retryAfterMs > 0);
+        if (blocked) {
+          const [reason, retryAfterMs] = blocked;
+          onBlocked({ rule: name, reason, ip, identifier, route, retryAfterMs });
+          res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+          return res.status(429).json({
+            ok: false,
+            data: { retryAfterSeconds: Math.ceil(retryAfterMs / 1000), reason },
+            message: reason === 'lockout'
+              ? 'Too many failed attempts. This account is temporarily locked.'
+              : 'Too many requests. Please try again later.',
+          });
+        }
+
+        recordHit(ipKey, rule.maxPerIp, now);
+        if (idKey) recordHit(idKey, rule.maxPerIdentifier, now);
+        if (rule.lockout && identifier) {
+          res.on('finish', () => {
+            if (rule.lockout.failureStatuses.includes(res.statusCode)) {
+              const lockedMs = recordFailure(name, identifier);
+              if (lockedMs > 0) logger.info(`🔒 계정 잠금 [${name}] ${identifier} — ${Math.round(lockedMs / 1000)}초`);
+            } else if (res.statusCode >= 200 && res.statusCode < 300) {
+              recordSuccess(name, identifier);
+            }
+          });
+        }
+        next();
+      };
+    },
+
+    /**
+     * 현재 잠긴 식별자 목록
+     * @returns {Array<{ rule: string, identifier: string, level: number, lockedUntil: string }>}
+     */
+    listLockouts() {
+      const now = Date.now();
+      return [...lockouts.entries()]
+        .filter(([, state]) => state.lockedUntil > now)
+        .map(([key, state]) => {
+          const sep = key.indexOf('|');
+          return { rule: key.slice(0, sep), identifier: key.slice(sep + 1), level: state.level, lockedUntil: new Date(state.lockedUntil).toISOString() };
+        });
+    },
+
+    /**
+     * 잠금 해제 (운영자 수동 해제)
+     * @returns {boolean}
+     */
+    unlock(name, identifier) {
+      return lockouts.delete(`${name}|${identifier}`);
+    },
+
+    /**
+     * 만료된 윈도/잠금 상태 정리 (주기 작업)
+     */
+    sweep(now = Date.now()) {
+      const longestWindow = Math.max(...Object.values(rules).map((r) => r.windowMs));
+      for (const [key, hits] of windows) {
+        if (hits[hits.length - 1] <= now - longestWindow) windows.delete(key);
+      }
+      for (const [key, state] of lockouts) {
+        const { lockout } = getRule(key.slice(0, key.indexOf('|')));
+        if (state.lockedUntil <= now && now - state.lastFailureAt > lockout.resetMs) lockouts.delete(key);
+      }
+    },
+  };
+}
+
+/**
+ * 차단 기록 — JSONL 파일 끝에 추가, 최근 keep 건은 메모리에 두고 조회
+ * @param {{ file: string, keep?: number }} options
+ */
+function createBlockedAttemptLog({ file, keep = 5000 }) {
+  let entries = [];
+
+  return {
+    file,
+
+    load() {
+      if (!fs.existsSync(file)) return 0;
+      entries = fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean).slice(-keep).map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          return null;
+        }
+      }).filter(Boolean);
+      return entries.length;
+    },
+
+    append(entry) {
+      const stored = { at: new Date().toISOString(), ...entry };
+      entries.push(stored);
+      if (entries.length > keep) entries.splice(0, entries.length - keep);
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(stored)}\n`);
+      } catch (e) {
+        logger.error('❌ 차단 기록 저장 실패:', e.message);
+      }
+    },
+
+    /**
+     * @param {{ rule?: string, reason?: string, ip?: string, identifier?: string, from?: string, to?: string }} filters
+     * @returns {Array} 최신순
+     */
+    query({ rule, reason, ip, identifier, from, to } = {}) {
+      const fromTime = from ? new Date(from).getTime() : null;
+      const toTime = to ? new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0) : null;
+      return entries.filter((e) => {
+        if (rule && e.rule !== rule) return false;
+        if (reason && e.reason !== reason) return false;
+        if (ip && e.ip !== ip) return false;
+        if (identifier && e.identifier !== identifier) return false;
+        const at = new Date(e.at).getTime();
+        if (fromTime !== null && at < fromTime) return false;
+        if (toTime !== null && at > toTime) return false;
+        return true;
+      }).reverse();
+    },
+  };
+}
+
+module.exports = { createRateLimiter, createBlockedAttemptLog };
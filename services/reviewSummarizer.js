@@ -7,6 +7,8 @@
  * - 템플릿 기반 요약문 생성
  */
 
+const logger = require('./logger').child({ module: 'reviewSummarizer' });
+
 // 카테고리별 키워드 사전 (한국어/영어)
 const KEYWORD_DICTIONARY = {
   // 제형 (Texture) - 메이크업/테크 포함
@@ -796,7 +798,7 @@ let beautyExpressions;
 try {
   beautyExpressions = require('./beautyExpressions.json');
 } catch (e) {
-  console.warn('beautyExpressions.json not found, using default expressions');
+  logger.warn('beautyExpressions.json not found, using default expressions');
   beautyExpressions = null;
 }
 
@@ -0,0 +1,200 @@
+/**
+ * 파트너/관리자 세션 — sessions 컬렉션에 저장 (저장소 계층 경유, 재배포 후에도 유지)
+ *
+ * - 종류(kind): b2b / seller / operator / customer, subjectId 는 각각 B2B id / sellerId / operatorId / 회원 code
+ * - 토큰 원문은 저장하지 않음: sessionId = sha256(token) → 저장본이 유출돼도 토큰으로 쓸 수 없음
+ * - deviceId: 로그인(기기)마다 고정 ID — 토큰을 교체(rotate)해도 유지, 고객 액세스 토큰의 sid 클레임으로 사용
+ * - rotate: 새 토큰 발급 + 이전 토큰 폐기, 이미 교체된 토큰이 다시 오면 탈취로 보고 그 기기 세션 삭제
+ * - 만료: 마지막 사용 후 idleTtlMs 가 지나면 만료, 사용할 때마다 연장(슬라이딩) — 단 생성 후 maxAgeMs 를 넘지 않음
+ * - 연장 기록은 renewIntervalMs 에 한 번만 저장 (요청마다 저장하지 않도록)
+ * - 배열은 제자리 수정(push / splice) → server.js 의 let 배열 참조 유지, 변경분은 onChange(target) 로 saveData 에 전달
+ */
+const crypto = require('crypto');
+
+const { createEntityIndex } = require('./entityIndex');
+
+const TOKEN_PREFIXES = { b2b: 'b2b', seller: 'seller', operator: 'op', customer: 'rt' };
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * @param {Object} options
+ * @param {Function} options.getList - 현재 sessions 배열 반환
+ * @param {Object<string, { idleTtlMs: number, maxAgeMs: number }>} options.policies - 종류별 만료 정책
+ * @param {number} [options.renewIntervalMs] - 슬라이딩 연장 저장 최소 간격
+ * @param {Function} options.onChange - (...targets) => void, saveData 와 같은 형식
+ */
+function createSessionStore({ getList, policies, renewIntervalMs = 60 * 1000, onChange }) {
+  const index = createEntityIndex(getList, {
+    id: { get: (s) => s.sessionId },
+    subject: { get: (s) => `${s.kind}:${s.subjectId}`, multi: true },
+    device: { get: (s) => s.deviceId },
+    previous: { get: (s) => s.previousSessionId },
+  });
+
+  function newToken(kind) {
+    return `${TOKEN_PREFIXES[kind]}_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  function isActive(session, now = Date.now()) {
+    return new Date(session.expiresAt).getTime() > now;
+  }
+
+  function removeWhere(predicate) {
+    const list = getList();
+    const removed = [];
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (predicate(list[i])) removed.push(...list.splice(i, 1));
+    }
+    if (removed.length > 0) {
+      index.invalidate();
+      onChange(...removed.map((s) => ['sessions', s.sessionId]));
+    }
+    return removed.length;
+  }
+
+  return {
+    /**
+     * @param {'b2b'|'seller'|'operator'} kind
+     * @param {string} subjectId
+     * @param {{ ip?: string, userAgent?: string }} [meta]
+     * @returns {{ token: string, session: Object }}
+     */
+    create(kind, subjectId, { ip, userAgent } = {}) {
+      const policy = policies[kind];
+      if (!policy) throw new Error(`알 수 없는 세션 종류: ${kind}`);
+      const token = newToken(kind);
+      const now = Date.now();
+      const session = {
+        sessionId: hashToken(token),
+        deviceId: crypto.randomUUID(),
+        kind,
+        subjectId,
+        createdAt: new Date(now).toISOString(),
+        lastSeenAt: new Date(now).toISOString(),
+        expiresAt: new Date(Math.min(now + policy.idleTtlMs, now + policy.maxAgeMs)).toISOString(),
+        ip: ip || null,
+        userAgent: userAgent ? String(userAgent).slice(0, 200) : null,
+      };
+      getList().push(session);
+      onChange(['sessions', session.sessionId]);
+      return { token, session };
+    },
+
+    /**
+     * 토큰 → 유효한 세션 (종류가 다르거나 만료면 null, 만료 세션은 삭제) + 슬라이딩 연장
+     */
+    resolve(kind, token) {
+      if (!token) return null;
+      const session = index.get('id', hashToken(token));
+      if (!session || session.kind !== kind) return null;
+      const now = Date.now();
+      if (!isActive(session, now)) {
+        removeWhere((s) => s === session);
+        return null;
+      }
+      if (now - new Date(session.lastSeenAt).getTime() >= renewIntervalMs) {
+        const policy = policies[kind];
+        const deadline = new Date(session.createdAt).getTime() + policy.maxAgeMs;
+        session.lastSeenAt = new Date(now).toISOString();
+        session.expiresAt = new Date(Math.min(now + policy.idleTtlMs, deadline)).toISOString();
+        onChange(['sessions', session.sessionId]);
+      }
+      return session;
+    },
+
+    /**
+     * 토큰 교체 — 유효한 토큰이면 새 토큰 발급(deviceId / createdAt 유지, 만료 연장), 이전 토큰은 즉시 무효
+     * 이미 교체된 직전 토큰이 다시 오면(재사용) 탈취로 보고 그 기기 세션을 삭제
+     * @returns {{ token: string, session: Object } | { reused: true, session: Object } | null}
+     */
+    rotate(kind, token) {
+      if (!token) return null;
+      const sessionId = hashToken(token);
+      const session = index.get('id', sessionId);
+      if (!session) {
+        const rotated = index.get('previous', sessionId);
+        if (!rotated || rotated.kind !== kind) return null;
+        removeWhere((s) => s === rotated);
+        return { reused: true, session: rotated };
+      }
+      if (session.kind !== kind) return null;
+      const now = Date.now();
+      if (!isActive(session, now)) {
+        removeWhere((s) => s === session);
+        return null;
+      }
+
+      const policy = policies[kind];
+      const deadline = new Date(session.createdAt).getTime() + policy.maxAgeMs;
+      const nextToken = newToken(kind);
+      session.previousSessionId = session.sessionId;
+      session.sessionId = hashToken(nextToken);
+      session.lastSeenAt = new Date(now).toISOString();
+      session.expiresAt = new Date(Math.min(now + policy.idleTtlMs, deadline)).toISOString();
+      index.touch(session.previousSessionId);
+      onChange(['sessions', session.previousSessionId], ['sessions', session.sessionId]);
+      return { token: nextToken, session };
+    },
+
+    /**
+     * 기기 ID → 유효한 세션 (슬라이딩 연장 없음 — 고객 액세스 토큰 검증용)
+     */
+    findDevice(kind, deviceId) {
+      const session = index.get('device', deviceId);
+      return session && session.kind === kind && isActive(session) ? session : null;
+    },
+
+    revokeDevice(kind, deviceId) {
+      return removeWhere((s) => s.kind === kind && s.deviceId === deviceId) > 0;
+    },
+
+    /**
+     * @returns {boolean} 토큰 세션 삭제 여부
+     */
+    revoke(token) {
+      if (!token) return false;
+      const sessionId = hashToken(token);
+      return removeWhere((s) => s.sessionId === sessionId) > 0;
+    },
+
+    revokeById(sessionId) {
+      return removeWhere((s) => s.sessionId === sessionId) > 0;
+    },
+
+    /**
+     * 한 계정의 모든 세션 삭제
+     * @param {{ exceptDeviceId?: string }} [options] 남겨 둘 기기 (지금 요청한 기기)
+     * @returns {number} 삭제된 세션 수
+     */
+    revokeAll(kind, subjectId, { exceptDeviceId } = {}) {
+      const targets = new Set(index.getAll('subject', `${kind}:${subjectId}`)
+        .filter((s) => !exceptDeviceId || s.deviceId !== exceptDeviceId));
+      return targets.size === 0 ? 0 : removeWhere((s) => targets.has(s));
+    },
+
+    /**
+     * 만료되지 않은 세션 목록 (최근 사용순)
+     * @param {{ kind?: string, subjectId?: string }} [filters]
+     */
+    list({ kind, subjectId } = {}) {
+      const now = Date.now();
+      return getList()
+        .filter((s) => isActive(s, now) && (!kind || s.kind === kind) && (!subjectId || s.subjectId === subjectId))
+        .sort((a, b) => new Date(b.lastSeenAt).getTime() - new Date(a.lastSeenAt).getTime());
+    },
+
+    /**
+     * 만료 세션 일괄 삭제 (기동 시 / 주기 작업)
+     * @returns {number}
+     */
+    purgeExpired() {
+      const now = Date.now();
+      return removeWhere((s) => !isActive(s, now));
+    },
+  };
+}
+
+module.exports = { createSessionStore, hashToken };
@@ -6,6 +6,7 @@
 
 const { searchProductReviews, extractHashtagsFromProduct } = require('./youtube');
 const tiktok = require('./tiktok');
+const logger = require('./logger').child({ module: 'snsReviewCollector' });
 
 // 상품별 최대 수집 개수
 const MAX_REVIEWS_PER_PRODUCT = 50;
@@ -20,7 +21,7 @@ let nextReviewId = 100;
  * 참조 설정 (server.js에서 호출)
  * @param {Array} snsReviews - SNS 리뷰 배열 참조
  * @param {Array} products - 상품 배열 참조
- * @param {Function} onSave - 데이터 저장 콜백 함수
+ * @param {Function} onSave - 데이터 저장 콜백 함수 (변경한 컬렉션 이름을 인자로 전달)
  */
 function setReferences(snsReviews, products, onSave) {
   snsReviewsRef = snsReviews;
@@ -34,14 +35,14 @@ function setReferences(snsReviews, products, onSave) {
  */
 async function collectYouTubeReviews() {
   if (!productsRef || !snsReviewsRef) {
-    console.error('❌ References not set. Call setReferences first.');
+    logger.error('❌ References not set. Call setReferences first.');
     return { success: false, collected: 0 };
   }
 
-  console.log('\n🎬 ========== YouTube 리뷰 수집 시작 ==========');
+  logger.info('🎬 YouTube 리뷰 수집 시작');
 
   const activeProducts = productsRef.filter(p => p.productSaleStatus === true);
-  console.log(`📦 활성 상품 수: ${activeProducts.length}`);
+  logger.info(`📦 활성 상품 수: ${activeProducts.length}`);
 
   let totalCollectedCount = 0;
 
@@ -51,9 +52,9 @@ async function collectYouTubeReviews() {
 
     // 해시태그 추출
     const hashtags = extractHashtagsFromProduct(product);
-    console.log(`\n🔍 상품 검색: ${product.productName}`);
+    logger.info(`🔍 상품 검색: ${product.productName}`);
     if (hashtags.length > 0) {
-      console.log(`  📌 해시태그 사용: ${hashtags.map(t => '#' + t).join(', ')}`);
+      logger.debug(`📌 해시태그 사용: ${hashtags.map(t => '#' + t).join(', ')}`);
     }
 
     try {
@@ -62,7 +63,7 @@ async function collectYouTubeReviews() {
       for (const video of videos) {
         // 상품별 최대 수집 개수 체크
         if (productCollectedCount >= MAX_REVIEWS_PER_PRODUCT) {
-          console.log(`  ⚠️ 상품별 최대 수집 개수(${MAX_REVIEWS_PER_PRODUCT})에 도달`);
+          logger.debug(`⚠️ 상품별 최대 수집 개수(${MAX_REVIEWS_PER_PRODUCT})에 도달`);
           break;
         }
 
@@ -72,7 +73,7 @@ async function collectYouTubeReviews() {
         );
 
         if (exists) {
-          console.log(`  ⏭️ 이미 수집됨: ${video.title.substring(0, 30)}...`);
+          logger.debug(`⏭️ 이미 수집됨: ${video.title.substring(0, 30)}...`);
           continue;
         }
 
@@ -93,7 +94,7 @@ async function collectYouTubeReviews() {
             isMatched = true;
             // 매칭된 해시태그 비율에 따른 점수 (최대 100점)
             matchScore = Math.round((matchedHashtags.length / hashtags.length) * 100);
-            console.log(`  🏷️ 해시태그 매칭: ${matchedHashtags.map(t => '#' + t).join(', ')} (${matchScore}점)`);
+            logger.debug(`🏷️ 해시태그 매칭: ${matchedHashtags.map(t => '#' + t).join(', ')} (${matchScore}점)`);
           }
         }
 
@@ -126,9 +127,9 @@ async function collectYouTubeReviews() {
           productCollectedCount++;
           totalCollectedCount++;
 
-          console.log(`  ✅ 수집 완료: ${video.title.substring(0, 30)}...`);
+          logger.debug(`✅ 수집 완료: ${video.title.substring(0, 30)}...`);
         } else {
-          console.log(`  ⏭️ 매칭 실패: ${video.title.substring(0, 30)}...`);
+          logger.debug(`⏭️ 매칭 실패: ${video.title.substring(0, 30)}...`);
         }
       }
 
@@ -136,15 +137,15 @@ async function collectYouTubeReviews() {
       await new Promise(resolve => setTimeout(resolve, 1000));
 
     } catch (error) {
-      console.error(`  ❌ 에러: ${error.message}`);
+      logger.error(`❌ 에러: ${error.message}`);
     }
   }
 
-  console.log(`\n🎬 ========== YouTube 수집 완료: ${totalCollectedCount}개 ==========\n`);
+  logger.info(`🎬 YouTube 수집 완료: ${totalCollectedCount}개`);
 
   // 수집된 데이터를 파일에 저장
   if (totalCollectedCount > 0 && saveCallback) {
-    saveCallback();
+    saveCallback('snsReviews');
   }
 
   return { success: true, collected: totalCollectedCount };
@@ -161,12 +162,12 @@ async function collectYouTubeReviews() {
  * 따라서 TikTok 리뷰는 Admin 페이지에서 URL을 수동으로 입력하여 추가합니다.
  */
 async function collectTikTokReviews() {
-  console.log('\n🎵 ========== TikTok 자동 수집 불가 ==========');
-  console.log('⚠️ TikTok은 공개 해시태그 검색 API를 제공하지 않습니다.');
-  console.log('📱 TikTok 리뷰는 Admin 페이지에서 URL을 수동으로 추가해주세요.');
-  console.log('   지원 URL 형식:');
-  console.log('   • https://www.tiktok.com/@username/video/1234567890');
-  console.log('   • https://vm.tiktok.com/XXXXXXXXX/');
+  logger.info('🎵 TikTok 자동 수집 불가');
+  logger.info('⚠️ TikTok은 공개 해시태그 검색 API를 제공하지 않습니다.');
+  logger.info('📱 TikTok 리뷰는 Admin 페이지에서 URL을 수동으로 추가해주세요.');
+  logger.debug('지원 URL 형식:');
+  logger.debug('• https://www.tiktok.com/@username/video/1234567890');
+  logger.debug('• https://vm.tiktok.com/XXXXXXXXX/');
   tiktok.printSetupGuide();
 
   return {
@@ -0,0 +1,73 @@
+/**
+ * 변경 추적 (dirty tracking)
+ *
+ * saveData() 호출부가 건드린 컬렉션/레코드를 표시하고, debounce flush 시 표시된 것만 저장소에 넘김
+ *   - 'products'               → 컬렉션 전체 (행 단위 비교로 변경분 탐지)
+ *   - ['products', code]       → 해당 레코드만 (추가/삭제/순서 변경은 식별자 비교로 항상 탐지)
+ *   - 인자 없음                → 모든 컬렉션 (호출부가 범위를 모를 때의 안전한 기본값)
+ *
+ * take() 결과 형식 (저장소 save() 의 options.dirty): Map(collection → Set<key> | null) — null = 컬렉션 전체
+ */
+const { COLLECTION_NAMES } = require('../dataset');
+
+function createChangeTracker() {
+  let dirty = new Map();
+
+  function markCollection(collection) {
+    if (!COLLECTION_NAMES.includes(collection)) throw new Error(`Unknown collection "${collection}"`);
+    dirty.set(collection, null);
+  }
+
+  function markRecord(collection, key) {
+    if (!COLLECTION_NAMES.includes(collection)) throw new Error(`Unknown collection "${collection}"`);
+    if (dirty.has(collection) && dirty.get(collection) === null) return;
+    if (key === undefined || key === null || key === '') {
+      dirty.set(collection, null);
+      return;
+    }
+    if (!dirty.has(collection)) dirty.set(collection, new Set());
+    dirty.get(collection).add(String(key));
+  }
+
+  return {
+    /**
+     * @param {Array<string|[string, *]>} targets - 컬렉션 이름 또는 [컬렉션, 식별자], 비어 있으면 전체
+     */
+    mark(targets) {
+      if (targets.length === 0) {
+        COLLECTION_NAMES.forEach(markCollection);
+        return;
+      }
+      for (const target of targets) {
+        if (Array.isArray(target)) markRecord(target[0], target[1]);
+        else markCollection(target);
+      }
+    },
+
+    /**
+     * 표시된 변경을 꺼내고 초기화
+     * @returns {Map<string, Set<string>|null>}
+     */
+    take() {
+      const taken = dirty;
+      dirty = new Map();
+      return taken;
+    },
+
+    /**
+     * 저장 실패 시 꺼낸 변경을 되돌려 다음 flush 에서 재시도
+     */
+    restore(taken) {
+      for (const [collection, keys] of taken) {
+        if (keys === null) markCollection(collection);
+        else keys.forEach((key) => markRecord(collection, key));
+      }
+    },
+
+    get size() {
+      return dirty.size;
+    },
+  };
+}
+
+module.exports = { createChangeTracker };
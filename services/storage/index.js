@@ -0,0 +1,72 @@
+/**
+ * 저장소 어댑터 선택
+ *
+ * 모든 어댑터는 같은 인터페이스를 가짐:
+ *   name / label / relational
+ *   connect()                      — 연결 (실패 시 throw)
+ *   load()                         — 저장된 데이터셋 원본 ({ collection: value }), 비어 있으면 null
+ *   save(entities)                 — 전체 데이터셋 저장 (관계형은 변경 행만 기록, { upserted, deleted } 반환)
+ *   getAppliedMigrations()         — [{ id, name, appliedAt }]
+ *   close()
+ * 관계형 어댑터(mysql/sqlite)는 추가로 recordMigration / createEntityTables / hasEntityRows 제공
+ *
+ * Env:
+ *   STORAGE_DRIVER — auto(기본) | mysql | sqlite | json
+ *     auto: MySQL 접속 정보(MYSQL_URL, DATABASE_URL, MYSQLHOST, MYSQL_HOST)가 있으면 MySQL 재시도 후 실패 시 JSON,
+ *           없으면 재시도 없이 바로 JSON 파일
+ *   SQLITE_FILE    — SQLite 파일 경로 (기본: 데이터 파일과 같은 디렉토리의 datepalmbay.sqlite)
+ */
+const path = require('path');
+
+const { createMysqlAdapter } = require('./mysqlAdapter');
+const { createSqliteAdapter } = require('./sqliteAdapter');
+const { createJsonFileAdapter } = require('./jsonFileAdapter');
+const logger = require('../logger').child({ module: 'index' });
+
+const STORAGE_DRIVERS = ['auto', 'mysql', 'sqlite', 'json'];
+
+function isMySQLConfigured() {
+  return Boolean(process.env.MYSQL_URL || process.env.DATABASE_URL || process.env.MYSQLHOST || process.env.MYSQL_HOST);
+}
+
+function getSqliteFile(dataFile) {
+  return process.env.SQLITE_FILE || path.join(path.dirname(dataFile), 'datepalmbay.sqlite');
+}
+
+/**
+ * 설정된 드라이버로 저장소를 열어 반환
+ * @param {{ dataFile: string, driver?: string, mysqlRetries?: number }} options
+ * @throws 알 수 없는 드라이버이거나, 명시적으로 지정한 mysql/sqlite 연결에 실패했을 때
+ */
+async function openStorage({ dataFile, driver = process.env.STORAGE_DRIVER || 'auto', mysqlRetries = 5 }) {
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (${STORAGE_DRIVERS.join(' | ')})`);
+  }
+
+  let storage;
+  if (driver === 'mysql' || (driver === 'auto' && isMySQLConfigured())) {
+    storage = createMysqlAdapter({ maxRetries: mysqlRetries });
+    try {
+      await storage.connect();
+      return storage;
+    } catch (e) {
+      if (driver === 'mysql') throw e;
+      logger.info(`⚠️  MySQL 연결 실패, JSON 파일 모드로 동작 [${e.message}]`);
+      await storage.close();
+    }
+  }
+
+  if (driver === 'sqlite') {
+    storage = createSqliteAdapter({ file: getSqliteFile(dataFile) });
+  } else {
+    storage = createJsonFileAdapter({ dataFile });
+  }
+  await storage.connect();
+  return storage;
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  openStorage,
+  createJsonFileAdapter,
+};
@@ -0,0 +1,73 @@
+/**
+ * JSON 파일 저장소 어댑터 — 단일 데이터 파일 (services/jsonStore.js 의 원자적 쓰기/스냅샷/복구 사용)
+ * 적용된 마이그레이션은 데이터 파일의 schemaMigrations 배열에 함께 기록
+ */
+const jsonStore = require('../jsonStore');
+const { SINGLETON_COLLECTIONS } = require('../dataset');
+const { planCollectionSave } = require('./schema');
+
+function createJsonFileAdapter({ dataFile }) {
+  // 저장 시 함께 기록할 마이그레이션 목록 (getAppliedMigrations 또는 첫 저장 시 파일에서 읽음)
+  let appliedMigrations = null;
+  // 마지막으로 기록된 행 스냅샷 (파일은 통째로 쓰지만 변경 건수 집계용): collection → Map(id → { seq, json })
+  const lastSaved = new Map();
+
+  function readFile() {
+    return jsonStore.readWithRecovery(dataFile).data || {};
+  }
+
+  return {
+    name: 'json',
+    label: 'JSON File',
+    relational: false,
+    dataFile,
+
+    async connect() {},
+
+    /**
+     * @returns {Object|null} 파일이 없으면 null
+     * @throws 파일이 손상되었고 복구 가능한 스냅샷도 없을 때 (빈 데이터로 덮어쓰지 않도록)
+     */
+    async load() {
+      const { data } = jsonStore.readWithRecovery(dataFile);
+      for (const [collection, value] of Object.entries(data || {})) {
+        if (Array.isArray(value)) lastSaved.set(collection, planCollectionSave(collection, value, new Map()).snapshot);
+      }
+      return data;
+    },
+
+    /**
+     * 덮어쓰기 전 주기적으로 직전 정상본을 스냅샷으로 보관한 뒤 원자적 저장 (항상 전체 데이터셋 기록)
+     * @param {{ dirty?: Map<string, Set<string>|null> }} [options] - 지정 시 표시된 컬렉션/레코드만 변경 건수 집계
+     * @returns {{ upserted: number, deleted: number, snapshotName: string|null }}
+     */
+    async save(entities, { dirty = null } = {}) {
+      if (appliedMigrations === null) appliedMigrations = readFile().schemaMigrations || [];
+      const pendingSnapshots = new Map();
+      let upserted = 0;
+      let deleted = 0;
+      for (const [collection, value] of Object.entries(entities)) {
+        if ((dirty && !dirty.has(collection)) || SINGLETON_COLLECTIONS.includes(collection)) continue;
+        const previous = lastSaved.get(collection) || new Map();
+        const { changed, removedIds, snapshot } = planCollectionSave(collection, value, previous, dirty && dirty.get(collection));
+        upserted += changed.length;
+        deleted += removedIds.length;
+        pendingSnapshots.set(collection, snapshot);
+      }
+
+      const snapshotName = jsonStore.snapshotIfDue(dataFile);
+      jsonStore.writeJsonAtomic(dataFile, { ...entities, schemaMigrations: appliedMigrations, savedAt: new Date().toISOString() });
+      for (const [collection, snapshot] of pendingSnapshots) lastSaved.set(collection, snapshot);
+      return { upserted, deleted, snapshotName };
+    },
+
+    async getAppliedMigrations() {
+      appliedMigrations = readFile().schemaMigrations || [];
+      return appliedMigrations;
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createJsonFileAdapter };
@@ -0,0 +1,47 @@
+/**
+ * MySQL 저장소 어댑터 — services/database.js 를 공통 인터페이스로 감쌈
+ * 연결은 지수 백오프로 재시도 (Railway 등에서 DB 컨테이너가 늦게 뜨는 경우 대비)
+ */
+const database = require('../database');
+const logger = require('../logger').child({ module: 'mysqlAdapter' });
+
+function createMysqlAdapter({ maxRetries = 5 } = {}) {
+  return {
+    name: 'mysql',
+    label: 'MySQL',
+    relational: true,
+
+    /**
+     * @throws 재시도 후에도 연결 실패 시
+     */
+    async connect() {
+      for (let i = 0; i < maxRetries; i++) {
+        try {
+          await database.initMigrationTable();
+          logger.info('🗄️  MySQL 연결 성공, schema_migrations 테이블 준비 완료');
+          return;
+        } catch (e) {
+          if (i === maxRetries - 1) throw e;
+          const delay = Math.min(1000 * Math.pow(2, i), 10000);
+          logger.info(`⏳ MySQL 연결 재시도 ${i + 1}/${maxRetries} (${delay}ms 후)... [${e.message}]`);
+          await new Promise(r => setTimeout(r, delay));
+        }
+      }
+    },
+
+    async load() {
+      const data = await database.loadAll();
+      return Object.keys(data).length > 0 ? data : null;
+    },
+
+    save: (entities, options) => database.saveAll(entities, options),
+    getAppliedMigrations: () => database.getAppliedMigrations(),
+    recordMigration: (id, name) => database.recordMigration(id, name),
+    createEntityTables: () => database.createEntityTables(),
+    hasEntityRows: () => database.hasEntityRows(),
+    migrateLegacyDataStore: () => database.migrateLegacyDataStore(),
+    close: () => database.close(),
+  };
+}
+
+module.exports = { createMysqlAdapter };
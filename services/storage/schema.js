@@ -0,0 +1,305 @@
+/**
+ * 관계형 저장소 공통 스키마 (MySQL / SQLite 드라이버가 공유)
+ *
+ * - 각 컬렉션은 자체 테이블에 행 단위로 저장 (PK = 엔티티 식별자, seq = 배열 순서)
+ * - 조회/필터용 컬럼만 정규화하고, 레코드 전체는 doc 컬럼(JSON)에 보존 → 스키마 없는 필드도 유실 없음
+ * - 저장 시 마지막 저장본과 비교해 변경된 행만 UPSERT, 사라진 행만 DELETE (planCollectionSave)
+ * - product_images / order_lines 는 부모 행 변경 시 함께 재작성되는 조회용 하위 테이블
+ * - 타입 이름은 MySQL 기준 — SQLite 는 타입 친화성(affinity)으로 그대로 수용
+ */
+const { getEntityKey } = require('../dataset');
+
+/**
+ * 컬렉션(server.js 의 entities 키) → 테이블 정의
+ * - 행 식별자는 dataset.getEntityKey (없으면 배열 위치 기반 합성 키 사용)
+ * - columns: 정규화 컬럼 { name, type, get, index }
+ * - children: 부모 행과 함께 재작성되는 하위 테이블 이름
+ */
+const str = (v) => (v === undefined || v === null ? null : String(v));
+const num = (v) => (v === undefined || v === null || v === '' || isNaN(Number(v)) ? null : Number(v));
+const bool = (v) => (v === undefined || v === null ? null : (v ? 1 : 0));
+
+const COLLECTIONS = {
+  products: {
+    table: 'products',
+    columns: [
+      { name: 'product_name', type: 'VARCHAR(255)', get: (r) => str(r.productName) },
+      { name: 'category', type: 'VARCHAR(64)', get: (r) => str(r.category), index: true },
+      { name: 'brand', type: 'VARCHAR(191)', get: (r) => str(r.brand), index: true },
+      { name: 'seller_id', type: 'VARCHAR(64)', get: (r) => str(r.sellerId), index: true },
+      { name: 'sale_status', type: 'TINYINT(1)', get: (r) => bool(r.productSaleStatus), index: true },
+      { name: 'product_price', type: 'DECIMAL(14,2)', get: (r) => num(r.productPrice) },
+      { name: 'created_at', type: 'VARCHAR(40)', get: (r) => str(r.createdAt), index: true },
+    ],
+    children: ['product_images'],
+  },
+  snsReviews: {
+    table: 'sns_reviews',
+    columns: [
+      { name: 'platform', type: 'VARCHAR(32)', get: (r) => str(r.platform), index: true },
+      { name: 'status', type: 'VARCHAR(32)', get: (r) => str(r.status), index: true },
+      { name: 'created_at', type: 'VARCHAR(40)', get: (r) => str(r.createdAt) },
+    ],
+  },
+  brands: {
+    table: 'brands',
+    columns: [],
+  },
+  orders: {
+    table: 'orders',
+    columns: [
+      { name: 'status', type: 'VARCHAR(32)', get: (r) => str(r.status), index: true },
+      { name: 'orderer_email', type: 'VARCHAR(191)', get: (r) => str(r.ordererEmail), index: true },
+      { name: 'paypal_order_id', type: 'VARCHAR(64)', get: (r) => str(r.paypalOrderId), index: true },
+      { name: 'order_type', type: 'VARCHAR(32)', get: (r) => str(r.orderType) },
+      { name: 'amount_usd', type: 'DECIMAL(14,2)', get: (r) => num(r.amountUSD ?? r.amount) },
+      { name: 'currency', type: 'VARCHAR(8)', get: (r) => str(r.currency) },
+      { name: 'created_at', type: 'VARCHAR(40)', get: (r) => str(r.createdAt), index: true },
+      { name: 'approved_at', type: 'VARCHAR(40)', get: (r) => str(r.approvedAt) },
+    ],
+    children: ['order_lines'],
+  },
+  members: {
+    table: 'members',
+    columns: [
+      { name: 'email', type: 'VARCHAR(191)', get: (r) => str(r.email), index: true },
+      { name: 'status', type: 'VARCHAR(32)', get: (r) => str(r.status), index: true },
+    ],
+  },
+  users: {
+    table: 'users',
+    columns: [
+      { name: 'login_id', type: 'VARCHAR(191)', get: (r) => str(r.id), index: true },
+      { name: 'email', type: 'VARCHAR(191)', get: (r) => str(r.email), index: true },
+      { name: 'status', type: 'VARCHAR(32)', get: (r) => str(r.status), index: true },
+      { name: 'member_level', type: 'VARCHAR(16)', get: (r) => str(r.memberLevel) },
+      { name: 'created_at', type: 'VARCHAR(40)', get: (r) => str(r.createAt) },
+    ],
+  },
+  userCoupons: {
+    table: 'user_coupons',
+    columns: [
+      { name: 'user_id', type: 'VARCHAR(64)', get: (r) => str(r.userId), index: true },
+      { name: 'coupon_code', type: 'VARCHAR(64)', get: (r) => str(r.couponCode), index: true },
+      { name: 'used_at', type: 'VARCHAR(40)', get: (r) => str(r.usedAt) },
+    ],
+  },
+  coupons: {
+    table: 'coupons',
+    columns: [
+      { name: 'status', type: 'VARCHAR(32)', get: (r) => str(r.status), index: true },
+      { name: 'coupon_type', type: 'VARCHAR(32)', get: (r) => str(r.couponType) },
+      { name: 'end_date', type: 'VARCHAR(40)', get: (r) => str(r.endDate) },
+    ],
+  },
+  groupBuyTeams: {
+    table: 'group_buy_teams',
+    columns: [
+      { name: 'product_code', type: 'VARCHAR(64)', get: (r) => str(r.productCode), index: true },
+      { name: 'invite_code', type: 'VARCHAR(32)', get: (r) => str(r.inviteCode), index: true },
+      { name: 'status', type: 'VARCHAR(32)', get: (r) => str(r.status) },
+      { name: 'expires_at', type: 'VARCHAR(40)', get: (r) => str(r.expiresAt) },
+    ],
+  },
+  events: {
+    table: 'events',
+    columns: [
+      { name: 'status', type: 'VARCHAR(32)', get: (r) => str(r.status), index: true },
+      { name: 'start_date', type: 'VARCHAR(40)', get: (r) => str(r.startDate) },
+      { name: 'end_date', type: 'VARCHAR(40)', get: (r) => str(r.endDate) },
+    ],
+  },
+  banners: {
+    table: 'banners',
+    columns: [
+      { name: 'status', type: 'VARCHAR(32)', get: (r) => str(r.status) },
+    ],
+  },
+  snsReviewOverrides: {
+    table: 'sns_review_overrides',
+    columns: [],
+  },
+  productInsights: {
+    table: 'product_insights',
+    columns: [],
+  },
+  aiFeedbackHistory: {
+    table: 'ai_feedback_history',
+    columns: [
+      { name: 'product_code', type: 'VARCHAR(64)', get: (r) => str(r.productCode), index: true },
+    ],
+  },
+  b2bUsers: {
+    table: 'b2b_users',
+    columns: [
+      { name: 'company_name', type: 'VARCHAR(255)', get: (r) => str(r.companyName) },
+      { name: 'is_active', type: 'TINYINT(1)', get: (r) => bool(r.isActive) },
+    ],
+  },
+  sellers: {
+    table: 'sellers',
+    columns: [
+      { name: 'login_id', type: 'VARCHAR(191)', get: (r) => str(r.loginId), index: true },
+      { name: 'company_name', type: 'VARCHAR(255)', get: (r) => str(r.companyName) },
+      { name: 'status', type: 'VARCHAR(32)', get: (r) => str(r.status) },
+    ],
+  },
+  operators: {
+    table: 'operators',
+    columns: [
+      { name: 'login_id', type: 'VARCHAR(191)', get: (r) => str(r.loginId), index: true },
+      { name: 'role', type: 'VARCHAR(32)', get: (r) => str(r.role), index: true },
+      { name: 'status', type: 'VARCHAR(32)', get: (r) => str(r.status) },
+    ],
+  },
+  sessions: {
+    table: 'sessions',
+    columns: [
+      { name: 'kind', type: 'VARCHAR(16)', get: (r) => str(r.kind), index: true },
+      { name: 'subject_id', type: 'VARCHAR(191)', get: (r) => str(r.subjectId), index: true },
+      { name: 'expires_at', type: 'VARCHAR(40)', get: (r) => str(r.expiresAt), index: true },
+    ],
+  },
+  apiKeys: {
+    table: 'api_keys',
+    columns: [
+      { name: 'owner_type', type: 'VARCHAR(16)', get: (r) => str(r.ownerType), index: true },
+      { name: 'owner_id', type: 'VARCHAR(191)', get: (r) => str(r.ownerId), index: true },
+      { name: 'status', type: 'VARCHAR(16)', get: (r) => str(r.status) },
+    ],
+  },
+  settlements: {
+    table: 'settlements',
+    columns: [
+      { name: 'seller_id', type: 'VARCHAR(64)', get: (r) => str(r.sellerId), index: true },
+      { name: 'period', type: 'VARCHAR(7)', get: (r) => str(r.period), index: true },
+      { name: 'status', type: 'VARCHAR(32)', get: (r) => str(r.status), index: true },
+      { name: 'payout_usd', type: 'DECIMAL(14,2)', get: (r) => num(r.payoutUSD) },
+    ],
+  },
+  stockMovements: {
+    table: 'stock_movements',
+    columns: [
+      { name: 'product_code', type: 'VARCHAR(64)', get: (r) => str(r.productCode), index: true },
+      { name: 'type', type: 'VARCHAR(16)', get: (r) => str(r.type), index: true },
+      { name: 'order_id', type: 'VARCHAR(64)', get: (r) => str(r.orderId), index: true },
+      { name: 'created_at', type: 'VARCHAR(40)', get: (r) => str(r.at) },
+    ],
+  },
+  reviews: {
+    table: 'reviews',
+    columns: [
+      { name: 'product_code', type: 'VARCHAR(64)', get: (r) => str(r.productCode), index: true },
+      { name: 'member_id', type: 'VARCHAR(64)', get: (r) => str(r.memberId), index: true },
+      { name: 'rating', type: 'TINYINT', get: (r) => num(r.rating) },
+      { name: 'created_at', type: 'VARCHAR(40)', get: (r) => str(r.createDate) },
+    ],
+  },
+  blogPosts: {
+    table: 'blog_posts',
+    columns: [
+      { name: 'slug', type: 'VARCHAR(191)', get: (r) => str(r.slug), index: true },
+      { name: 'status', type: 'VARCHAR(32)', get: (r) => str(r.status), index: true },
+      { name: 'published_at', type: 'VARCHAR(40)', get: (r) => str(r.publishedAt) },
+    ],
+  },
+};
+
+/**
+ * 하위 테이블 정의 — 부모 doc 에서 행을 파생 (로드 시에는 부모 doc 이 원본)
+ */
+const CHILD_TABLES = {
+  product_images: {
+    columns: [
+      { name: 'product_code', type: 'VARCHAR(191) NOT NULL' },
+      { name: 'image_code', type: 'VARCHAR(191) NOT NULL' },
+      { name: 'kind', type: 'VARCHAR(16) NOT NULL' },
+      { name: 'url', type: 'TEXT' },
+      { name: 'sort_order', type: 'INT NOT NULL DEFAULT 0' },
+    ],
+    primaryKey: ['product_code', 'image_code'],
+    indexes: [{ name: 'idx_product_images_kind', columns: ['product_code', 'kind'] }],
+    parentColumn: 'product_code',
+    rows: (id, product) => {
+      const files = product.files || {};
+      const mapImages = (list, kind) => (Array.isArray(list) ? list : []).map((img, i) => [
+        id, str(img.code) || `${kind}-${i + 1}`, kind, str(img.url), img.order || i + 1,
+      ]);
+      return [...mapImages(files.mainImages, 'MAIN'), ...mapImages(files.detailImages, 'DETAIL')];
+    },
+  },
+  order_lines: {
+    columns: [
+      { name: 'order_id', type: 'VARCHAR(191) NOT NULL' },
+      { name: 'line_no', type: 'INT NOT NULL' },
+      { name: 'product_code', type: 'VARCHAR(64)' },
+      { name: 'product_name', type: 'VARCHAR(255)' },
+      { name: 'quantity', type: 'INT NOT NULL DEFAULT 1' },
+      { name: 'unit_price_usd', type: 'DECIMAL(14,2)' },
+    ],
+    primaryKey: ['order_id', 'line_no'],
+    indexes: [{ name: 'idx_order_lines_product', columns: ['product_code'] }],
+    parentColumn: 'order_id',
+    rows: (id, order) => {
+      if (Array.isArray(order.bundleItems) && order.bundleItems.length > 0) {
+        return order.bundleItems.map((item, i) => [
+          id, i + 1, str(item.productCode), str(item.productName), item.quantity || 1, num(item.price),
+        ]);
+      }
+      // 단일/레거시 주문: productCode 한 줄 (단가는 알 수 없으므로 null)
+      if (!order.productCode) return [];
+      return [[id, 1, str(order.productCode), str(order.productName), order.quantity || 1, null]];
+    },
+  },
+};
+
+/**
+ * 직전 저장 스냅샷과 비교해 이번 저장에서 쓸 행 계산
+ * keys 를 주면 해당 레코드와 새 행/순서가 바뀐 행만 내용 비교 (나머지는 직전 스냅샷을 그대로 유지)
+ * @param {string} collection
+ * @param {Array} list - 현재 컬렉션 배열
+ * @param {Map<string, { seq: number, json: string }>} previous - 직전 저장 스냅샷
+ * @param {Set<string>|null} [keys] - 변경 표시된 레코드 식별자 (null = 전체 비교)
+ * @returns {{ changed: Array, removedIds: string[], snapshot: Map }} snapshot 은 커밋 성공 후 교체용
+ */
+function planCollectionSave(collection, list, previous, keys = null) {
+  const seen = new Set();
+  const changed = [];
+  const snapshot = new Map();
+  (Array.isArray(list) ? list : []).forEach((row, seq) => {
+    const key = getEntityKey(collection, row);
+    let id = key ?? `#${seq}`;
+    if (seen.has(id)) id = `${id}#${seq}`;
+    seen.add(id);
+
+    const prev = previous.get(id);
+    if (keys && prev && prev.seq === seq && key !== null && id === key && !keys.has(id)) {
+      snapshot.set(id, prev);
+      return;
+    }
+    const json = JSON.stringify(row);
+    if (!prev || prev.seq !== seq || prev.json !== json) changed.push({ id, seq, json, row });
+    snapshot.set(id, { seq, json });
+  });
+  const removedIds = [...previous.keys()].filter((id) => !snapshot.has(id));
+  return { changed, removedIds, snapshot };
+}
+
+/**
+ * 엔티티 행의 정규화 컬럼 값 배열 (id, seq, ...columns, doc 순서)
+ */
+function entityColumnNames(spec) {
+  return ['id', 'seq', ...spec.columns.map((c) => c.name), 'doc'];
+}
+
+function entityRowValues(spec, row) {
+  return [row.id, row.seq, ...spec.columns.map((c) => c.get(row.row)), row.json];
+}
+
+module.exports = {
+  COLLECTIONS,
+  CHILD_TABLES,
+  planCollectionSave,
+  entityColumnNames,
+  entityRowValues,
+};
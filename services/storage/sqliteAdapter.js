@@ -0,0 +1,234 @@
+/**
+ * SQLite 저장소 어댑터 — 서버 없이 단일 로컬 파일로 MySQL 과 같은 엔티티 테이블 구조를 사용
+ * 로컬 개발/CI 에서 MySQL 컨테이너 없이 관계형 저장 경로를 그대로 실행하기 위한 용도
+ *
+ * - 드라이버: better-sqlite3 (optionalDependencies, 동기 API — 저장은 한 트랜잭션)
+ * - 스키마는 storage/schema.js 를 MySQL 드라이버와 공유 (타입 이름은 SQLite 타입 친화성으로 수용)
+ * - 테이블 생성은 migrations/001 이 수행, schema_migrations 는 연결 시 보장
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { SINGLETON_COLLECTIONS } = require('../dataset');
+const logger = require('../logger').child({ module: 'sqliteAdapter' });
+const {
+  COLLECTIONS, CHILD_TABLES, planCollectionSave, entityColumnNames, entityRowValues,
+} = require('./schema');
+
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error(`SQLite 드라이버(better-sqlite3)가 설치되지 않았습니다 — npm install 후 다시 시도하세요. [${e.message}]`);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  return db;
+}
+
+function buildEntityTableDDL(spec) {
+  const columnDefs = spec.columns.map((c) => `${c.name} ${c.type} NULL`);
+  return [
+    `CREATE TABLE IF NOT EXISTS ${spec.table} (
+      id TEXT NOT NULL PRIMARY KEY,
+      seq INTEGER NOT NULL DEFAULT 0,
+      ${columnDefs.map((d) => `${d},`).join('\n      ')}
+      doc TEXT NOT NULL,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`,
+    ...spec.columns.filter((c) => c.index).map((c) => (
+      `CREATE INDEX IF NOT EXISTS idx_${spec.table}_${c.name} ON ${spec.table} (${c.name})`
+    )),
+    `CREATE INDEX IF NOT EXISTS idx_${spec.table}_seq ON ${spec.table} (seq)`,
+  ];
+}
+
+function buildChildTableDDL(name, child) {
+  return [
+    `CREATE TABLE IF NOT EXISTS ${name} (
+      ${child.columns.map((c) => `${c.name} ${c.type},`).join('\n      ')}
+      PRIMARY KEY (${child.primaryKey.join(', ')})
+    )`,
+    ...child.indexes.map((i) => `CREATE INDEX IF NOT EXISTS ${i.name} ON ${name} (${i.columns.join(', ')})`),
+  ];
+}
+
+/**
+ * @param {{ file: string }} options - SQLite 데이터베이스 파일 경로
+ */
+function createSqliteAdapter({ file }) {
+  let db = null;
+  // 마지막으로 기록된 행 스냅샷: collection → Map(id → { seq, json })
+  const lastSaved = new Map();
+
+  function getDb() {
+    if (!db) throw new Error('SQLite 저장소가 연결되지 않았습니다 (connect() 먼저 호출)');
+    return db;
+  }
+
+  function ensureSnapshot(collection) {
+    if (lastSaved.has(collection)) return lastSaved.get(collection);
+    const rows = getDb().prepare(`SELECT id, seq, doc FROM ${COLLECTIONS[collection].table}`).all();
+    const snapshot = new Map(rows.map((r) => [r.id, { seq: r.seq, json: r.doc }]));
+    lastSaved.set(collection, snapshot);
+    return snapshot;
+  }
+
+  function writeCollection(spec, changed, removedIds) {
+    const columnNames = entityColumnNames(spec);
+    const updates = columnNames.filter((c) => c !== 'id').map((c) => `${c} = excluded.${c}`).join(', ');
+    const upsert = getDb().prepare(
+      `INSERT INTO ${spec.table} (${columnNames.join(', ')}) VALUES (${columnNames.map(() => '?').join(', ')})
+       ON CONFLICT(id) DO UPDATE SET ${updates}, updated_at = CURRENT_TIMESTAMP`
+    );
+    for (const row of changed) upsert.run(entityRowValues(spec, row));
+
+    const removeRow = getDb().prepare(`DELETE FROM ${spec.table} WHERE id = ?`);
+    for (const id of removedIds) removeRow.run(id);
+
+    for (const childName of spec.children || []) {
+      const child = CHILD_TABLES[childName];
+      const removeChildren = getDb().prepare(`DELETE FROM ${childName} WHERE ${child.parentColumn} = ?`);
+      const insertChild = getDb().prepare(
+        `INSERT INTO ${childName} (${child.columns.map((c) => c.name).join(', ')}) VALUES (${child.columns.map(() => '?').join(', ')})`
+      );
+      for (const id of removedIds) removeChildren.run(id);
+      for (const row of changed) {
+        removeChildren.run(row.id);
+        for (const childRow of child.rows(row.id, row.row)) insertChild.run(childRow);
+      }
+    }
+  }
+
+  return {
+    name: 'sqlite',
+    label: 'SQLite',
+    relational: true,
+    file,
+
+    async connect() {
+      if (db) return;
+      db = openDatabase(file);
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      logger.info(`🗄️  SQLite 연결 성공: ${file}`);
+    },
+
+    /**
+     * Create all entity tables if not exist (migration 001)
+     */
+    async createEntityTables() {
+      const statements = [
+        ...Object.values(COLLECTIONS).flatMap(buildEntityTableDDL),
+        ...Object.entries(CHILD_TABLES).flatMap(([name, child]) => buildChildTableDDL(name, child)),
+        `CREATE TABLE IF NOT EXISTS settings (
+          setting_key TEXT PRIMARY KEY,
+          doc TEXT NOT NULL,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )`,
+      ];
+      getDb().transaction(() => statements.forEach((sql) => getDb().exec(sql)))();
+      logger.info(`🗄️  ${Object.keys(COLLECTIONS).length}개 엔티티 테이블 준비 완료`);
+    },
+
+    async getAppliedMigrations() {
+      return getDb().prepare('SELECT id, name, applied_at FROM schema_migrations ORDER BY id').all()
+        .map((r) => ({ id: r.id, name: r.name, appliedAt: new Date(`${r.applied_at.replace(' ', 'T')}Z`).toISOString() }));
+    },
+
+    async recordMigration(id, name) {
+      getDb().prepare('INSERT INTO schema_migrations (id, name) VALUES (?, ?)').run(id, name);
+    },
+
+    async hasEntityRows() {
+      return Object.values(COLLECTIONS).some((spec) => getDb().prepare(`SELECT 1 FROM ${spec.table} LIMIT 1`).get());
+    },
+
+    /**
+     * @returns {Object|null} { collection: value } — 행이 하나도 없으면 null
+     */
+    async load() {
+      const result = {};
+      for (const [collection, spec] of Object.entries(COLLECTIONS)) {
+        const rows = getDb().prepare(`SELECT id, seq, doc FROM ${spec.table} ORDER BY seq, id`).all();
+        const snapshot = new Map();
+        const list = [];
+        for (const row of rows) {
+          try {
+            list.push(JSON.parse(row.doc));
+            snapshot.set(row.id, { seq: row.seq, json: row.doc });
+          } catch (e) {
+            logger.error(`❌ Failed to parse ${spec.table} row "${row.id}":`, e.message);
+          }
+        }
+        lastSaved.set(collection, snapshot);
+        if (list.length > 0) result[collection] = list;
+      }
+
+      for (const row of getDb().prepare('SELECT setting_key, doc FROM settings').all()) {
+        try {
+          result[row.setting_key] = JSON.parse(row.doc);
+        } catch (e) {
+          logger.error(`❌ Failed to parse setting "${row.setting_key}":`, e.message);
+        }
+      }
+      return Object.keys(result).length > 0 ? result : null;
+    },
+
+    /**
+     * Save entities in a single transaction — 변경된 행만 UPSERT, 사라진 행만 DELETE
+     * @param {{ dirty?: Map<string, Set<string>|null> }} [options] - 지정 시 표시된 컬렉션/레코드만 비교
+     * @returns {{ upserted: number, deleted: number }}
+     */
+    async save(entities, { dirty = null } = {}) {
+      const pendingSnapshots = new Map();
+      let upserted = 0;
+      let deleted = 0;
+      getDb().transaction(() => {
+        for (const [collection, value] of Object.entries(entities)) {
+          if (dirty && !dirty.has(collection)) continue;
+          if (SINGLETON_COLLECTIONS.includes(collection)) {
+            if (value === null || value === undefined) continue;
+            getDb().prepare(
+              `INSERT INTO settings (setting_key, doc) VALUES (?, ?)
+               ON CONFLICT(setting_key) DO UPDATE SET doc = excluded.doc, updated_at = CURRENT_TIMESTAMP`
+            ).run(collection, JSON.stringify(value));
+            continue;
+          }
+          const spec = COLLECTIONS[collection];
+          if (!spec) {
+            logger.warn(`⚠️  알 수 없는 컬렉션 "${collection}" 저장 건너뜀`);
+            continue;
+          }
+
+          const { changed, removedIds, snapshot } = planCollectionSave(collection, value, ensureSnapshot(collection), dirty && dirty.get(collection));
+          if (changed.length > 0 || removedIds.length > 0) writeCollection(spec, changed, removedIds);
+          upserted += changed.length;
+          deleted += removedIds.length;
+          pendingSnapshots.set(collection, snapshot);
+        }
+      })();
+      // 커밋 성공 후에만 스냅샷 갱신 (롤백 시 다음 저장에서 다시 비교)
+      for (const [collection, snapshot] of pendingSnapshots) lastSaved.set(collection, snapshot);
+      return { upserted, deleted };
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+      lastSaved.clear();
+    },
+  };
+}
+
+module.exports = { createSqliteAdapter };
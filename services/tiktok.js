@@ -13,6 +13,7 @@
  */
 
 const https = require('https');
+const logger = require('./logger').child({ module: 'tiktok' });
 
 const TIKTOK_OEMBED_URL = 'https://www.tiktok.com/oembed';
 
@@ -85,7 +86,7 @@ function extractVideoId(url) {
 
     return null;
   } catch (error) {
-    console.error('  ❌ URL 파싱 오류:', error.message);
+    logger.error('❌ URL 파싱 오류:', error.message);
     return null;
   }
 }
@@ -111,18 +112,18 @@ function isValidTikTokUrl(url) {
  */
 async function getVideoMetadata(videoUrl) {
   if (!isValidTikTokUrl(videoUrl)) {
-    console.log('  ❌ 유효하지 않은 TikTok URL:', videoUrl);
+    logger.debug('❌ 유효하지 않은 TikTok URL:', videoUrl);
     return null;
   }
 
-  console.log(`  🎵 TikTok 메타데이터 조회: ${videoUrl}`);
+  logger.debug(`🎵 TikTok 메타데이터 조회: ${videoUrl}`);
 
   try {
     const oembedUrl = `${TIKTOK_OEMBED_URL}?url=${encodeURIComponent(videoUrl)}`;
     const response = await httpsGet(oembedUrl);
 
     if (response.statusCode !== 200) {
-      console.log(`  ❌ TikTok oEmbed 오류: HTTP ${response.statusCode}`);
+      logger.debug(`❌ TikTok oEmbed 오류: HTTP ${response.statusCode}`);
       return null;
     }
 
@@ -143,7 +144,7 @@ async function getVideoMetadata(videoUrl) {
     //   "provider_name": "TikTok"
     // }
 
-    console.log(`  ✅ TikTok 메타데이터 조회 성공: "${data.title?.slice(0, 50)}..."`);
+    logger.debug(`✅ TikTok 메타데이터 조회 성공: "${data.title?.slice(0, 50)}..."`);
 
     return {
       title: data.title || '',
@@ -163,7 +164,7 @@ async function getVideoMetadata(videoUrl) {
       shareCount: 0
     };
   } catch (error) {
-    console.error(`  ❌ TikTok oEmbed 오류: ${error.message}`);
+    logger.error(`❌ TikTok oEmbed 오류: ${error.message}`);
     return null;
   }
 }
@@ -221,7 +222,7 @@ function checkConnection() {
  * TikTok 사용 가이드 출력
  */
 function printSetupGuide() {
-  console.log(`
+  logger.debug(`
 ╔═══════════════════════════════════════════════════════════════════╗
 ║                    TikTok 리뷰 추가 가이드                          ║
 ╠═══════════════════════════════════════════════════════════════════╣
@@ -0,0 +1,123 @@
+/**
+ * TOTP 2단계 인증 (RFC 6238 — HMAC-SHA1, 30초, 6자리: Google Authenticator / 1Password 등 기본값)
+ *
+ * - 비밀키는 base32 문자열로 보관, otpauth:// URI 로 인증 앱에 등록 (프론트가 QR 로 표시)
+ * - 검증 시 앞뒤 window 스텝까지 허용(시계 오차), 일치한 스텝을 돌려줌 → 호출부가 lastUsedStep 으로 재사용 차단
+ * - 복구 코드는 원문을 한 번만 보여주고 sha256 해시만 저장, 사용하면 삭제
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SEC = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('base32 형식 오류');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SEC);
+}
+
+/**
+ * @param {string} secret - base32
+ * @param {number} step - 30초 단위 카운터
+ */
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * @param {string} secret
+ * @param {string} code - 사용자가 입력한 6자리
+ * @param {{ window?: number, now?: number, afterStep?: number }} [options] - afterStep 이하 스텝은 거부(재사용 차단)
+ * @returns {number|null} 일치한 스텝, 불일치면 null
+ */
+function verifyCode(secret, code, { window = 1, now = Date.now(), afterStep = -1 } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const step = currentStep(now);
+  for (let s = step - window; s <= step + window; s++) {
+    if (s <= afterStep) continue;
+    const expected = Buffer.from(generateCode(secret, s));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return s;
+  }
+  return null;
+}
+
+/**
+ * 인증 앱 등록용 URI (QR 코드 내용)
+ * @param {{ secret: string, issuer: string, account: string }} params
+ */
+function buildOtpAuthUri({ secret, issuer, account }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  // URLSearchParams 는 공백을 '+' 로 바꿔 일부 인증 앱에 그대로 표시됨 → %20 인코딩
+  const params = { secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SEC };
+  const query = Object.entries(params).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
+  return `otpauth://totp/${label}?${query}`;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+/**
+ * @param {number} [count]
+ * @returns {{ codes: string[], hashes: string[] }} codes 는 "xxxxx-xxxxx" 형식 원문 (한 번만 표시)
+ */
+function generateRecoveryCodes(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
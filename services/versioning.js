@@ -0,0 +1,138 @@
+/**
+ * 낙관적 동시성 제어 — 엔티티 version / ETag / If-Match
+ *
+ * - 편집 가능한 엔티티(상품/주문/쿠폰/이벤트/블로그)는 version 필드를 가짐 (없으면 1로 간주, 생성 시 1)
+ * - 수정 API 는 commit(), 그 밖의 변경(주문 상태/결제/배송, 재고)은 bump() 로 version 증가
+ * - 조회/수정 응답의 ETag = "<version>", 수정 요청은 If-Match (또는 본문 version) 필수
+ * - If-Match 가 현재 version 과 다르면 409 + 그 사이 바뀐 필드 중 이번 요청도 바꾸려는 필드 목록
+ * - 변경 이력(버전별 바뀐 필드)은 메모리에만 보관 → 재시작 후 이력이 없으면 이번 요청이 바꾸는 필드 전체를 충돌로 보고
+ */
+
+// 비교에서 제외하는 필드 (수정할 때마다 바뀌는 메타데이터)
+const IGNORED_FIELDS = ['version', 'updatedAt'];
+
+/**
+ * @returns {number} 레코드 버전 (필드가 없거나 잘못된 값이면 1)
+ */
+function getVersion(record) {
+  const version = record && record.version;
+  return Number.isInteger(version) && version > 0 ? version : 1;
+}
+
+function formatEtag(record) {
+  return `"${getVersion(record)}"`;
+}
+
+/**
+ * If-Match 헤더 또는 본문 version → 클라이언트가 기준으로 삼은 버전
+ * @returns {number|'*'|null} 없거나 해석 불가면 null
+ */
+function parseExpectedVersion(ifMatch, bodyVersion) {
+  if (ifMatch) {
+    const first = String(ifMatch).split(',')[0].trim();
+    if (first === '*') return '*';
+    const match = first.match(/^(?:W\/)?"?(\d+)"?$/);
+    if (match) return Number(match[1]);
+  }
+  if (bodyVersion !== undefined && bodyVersion !== null && bodyVersion !== '') {
+    const version = Number(bodyVersion);
+    if (Number.isInteger(version) && version > 0) return version;
+  }
+  return null;
+}
+
+/**
+ * 최상위 필드 중 값이 달라진 필드 목록
+ */
+function diffFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter((key) => (
+    !IGNORED_FIELDS.includes(key) && JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])
+  ));
+}
+
+/**
+ * @param {{ historyLimit?: number }} [options] - 레코드별로 기억할 최근 버전 수
+ */
+function createVersionControl({ historyLimit = 50 } = {}) {
+  // `${collection}:${id}` → [{ version, fields }] (version 으로 올라갈 때 바뀐 필드)
+  const history = new Map();
+
+  function remember(collection, id, version, fields) {
+    const key = `${collection}:${id}`;
+    const entries = history.get(key) || [];
+    entries.push({ version, fields });
+    if (entries.length > historyLimit) entries.splice(0, entries.length - historyLimit);
+    history.set(key, entries);
+  }
+
+  function changedSince(collection, id, version) {
+    const entries = history.get(`${collection}:${id}`) || [];
+    const newer = entries.filter((e) => e.version > version);
+    // 이력이 기준 버전 직후부터 끊김 없이 남아있지 않으면 알 수 없음
+    if (newer.length === 0 || newer[0].version !== version + 1) return null;
+    return new Set(newer.flatMap((e) => e.fields));
+  }
+
+  return {
+    /**
+     * 수정 전제 조건 검사
+     * @param {Object} params
+     * @param {string} params.collection
+     * @param {string} params.id
+     * @param {Object} params.current - 현재 레코드
+     * @param {Object} params.next - 이번 요청을 반영한 레코드 (충돌 필드 계산용)
+     * @param {number|'*'|null} params.expected - parseExpectedVersion 결과
+     * @returns {null|{ status: number, message: string, data: Object|null }} 통과면 null
+     */
+    check({ collection, id, current, next, expected }) {
+      const currentVersion = getVersion(current);
+      if (expected === null) {
+        return {
+          status: 428,
+          message: 'If-Match 헤더(또는 version)가 필요합니다. 최신 데이터를 조회한 뒤 다시 시도하세요.',
+          data: { currentVersion },
+        };
+      }
+      if (expected === '*' || expected === currentVersion) return null;
+
+      const requested = diffFields(current, next);
+      const changed = expected < currentVersion ? changedSince(collection, id, expected) : null;
+      const conflictingFields = changed ? requested.filter((f) => changed.has(f)) : requested;
+      return {
+        status: 409,
+        message: '다른 사용자가 먼저 수정했습니다. 최신 데이터를 다시 불러온 뒤 수정하세요.',
+        data: {
+          currentVersion,
+          requestedVersion: expected,
+          conflictingFields,
+          current: Object.fromEntries(conflictingFields.map((f) => [f, current[f] ?? null])),
+        },
+      };
+    },
+
+    /**
+     * 버전을 올린 레코드 반환 + 바뀐 필드 이력 기록
+     */
+    commit(collection, id, current, next) {
+      const version = getVersion(current) + 1;
+      remember(collection, id, version, diffFields(current, next));
+      return { ...next, version };
+    },
+
+    /**
+     * 수정 API 밖에서 제자리 변경한 레코드(상태 변경, 결제, 재고 등)의 version 증가 + 이력 기록
+     * @param {string[]} fields - 바뀐 필드
+     * @returns {Object} record
+     */
+    bump(collection, id, record, fields) {
+      record.version = getVersion(record) + 1;
+      remember(collection, id, record.version, fields);
+      return record;
+    },
+  };
+}
+
+module.exports = {
+  getVersion, formatEtag, parseExpectedVersion, diffFields, createVersionControl,
+};
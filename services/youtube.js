@@ -5,6 +5,7 @@
  */
 
 const https = require('https');
+const logger = require('./logger').child({ module: 'youtube' });
 
 const YOUTUBE_API_BASE = 'https://www.googleapis.com/youtube/v3';
 
@@ -58,7 +59,7 @@ function callYouTubeAPI(endpoint, params) {
  * @param {number} maxResults - 최대 결과 수 (기본값: 10)
  */
 async function searchVideos(query, maxResults = 10) {
-  console.log(`🔍 YouTube 검색: "${query}"`);
+  logger.info(`🔍 YouTube 검색: "${query}"`);
 
   try {
     const response = await callYouTubeAPI('search', {
@@ -81,10 +82,10 @@ async function searchVideos(query, maxResults = 10) {
       thumbnailUrl: item.snippet.thumbnails.high?.url || item.snippet.thumbnails.default?.url
     }));
 
-    console.log(`✅ ${videos.length}개 영상 발견`);
+    logger.info(`✅ ${videos.length}개 영상 발견`);
     return videos;
   } catch (error) {
-    console.error(`❌ YouTube 검색 실패: ${error.message}`);
+    logger.error(`❌ YouTube 검색 실패: ${error.message}`);
     return [];
   }
 }
@@ -104,7 +105,7 @@ async function getVideoDetails(videoIds, fallbackVideos = []) {
   const validVideoIds = videoIds.filter(id => id && typeof id === 'string' && id.length > 0);
 
   if (validVideoIds.length === 0) {
-    console.error(`⚠️ 유효한 video ID가 없습니다. fallback 사용 (${fallbackVideos.length}개)`);
+    logger.error(`⚠️ 유효한 video ID가 없습니다. fallback 사용 (${fallbackVideos.length}개)`);
     return fallbackVideos.map(v => ({
       ...v,
       viewCount: 0,
@@ -146,9 +147,9 @@ async function getVideoDetails(videoIds, fallbackVideos = []) {
 
     return allDetails;
   } catch (error) {
-    console.error(`❌ 영상 상세 정보 조회 실패: ${error.message}`);
+    logger.error(`❌ 영상 상세 정보 조회 실패: ${error.message}`);
     // 상세 조회 실패 시 기본 검색 정보를 fallback으로 사용
-    console.error(`⚠️ 기본 검색 정보로 대체합니다 (${fallbackVideos.length}개)`);
+    logger.error(`⚠️ 기본 검색 정보로 대체합니다 (${fallbackVideos.length}개)`);
     return fallbackVideos.map(v => ({
       ...v,
       viewCount: 0,
@@ -165,7 +166,7 @@ async function getVideoDetails(videoIds, fallbackVideos = []) {
  */
 function extractHashtagsFromProduct(product) {
   if (!product.detailInfo) {
-    console.log('  ⚠️ detailInfo가 없음, 상품명 사용');
+    logger.debug('⚠️ detailInfo가 없음, 상품명 사용');
     return [];
   }
 
@@ -180,10 +181,10 @@ function extractHashtagsFromProduct(product) {
     // # 제거하고 중복 제거
     const hashtags = [...new Set(matches.map(tag => tag.replace('#', '').trim()))];
 
-    console.log(`  📌 추출된 해시태그: ${hashtags.length > 0 ? hashtags.map(t => '#' + t).join(', ') : '없음'}`);
+    logger.debug(`📌 추출된 해시태그: ${hashtags.length > 0 ? hashtags.map(t => '#' + t).join(', ') : '없음'}`);
     return hashtags;
   } catch (error) {
-    console.error('  ❌ 해시태그 추출 실패:', error.message);
+    logger.error('❌ 해시태그 추출 실패:', error.message);
     return [];
   }
 }
@@ -254,7 +255,7 @@ async function searchProductReviews(product) {
   // 검색 쿼리 생성
   const searchQueries = generateHashtagSearchQueries(hashtags, product.productName);
 
-  console.log(`  🔎 검색 쿼리 (${searchQueries.length}개): ${searchQueries.slice(0, 3).join(', ')}${searchQueries.length > 3 ? '...' : ''}`);
+  logger.debug(`🔎 검색 쿼리 (${searchQueries.length}개): ${searchQueries.slice(0, 3).join(', ')}${searchQueries.length > 3 ? '...' : ''}`);
 
   const allVideos = [];
   const seenIds = new Set();
@@ -0,0 +1,62 @@
+/**
+ * 새 DATA_DIR 에서 npm run migrate → 시드 데이터(mock-data.json)가 그대로 남는지
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+delete process.env.SQLITE_FILE;
+const SEED = JSON.parse(fs.readFileSync(path.join(ROOT, 'mock-data.json'), 'utf-8'));
+
+// SQLite 파일은 기본 경로(데이터 파일과 같은 디렉토리) — 테스트 프로세스에서 같은 파일을 열도록 SQLITE_FILE 은 비움
+function migrate(dataDir, driver) {
+  const result = spawnSync(process.execPath, [path.join(ROOT, 'scripts', 'migrate.js')], {
+    env: { ...process.env, DATA_DIR: dataDir, STORAGE_DRIVER: driver },
+    encoding: 'utf-8',
+    timeout: 60000,
+  });
+  assert.strictEqual(result.status, 0, result.stderr || result.stdout);
+}
+
+test('JSON: 새 DATA_DIR 에 시드 복사 후 마이그레이션', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dp-seed-'));
+  try {
+    migrate(dataDir, 'json');
+    const data = JSON.parse(fs.readFileSync(path.join(dataDir, 'mock-data.json'), 'utf-8'));
+    assert.strictEqual(data.brands.length, SEED.brands.length);
+    assert.strictEqual(data.snsReviews.length, SEED.snsReviews.length);
+    assert.strictEqual(data.users.length, SEED.users.length);
+    assert.ok(data.schemaMigrations.length > 0);
+    assert.ok(Array.isArray(data.stockMovements));
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('SQLite: 003 이 시드 데이터 파일을 이관', { skip: !hasSqlite() && 'better-sqlite3 미설치' }, async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dp-seed-'));
+  try {
+    migrate(dataDir, 'sqlite');
+    const { openStorage } = require('../services/storage');
+    const storage = await openStorage({ dataFile: path.join(dataDir, 'mock-data.json'), driver: 'sqlite' });
+    const data = await storage.load();
+    await storage.close();
+    assert.strictEqual(data.brands.length, SEED.brands.length);
+    assert.strictEqual(data.snsReviews.length, SEED.snsReviews.length);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+function hasSqlite() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * 비밀번호 재설정 — 요청 응답은 가입 여부와 관계없이 같고, Google 가입 회원은 확인 단계에서 GOOGLE_ACCOUNT 안내
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = 18000 + (process.pid % 1000);
+const API = `http://localhost:${PORT}/datepalm-bay/api/mvp/member`;
+const GOOGLE_EMAIL = 'test@datepalmbay.com';
+
+let dataDir;
+let server;
+
+// 시드 회원 하나를 Google 전용 계정(비밀번호 없음)으로 바꾼 뒤 마이그레이션 → 서버 기동
+test.before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dp-reset-'));
+  const seed = JSON.parse(fs.readFileSync(path.join(ROOT, 'mock-data.json'), 'utf-8'));
+  const user = seed.users.find(u => u.email === GOOGLE_EMAIL);
+  delete user.password;
+  user.googleId = 'google-sub-test';
+  fs.writeFileSync(path.join(dataDir, 'mock-data.json'), JSON.stringify(seed));
+
+  const env = { ...process.env, DATA_DIR: dataDir, STORAGE_DRIVER: 'json', PORT: String(PORT) };
+  delete env.SQLITE_FILE;
+  delete env.TWILIO_ACCOUNT_SID;
+  delete env.TWILIO_VERIFY_SERVICE_SID;
+  const migrated = spawnSync(process.execPath, [path.join(ROOT, 'scripts', 'migrate.js')], { env, encoding: 'utf-8', timeout: 60000 });
+  assert.strictEqual(migrated.status, 0, migrated.stderr || migrated.stdout);
+
+  server = spawn(process.execPath, [path.join(ROOT, 'server.js')], { env, stdio: 'ignore' });
+  for (let i = 0; i < 120; i++) {
+    try {
+      await fetch(`http://localhost:${PORT}/sitemap.xml`);
+      return;
+    } catch (e) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+  throw new Error('server did not start');
+});
+
+test.after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill();
+    await exited;
+  }
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function post(route, body) {
+  const res = await fetch(`${API}${route}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return res.json();
+}
+
+test('요청 응답은 Google 가입 회원과 없는 이메일이 같음', async () => {
+  const google = await post('/password-reset/request', { email: GOOGLE_EMAIL });
+  const unknown = await post('/password-reset/request', { email: 'nobody@datepalmbay.com' });
+  assert.strictEqual(google.ok, true);
+  assert.deepStrictEqual(Object.keys(google.data).sort(), Object.keys(unknown.data).sort());
+  assert.strictEqual(google.message, unknown.message);
+  assert.strictEqual(google.data.reason, undefined);
+});
+
+test('Google 가입 회원은 확인 단계에서 GOOGLE_ACCOUNT 안내 후 요청 폐기', async () => {
+  const { data } = await post('/password-reset/request', { email: GOOGLE_EMAIL });
+  const confirm = await post('/password-reset/confirm', { requestId: data.requestId, code: '000000', newPassword: 'newpass123' });
+  assert.strictEqual(confirm.ok, false);
+  assert.strictEqual(confirm.data.reason, 'GOOGLE_ACCOUNT');
+
+  const again = await post('/password-reset/confirm', { requestId: data.requestId, code: '000000', newPassword: 'newpass123' });
+  assert.strictEqual(again.message, 'Invalid or already used reset request');
+});
+
+test('없는 이메일은 확인 단계에서도 코드 불일치', async () => {
+  const { data } = await post('/password-reset/request', { email: 'nobody@datepalmbay.com' });
+  const confirm = await post('/password-reset/confirm', { requestId: data.requestId, code: '000000', newPassword: 'newpass123' });
+  assert.strictEqual(confirm.ok, false);
+  assert.strictEqual(confirm.message, 'Code does not match');
+  assert.strictEqual(confirm.data, null);
+});